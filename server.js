@@ -1,891 +1,10289 @@
 // server.js - COMPLETE API FOR RAILWAY
 const express = require('express');
 const cors = require('cors');
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const multer = require('multer');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
 const app = express();
 const port = process.env.PORT || 3000;
 
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// CORS_ORIGINS (comma-separated) restricts browser access and allows session cookies from those origins
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+app.use(corsOrigins.length > 0 ? cors({ origin: corsOrigins, credentials: true }) : cors());
+// Connector webhooks are verified against the exact bytes the platform signed
+app.use(express.json({
+    limit: '10mb',
+    verify: (req, res, buffer) => {
+        if (req.originalUrl.startsWith('/ingest/')) req.rawBody = buffer;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// /analyze/stream reads its body itself, so the buffered CSV parser must leave it alone
+app.use(express.text({
+    type: (req) => req.path !== '/analyze/stream' && Boolean(req.is(['text/csv', 'application/csv'])),
+    limit: '10mb'
+}));
 
-// ============= FLOWLYTICS ANALYTICS ENGINE =============
-class SafeFlowlyticsAnalytics {
-    constructor(orders) {
-        this.orders = orders || [];
-        this.analysis = this.performSafeAnalysis();
+// CSV uploads are held in memory and parsed by csvToOrders()
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// ============= DATE HELPERS =============
+const GRANULARITIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Dates outside these years are typos or placeholders (9999-12-31). Period series are gap-free,
+// so one of them would otherwise stretch the daily series across millennia.
+const ORDER_DATE_MIN_YEAR = 1970;
+const ORDER_DATE_MAX_YEAR = 2100;
+
+function toOrderDate(date) {
+    if (isNaN(date.getTime())) return null;
+    const year = date.getUTCFullYear();
+    return year >= ORDER_DATE_MIN_YEAR && year <= ORDER_DATE_MAX_YEAR ? date : null;
+}
+
+// Accepts ISO strings, DD/MM/YYYY or DD-MM-YYYY (n8n sheet exports) and epoch numbers, in the
+// years ORDER_DATE_MIN_YEAR to ORDER_DATE_MAX_YEAR
+function parseOrderDate(value) {
+    if (value === undefined || value === null || value === '') return null;
+
+    if (typeof value === 'number') {
+        return toOrderDate(new Date(value < 1e12 ? value * 1000 : value));
     }
-    
-    performSafeAnalysis() {
-        // Initialize with safe defaults
-        const metrics = {
-            financial: {
-                total_revenue: 0,
-                delivered_revenue: 0,
-                cancelled_revenue: 0,
-                total_profit: 0,
-                delivered_profit: 0,
-                profit_margin: 0,
-                average_order_value: 0
-            },
-            
-            orders: {
-                total: this.orders.length,
-                delivered: 0,
-                cancelled: 0,
-                conversion_rate: 0,
-                cancellation_rate: 0,
-                avg_value: 0
-            },
-            
-            customers: {
-                unique: new Set(),
-                repeat_buyers: 0,
-                high_value_customers: [],
-                customer_orders: {},
-                customer_revenue: {},
-                city_customers: {}
-            },
-            
-            products: {
-                by_revenue: {},
-                by_revenue_sorted: [],
-                low_margin_products: []
-            },
-            
-            locations: {
-                city_revenue: {},
-                city_orders: {},
-                city_cod_rate: {},
-                city_return_rate: {},
-                high_risk_cities: [],
-                top_performing_cities: []
-            },
-            
-            payments: {
-                methods: {},
-                cod_performance: {
-                    revenue: 0,
-                    orders: 0,
-                    delivered: 0,
-                    cancelled: 0,
-                    profit: 0
-                },
-                prepaid_performance: {
-                    revenue: 0,
-                    orders: 0,
-                    profit: 0
+
+    const text = value.toString().trim();
+    const dayFirst = text.match(/^(\d{1,2})[\/-](\d{1,2})[\/-](\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+    if (dayFirst) {
+        const [, d, m, y, hh = 0, mm = 0, ss = 0] = dayFirst;
+        return toOrderDate(new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm), Number(ss))));
+    }
+
+    return toOrderDate(new Date(text));
+}
+
+function toDayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// "2024-03-01" plus or minus whole days
+function shiftDay(day, days) {
+    return toDayKey(new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS));
+}
+
+function toMonthIndex(date) {
+    return date.getUTCFullYear() * 12 + date.getUTCMonth();
+}
+
+function getPeriodKey(date, granularity) {
+    if (granularity === 'monthly') return date.toISOString().slice(0, 7);
+    if (granularity === 'weekly') {
+        // Weeks start on Monday, keyed by the Monday's date
+        const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+        const offset = (day.getUTCDay() + 6) % 7;
+        return toDayKey(new Date(day.getTime() - offset * DAY_MS));
+    }
+    return toDayKey(date);
+}
+
+function nextPeriodKey(key, granularity) {
+    if (granularity === 'monthly') {
+        const [y, m] = key.split('-').map(Number);
+        return m === 12 ? `${y + 1}-01` : `${y}-${String(m + 1).padStart(2, '0')}`;
+    }
+    const step = granularity === 'weekly' ? 7 : 1;
+    return toDayKey(new Date(Date.parse(`${key}T00:00:00Z`) + step * DAY_MS));
+}
+
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return (current - previous) / Math.abs(previous) * 100;
+}
+
+function createPeriodBucket(period) {
+    return {
+        period,
+        revenue: 0,
+        profit: 0,
+        delivered_revenue: 0,
+        cancelled_revenue: 0,
+        orders: 0,
+        delivered: 0,
+        cancelled: 0,
+        cod_orders: 0
+    };
+}
+
+// Turns a bucket map into a gap-free, sorted series with AOV and period-over-period growth
+function buildPeriodSeries(buckets, granularity) {
+    const keys = Object.keys(buckets).sort();
+    if (keys.length === 0) return [];
+
+    const series = [];
+    const lastKey = keys[keys.length - 1];
+    let key = keys[0];
+
+    while (key <= lastKey) {
+        const bucket = buckets[key] || createPeriodBucket(key);
+        const previous = series[series.length - 1];
+        const aov = bucket.delivered > 0 ? bucket.delivered_revenue / bucket.delivered : 0;
+
+        series.push({
+            ...bucket,
+            aov,
+            revenue_growth: previous ? percentChange(bucket.revenue, previous.revenue) : null,
+            profit_growth: previous ? percentChange(bucket.profit, previous.profit) : null,
+            orders_growth: previous ? percentChange(bucket.orders, previous.orders) : null,
+            aov_growth: previous ? percentChange(aov, previous.aov) : null
+        });
+
+        key = nextPeriodKey(key, granularity);
+    }
+
+    return series;
+}
+
+// ============= CURRENCY & LOCALE =============
+// Per-workspace money, number and date settings. Orders may carry their own `currency`;
+// amounts are converted to the reporting currency with the workspace's rate table, never fetched.
+const NUMBER_GROUPINGS = ['indian', 'western'];
+
+// [divisor, suffix, decimals], largest first
+const CURRENCY_ABBREVIATIONS = {
+    indian: [[10000000, ' Cr', 2], [100000, ' L', 2], [1000, 'K', 1]],
+    western: [[1000000000, 'B', 2], [1000000, 'M', 2], [1000, 'K', 1]]
+};
+
+function getCurrencySymbol(currency, locale) {
+    try {
+        return new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' })
+            .formatToParts(0).find(part => part.type === 'currency')?.value || currency;
+    } catch (error) {
+        return currency;
+    }
+}
+
+// Symbols are printed as-is in dashboards, emails and spreadsheet formats, so markup and quote
+// characters are refused rather than escaped in every place that shows an amount
+function isValidCurrencySymbol(symbol) {
+    return typeof symbol === 'string' && symbol.length > 0 && symbol.length <= 8 && !/[<>&"'`\\\u0000-\u001f\u007f]/.test(symbol);
+}
+
+// Fills in everything the workspace hasn't set. Locale, symbol and grouping follow the currency:
+// INR reports as ₹1.25 L, anything else as e.g. $1.25M.
+function resolveLocaleSettings(settings = {}) {
+    const currency = String(settings.currency || 'INR').toUpperCase();
+    const locale = settings.locale || (currency === 'INR' ? 'en-IN' : 'en-US');
+
+    return {
+        currency,
+        locale,
+        currency_symbol: isValidCurrencySymbol(settings.currency_symbol) ? settings.currency_symbol : getCurrencySymbol(currency, locale),
+        number_grouping: settings.number_grouping || (currency === 'INR' ? 'indian' : 'western'),
+        timezone: settings.timezone || 'Asia/Kolkata',
+        // In the reporting currency
+        high_value_threshold: Number(settings.high_value_threshold) || 100000,
+        exchange_rates: Object.entries(settings.exchange_rates || {}).reduce((rates, [code, rate]) => {
+            rates[code.toUpperCase()] = Number(rate);
+            return rates;
+        }, {})
+    };
+}
+
+const DEFAULT_LOCALE = resolveLocaleSettings();
+
+function validateLocaleSettings(settings) {
+    const errors = [];
+    const isCurrencyCode = (code) => {
+        try {
+            return /^[A-Z]{3}$/i.test(code) && Boolean(new Intl.NumberFormat('en', { style: 'currency', currency: code }));
+        } catch (error) {
+            return false;
+        }
+    };
+
+    if (settings.currency !== undefined && !isCurrencyCode(settings.currency)) {
+        errors.push(`currency "${settings.currency}" is not an ISO 4217 code`);
+    }
+    if (settings.locale !== undefined) {
+        try {
+            if (Intl.NumberFormat.supportedLocalesOf(settings.locale).length === 0) errors.push(`Unsupported locale "${settings.locale}"`);
+        } catch (error) {
+            errors.push(`Invalid locale "${settings.locale}"`);
+        }
+    }
+    if (![undefined, ''].includes(settings.currency_symbol) && !isValidCurrencySymbol(settings.currency_symbol)) {
+        errors.push('currency_symbol must be a string of 1 to 8 characters without < > & " \' ` or backslashes');
+    }
+    if (settings.number_grouping !== undefined && !NUMBER_GROUPINGS.includes(settings.number_grouping)) {
+        errors.push(`number_grouping must be one of: ${NUMBER_GROUPINGS.join(', ')}`);
+    }
+    if (settings.timezone !== undefined && !isValidTimeZone(settings.timezone)) errors.push(`Unknown timezone "${settings.timezone}"`);
+    if (settings.high_value_threshold !== undefined && !(Number(settings.high_value_threshold) > 0)) {
+        errors.push('high_value_threshold must be a positive number');
+    }
+    if (settings.exchange_rates !== undefined) {
+        const rates = settings.exchange_rates;
+        if (!rates || typeof rates !== 'object' || Array.isArray(rates)) {
+            errors.push('exchange_rates must map currency codes to rates, e.g. { "USD": 83.2 }');
+        } else {
+            for (const [code, rate] of Object.entries(rates)) {
+                if (!isCurrencyCode(code)) errors.push(`exchange_rates: "${code}" is not an ISO 4217 code`);
+                else if (typeof rate !== 'number' || !(rate > 0)) errors.push(`exchange_rates.${code} must be a positive number`);
+            }
+        }
+    }
+    return errors;
+}
+
+// How many reporting-currency units one unit of the order's currency is worth; null when unknown.
+// Orders without a currency are taken to be in the reporting currency.
+// Key for counting orders by currency; anything that isn't a 3-letter code is counted as "invalid"
+function getCurrencyKey(currency) {
+    const code = String(currency).trim().toUpperCase();
+    return /^[A-Z]{3}$/.test(code) ? code : 'invalid';
+}
+
+function getExchangeRate(currency, locale = DEFAULT_LOCALE) {
+    if (!hasValue(currency)) return 1;
+    const code = String(currency).trim().toUpperCase();
+    if (code === locale.currency) return 1;
+    return locale.exchange_rates[code] > 0 ? locale.exchange_rates[code] : null;
+}
+
+// Indian grouping is 12,34,567 whatever the locale; Western uses the locale's own separators
+function getNumberLocale(locale = DEFAULT_LOCALE) {
+    return locale.number_grouping === 'indian' ? 'en-IN' : locale.locale === 'en-IN' ? 'en-US' : locale.locale;
+}
+
+function formatNumber(value, locale = DEFAULT_LOCALE) {
+    return Number(value).toLocaleString(getNumberLocale(locale), { maximumFractionDigits: 0 });
+}
+
+// Letter symbols ("AED", "Rs.") need a space before the amount
+function getCurrencyPrefix(locale = DEFAULT_LOCALE) {
+    return /[A-Za-z.]$/.test(locale.currency_symbol) ? `${locale.currency_symbol} ` : locale.currency_symbol;
+}
+
+function formatDateTime(date, locale = DEFAULT_LOCALE) {
+    return date.toLocaleString(locale.locale, { timeZone: locale.timezone });
+}
+
+// Timestamps with an explicit zone ("...T10:00:00Z", "+04:00") or epoch numbers are moved to the
+// workspace's wall clock. Plain dates and zone-less times are taken as already being local.
+function toWorkspaceDate(value, timeZone) {
+    const date = parseOrderDate(value);
+    if (!date) return null;
+
+    const isInstant = typeof value === 'number' ||
+        /\d{1,2}:\d{2}(?::\d{2}(?:\.\d+)?)?\s*(?:Z|[+-]\d{2}:?\d{2})$/i.test(String(value).trim());
+    return isInstant ? new Date(getZonedWallClock(date, timeZone)) : date;
+}
+
+// ============= ORDER HELPERS =============
+const RETURN_STATUSES = ['returned', 'rto', 'refunded'];
+
+// Most specific first: "RTO Delivered" is an RTO, "Delivered - Returned" is a return
+function classifyOrderStatus(rawStatus) {
+    const status = (rawStatus || '').toString().toLowerCase();
+
+    if (/\brto\b|return(ed)? to origin/.test(status)) return 'rto';
+    if (status.includes('return')) return 'returned';
+    if (status.includes('refund')) return 'refunded';
+    if (status.includes('cancel')) return 'cancelled';
+    if (status.includes('delivered')) return 'delivered';
+    return 'pending';
+}
+
+function getRefundAmount(order) {
+    const refund = Number(order?.refund_amount ?? order?.refunded_amount ?? order?.refund);
+    return isFinite(refund) && refund > 0 ? refund : 0;
+}
+
+// Cancelled and RTO orders never reached the customer, so they don't count as purchases
+function isCustomerPurchase(order) {
+    return !['cancelled', 'rto'].includes(classifyOrderStatus(order?.status));
+}
+
+// Running per-customer aggregates, so segmentation never needs the customer's raw orders
+function createCustomerStats() {
+    return {
+        orders: 0,
+        purchases: 0,
+        purchase_revenue: 0,
+        first_purchase: null,
+        last_purchase: null,
+        monthly_revenue: {},
+        // day -> revenue, for lifetime value
+        daily_revenue: {}
+    };
+}
+
+// Only dated purchases feed recency, frequency, cohorts and lifetime value; months are keyed by toMonthIndex()
+function recordCustomerOrder(stats, order, revenue, date = parseOrderDate(order?.order_date)) {
+    stats.orders++;
+
+    if (!date || !isCustomerPurchase(order)) return;
+
+    stats.purchases++;
+    stats.purchase_revenue += revenue;
+    if (!stats.first_purchase || date < stats.first_purchase) stats.first_purchase = date;
+    if (!stats.last_purchase || date > stats.last_purchase) stats.last_purchase = date;
+
+    const month = toMonthIndex(date);
+    stats.monthly_revenue[month] = (stats.monthly_revenue[month] || 0) + revenue;
+    const day = toDayKey(date);
+    stats.daily_revenue[day] = (stats.daily_revenue[day] || 0) + revenue;
+}
+
+// Shared by the per-product and per-category rollups; revenue and profit are delivered-only
+function createProductBucket() {
+    return {
+        orders: 0,
+        delivered: 0,
+        cancelled: 0,
+        returns: 0,
+        quantity: 0,
+        gross_revenue: 0,
+        revenue: 0,
+        profit: 0,
+        estimated_profit_orders: 0,
+        margin: 0,
+        cancellation_rate: 0,
+        return_rate: 0,
+        revenue_share: 0
+    };
+}
+
+function createReturnsBucket() {
+    return {
+        orders: 0,
+        returns: 0,
+        returned: 0,
+        rto: 0,
+        refunded: 0,
+        revenue_lost: 0,
+        return_rate: 0
+    };
+}
+
+// ============= PAYMENT METHODS =============
+// Raw payment labels ("cod", "Cash on Delivery (COD)", "GPay", "razorpay") map onto one taxonomy.
+// Workspaces add labels with payment_aliases and override fees with payment_fees.
+const PAYMENT_METHOD_TAXONOMY = {
+    COD: { type: 'cod', aliases: ['cod', 'cash on delivery', 'cash', 'pay on delivery', 'cashondelivery'] },
+    UPI: { type: 'prepaid', aliases: ['upi', 'gpay', 'google pay', 'phonepe', 'phone pe', 'bhim', 'paytm upi', 'upi intent', 'upi collect'] },
+    Card: { type: 'prepaid', aliases: ['card', 'credit card', 'debit card', 'cc', 'dc', 'visa', 'mastercard', 'rupay', 'amex', 'american express'] },
+    'Net Banking': { type: 'prepaid', aliases: ['net banking', 'netbanking', 'nb', 'internet banking'] },
+    Wallet: { type: 'prepaid', aliases: ['wallet', 'paytm', 'paytm wallet', 'mobikwik', 'amazon pay', 'amazonpay', 'freecharge', 'airtel money', 'ola money'] },
+    BNPL: { type: 'prepaid', aliases: ['bnpl', 'pay later', 'paylater', 'simpl', 'lazypay', 'zestmoney', 'snapmint'] },
+    EMI: { type: 'prepaid', aliases: ['emi', 'cardless emi', 'no cost emi'] },
+    // A gateway name says the order was paid online, not how
+    Online: { type: 'prepaid', aliases: ['prepaid', 'online', 'razorpay', 'payu', 'cashfree', 'ccavenue', 'stripe', 'paypal', 'shopify payments', 'juspay', 'easebuzz'] }
+};
+const PAYMENT_LABEL_CACHE_SIZE = 1000;
+
+// Percent of order value plus a fixed amount in the reporting currency, before tax on the fee.
+// Rough Indian defaults: no MDR on UPI, ~2% on other gateway methods, ~2% courier charge to remit COD.
+const DEFAULT_PAYMENT_FEES = {
+    COD: { percent: 2, fixed: 0 },
+    UPI: { percent: 0, fixed: 0 },
+    Card: { percent: 2, fixed: 0 },
+    'Net Banking': { percent: 2, fixed: 0 },
+    Wallet: { percent: 2, fixed: 0 },
+    BNPL: { percent: 3, fixed: 0 },
+    EMI: { percent: 3, fixed: 0 },
+    Online: { percent: 2, fixed: 0 }
+};
+// Workspace-defined methods and unrecognised labels, unless payment_fees names them
+const DEFAULT_OTHER_PAYMENT_FEE = { percent: 2, fixed: 0 };
+
+// Share of a city's COD orders a prepaid incentive is assumed to convert, in percent
+const COD_PREPAID_SHIFT_RATE = 25;
+
+function normalizePaymentLabel(label) {
+    return String(label ?? '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Longest first, in words and then letters, so "no cost emi credit card" finds "no cost emi" before
+// "credit card". Gateway names only say the order was paid online, so they go last whatever their
+// length. The sort is stable, so workspace aliases still win ties.
+function sortAliasesBySpecificity(aliases) {
+    const rank = alias => [aliases.get(alias) === 'Online' ? 0 : 1, alias.split(' ').length, alias.length];
+    return [...aliases.keys()].sort((a, b) => {
+        const [rankA, rankB] = [rank(a), rank(b)];
+        return rankB[0] - rankA[0] || rankB[1] - rankA[1] || rankB[2] - rankA[2];
+    });
+}
+
+// Fills in the taxonomy and fees the workspace hasn't overridden. Workspace aliases are matched first,
+// so they can take a label over from the defaults. Fee tax defaults to 18% GST for INR workspaces.
+function resolvePaymentSettings(settings = {}) {
+    const aliases = new Map();
+    const types = {};
+    const register = (name, labels) => labels.forEach(label => {
+        const key = normalizePaymentLabel(label);
+        if (key && !aliases.has(key)) aliases.set(key, name);
+    });
+
+    for (const [name, labels] of Object.entries(settings.payment_aliases || {})) {
+        register(name, [name, ...(Array.isArray(labels) ? labels : [labels])]);
+        types[name] = PAYMENT_METHOD_TAXONOMY[name]?.type || 'prepaid';
+    }
+    for (const [name, { type, aliases: labels }] of Object.entries(PAYMENT_METHOD_TAXONOMY)) {
+        register(name, [name, ...labels]);
+        types[name] = type;
+    }
+
+    const fees = { ...DEFAULT_PAYMENT_FEES };
+    for (const [name, fee] of Object.entries(settings.payment_fees || {})) {
+        fees[name] = { percent: Number(fee.percent) || 0, fixed: Number(fee.fixed) || 0 };
+    }
+    const currency = String(settings.currency || 'INR').toUpperCase();
+
+    return {
+        aliases,
+        aliases_by_specificity: sortAliasesBySpecificity(aliases),
+        types,
+        fees,
+        fee_tax_rate: hasValue(settings.payment_fee_tax_rate) ? Number(settings.payment_fee_tax_rate) : (currency === 'INR' ? 18 : 0),
+        // raw label -> classification, since the same few labels repeat on every order
+        cache: new Map()
+    };
+}
+
+const DEFAULT_PAYMENT_SETTINGS = resolvePaymentSettings();
+
+function validatePaymentSettings(settings) {
+    const errors = [];
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+    if (settings.payment_aliases !== undefined) {
+        if (!isObject(settings.payment_aliases)) {
+            errors.push('payment_aliases must map method names to lists of labels, e.g. { "UPI": ["cred pay"] }');
+        } else {
+            for (const [name, labels] of Object.entries(settings.payment_aliases)) {
+                const list = Array.isArray(labels) ? labels : [labels];
+                if (!normalizePaymentLabel(name)) errors.push('payment_aliases: method names cannot be blank');
+                if (list.some(label => typeof label !== 'string' || !normalizePaymentLabel(label))) {
+                    errors.push(`payment_aliases.${name} must be a list of non-empty labels`);
                 }
-            },
-            
-            returns: {
-                total_returns: 0,
-                return_rate: 0,
-                revenue_lost_returns: 0,
-                cancelled_orders: 0,
-                cancellation_rate: 0,
-                revenue_lost_cancellations: 0
-            },
-            
-            insights: [],
-            
-            summary: {
-                overall_score: 0,
-                health_status: '',
-                top_opportunity: '',
-                critical_risk: '',
-                recommended_action: ''
             }
-        };
+        }
+    }
+    if (settings.payment_fees !== undefined) {
+        if (!isObject(settings.payment_fees)) {
+            errors.push('payment_fees must map method names to { "percent": 2, "fixed": 0 }');
+        } else {
+            for (const [name, fee] of Object.entries(settings.payment_fees)) {
+                if (!isObject(fee)) {
+                    errors.push(`payment_fees.${name} must be an object with percent and fixed`);
+                    continue;
+                }
+                if (fee.percent !== undefined && !(typeof fee.percent === 'number' && fee.percent >= 0 && fee.percent <= 100)) {
+                    errors.push(`payment_fees.${name}.percent must be between 0 and 100`);
+                }
+                if (fee.fixed !== undefined && !(typeof fee.fixed === 'number' && fee.fixed >= 0)) {
+                    errors.push(`payment_fees.${name}.fixed must be a number of at least 0`);
+                }
+            }
+        }
+    }
+    if (settings.payment_fee_tax_rate !== undefined &&
+        !(typeof settings.payment_fee_tax_rate === 'number' && settings.payment_fee_tax_rate >= 0 && settings.payment_fee_tax_rate <= 100)) {
+        errors.push('payment_fee_tax_rate must be between 0 and 100');
+    }
+    return errors;
+}
+
+// Exact label first, then the most specific alias appearing as whole words ("Razorpay - UPI" is UPI,
+// "No Cost EMI - Credit Card" is EMI). Labels that match nothing keep their own name as type
+// "other"; missing ones are "Unknown".
+function classifyPaymentMethod(rawMethod, payments = DEFAULT_PAYMENT_SETTINGS) {
+    if (!hasValue(rawMethod)) return { name: 'Unknown', type: 'unknown' };
+    const raw = String(rawMethod).trim();
+    if (payments.cache.has(raw)) return payments.cache.get(raw);
+
+    const label = normalizePaymentLabel(raw);
+    let name = payments.aliases.get(label);
+    if (!name) {
+        const padded = ` ${label} `;
+        const alias = payments.aliases_by_specificity.find(candidate => padded.includes(` ${candidate} `));
+        if (alias) name = payments.aliases.get(alias);
+    }
+    const method = name ? { name, type: payments.types[name] } : { name: raw, type: 'other' };
+    if (payments.cache.size < PAYMENT_LABEL_CACHE_SIZE) payments.cache.set(raw, method);
+    return method;
+}
+
+function isCODPayment(rawMethod, payments = DEFAULT_PAYMENT_SETTINGS) {
+    return classifyPaymentMethod(rawMethod, payments).type === 'cod';
+}
+
+// Prepaid fees are charged at checkout and gateways keep them on refunds and cancellations;
+// COD is only charged on cash the courier collected.
+function getPaymentFee(name, payments = DEFAULT_PAYMENT_SETTINGS) {
+    return Object.hasOwn(payments.fees, name) ? payments.fees[name] : DEFAULT_OTHER_PAYMENT_FEE;
+}
+
+function calculatePaymentFee(method, statusClass, revenue, payments = DEFAULT_PAYMENT_SETTINGS) {
+    if (method.type === 'unknown') return 0;
+    const fee = getPaymentFee(method.name, payments);
+    if (method.type === 'cod' && !['delivered', 'returned', 'refunded'].includes(statusClass)) return 0;
+    return (revenue * fee.percent / 100 + fee.fixed) * (1 + payments.fee_tax_rate / 100);
+}
+
+// Funnel for one payment method (or all COD / all prepaid): placed -> shipped -> delivered -> kept.
+// Returned and refunded orders were delivered but not kept.
+function createPaymentBucket(type) {
+    return {
+        type,
+        labels: {},
+        orders: 0,
+        revenue: 0,
+        profit: 0,
+        pending: 0,
+        cancelled: 0,
+        shipped: 0,
+        rto: 0,
+        reached: 0,
+        delivered: 0,
+        delivered_revenue: 0,
+        fees: 0
+    };
+}
+
+function recordPaymentOutcome(bucket, statusClass, revenue, profit, fee) {
+    bucket.orders++;
+    bucket.revenue += revenue;
+    bucket.profit += profit;
+    bucket.fees += fee;
+    if (statusClass === 'pending' || statusClass === 'cancelled') {
+        bucket[statusClass]++;
+        return;
+    }
+    bucket.shipped++;
+    if (statusClass === 'rto') {
+        bucket.rto++;
+        return;
+    }
+    bucket.reached++;
+    if (statusClass === 'delivered') {
+        bucket.delivered++;
+        bucket.delivered_revenue += revenue;
+    }
+}
+
+// Rates are percentages of all the method's orders; funnel rates are of the stage before
+function finalizePaymentBucket(bucket) {
+    const rate = (count, total) => total > 0 ? count / total * 100 : 0;
+    bucket.delivery_rate = rate(bucket.delivered, bucket.orders);
+    bucket.cancellation_rate = rate(bucket.cancelled, bucket.orders);
+    bucket.rto_rate = rate(bucket.rto, bucket.orders);
+    bucket.average_order_value = bucket.orders > 0 ? bucket.revenue / bucket.orders : 0;
+    bucket.net_revenue = bucket.delivered_revenue - bucket.fees;
+    bucket.fee_rate = rate(bucket.fees, bucket.revenue);
+    bucket.funnel = [
+        { stage: 'placed', orders: bucket.orders, rate: bucket.orders > 0 ? 100 : 0 },
+        { stage: 'shipped', orders: bucket.shipped, rate: rate(bucket.shipped, bucket.orders) },
+        { stage: 'delivered', orders: bucket.reached, rate: rate(bucket.reached, bucket.shipped) },
+        { stage: 'kept', orders: bucket.delivered, rate: rate(bucket.delivered, bucket.reached) }
+    ];
+}
+
+// Revenue a city would keep if COD_PREPAID_SHIFT_RATE% of its COD orders paid upfront and then
+// failed at the city's prepaid rate instead of its COD rate, less the difference in payment fees.
+// City rates are smoothed toward the overall ones like the geography risk scores.
+function estimateCODToPrepaidGain(geography, payments) {
+    const overall = geography.overall;
+    const ratio = (count, total) => total > 0 ? count / total : 0;
+    const codFailure = ratio(overall.cod_failed, overall.cod_closed);
+    const prepaidFailure = ratio(overall.prepaid_failed, overall.prepaid_closed);
+    const feeGap = ratio(payments.prepaid_performance.fees, payments.prepaid_performance.revenue) -
+        ratio(payments.cod_performance.fees, payments.cod_performance.revenue);
+
+    const cities = Object.entries(geography.by_city)
+        .filter(([city, bucket]) => city !== 'Unknown' && bucket.cod_orders >= GEO_RISK_MIN_ORDERS)
+        .map(([city, bucket]) => {
+            const cityCODFailure = shrinkRate(bucket.cod_failed, bucket.cod_closed, codFailure);
+            const cityPrepaidFailure = shrinkRate(bucket.prepaid_failed, bucket.prepaid_closed, prepaidFailure);
+            const shiftedOrders = bucket.cod_orders * COD_PREPAID_SHIFT_RATE / 100;
+            const averageOrderValue = bucket.cod_revenue / bucket.cod_orders;
+            return {
+                city,
+                state: bucket.state,
+                cod_orders: bucket.cod_orders,
+                cod_failure_rate: cityCODFailure * 100,
+                prepaid_failure_rate: cityPrepaidFailure * 100,
+                shifted_orders: Math.round(shiftedOrders),
+                estimated_gain: shiftedOrders * averageOrderValue * (cityCODFailure - cityPrepaidFailure - feeGap)
+            };
+        })
+        .filter(row => row.estimated_gain > 0)
+        .sort((a, b) => b.estimated_gain - a.estimated_gain);
+
+    return {
+        shift_rate: COD_PREPAID_SHIFT_RATE,
+        cod_failure_rate: codFailure * 100,
+        prepaid_failure_rate: prepaidFailure * 100,
+        estimated_gain: cities.reduce((sum, row) => sum + row.estimated_gain, 0),
+        cities
+    };
+}
+
+// ============= GEOGRAPHY =============
+// Offline pincode -> city -> state -> region lookup. PINCODE_DATA can point at a fuller table
+// in the same format as data/pincodes.json (e.g. one built from the India Post directory).
+const PINCODE_DIRECTORY = loadPincodeDirectory(process.env.PINCODE_DATA || path.join(__dirname, 'data', 'pincodes.json'));
+
+function loadPincodeDirectory(file) {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const regionByState = new Map();
+    for (const [region, states] of Object.entries(data.regions || {})) {
+        states.forEach(state => regionByState.set(state, region));
+    }
+    // Maps rather than objects: names from orders ("constructor") must not find Object.prototype members
+    const lowerKeys = (entries) => new Map(entries.map(([key, value]) => [key.toLowerCase(), value]));
+
+    const directory = {
+        prefixes: new Map(Object.entries(data.prefixes || {})),
+        max_prefix_length: Math.max(0, ...Object.keys(data.prefixes || {}).map(prefix => prefix.length)),
+        region_by_state: regionByState,
+        states: lowerKeys([...[...regionByState.keys()].map(state => [state, state]), ...Object.entries(data.state_aliases || {})]),
+        city_aliases: lowerKeys(Object.entries(data.city_aliases || {})),
+        cities: new Map()
+    };
+
+    // City -> state, from the first prefix that names the city
+    for (const prefix of directory.prefixes.keys()) {
+        const { city, state } = lookupPincode(prefix, directory);
+        const key = city?.toLowerCase();
+        if (key && !directory.cities.has(key)) directory.cities.set(key, { city, state });
+    }
+    return directory;
+}
+
+// Pincodes are 6 digits and never start with 0; anything else (foreign zips, typos) is left unresolved
+function normalizePincode(value) {
+    if (!hasValue(value)) return null;
+    const pincode = String(value).replace(/\s+/g, '');
+    return /^[1-9]\d{5}$/.test(pincode) ? pincode : null;
+}
+
+// Longest matching prefix wins, separately for city and state
+function lookupPincode(pincode, directory = PINCODE_DIRECTORY) {
+    const found = { city: null, state: null };
+    for (let length = Math.min(pincode.length, directory.max_prefix_length); length >= 1; length--) {
+        const entry = directory.prefixes.get(pincode.slice(0, length));
+        if (!entry) continue;
+        found.city = found.city || entry.city || null;
+        found.state = found.state || entry.state || null;
+        if (found.city && found.state) break;
+    }
+    return found;
+}
+
+// Cities outside the directory keep their spelling, except that "pune" and "PUNE" become "Pune"
+function canonicalCityName(name, directory = PINCODE_DIRECTORY) {
+    const trimmed = String(name).trim().replace(/\s+/g, ' ');
+    const key = trimmed.toLowerCase();
+    const known = directory.city_aliases.get(key) || directory.cities.get(key)?.city;
+    if (known) return known;
+    if (trimmed !== key && trimmed !== trimmed.toUpperCase()) return trimmed;
+    return key.replace(/(^|[\s-])(\p{L})/gu, (match, separator, letter) => separator + letter.toUpperCase());
+}
+
+function canonicalStateName(name, directory = PINCODE_DIRECTORY) {
+    const trimmed = String(name).trim();
+    return directory.states.get(trimmed.toLowerCase()) || trimmed;
+}
+
+// The pincode decides city and state when it resolves them; the order's own city and state fill the gaps
+function resolveOrderLocation(order, directory = PINCODE_DIRECTORY) {
+    const pincode = normalizePincode(order?.pincode);
+    const fromPincode = pincode ? lookupPincode(pincode, directory) : { city: null, state: null };
+    const city = fromPincode.city || (hasValue(order?.city) ? canonicalCityName(order.city, directory) : null);
+    const state = fromPincode.state ||
+        (hasValue(order?.state) ? canonicalStateName(order.state, directory) : null) ||
+        directory.cities.get(city?.toLowerCase())?.state || null;
+
+    return {
+        pincode,
+        city: city || 'Unknown',
+        state: state || 'Unknown',
+        region: directory.region_by_state.get(state) || 'Unknown'
+    };
+}
+
+// Delivery outcomes for one location; reached = delivered, returned or refunded (the parcel got there)
+function createLocationBucket(parents = {}) {
+    return {
+        ...parents,
+        orders: 0,
+        delivered: 0,
+        reached: 0,
+        cancelled: 0,
+        rto: 0,
+        pending: 0,
+        revenue: 0,
+        cod_orders: 0,
+        cod_closed: 0,
+        cod_failed: 0,
+        cod_revenue: 0,
+        prepaid_orders: 0,
+        prepaid_closed: 0,
+        prepaid_failed: 0
+    };
+}
+
+// paymentType comes from classifyPaymentMethod(); "closed" orders are no longer pending
+function recordLocationOutcome(bucket, statusClass, paymentType, revenue) {
+    const failed = statusClass === 'cancelled' || statusClass === 'rto';
+    bucket.orders++;
+    bucket.revenue += revenue;
+    if (statusClass === 'pending') bucket.pending++;
+    else if (failed) bucket[statusClass]++;
+    else bucket.reached++;
+    if (statusClass === 'delivered') bucket.delivered++;
+    if (paymentType === 'cod' || paymentType === 'prepaid') {
+        bucket[`${paymentType}_orders`]++;
+        if (statusClass !== 'pending') bucket[`${paymentType}_closed`]++;
+        if (failed) bucket[`${paymentType}_failed`]++;
+        if (paymentType === 'cod') bucket.cod_revenue += revenue;
+    }
+}
+
+// Small locations borrow from their parent (pincode -> city -> state -> region -> all orders):
+// each location starts with GEO_RISK_PRIOR_ORDERS pseudo-orders at the parent's rates.
+const GEO_RISK_PRIOR_ORDERS = 10;
+const GEO_RISK_WEIGHTS = { failure: 0.7, cod_share: 0.3 };
+const GEO_RISK_LEVELS = [
+    { min: 40, level: 'High', action: 'Confirm by call or IVR, or ask for prepayment, before shipping' },
+    { min: 25, level: 'Medium', action: 'Send an order confirmation message before dispatch' },
+    { min: 0, level: 'Low', action: 'Ship as usual' }
+];
+// Locations with fewer orders are scored but never listed as high risk
+const GEO_RISK_MIN_ORDERS = 5;
+
+function getRiskLevel(score) {
+    return GEO_RISK_LEVELS.find(level => score >= level.min);
+}
+
+function shrinkRate(count, total, parentRate) {
+    return (count + GEO_RISK_PRIOR_ORDERS * parentRate) / (total + GEO_RISK_PRIOR_ORDERS);
+}
+
+// Rates are percentages of all orders except failure rate, which is (cancelled + RTO) / non-pending orders
+function finalizeLocationBucket(bucket, parent) {
+    const closed = bucket.orders - bucket.pending;
+    const failed = bucket.cancelled + bucket.rto;
+    const rate = (count, total) => total > 0 ? count / total * 100 : null;
+
+    bucket.delivery_success_rate = rate(bucket.reached, bucket.reached + bucket.rto);
+    bucket.cancellation_rate = rate(bucket.cancelled, bucket.orders);
+    bucket.rto_rate = rate(bucket.rto, bucket.orders);
+    bucket.failure_rate = rate(failed, closed);
+    bucket.cod_share = rate(bucket.cod_orders, bucket.orders);
+    bucket.cod_failure_rate = rate(bucket.cod_failed, bucket.cod_closed);
+    bucket.prepaid_failure_rate = rate(bucket.prepaid_failed, bucket.prepaid_closed);
+
+    const failure = parent ?
+        shrinkRate(failed, closed, parent.smoothed_failure_rate / 100) : (closed > 0 ? failed / closed : 0);
+    const codShare = parent ?
+        shrinkRate(bucket.cod_orders, bucket.orders, parent.smoothed_cod_share / 100) :
+        (bucket.orders > 0 ? bucket.cod_orders / bucket.orders : 0);
+    bucket.smoothed_failure_rate = failure * 100;
+    bucket.smoothed_cod_share = codShare * 100;
+    bucket.risk_score = Math.round(100 * (GEO_RISK_WEIGHTS.failure * failure + GEO_RISK_WEIGHTS.cod_share * codShare));
+    bucket.risk_level = getRiskLevel(bucket.risk_score).level;
+}
+
+function finalizeGeography(geography) {
+    finalizeLocationBucket(geography.overall, null);
+    Object.values(geography.by_region).forEach(bucket => finalizeLocationBucket(bucket, geography.overall));
+    Object.values(geography.by_state).forEach(bucket =>
+        finalizeLocationBucket(bucket, geography.by_region[bucket.region] || geography.overall));
+    Object.values(geography.by_city).forEach(bucket =>
+        finalizeLocationBucket(bucket, geography.by_state[bucket.state] || geography.overall));
+    Object.values(geography.by_pincode).forEach(bucket =>
+        finalizeLocationBucket(bucket, geography.by_city[bucket.city] || geography.overall));
+
+    geography.high_risk_pincodes = rankLocations(geography.by_pincode, 'pincode')
+        .filter(row => row.risk_level === 'High' && row.orders >= GEO_RISK_MIN_ORDERS);
+}
+
+// Riskiest first; ties go to the location with more orders
+function rankLocations(buckets, keyName) {
+    return Object.entries(buckets)
+        .map(([key, bucket]) => ({ [keyName]: key, ...bucket }))
+        .sort((a, b) => b.risk_score - a.risk_score || b.orders - a.orders);
+}
+
+// Every level ranked by risk; the full pincode table only on request, since it can run to thousands of rows
+function formatGeography(geography, { includePincodes = false } = {}) {
+    return {
+        pincode_orders: geography.pincode_orders,
+        unresolved_pincodes: geography.unresolved_pincodes,
+        overall: geography.overall,
+        regions: rankLocations(geography.by_region, 'region'),
+        states: rankLocations(geography.by_state, 'state'),
+        cities: rankLocations(geography.by_city, 'city'),
+        high_risk_pincodes: geography.high_risk_pincodes,
+        ...(includePincodes ? { pincodes: rankLocations(geography.by_pincode, 'pincode') } : {})
+    };
+}
+
+// Scores an incoming order against history: the most specific location with history sets the
+// failure probability, scaled by how COD and prepaid orders fail compared with all orders.
+function scoreOrderRisk(order, geography, payments = DEFAULT_PAYMENT_SETTINGS, directory = PINCODE_DIRECTORY) {
+    const location = resolveOrderLocation(order, directory);
+    const levels = [
+        ['pincode', location.pincode && geography.by_pincode[location.pincode], location.pincode],
+        ['city', geography.by_city[location.city], location.city],
+        ['state', geography.by_state[location.state], location.state],
+        ['region', geography.by_region[location.region], location.region]
+    ];
+    const [matchedLevel, history, matchedName] = levels.find(([, bucket, name]) =>
+        bucket && bucket.orders > 0 && name !== 'Unknown') || ['overall', geography.overall, 'all orders'];
+
+    const overall = geography.overall;
+    const paymentType = classifyPaymentMethod(order?.payment_method, payments).type;
+    // Unrecognised and missing methods are scored on the location alone
+    const isCOD = ['cod', 'prepaid'].includes(paymentType) ? paymentType === 'cod' : null;
+    const paymentFailureRate = isCOD === null ? null : (isCOD ? overall.cod_failure_rate : overall.prepaid_failure_rate);
+    const multiplier = paymentFailureRate !== null && overall.failure_rate > 0 ? paymentFailureRate / overall.failure_rate : 1;
+    const failureProbability = Math.min(1, history.smoothed_failure_rate / 100 * multiplier);
+    // Without a recognised payment method the location's usual COD share stands in for it
+    const codComponent = isCOD === null ? history.smoothed_cod_share / 100 : (isCOD ? 1 : 0);
+    const riskScore = Math.round(100 * (GEO_RISK_WEIGHTS.failure * failureProbability + GEO_RISK_WEIGHTS.cod_share * codComponent));
+    const level = getRiskLevel(riskScore);
+
+    const matchedLabel = matchedLevel === 'pincode' ? `pincode ${matchedName}` : matchedName;
+    const reasons = [];
+    if (matchedLevel !== 'pincode') {
+        reasons.push(`${location.pincode ? `No history for pincode ${location.pincode}` : 'No valid pincode'}; using ${matchedLabel}`);
+    }
+    if (history.failure_rate !== null) {
+        reasons.push(matchedLevel === 'overall' ?
+            `${history.failure_rate.toFixed(1)}% of all ${history.orders} past orders were cancelled or RTO` :
+            `${history.failure_rate.toFixed(1)}% of ${history.orders} past orders in ${matchedLabel} were cancelled or RTO`);
+    }
+    if (isCOD) reasons.push('Cash on delivery');
+
+    return {
+        order_id: order?.order_id ?? null,
+        ...location,
+        payment_method: order?.payment_method ?? null,
+        is_cod: isCOD,
+        matched_level: matchedLevel,
+        history_orders: history.orders,
+        failure_probability: Math.round(failureProbability * 1000) / 10,
+        risk_score: riskScore,
+        risk_level: level.level,
+        recommended_action: level.action,
+        reasons
+    };
+}
+
+// ============= INVENTORY =============
+// Stock levels uploaded per SKU (PUT /inventory), set against how fast each SKU sells in the
+// dated order history. Demand is every order except cancellations, since those never ship.
+const INVENTORY_VELOCITY_WINDOW_DAYS = 28;
+const INVENTORY_DEFAULT_LEAD_TIME_DAYS = 14;
+// Safety stock covers demand swings during the lead time in about 95% of cases
+const INVENTORY_SERVICE_LEVEL_Z = 1.65;
+// A suggested reorder lasts this long after it arrives
+const INVENTORY_TARGET_COVER_DAYS = 30;
+const INVENTORY_OVERSTOCK_DAYS = 120;
+const INVENTORY_MAX_ITEMS = 5000;
+const INVENTORY_MAX_LEAD_TIME_DAYS = 365;
+
+// Most urgent first; the dashboard and API list items in this order
+const STOCK_RISK_LEVELS = [
+    { level: 'Out of Stock', action: 'Restock now: orders for this SKU cannot be fulfilled' },
+    { level: 'High', action: 'Reorder and expedite: stock runs out before a new order can arrive' },
+    { level: 'Medium', action: 'Reorder now: stock is at or below the reorder point' },
+    { level: 'Low', action: 'No action needed' },
+    { level: 'Overstock', action: `Pause reorders or discount: more than ${INVENTORY_OVERSTOCK_DAYS} days of stock` },
+    { level: 'No Sales', action: `No sales in the last ${INVENTORY_VELOCITY_WINDOW_DAYS} days` }
+];
+
+function validateInventoryItems(items) {
+    if (!Array.isArray(items) || items.length === 0) return ['Send at least one item with a sku or product_name and stock'];
+    if (items.length > INVENTORY_MAX_ITEMS) return [`At most ${INVENTORY_MAX_ITEMS} items per upload`];
+
+    const errors = [];
+    const seen = new Set();
+    items.forEach((item, index) => {
+        const label = `Item ${index + 1}`;
+        if (!item || typeof item !== 'object') {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!hasValue(item.sku) && !hasValue(item.product_name)) errors.push(`${label} needs a sku or product_name`);
+        if (!isFinite(Number(item.stock)) || !hasValue(item.stock)) errors.push(`${label}: stock must be a number`);
+        if (hasValue(item.lead_time_days)) {
+            const leadTime = Number(item.lead_time_days);
+            if (!isFinite(leadTime) || leadTime < 0 || leadTime > INVENTORY_MAX_LEAD_TIME_DAYS) {
+                errors.push(`${label}: lead_time_days must be between 0 and ${INVENTORY_MAX_LEAD_TIME_DAYS}`);
+            }
+        }
+        const key = inventoryItemKey(item);
+        if (seen.has(key)) errors.push(`${label} repeats ${hasValue(item.sku) ? `sku "${item.sku}"` : `product "${item.product_name}"`}`);
+        seen.add(key);
+    });
+    return errors;
+}
+
+function inventoryItemKey(item) {
+    return hasValue(item.sku) ? `sku:${String(item.sku).trim().toLowerCase()}` : `product:${String(item.product_name).trim().toLowerCase()}`;
+}
+
+function normalizeInventoryItem(item) {
+    return {
+        sku: hasValue(item.sku) ? String(item.sku).trim() : null,
+        product_name: hasValue(item.product_name) ? String(item.product_name).trim() : null,
+        stock: Number(item.stock),
+        lead_time_days: hasValue(item.lead_time_days) ? Number(item.lead_time_days) : null
+    };
+}
+
+// One per analysis: counts each item's units sold per day. Orders match an item by SKU
+// (their own, or a connector line item's), then by product name.
+function createInventoryTracker(items) {
+    const tracked = items.map(item => ({ ...item, daily_units: {} }));
+    const bySku = new Map();
+    const byProduct = new Map();
+    for (const item of tracked) {
+        if (item.sku) bySku.set(item.sku.toLowerCase(), item);
+        if (item.product_name && !byProduct.has(item.product_name.toLowerCase())) byProduct.set(item.product_name.toLowerCase(), item);
+    }
+    return { items: tracked, by_sku: bySku, by_product: byProduct };
+}
+
+function recordInventorySale(tracker, order, statusClass, orderDate, quantity) {
+    if (!orderDate || statusClass === 'cancelled') return;
+    const day = toDayKey(orderDate);
+    const lines = Array.isArray(order?.line_items) && order.line_items.length > 0 ?
+        order.line_items : [{ sku: order?.sku, name: order?.product_name, quantity }];
+
+    for (const line of lines) {
+        const item = (hasValue(line?.sku) && tracker.by_sku.get(String(line.sku).trim().toLowerCase())) ||
+            (hasValue(line?.name) && tracker.by_product.get(String(line.name).trim().toLowerCase()));
+        const units = Number(line.quantity) || 0;
+        if (!item || units <= 0) continue;
+        item.daily_units[day] = (item.daily_units[day] || 0) + units;
+    }
+}
+
+// Velocity and its day-to-day spread over the last INVENTORY_VELOCITY_WINDOW_DAYS of order history
+// (fewer if the history is shorter). Stock-out dates count from the day stock was uploaded.
+function finalizeInventory(tracker, timeseries, stockAsOf) {
+    const lastDay = timeseries.last_order_date ? toDayKey(timeseries.last_order_date) : null;
+    const firstDay = timeseries.first_order_date ? toDayKey(timeseries.first_order_date) : null;
+    const windowStart = lastDay ? [shiftDay(lastDay, 1 - INVENTORY_VELOCITY_WINDOW_DAYS), firstDay].sort().pop() : null;
+    const windowDays = lastDay ? Math.round((Date.parse(lastDay) - Date.parse(windowStart)) / DAY_MS) + 1 : 0;
+    const stockDay = stockAsOf ? stockAsOf.slice(0, 10) : lastDay;
+
+    const items = tracker.items.map(({ daily_units: dailyUnits, ...item }) => {
+        const units = [];
+        for (let offset = 0; offset < windowDays; offset++) units.push(dailyUnits[shiftDay(windowStart, offset)] || 0);
+        const unitsSold = units.reduce((sum, value) => sum + value, 0);
+        const velocity = windowDays > 0 ? unitsSold / windowDays : 0;
+        const deviation = windowDays > 0 ?
+            Math.sqrt(units.reduce((sum, value) => sum + Math.pow(value - velocity, 2), 0) / windowDays) : 0;
+
+        const leadTime = item.lead_time_days ?? INVENTORY_DEFAULT_LEAD_TIME_DAYS;
+        const safetyStock = INVENTORY_SERVICE_LEVEL_Z * deviation * Math.sqrt(leadTime);
+        const reorderPoint = Math.ceil(velocity * leadTime + safetyStock);
+        const daysOfCover = velocity > 0 ? Math.max(0, item.stock) / velocity : null;
+
+        let level;
+        if (item.stock <= 0) level = 'Out of Stock';
+        else if (velocity === 0) level = 'No Sales';
+        else if (daysOfCover < leadTime) level = 'High';
+        else if (item.stock <= reorderPoint) level = 'Medium';
+        else if (daysOfCover > INVENTORY_OVERSTOCK_DAYS) level = 'Overstock';
+        else level = 'Low';
+        const needsReorder = ['Out of Stock', 'High', 'Medium'].includes(level);
+
+        return {
+            ...item,
+            lead_time_days: leadTime,
+            units_sold: unitsSold,
+            velocity,
+            days_of_cover: daysOfCover,
+            stockout_date: daysOfCover !== null && stockDay ? shiftDay(stockDay, Math.floor(daysOfCover)) : null,
+            safety_stock: Math.ceil(safetyStock),
+            reorder_point: reorderPoint,
+            suggested_reorder: needsReorder ?
+                Math.max(0, Math.ceil(velocity * (leadTime + INVENTORY_TARGET_COVER_DAYS) + safetyStock - Math.max(0, item.stock))) : 0,
+            risk_level: level,
+            action: STOCK_RISK_LEVELS.find(entry => entry.level === level).action
+        };
+    });
+
+    const levels = STOCK_RISK_LEVELS.map(entry => entry.level);
+    items.sort((a, b) => levels.indexOf(a.risk_level) - levels.indexOf(b.risk_level) ||
+        (a.days_of_cover ?? Infinity) - (b.days_of_cover ?? Infinity) || b.velocity - a.velocity);
+    const count = level => items.filter(item => item.risk_level === level).length;
+    // Fastest sellers first, for insights
+    const bySales = level => items.filter(item => item.risk_level === level).sort((a, b) => b.velocity - a.velocity);
+
+    return {
+        stock_as_of: stockAsOf || null,
+        window: { from: windowStart, to: lastDay, days: windowDays },
+        summary: {
+            skus: items.length,
+            out_of_stock: count('Out of Stock'),
+            high_risk: count('High'),
+            reorder_due: count('Medium'),
+            overstock: count('Overstock'),
+            no_sales: count('No Sales'),
+            units_to_reorder: items.reduce((sum, item) => sum + item.suggested_reorder, 0)
+        },
+        items,
+        stockout_risks: bySales('High'),
+        out_of_stock_sellers: bySales('Out of Stock').filter(item => item.velocity > 0)
+    };
+}
+
+// ============= ORDER VALIDATION =============
+// Fields processOrderSafely() falls back on when missing, and what it falls back to
+const DEFAULTED_ORDER_FIELDS = {
+    order_id: 'no id',
+    profit: '20% of revenue',
+    status: 'pending',
+    city: 'Unknown',
+    payment_method: 'Unknown',
+    product_name: 'Unknown Product',
+    quantity: '1',
+    order_date: 'undated'
+};
+
+// Missing these is an error in strict mode and a counted default otherwise
+const STRICT_REQUIRED_FIELDS = ['order_id', 'customer_id', 'revenue', 'status'];
+
+function hasValue(value) {
+    return value !== undefined && value !== null && value.toString().trim() !== '';
+}
+
+// Runs before analysis: reports what the engine would silently default, and which rows are unusable
+function validateOrders(orders, { strict = false } = {}) {
+    const validator = createOrderValidator({ strict });
+    (orders || []).forEach(order => validator.check(order));
+    return validator.result();
+}
+
+// Row-at-a-time validation so streamed uploads get the same report without holding every order.
+// maxErrors caps how many error entries are kept; rows past the cap are still counted as invalid.
+function createOrderValidator({ strict = false, maxErrors = Infinity } = {}) {
+    const errors = [];
+    const defaultedFields = Object.keys(DEFAULTED_ORDER_FIELDS).reduce((counts, field) => {
+        counts[field] = 0;
+        return counts;
+    }, {});
+    const seenOrderIds = new Map();
+    const duplicateOrderIds = new Set();
+    let fabricatedCustomers = 0;
+    let totalRows = 0;
+    let invalidRows = 0;
+    let lastInvalidRow = 0;
+
+    const addError = (row, order, field, message) => {
+        if (errors.length < maxErrors) errors.push({ row, order_id: order?.order_id ?? null, field, message });
+        if (lastInvalidRow !== row) {
+            invalidRows++;
+            lastInvalidRow = row;
+        }
+    };
+
+    const check = (order) => {
+        const row = ++totalRows;
+
+        if (!order || typeof order !== 'object' || Array.isArray(order)) {
+            addError(row, null, null, 'Order must be an object');
+            return false;
+        }
+
+        if (strict) {
+            for (const field of STRICT_REQUIRED_FIELDS) {
+                if (!hasValue(order[field])) addError(row, order, field, `${field} is required`);
+            }
+        }
+
+        if (hasValue(order.revenue)) {
+            const revenue = Number(order.revenue);
+            if (!isFinite(revenue)) addError(row, order, 'revenue', `"${order.revenue}" is not a number`);
+            else if (revenue < 0) addError(row, order, 'revenue', 'revenue cannot be negative');
+        } else if (!strict) {
+            addError(row, order, 'revenue', 'revenue is required');
+        }
+
+        if (hasValue(order.profit) && !isFinite(Number(order.profit))) {
+            addError(row, order, 'profit', `"${order.profit}" is not a number`);
+        }
+
+        if (hasValue(order.quantity)) {
+            const quantity = Number(order.quantity);
+            if (!isFinite(quantity) || quantity <= 0) {
+                addError(row, order, 'quantity', `"${order.quantity}" is not a positive number`);
+            }
+        }
+
+        if (hasValue(order.order_date) && !parseOrderDate(order.order_date)) {
+            addError(row, order, 'order_date',
+                `"${order.order_date}" is not a recognised date from ${ORDER_DATE_MIN_YEAR} to ${ORDER_DATE_MAX_YEAR}`);
+        }
+
+        if (hasValue(order.currency) && !/^[A-Z]{3}$/i.test(String(order.currency).trim())) {
+            addError(row, order, 'currency', `"${order.currency}" is not a 3-letter currency code`);
+        }
+
+        for (const field of Object.keys(DEFAULTED_ORDER_FIELDS)) {
+            if (!hasValue(order[field])) defaultedFields[field]++;
+        }
+
+        if (!hasValue(order.customer_id)) fabricatedCustomers++;
+
+        if (hasValue(order.order_id)) {
+            const orderId = String(order.order_id);
+            if (seenOrderIds.has(orderId)) {
+                duplicateOrderIds.add(orderId);
+                if (strict) {
+                    addError(row, order, 'order_id', `Duplicate order_id, first seen in row ${seenOrderIds.get(orderId)}`);
+                }
+            } else {
+                seenOrderIds.set(orderId, row);
+            }
+        }
+
+        return lastInvalidRow !== row;
+    };
+
+    const result = () => ({
+        valid: invalidRows === 0,
+        errors,
+        data_quality: {
+            mode: strict ? 'strict' : 'lenient',
+            total_rows: totalRows,
+            valid_rows: totalRows - invalidRows,
+            invalid_rows: invalidRows,
+            defaulted_fields: defaultedFields,
+            defaults_applied: DEFAULTED_ORDER_FIELDS,
+            duplicate_order_ids: {
+                count: duplicateOrderIds.size,
+                ids: [...duplicateOrderIds].slice(0, 50)
+            },
+            fabricated_customers: fabricatedCustomers,
+            quality_score: totalRows > 0 ? Math.round((totalRows - invalidRows) / totalRows * 100) : 0
+        }
+    });
+
+    return { check, result };
+}
+
+// ============= METRIC EXPRESSIONS =============
+// Small arithmetic language used by insight rules and scoring:
+//   numbers, metric paths (financial.profit_margin), + - * / %, parentheses,
+//   and min(), max(), abs(), round(), percent(part, whole).
+// Any missing value or division by zero makes the whole expression null.
+const EXPRESSION_FUNCTIONS = {
+    min: (...args) => Math.min(...args),
+    max: (...args) => Math.max(...args),
+    abs: (value) => Math.abs(value),
+    round: (value, digits = 0) => Number(value.toFixed(digits)),
+    percent: (part, whole) => whole ? part / whole * 100 : null
+};
+
+function tokenizeExpression(expression) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?)|([A-Za-z_][\w.]*)|([-+*/%(),]))/y;
+    const text = String(expression);
+    let match;
+
+    while (pattern.lastIndex < text.length) {
+        const start = pattern.lastIndex;
+        if (/^\s*$/.test(text.slice(start))) break;
+
+        match = pattern.exec(text);
+        if (!match) throw new Error(`Unexpected character at position ${start + 1} in "${text}"`);
+
+        if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+        else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2] });
+        else tokens.push({ type: 'op', value: match[3] });
+    }
+    return tokens;
+}
+
+function parseExpression(expression) {
+    const tokens = tokenizeExpression(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const take = (value) => {
+        const token = tokens[position];
+        if (!token || (value && token.value !== value)) {
+            throw new Error(`Expected "${value || 'a value'}" in "${expression}"`);
+        }
+        position++;
+        return token;
+    };
+
+    const parseSum = () => {
+        let node = parseProduct();
+        while (peek()?.type === 'op' && ['+', '-'].includes(peek().value)) {
+            node = { type: 'binary', op: take().value, left: node, right: parseProduct() };
+        }
+        return node;
+    };
+
+    const parseProduct = () => {
+        let node = parseUnary();
+        while (peek()?.type === 'op' && ['*', '/', '%'].includes(peek().value)) {
+            node = { type: 'binary', op: take().value, left: node, right: parseUnary() };
+        }
+        return node;
+    };
+
+    const parseUnary = () => {
+        if (peek()?.value === '-') {
+            take('-');
+            return { type: 'negate', value: parseUnary() };
+        }
+        return parsePrimary();
+    };
+
+    const parsePrimary = () => {
+        const token = take();
+        if (token.type === 'number') return { type: 'number', value: token.value };
+        if (token.value === '(') {
+            const node = parseSum();
+            take(')');
+            return node;
+        }
+        if (token.type === 'name') {
+            if (peek()?.value !== '(') return { type: 'path', path: token.value };
+
+            if (!EXPRESSION_FUNCTIONS[token.value]) throw new Error(`Unknown function "${token.value}"`);
+            take('(');
+            const args = [];
+            if (peek()?.value !== ')') {
+                args.push(parseSum());
+                while (peek()?.value === ',') {
+                    take(',');
+                    args.push(parseSum());
+                }
+            }
+            take(')');
+            return { type: 'call', name: token.value, args };
+        }
+        throw new Error(`Unexpected "${token.value}" in "${expression}"`);
+    };
+
+    const ast = parseSum();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}" in "${expression}"`);
+    return ast;
+}
+
+function resolveMetricPath(context, path) {
+    const value = path.split('.').reduce((current, key) => current?.[key], context);
+    if (value instanceof Set) return value.size;
+    if (Array.isArray(value)) return value.length;
+    return value;
+}
+
+function collectExpressionPaths(ast, paths = []) {
+    if (ast.type === 'path') paths.push(ast.path);
+    if (ast.type === 'binary') {
+        collectExpressionPaths(ast.left, paths);
+        collectExpressionPaths(ast.right, paths);
+    }
+    if (ast.type === 'negate') collectExpressionPaths(ast.value, paths);
+    if (ast.type === 'call') ast.args.forEach(arg => collectExpressionPaths(arg, paths));
+    return paths;
+}
+
+function evaluateAst(ast, context) {
+    switch (ast.type) {
+        case 'number':
+            return ast.value;
+        case 'path': {
+            const value = resolveMetricPath(context, ast.path);
+            return typeof value === 'number' && isFinite(value) ? value : null;
+        }
+        case 'negate': {
+            const value = evaluateAst(ast.value, context);
+            return value === null ? null : -value;
+        }
+        case 'call': {
+            const args = ast.args.map(arg => evaluateAst(arg, context));
+            if (args.some(arg => arg === null)) return null;
+            const result = EXPRESSION_FUNCTIONS[ast.name](...args);
+            return typeof result === 'number' && isFinite(result) ? result : null;
+        }
+        case 'binary': {
+            const left = evaluateAst(ast.left, context);
+            const right = evaluateAst(ast.right, context);
+            if (left === null || right === null) return null;
+            if (['/', '%'].includes(ast.op) && right === 0) return null;
+            if (ast.op === '+') return left + right;
+            if (ast.op === '-') return left - right;
+            if (ast.op === '*') return left * right;
+            if (ast.op === '/') return left / right;
+            return left % right;
+        }
+        default:
+            return null;
+    }
+}
+
+function evaluateMetricExpression(expression, context) {
+    return evaluateAst(parseExpression(expression), context);
+}
+
+const COMPARISON_OPERATORS = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+};
+
+// Named shortcuts on top of the raw metrics tree, so rules don't have to repeat the same ratios
+function buildMetricContext(metrics) {
+    const uniqueCustomers = metrics.customers.unique?.size || 0;
+    const codOrders = metrics.payments.cod_performance?.orders || 0;
+    // Inventory counts stay null without a stock upload, so stock rules never fire on sales data alone
+    const inventory = metrics.inventory;
+    const stockout = inventory?.stockout_risks[0];
+    const itemLabel = item => item ? (item.product_name || item.sku) : null;
+
+    return {
+        ...metrics,
+        cod_cancellation_rate: codOrders > 0 ?
+            metrics.payments.cod_performance.cancelled / codOrders * 100 : null,
+        repeat_rate: (metrics.customers.repeat_buyers || 0) / (uniqueCustomers || 1) * 100,
+        unique_customers: uniqueCustomers,
+        high_value_customer_count: metrics.customers.high_value_customers?.length || 0,
+        high_value_threshold: (metrics.locale || DEFAULT_LOCALE).high_value_threshold,
+        low_margin_product_count: metrics.products.low_margin_products?.length || 0,
+        high_risk_pincode_count: metrics.geography.high_risk_pincodes?.length || 0,
+        cod_prepaid_gain: metrics.payments.cod_to_prepaid?.estimated_gain ?? null,
+        cod_prepaid_cities: (metrics.payments.cod_to_prepaid?.cities || []).slice(0, 3).map(row => row.city).join(', '),
+        stockout_risk_count: inventory ? inventory.stockout_risks.length : null,
+        stockout_product: itemLabel(stockout),
+        stockout_days: stockout ? Math.floor(stockout.days_of_cover) : null,
+        stockout_lead_time: stockout ? stockout.lead_time_days : null,
+        out_of_stock_count: inventory ? inventory.out_of_stock_sellers.length : null,
+        out_of_stock_products: inventory ? inventory.out_of_stock_sellers.slice(0, 3).map(itemLabel).join(', ') : null,
+        reorder_due_count: inventory ? inventory.summary.reorder_due : null,
+        overstock_count: inventory ? inventory.summary.overstock : null,
+        profit_margin: metrics.financial.profit_margin,
+        cancellation_rate: metrics.orders.cancellation_rate,
+        conversion_rate: metrics.orders.conversion_rate,
+        return_rate: metrics.returns.return_rate,
+        rto_rate: metrics.returns.rto_rate,
+        average_order_value: metrics.financial.average_order_value,
+        revenue_growth: metrics.timeseries.growth?.revenue_growth ?? null,
+        orders_growth: metrics.timeseries.growth?.orders_growth ?? null
+    };
+}
+
+// "{{value:1}}" -> value to 1 decimal, "{{delivered_revenue|currency}}" -> formatted amount.
+// A bare path to text ("{{cod_prepaid_cities}}") is inserted as is.
+function renderRuleTemplate(template, context) {
+    return String(template || '').replace(/\{\{\s*([^}|:]+?)\s*(?::(\d+))?\s*(?:\|\s*(currency))?\s*\}\}/g,
+        (placeholder, expression, decimals, filter) => {
+            const text = /^[A-Za-z_][\w.]*$/.test(expression) ? resolveMetricPath(context, expression) : null;
+            if (typeof text === 'string') return text;
+            let value;
+            try {
+                value = evaluateMetricExpression(expression, context);
+            } catch (error) {
+                return placeholder;
+            }
+            if (value === null) return 'n/a';
+            if (filter === 'currency') return formatCurrency(value, context.locale || DEFAULT_LOCALE);
+            return decimals !== undefined ? value.toFixed(Number(decimals)) : String(Math.round(value * 100) / 100);
+        });
+}
+
+// ============= INSIGHT RULES =============
+const INSIGHT_SEVERITIES = ['Critical', 'Warning', 'Opportunity', 'Info'];
+
+// The original three hard-coded insights, now expressed as rules
+const DEFAULT_INSIGHT_RULES = [
+    {
+        key: 'cod_high_cancellation',
+        name: 'High COD cancellation',
+        metric: 'cod_cancellation_rate',
+        operator: '>',
+        threshold: 50,
+        title: 'High COD Cancellation Detected',
+        description: 'COD payments show {{value:1}}% cancellation rate, significantly impacting revenue.',
+        category: 'Payment Risk',
+        severity: 'Critical',
+        impact: 'Revenue Loss',
+        recommendation: 'Implement advance payment confirmation or reduce COD availability in high-risk areas.',
+        estimated_savings: 'Potential 5-10% revenue recovery'
+    },
+    {
+        key: 'high_risk_pincodes',
+        name: 'High-risk pincodes',
+        metric: 'high_risk_pincode_count',
+        operator: '>',
+        threshold: 0,
+        title: 'High Delivery Risk Pincodes',
+        description: '{{value}} pincodes combine frequent cancellations or RTO with a high COD share.',
+        category: 'Delivery Risk',
+        severity: 'Warning',
+        impact: 'RTO Shipping Cost',
+        recommendation: 'Require prepayment or confirm COD orders by call for these pincodes; score new orders with POST /risk/score.',
+        estimated_savings: 'Potential 20-40% fewer RTOs in these pincodes'
+    },
+    {
+        key: 'cod_to_prepaid',
+        name: 'COD to prepaid opportunity',
+        metric: 'cod_prepaid_gain',
+        operator: '>',
+        threshold: 0,
+        title: 'Move COD Buyers to Prepaid',
+        description: 'Moving {{payments.cod_to_prepaid.shift_rate}}% of COD orders to prepaid could save about {{value|currency}} in failed COD orders after payment fees, most of it in {{cod_prepaid_cities}}.',
+        category: 'Payment Risk',
+        severity: 'Opportunity',
+        impact: 'Revenue Recovery',
+        recommendation: 'Offer a prepaid discount or free shipping on prepaid orders in these cities, and show UPI first at checkout.',
+        estimated_savings: '{{value|currency}} over a period like this one'
+    },
+    {
+        key: 'stockout_risk',
+        name: 'Stock-out risk',
+        metric: 'stockout_risk_count',
+        operator: '>',
+        threshold: 0,
+        title: 'Stock-Out Risk Before Restock',
+        description: 'Top seller {{stockout_product}} will stock out in {{stockout_days:0}} days, but a reorder takes {{stockout_lead_time:0}} days to arrive. {{value}} SKUs run out before they can be restocked.',
+        category: 'Inventory',
+        severity: 'Critical',
+        impact: 'Lost Sales',
+        recommendation: 'Reorder these SKUs now and expedite the fastest sellers; see the suggested quantities in the inventory table.',
+        estimated_savings: 'Sales that would be lost while out of stock'
+    },
+    {
+        key: 'out_of_stock',
+        name: 'Selling SKUs out of stock',
+        metric: 'out_of_stock_count',
+        operator: '>',
+        threshold: 0,
+        title: 'Selling Products Are Out of Stock',
+        description: `{{value}} SKUs that sold in the last ${INVENTORY_VELOCITY_WINDOW_DAYS} days have no stock left: {{out_of_stock_products}}.`,
+        category: 'Inventory',
+        severity: 'Critical',
+        impact: 'Lost Sales',
+        recommendation: 'Restock now, and hide or mark these products as back-ordered until stock arrives.',
+        estimated_savings: 'Every day of sales while out of stock'
+    },
+    {
+        key: 'reorder_due',
+        name: 'Reorder point reached',
+        metric: 'reorder_due_count',
+        operator: '>',
+        threshold: 0,
+        title: 'SKUs at Their Reorder Point',
+        description: '{{value}} SKUs are at or below their reorder point and should be reordered to arrive before they run out.',
+        category: 'Inventory',
+        severity: 'Warning',
+        impact: 'Stock-Out Risk',
+        recommendation: 'Place reorders this week using the suggested quantities in the inventory table.',
+        estimated_savings: 'Avoided stock-outs'
+    },
+    {
+        key: 'overstock',
+        name: 'Overstocked SKUs',
+        metric: 'overstock_count',
+        operator: '>',
+        threshold: 0,
+        title: 'Slow-Moving Stock',
+        description: `{{value}} SKUs hold more than ${INVENTORY_OVERSTOCK_DAYS} days of stock at the current sales rate.`,
+        category: 'Inventory',
+        severity: 'Opportunity',
+        impact: 'Working Capital',
+        recommendation: 'Pause reorders for these SKUs and clear excess stock with bundles or discounts.',
+        estimated_savings: 'Cash tied up in excess stock'
+    },
+    {
+        key: 'low_repeat_rate',
+        name: 'Low repeat purchase rate',
+        metric: 'repeat_rate',
+        operator: '<',
+        threshold: 30,
+        title: 'Customer Retention Opportunity',
+        description: 'Only {{value:1}}% of customers make repeat purchases. Industry average is 35-40%.',
+        category: 'Customer Growth',
+        severity: 'Opportunity',
+        impact: 'Untapped Revenue Potential',
+        recommendation: 'Implement loyalty program, personalized email campaigns, and post-purchase engagement.',
+        estimated_savings: 'Potential 15-25% revenue growth'
+    },
+    {
+        key: 'high_value_customers',
+        name: 'High value customers',
+        metric: 'high_value_customer_count',
+        operator: '>',
+        threshold: 0,
+        title: 'High Value Customers Identified',
+        description: '{{value}} customers spending over {{high_value_threshold|currency}} each.',
+        category: 'Customer Intelligence',
+        severity: 'Opportunity',
+        impact: 'Revenue Growth',
+        recommendation: 'Create VIP program with exclusive offers, early access, and personalized service.',
+        estimated_savings: 'Potential 20-30% higher lifetime value'
+    }
+];
+
+// Metric paths are checked against the shape of an (empty) analysis, built once on first use
+let emptyMetricContext = null;
+
+// Returns a list of problems; an empty list means the rule can be stored
+function validateInsightRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') return ['Rule must be an object'];
+
+    if (!/^[a-z0-9_]{2,64}$/.test(rule.key || '')) {
+        errors.push('key must be 2-64 lowercase letters, digits or underscores');
+    }
+    if (!rule.title) errors.push('title is required');
+    if (!rule.description) errors.push('description is required');
+    if (!Object.hasOwn(COMPARISON_OPERATORS, rule.operator)) {
+        errors.push(`operator must be one of: ${Object.keys(COMPARISON_OPERATORS).join(' ')}`);
+    }
+    if (typeof rule.threshold !== 'number' || !isFinite(rule.threshold)) errors.push('threshold must be a number');
+    if (rule.severity && !INSIGHT_SEVERITIES.includes(rule.severity)) {
+        errors.push(`severity must be one of: ${INSIGHT_SEVERITIES.join(', ')}`);
+    }
+
+    try {
+        // Only the root is checked, since keys below it (cities, payment methods) depend on the data
+        emptyMetricContext = emptyMetricContext || buildMetricContext(new SafeFlowlyticsAnalytics([]).analysis);
+        const unknown = collectExpressionPaths(parseExpression(rule.metric || ''))
+            .filter(path => !Object.hasOwn(emptyMetricContext, path.split('.')[0]));
+        if (unknown.length > 0) errors.push(`Unknown metric: ${unknown.join(', ')}`);
+    } catch (error) {
+        errors.push(`metric: ${error.message}`);
+    }
+
+    return errors;
+}
+
+// Evaluates one rule; returns the insight when it fires, null otherwise
+function evaluateInsightRule(rule, context) {
+    const value = evaluateMetricExpression(rule.metric, context);
+    if (value === null || !COMPARISON_OPERATORS[rule.operator](value, Number(rule.threshold))) {
+        return { value, insight: null };
+    }
+
+    const templateContext = { ...context, value, threshold: Number(rule.threshold) };
+    return {
+        value,
+        insight: {
+            id: rule.key,
+            title: renderRuleTemplate(rule.title, templateContext),
+            description: renderRuleTemplate(rule.description, templateContext),
+            category: rule.category || 'Custom',
+            severity: rule.severity || 'Info',
+            impact: rule.impact ? renderRuleTemplate(rule.impact, templateContext) : '',
+            recommendation: rule.recommendation ? renderRuleTemplate(rule.recommendation, templateContext) : '',
+            estimated_savings: rule.estimated_savings ? renderRuleTemplate(rule.estimated_savings, templateContext) : '',
+            metric_value: value,
+            threshold: Number(rule.threshold)
+        }
+    };
+}
+
+// Workspaces start with the default rules, stored so they can be disabled or edited like any other.
+// Missing built-in rules are added by key (rules can be disabled but not deleted), so workspaces
+// seeded before a rule shipped get it too; a lock per workspace and a fixed id per rule keep
+// concurrent first requests from storing one twice.
+function getWorkspaceRules(workspaceId) {
+    return withKeyLock(`insight_rules/${workspaceId}`, async () => {
+        const rules = await storage.list('insight_rules', { workspace_id: workspaceId });
+        const keys = new Set(rules.map(rule => rule.key));
+
+        for (const rule of DEFAULT_INSIGHT_RULES) {
+            if (keys.has(rule.key)) continue;
+            rules.push(await seedInsightRule(workspaceId, rule));
+        }
+        return rules;
+    });
+}
+
+async function seedInsightRule(workspaceId, rule) {
+    const id = `${workspaceId}-${rule.key}`;
+    try {
+        return await storage.insert('insight_rules', { ...rule, id, workspace_id: workspaceId, enabled: true, builtin: true });
+    } catch (error) {
+        const existing = await storage.get('insight_rules', id);
+        if (!existing) throw error;
+        return existing;
+    }
+}
+
+// Everything a workspace configures that changes how SafeFlowlyticsAnalytics runs
+async function loadWorkspaceAnalysisOptions(workspace) {
+    const rules = await getWorkspaceRules(workspace.id);
+    // One stock snapshot per workspace, stored under the workspace id
+    const inventory = await storage.get('inventory', workspace.id);
+    return {
+        rules: rules.filter(rule => rule.enabled !== false),
+        scoring: workspace.settings?.scoring || DEFAULT_SCORING_CONFIG,
+        locale: resolveLocaleSettings(workspace.settings),
+        payments: resolvePaymentSettings(workspace.settings),
+        inventory: inventory ? { items: inventory.items, uploaded_at: inventory.uploaded_at } : null
+    };
+}
+
+// ============= BUSINESS HEALTH SCORE =============
+// The score starts at 100. Each component takes off the points of the worst tier its
+// metric falls into (tiers don't stack), multiplied by the component's weight.
+// The defaults reproduce the original fixed deductions.
+const DEFAULT_SCORING_CONFIG = {
+    components: [
+        {
+            key: 'cod_cancellation',
+            label: 'COD cancellations',
+            metric: 'cod_cancellation_rate',
+            unit: '%',
+            weight: 1,
+            tiers: [
+                { operator: '>', threshold: 50, points: 30 },
+                { operator: '>', threshold: 30, points: 10 }
+            ]
+        },
+        {
+            key: 'repeat_rate',
+            label: 'Repeat purchase rate',
+            metric: 'repeat_rate',
+            unit: '%',
+            weight: 1,
+            tiers: [
+                { operator: '<', threshold: 20, points: 15 },
+                { operator: '<', threshold: 30, points: 5 }
+            ]
+        },
+        {
+            key: 'profit_margin',
+            label: 'Profit margin',
+            metric: 'profit_margin',
+            unit: '%',
+            weight: 1,
+            tiers: [
+                { operator: '<', threshold: 15, points: 15 },
+                { operator: '<', threshold: 20, points: 5 }
+            ]
+        }
+    ],
+    bands: [
+        { min: 80, status: 'Excellent', recommendation: 'Maintain current strategies and focus on scaling profitable segments' },
+        { min: 60, status: 'Good', recommendation: 'Address key risks while optimizing high-performing areas' },
+        { min: 40, status: 'Needs Attention', recommendation: 'Prioritize critical risk mitigation and operational improvements' },
+        { min: 0, status: 'Critical', recommendation: 'Immediate action required on multiple business fronts' }
+    ]
+};
+
+function scoreBusinessHealth(metrics, scoring) {
+    const context = buildMetricContext(metrics);
+    let score = 100;
+
+    const breakdown = scoring.components.map(component => {
+        let value = null;
+        try {
+            value = evaluateMetricExpression(component.metric, context);
+        } catch (error) {
+            console.warn(`Error evaluating score component ${component.key}:`, error.message);
+        }
+
+        const weight = component.weight ?? 1;
+        const tier = value === null ? null : component.tiers
+            .filter(t => COMPARISON_OPERATORS[t.operator](value, t.threshold))
+            .sort((a, b) => b.points - a.points)[0];
+        const deduction = tier ? tier.points * weight : 0;
+
+        score -= deduction;
+
+        return {
+            key: component.key,
+            label: component.label,
+            value,
+            unit: component.unit || '',
+            weight,
+            tier: tier ? { operator: tier.operator, threshold: tier.threshold, points: tier.points } : null,
+            deduction: Math.round(deduction * 10) / 10,
+            explanation: tier ?
+                `−${Math.round(deduction * 10) / 10} from ${component.label} (${value.toFixed(1)}${component.unit || ''} ${tier.operator} ${tier.threshold}${component.unit || ''})` :
+                `No deduction for ${component.label}`
+        };
+    });
+
+    return {
+        score: Math.max(0, Math.min(100, Math.round(score))),
+        breakdown
+    };
+}
+
+function validateScoringConfig(scoring) {
+    const errors = [];
+    if (!scoring || typeof scoring !== 'object') return ['Scoring config must be an object'];
+
+    if (!Array.isArray(scoring.components) || scoring.components.length === 0) {
+        errors.push('components must be a non-empty array');
+    }
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    (Array.isArray(scoring.components) ? scoring.components : []).forEach((component, index) => {
+        const label = `components[${index}]`;
+        if (!isObject(component)) {
+            errors.push(`${label} must be an object`);
+            return;
+        }
+        if (!component.key || typeof component.key !== 'string') errors.push(`${label}.key is required`);
+        if (!component.label || typeof component.label !== 'string') errors.push(`${label}.label is required`);
+        if (component.unit !== undefined && typeof component.unit !== 'string') errors.push(`${label}.unit must be a string`);
+        if (component.weight !== undefined && (typeof component.weight !== 'number' || component.weight < 0)) {
+            errors.push(`${label}.weight must be a non-negative number`);
+        }
+        try {
+            parseExpression(typeof component.metric === 'string' ? component.metric : '');
+        } catch (error) {
+            errors.push(`${label}.metric: ${error.message}`);
+        }
+        if (!Array.isArray(component.tiers) || component.tiers.length === 0) {
+            errors.push(`${label}.tiers must be a non-empty array`);
+        }
+        (Array.isArray(component.tiers) ? component.tiers : []).forEach((tier, tierIndex) => {
+            if (!isObject(tier) || !Object.hasOwn(COMPARISON_OPERATORS, tier.operator) || typeof tier.threshold !== 'number' || typeof tier.points !== 'number') {
+                errors.push(`${label}.tiers[${tierIndex}] needs an operator, a numeric threshold and numeric points`);
+            }
+        });
+    });
+
+    if (!Array.isArray(scoring.bands) || scoring.bands.length === 0) {
+        errors.push('bands must be a non-empty array');
+    }
+    (Array.isArray(scoring.bands) ? scoring.bands : []).forEach((band, index) => {
+        if (!isObject(band) || typeof band.min !== 'number' || !band.status || typeof band.status !== 'string') {
+            errors.push(`bands[${index}] needs a numeric min and a status`);
+        } else if (band.recommendation !== undefined && typeof band.recommendation !== 'string') {
+            errors.push(`bands[${index}].recommendation must be a string`);
+        }
+    });
+
+    return errors;
+}
+
+// ============= FLOWLYTICS ANALYTICS ENGINE =============
+const LOW_MARGIN_THRESHOLD = 15;
+// Cumulative revenue share (%) at which ABC classes end: A up to 80%, B up to 95%, C the rest
+const ABC_CLASS_THRESHOLDS = { A: 80, B: 95 };
+
+class SafeFlowlyticsAnalytics {
+    // Pass orders for a one-shot analysis, or null and feed add() / finalize() for streamed input
+    constructor(orders, options = {}) {
+        this.options = options;
+        this.granularity = GRANULARITIES.includes(options.granularity) ? options.granularity : 'daily';
+        this.locale = options.locale || DEFAULT_LOCALE;
+        this.payments = options.payments || DEFAULT_PAYMENT_SETTINGS;
+        this.validator = options.dataQuality ? null : (options.validator || createOrderValidator({ maxErrors: 0 }));
+        // { items, uploaded_at } from the workspace's stock upload
+        this.inventory = options.inventory?.items?.length ? createInventoryTracker(options.inventory.items) : null;
+        this.metrics = this.createEmptyMetrics();
+        this.analysis = orders ? this.performSafeAnalysis(orders) : null;
+    }
+    
+    performSafeAnalysis(orders) {
+        for (const order of orders) {
+            this.add(order);
+        }
+        return this.finalize();
+    }
+    
+    // Folds one order into the running aggregates; the order itself is not kept
+    add(order) {
+        if (this.analysis) throw new Error('Analysis already finalized');
+        this.validator?.check(order);
+        this.processOrderSafely(order, this.metrics);
+    }
+    
+    finalize() {
+        if (this.analysis) return this.analysis;
+        const metrics = this.metrics;
+        metrics.data_quality = this.options.dataQuality || this.validator.result().data_quality;
+        
+        // Calculate derived metrics
+        this.calculateDerivedMetricsSafely(metrics);
+        
+        // Generate AI insights
+        this.generateAIInsightsSafely(metrics);
+        
+        // Calculate business score
+        this.calculateBusinessScoreSafely(metrics);
+        
+        this.analysis = metrics;
+        return metrics;
+    }
+    
+    createEmptyMetrics() {
+        // Initialize with safe defaults
+        return {
+            locale: this.locale,
+            currency: {
+                reporting_currency: this.locale.currency,
+                // Orders per currency that were converted, and left out for lack of a rate
+                converted_orders: Object.create(null),
+                unconverted_orders: Object.create(null)
+            },
+            
+            financial: {
+                total_revenue: 0,
+                delivered_revenue: 0,
+                cancelled_revenue: 0,
+                total_profit: 0,
+                delivered_profit: 0,
+                profit_margin: 0,
+                average_order_value: 0
+            },
+            
+            orders: {
+                total: 0,
+                delivered: 0,
+                cancelled: 0,
+                conversion_rate: 0,
+                cancellation_rate: 0,
+                avg_value: 0
+            },
+            
+            customers: {
+                unique: new Set(),
+                repeat_buyers: 0,
+                high_value_customers: [],
+                // Maps keyed by ids and names from the orders have no prototype, so a city called
+                // "constructor" or "__proto__" is an ordinary key
+                customer_stats: Object.create(null),
+                customer_revenue: Object.create(null),
+                city_customers: Object.create(null),
+                anonymous_orders: 0
+            },
+            
+            products: {
+                by_revenue: Object.create(null),
+                by_revenue_sorted: [],
+                by_product: Object.create(null),
+                by_product_sorted: [],
+                by_category: Object.create(null),
+                by_category_sorted: [],
+                low_margin_products: [],
+                abc: {}
+            },
+            
+            locations: {
+                city_revenue: Object.create(null),
+                city_orders: Object.create(null),
+                city_cod_rate: Object.create(null),
+                city_return_rate: Object.create(null),
+                high_risk_cities: [],
+                top_performing_cities: []
+            },
+
+            // Pincode -> city -> state -> region rollups of delivery outcomes, see resolveOrderLocation()
+            geography: {
+                by_pincode: Object.create(null),
+                by_city: Object.create(null),
+                by_state: Object.create(null),
+                by_region: Object.create(null),
+                overall: createLocationBucket(),
+                pincode_orders: 0,
+                unresolved_pincodes: 0,
+                high_risk_pincodes: []
+            },
+            
+            // Keyed by the canonical method from classifyPaymentMethod(); see createPaymentBucket()
+            payments: {
+                methods: Object.create(null),
+                methods_sorted: [],
+                cod_performance: createPaymentBucket('cod'),
+                prepaid_performance: createPaymentBucket('prepaid'),
+                total_fees: 0,
+                net_revenue: 0,
+                cod_to_prepaid: null
+            },
+            
+            returns: {
+                total_returns: 0,
+                returned: 0,
+                rto: 0,
+                refunded: 0,
+                partial_refunds: 0,
+                return_rate: 0,
+                rto_rate: 0,
+                revenue_lost_returns: 0,
+                cancelled_orders: 0,
+                cancellation_rate: 0,
+                revenue_lost_cancellations: 0,
+                by_city: Object.create(null),
+                by_product: Object.create(null),
+                by_payment_method: Object.create(null)
+            },
+
+            timeseries: {
+                granularity: this.granularity,
+                buckets: {
+                    daily: {},
+                    weekly: {},
+                    monthly: {}
+                },
+                // city -> day -> revenue, for anomaly detection
+                city_daily_revenue: Object.create(null),
+                series: {
+                    daily: [],
+                    weekly: [],
+                    monthly: []
+                },
+                growth: {},
+                dated_orders: 0,
+                undated_orders: 0,
+                first_order_date: null,
+                last_order_date: null
+            },
+
+            data_quality: null,
+
+            // Set only when stock levels were uploaded
+            inventory: null,
+
+            insights: [],
+            
+            summary: {
+                overall_score: 0,
+                score_breakdown: [],
+                health_status: '',
+                top_opportunity: '',
+                critical_risk: '',
+                recommended_action: ''
+            }
+        };
+    }
+    
+    processOrderSafely(order, metrics) {
+        // Amounts in a currency without a rate can't be added to the rest, so the order is left out
+        const exchangeRate = getExchangeRate(order?.currency, this.locale);
+        if (exchangeRate === null) {
+            const code = getCurrencyKey(order.currency);
+            metrics.currency.unconverted_orders[code] = (metrics.currency.unconverted_orders[code] || 0) + 1;
+            return;
+        }
+        if (exchangeRate !== 1) {
+            const code = getCurrencyKey(order.currency);
+            metrics.currency.converted_orders[code] = (metrics.currency.converted_orders[code] || 0) + 1;
+        }
+        
+        metrics.orders.total++;
+        
+        try {
+            const revenue = (Number(order?.revenue) || 0) * exchangeRate;
+            const profit = hasValue(order?.profit) && isFinite(Number(order.profit)) ?
+                Number(order.profit) * exchangeRate : (revenue * 0.2); // Default 20% margin
+            const statusClass = classifyOrderStatus(order?.status);
+            const quantity = Number(order?.quantity) || 1;
+            const isDelivered = statusClass === 'delivered';
+            const isCancelled = statusClass === 'cancelled';
+            const isReturned = RETURN_STATUSES.includes(statusClass);
+            const payment = classifyPaymentMethod(order?.payment_method, this.payments);
+            const paymentMethod = payment.name;
+            // Every section counts a city under the directory's name, as geography does
+            const location = resolveOrderLocation(order);
+            const city = location.city;
+            const productName = order?.product_name || 'Unknown Product';
+            const category = hasValue(order?.product_category) ? String(order.product_category).trim() : null;
+            const profitEstimated = !(hasValue(order?.profit) && isFinite(Number(order.profit)));
+            // Orders without a customer stay out of customer metrics instead of inventing an id
+            const customerId = hasValue(order?.customer_id) ? String(order.customer_id) : null;
+            const orderDate = toWorkspaceDate(order?.order_date, this.locale.timezone);
+            
+            // Financial Metrics
+            metrics.financial.total_revenue += revenue;
+            metrics.financial.total_profit += profit;
+            
+            if (isDelivered) {
+                metrics.financial.delivered_revenue += revenue;
+                metrics.financial.delivered_profit += profit;
+                metrics.orders.delivered++;
+            } else if (isCancelled) {
+                metrics.financial.cancelled_revenue += revenue;
+                metrics.orders.cancelled++;
+            }
+            
+            // Returns, RTO & Refunds
+            const refundAmount = getRefundAmount(order) * exchangeRate;
+            const revenueLost = isReturned ? (refundAmount || revenue) : refundAmount;
+            
+            if (isCancelled) {
+                metrics.returns.cancelled_orders++;
+                metrics.returns.revenue_lost_cancellations += revenue;
+            }
+            
+            if (isReturned) {
+                metrics.returns.total_returns++;
+                metrics.returns[statusClass]++;
+            } else if (isDelivered && refundAmount > 0) {
+                metrics.returns.partial_refunds++;
+            }
+            metrics.returns.revenue_lost_returns += revenueLost;
+            
+            const returnDimensions = [
+                ['by_city', city],
+                ['by_product', productName],
+                ['by_payment_method', paymentMethod]
+            ];
+            for (const [dimension, key] of returnDimensions) {
+                if (!metrics.returns[dimension][key]) {
+                    metrics.returns[dimension][key] = createReturnsBucket();
+                }
+                const bucket = metrics.returns[dimension][key];
+                bucket.orders++;
+                bucket.revenue_lost += revenueLost;
+                if (isReturned) {
+                    bucket.returns++;
+                    bucket[statusClass]++;
+                }
+            }
+            
+            // Customer Intelligence
+            if (customerId) {
+                metrics.customers.unique.add(customerId);
+                
+                if (!metrics.customers.customer_stats[customerId]) {
+                    metrics.customers.customer_stats[customerId] = createCustomerStats();
+                    metrics.customers.customer_revenue[customerId] = 0;
+                }
+                
+                recordCustomerOrder(metrics.customers.customer_stats[customerId], order, revenue, orderDate);
+                metrics.customers.customer_revenue[customerId] += revenue;
+                
+                // City customers
+                if (!metrics.customers.city_customers[city]) {
+                    metrics.customers.city_customers[city] = new Set();
+                }
+                metrics.customers.city_customers[city].add(customerId);
+            } else {
+                metrics.customers.anonymous_orders++;
+            }
+            
+            // Product Performance
+            if (isDelivered && productName) {
+                if (!metrics.products.by_revenue[productName]) {
+                    metrics.products.by_revenue[productName] = {
+                        revenue: 0,
+                        profit: 0,
+                        quantity: 0,
+                        orders: 0
+                    };
+                }
+                
+                metrics.products.by_revenue[productName].revenue += revenue;
+                metrics.products.by_revenue[productName].profit += profit;
+                metrics.products.by_revenue[productName].quantity += quantity;
+                metrics.products.by_revenue[productName].orders++;
+            }
+            
+            // Product rollup over every order, for cancellation and return rates; categories are summed from it
+            if (!metrics.products.by_product[productName]) {
+                metrics.products.by_product[productName] = { name: productName, category: null, ...createProductBucket() };
+            }
+            const productBucket = metrics.products.by_product[productName];
+            // A product keeps the first category it was seen with, so rows missing one still land in it
+            if (!productBucket.category) productBucket.category = category;
+            productBucket.orders++;
+            productBucket.gross_revenue += revenue;
+            if (isReturned) productBucket.returns++;
+            if (isCancelled) productBucket.cancelled++;
+            if (isDelivered) {
+                productBucket.delivered++;
+                productBucket.quantity += quantity;
+                productBucket.revenue += revenue;
+                productBucket.profit += profit;
+                if (profitEstimated) productBucket.estimated_profit_orders++;
+            }
+            
+            // Location Analysis
+            if (city) {
+                if (!metrics.locations.city_revenue[city]) {
+                    metrics.locations.city_revenue[city] = 0;
+                    metrics.locations.city_orders[city] = 0;
+                    metrics.locations.city_cod_rate[city] = { total: 0, cod: 0 };
+                }
+                
+                metrics.locations.city_revenue[city] += revenue;
+                metrics.locations.city_orders[city]++;
+                
+                // COD rate tracking
+                metrics.locations.city_cod_rate[city].total++;
+                if (payment.type === 'cod') {
+                    metrics.locations.city_cod_rate[city].cod++;
+                }
+            }
+            
+            // Geography & delivery risk
+            const geography = metrics.geography;
+            if (location.pincode) geography.pincode_orders++;
+            else if (hasValue(order?.pincode)) geography.unresolved_pincodes++;
+            const getLocationBucket = (level, key, parents) => {
+                if (!geography[level][key]) geography[level][key] = createLocationBucket(parents);
+                return geography[level][key];
+            };
+            const locationBuckets = [
+                geography.overall,
+                getLocationBucket('by_region', location.region, {}),
+                getLocationBucket('by_state', location.state, { region: location.region }),
+                getLocationBucket('by_city', location.city, { state: location.state, region: location.region })
+            ];
+            if (location.pincode) {
+                locationBuckets.push(getLocationBucket('by_pincode', location.pincode,
+                    { city: location.city, state: location.state, region: location.region }));
+            }
+            locationBuckets.forEach(bucket => recordLocationOutcome(bucket, statusClass, payment.type, revenue));
+            
+            // Payment Method Intelligence
+            const payments = metrics.payments;
+            if (!payments.methods[paymentMethod]) payments.methods[paymentMethod] = createPaymentBucket(payment.type);
+            const methodBucket = payments.methods[paymentMethod];
+            const fee = calculatePaymentFee(payment, statusClass, revenue, this.payments);
+            if (hasValue(order?.payment_method)) {
+                const label = String(order.payment_method).trim();
+                methodBucket.labels[label] = (methodBucket.labels[label] || 0) + 1;
+            }
+            recordPaymentOutcome(methodBucket, statusClass, revenue, profit, fee);
+            
+            // COD vs Prepaid; unrecognised and missing methods are in neither
+            if (payment.type === 'cod' || payment.type === 'prepaid') {
+                recordPaymentOutcome(payments[`${payment.type}_performance`], statusClass, revenue, profit, fee);
+            }
+            payments.total_fees += fee;
+
+            // Time Series
+            if (orderDate) {
+                const timeseries = metrics.timeseries;
+                timeseries.dated_orders++;
+
+                if (!timeseries.first_order_date || orderDate < timeseries.first_order_date) {
+                    timeseries.first_order_date = orderDate;
+                }
+                if (!timeseries.last_order_date || orderDate > timeseries.last_order_date) {
+                    timeseries.last_order_date = orderDate;
+                }
+
+                for (const granularity of GRANULARITIES) {
+                    const buckets = timeseries.buckets[granularity];
+                    const key = getPeriodKey(orderDate, granularity);
+
+                    if (!buckets[key]) {
+                        buckets[key] = createPeriodBucket(key);
+                    }
+
+                    buckets[key].revenue += revenue;
+                    buckets[key].profit += profit;
+                    buckets[key].orders++;
+                    if (payment.type === 'cod') buckets[key].cod_orders++;
+
+                    if (isDelivered) {
+                        buckets[key].delivered_revenue += revenue;
+                        buckets[key].delivered++;
+                    } else if (isCancelled) {
+                        buckets[key].cancelled_revenue += revenue;
+                        buckets[key].cancelled++;
+                    }
+                }
+
+                if (city) {
+                    const cityDays = timeseries.city_daily_revenue[city] || (timeseries.city_daily_revenue[city] = Object.create(null));
+                    const day = toDayKey(orderDate);
+                    cityDays[day] = (cityDays[day] || 0) + revenue;
+                }
+
+                if (this.inventory) recordInventorySale(this.inventory, order, statusClass, orderDate, quantity);
+            } else {
+                metrics.timeseries.undated_orders++;
+            }
+
+        } catch (error) {
+            console.warn("Error processing order:", error.message);
+        }
+    }
+    
+    calculateDerivedMetricsSafely(metrics) {
+        const totalOrders = metrics.orders.total || 0;
+        const deliveredOrders = metrics.orders.delivered || 0;
+        const cancelledOrders = metrics.orders.cancelled || 0;
+        
+        // Financial Metrics
+        metrics.financial.profit_margin = metrics.financial.delivered_revenue > 0 ?
+            (metrics.financial.delivered_profit / metrics.financial.delivered_revenue * 100) : 0;
+        
+        metrics.financial.average_order_value = deliveredOrders > 0 ?
+            metrics.financial.delivered_revenue / deliveredOrders : 0;
+        
+        // Order Metrics
+        metrics.orders.conversion_rate = totalOrders > 0 ?
+            (deliveredOrders / totalOrders * 100) : 0;
+        
+        metrics.orders.cancellation_rate = totalOrders > 0 ?
+            (cancelledOrders / totalOrders * 100) : 0;
+        
+        metrics.orders.avg_value = deliveredOrders > 0 ?
+            metrics.financial.delivered_revenue / deliveredOrders : 0;
+        
+        // Customer Metrics
+        const uniqueCustomers = metrics.customers.unique.size || 0;
+        const repeatCustomers = Object.values(metrics.customers.customer_stats || {})
+            .filter(stats => stats.orders > 1).length;
+        
+        metrics.customers.repeat_buyers = repeatCustomers;
+        
+        // High value customers (lifetime spend over the locale's high_value_threshold, not a single large order)
+        metrics.customers.high_value_customers = Object.entries(metrics.customers.customer_revenue || {})
+            .filter(([, revenue]) => revenue >= this.locale.high_value_threshold)
+            .map(([customerId]) => customerId);
+        
+        // Product Metrics
+        metrics.products.by_revenue_sorted = Object.entries(metrics.products.by_revenue || {})
+            .map(([name, data]) => ({
+                name,
+                ...data,
+                margin: data.revenue > 0 ? (data.profit / data.revenue * 100) : 0
+            }))
+            .sort((a, b) => b.revenue - a.revenue);
+        
+        this.calculateProductMetricsSafely(metrics);
+        
+        // Returns Metrics
+        metrics.returns.return_rate = totalOrders > 0 ?
+            (metrics.returns.total_returns / totalOrders * 100) : 0;
+        
+        metrics.returns.rto_rate = totalOrders > 0 ?
+            (metrics.returns.rto / totalOrders * 100) : 0;
+        
+        metrics.returns.cancellation_rate = metrics.orders.cancellation_rate;
+        
+        for (const dimension of ['by_city', 'by_product', 'by_payment_method']) {
+            Object.values(metrics.returns[dimension]).forEach(bucket => {
+                bucket.return_rate = bucket.orders > 0 ? (bucket.returns / bucket.orders * 100) : 0;
+            });
+        }
+        
+        // Location Metrics
+        Object.entries(metrics.locations.city_cod_rate || {}).forEach(([city, data]) => {
+            data.rate = data.total > 0 ? (data.cod / data.total * 100) : 0;
+        });
+        
+        Object.entries(metrics.returns.by_city).forEach(([city, bucket]) => {
+            metrics.locations.city_return_rate[city] = {
+                total: bucket.orders,
+                returns: bucket.returns,
+                rate: bucket.return_rate
+            };
+        });
+        
+        finalizeGeography(metrics.geography);
+        
+        // Payment Metrics
+        const payments = metrics.payments;
+        Object.values(payments.methods).forEach(finalizePaymentBucket);
+        finalizePaymentBucket(payments.cod_performance);
+        finalizePaymentBucket(payments.prepaid_performance);
+        payments.methods_sorted = Object.entries(payments.methods)
+            .map(([method, bucket]) => ({ method, ...bucket }))
+            .sort((a, b) => b.revenue - a.revenue);
+        payments.net_revenue = metrics.financial.delivered_revenue - payments.total_fees;
+        payments.cod_to_prepaid = estimateCODToPrepaidGain(metrics.geography, payments);
+        metrics.locations.high_risk_cities = rankLocations(metrics.geography.by_city, 'city')
+            .filter(row => row.city !== 'Unknown' && row.risk_level === 'High' && row.orders >= GEO_RISK_MIN_ORDERS)
+            .map(row => row.city);
+        
+        metrics.locations.top_performing_cities = Object.entries(metrics.locations.city_revenue || {})
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 3)
+            .map(([city, revenue]) => ({ city, revenue }));
+
+        // Time Series Metrics
+        const timeseries = metrics.timeseries;
+        for (const granularity of GRANULARITIES) {
+            timeseries.series[granularity] = buildPeriodSeries(timeseries.buckets[granularity], granularity);
+        }
+
+        const selectedSeries = timeseries.series[timeseries.granularity];
+        const latest = selectedSeries[selectedSeries.length - 1];
+        const previous = selectedSeries[selectedSeries.length - 2];
+
+        timeseries.growth = {
+            current_period: latest?.period || null,
+            previous_period: previous?.period || null,
+            revenue_growth: latest && previous ? latest.revenue_growth : null,
+            profit_growth: latest && previous ? latest.profit_growth : null,
+            orders_growth: latest && previous ? latest.orders_growth : null,
+            aov_growth: latest && previous ? latest.aov_growth : null
+        };
+
+        if (this.inventory) {
+            metrics.inventory = finalizeInventory(this.inventory, timeseries, this.options.inventory.uploaded_at);
+        }
+    }
+    
+    calculateProductMetricsSafely(metrics) {
+        const products = metrics.products;
+        const deliveredRevenue = metrics.financial.delivered_revenue;
+        
+        const finishBucket = (bucket) => {
+            bucket.margin = bucket.revenue > 0 ? (bucket.profit / bucket.revenue * 100) : 0;
+            bucket.cancellation_rate = bucket.orders > 0 ? (bucket.cancelled / bucket.orders * 100) : 0;
+            bucket.return_rate = bucket.orders > 0 ? (bucket.returns / bucket.orders * 100) : 0;
+            bucket.revenue_share = deliveredRevenue > 0 ? (bucket.revenue / deliveredRevenue * 100) : 0;
+        };
+        
+        const summedFields = ['orders', 'delivered', 'cancelled', 'returns', 'quantity', 'gross_revenue', 'revenue', 'profit', 'estimated_profit_orders'];
+        products.by_category = Object.create(null);
+        
+        Object.values(products.by_product).forEach(product => {
+            product.category = product.category || 'Uncategorized';
+            finishBucket(product);
+            
+            if (!products.by_category[product.category]) {
+                products.by_category[product.category] = { category: product.category, products: 0, ...createProductBucket() };
+            }
+            const category = products.by_category[product.category];
+            category.products++;
+            summedFields.forEach(field => { category[field] += product[field]; });
+        });
+        Object.values(products.by_category).forEach(finishBucket);
+        
+        products.by_product_sorted = Object.values(products.by_product)
+            .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders);
+        products.by_category_sorted = Object.values(products.by_category)
+            .sort((a, b) => b.revenue - a.revenue || b.orders - a.orders);
+        
+        // One entry per product with sales, judged on its delivered margin rather than single order lines
+        products.low_margin_products = products.by_product_sorted
+            .filter(product => product.revenue > 0 && product.margin < LOW_MARGIN_THRESHOLD)
+            .map(({ name, category, revenue, profit, margin, delivered }) => ({ name, category, revenue, profit, margin, orders: delivered }));
+        
+        // ABC / Pareto: a product's class depends on the revenue share ranked above it,
+        // so the product that crosses 80% is still an A
+        const classes = {
+            A: { products: 0, revenue: 0, revenue_share: 0 },
+            B: { products: 0, revenue: 0, revenue_share: 0 },
+            C: { products: 0, revenue: 0, revenue_share: 0 }
+        };
+        let cumulativeShare = 0;
+        
+        for (const product of products.by_product_sorted) {
+            if (product.revenue <= 0) product.abc_class = 'C';
+            else if (cumulativeShare < ABC_CLASS_THRESHOLDS.A) product.abc_class = 'A';
+            else if (cumulativeShare < ABC_CLASS_THRESHOLDS.B) product.abc_class = 'B';
+            else product.abc_class = 'C';
+            
+            cumulativeShare += product.revenue_share;
+            product.cumulative_share = cumulativeShare;
+            
+            const bucket = classes[product.abc_class];
+            bucket.products++;
+            bucket.revenue += product.revenue;
+            bucket.revenue_share += product.revenue_share;
+        }
+        
+        const totalProducts = products.by_product_sorted.length;
+        products.abc = {
+            thresholds: ABC_CLASS_THRESHOLDS,
+            classes,
+            // Class A is, by construction, the products behind the first 80% of revenue
+            pareto: {
+                products_for_80_percent: classes.A.products,
+                product_share: totalProducts > 0 ? (classes.A.products / totalProducts * 100) : 0
+            }
+        };
+    }
+    
+    generateAIInsightsSafely(metrics) {
+        metrics.insights = [];
+        
+        // Declarative rules: per-workspace when provided, otherwise the built-in defaults
+        const rules = this.options.rules || DEFAULT_INSIGHT_RULES;
+        const context = buildMetricContext(metrics);
+        
+        for (const rule of rules) {
+            if (rule.enabled === false) continue;
+            
+            try {
+                const { insight } = evaluateInsightRule(rule, context);
+                if (insight) metrics.insights.push(insight);
+            } catch (error) {
+                console.warn(`Error evaluating insight rule ${rule.key}:`, error.message);
+            }
+        }
+    }
+    
+    calculateBusinessScoreSafely(metrics) {
+        const scoring = this.options.scoring || DEFAULT_SCORING_CONFIG;
+        const { score, breakdown } = scoreBusinessHealth(metrics, scoring);
+        
+        metrics.summary.overall_score = score;
+        metrics.summary.score_breakdown = breakdown;
+        
+        // Determine health status from the highest band the score reaches
+        const band = [...scoring.bands]
+            .sort((a, b) => b.min - a.min)
+            .find(b => score >= b.min) || scoring.bands[scoring.bands.length - 1];
+        
+        metrics.summary.health_status = band.status;
+        metrics.summary.recommended_action = band.recommendation;
+        
+        // Determine top opportunity
+        const opportunities = (metrics.insights || []).filter(i => i.severity === 'Opportunity');
+        if (opportunities.length > 0) {
+            metrics.summary.top_opportunity = opportunities[0].title;
+        } else {
+            metrics.summary.top_opportunity = 'Optimize existing customer base for repeat purchases';
+        }
+        
+        // Determine critical risk
+        const criticalRisks = (metrics.insights || []).filter(i => i.severity === 'Critical');
+        if (criticalRisks.length > 0) {
+            metrics.summary.critical_risk = criticalRisks[0].title;
+        } else {
+            metrics.summary.critical_risk = 'No critical risks detected';
+        }
+    }
+    
+    getTopCustomers(n = 5) {
+        return getTopCustomers(this.analysis, n);
+    }
+}
+
+function getTopCustomers(metrics, n = 5) {
+    const customerRevenue = metrics.customers.customer_revenue || {};
+    
+    return Object.entries(customerRevenue)
+        .map(([id, revenue]) => {
+            const orders = metrics.customers.customer_stats?.[id]?.orders || 0;
+            return {
+                id,
+                revenue,
+                orders,
+                average_order_value: orders > 0 ? revenue / orders : 0
+            };
+        })
+        .sort((a, b) => b.revenue - a.revenue)
+        .slice(0, n);
+}
+
+// ============= CUSTOMER SEGMENTATION =============
+// RFM segment names keyed on "<recency score><frequency score>"; later patterns win
+const RFM_SEGMENT_MAP = [
+    [/^[1-2][1-2]$/, 'Hibernating'],
+    [/^[1-2][3-4]$/, 'At Risk'],
+    [/^[1-2]5$/, 'Can\'t Lose Them'],
+    [/^3[1-2]$/, 'About to Sleep'],
+    [/^33$/, 'Need Attention'],
+    [/^[3-4][4-5]$/, 'Loyal Customers'],
+    [/^41$/, 'Promising'],
+    [/^51$/, 'New Customers'],
+    [/^[4-5][2-3]$/, 'Potential Loyalists'],
+    [/^5[4-5]$/, 'Champions']
+];
+
+// Quintile score 1-5 where tied values share a score; higher values score higher
+function quintileScorer(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return (value) => {
+        // Binary search for the number of values strictly below this one
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (sorted[mid] < value) low = mid + 1;
+            else high = mid;
+        }
+        return Math.min(5, 1 + Math.floor(5 * low / sorted.length));
+    };
+}
+
+function computeRFMSegments(metrics, { asOf } = {}) {
+    const allStats = Object.entries(metrics.customers.customer_stats || {});
+    const scored = allStats.filter(([, stats]) => stats.purchases > 0);
+    const referenceDate = parseOrderDate(asOf) || metrics.timeseries.last_order_date || new Date();
+
+    const customers = scored.map(([customer_id, stats]) => ({
+        customer_id,
+        recency_days: Math.max(0, Math.floor((referenceDate - stats.last_purchase) / DAY_MS)),
+        frequency: stats.purchases,
+        monetary: stats.purchase_revenue,
+        first_order_date: toDayKey(stats.first_purchase),
+        last_order_date: toDayKey(stats.last_purchase)
+    }));
+
+    // Recency is scored on negated days so that more recent buyers score higher
+    const recencyScore = quintileScorer(customers.map(c => -c.recency_days));
+    const frequencyScore = quintileScorer(customers.map(c => c.frequency));
+    const monetaryScore = quintileScorer(customers.map(c => c.monetary));
+
+    for (const customer of customers) {
+        customer.r = recencyScore(-customer.recency_days);
+        customer.f = frequencyScore(customer.frequency);
+        customer.m = monetaryScore(customer.monetary);
+        customer.rfm = `${customer.r}${customer.f}${customer.m}`;
+
+        const key = `${customer.r}${customer.f}`;
+        customer.segment = RFM_SEGMENT_MAP.reduce((segment, [pattern, name]) => pattern.test(key) ? name : segment, 'Others');
+    }
+
+    const totalRevenue = customers.reduce((sum, c) => sum + c.monetary, 0);
+    const segments = Object.values(customers.reduce((groups, customer) => {
+        if (!groups[customer.segment]) {
+            groups[customer.segment] = { segment: customer.segment, customers: 0, revenue: 0, recency_days: 0, frequency: 0 };
+        }
+        const group = groups[customer.segment];
+        group.customers++;
+        group.revenue += customer.monetary;
+        group.recency_days += customer.recency_days;
+        group.frequency += customer.frequency;
+        return groups;
+    }, {})).map(group => ({
+        segment: group.segment,
+        customers: group.customers,
+        customer_share: customers.length > 0 ? group.customers / customers.length * 100 : 0,
+        revenue: group.revenue,
+        revenue_share: totalRevenue > 0 ? group.revenue / totalRevenue * 100 : 0,
+        avg_recency_days: group.recency_days / group.customers,
+        avg_frequency: group.frequency / group.customers,
+        avg_monetary: group.revenue / group.customers
+    })).sort((a, b) => b.revenue - a.revenue);
+
+    return {
+        as_of: toDayKey(referenceDate),
+        scored_customers: customers.length,
+        unscored_customers: allStats.length - scored.length,
+        segments,
+        customers: customers.sort((a, b) => b.monetary - a.monetary)
+    };
+}
+
+// Monthly acquisition cohorts: who first bought in each month, and how many bought again N months later
+function computeCohorts(metrics) {
+    const cohorts = {};
+    let lastMonth = -Infinity;
+
+    for (const stats of Object.values(metrics.customers.customer_stats || {})) {
+        if (stats.purchases === 0) continue;
+
+        const cohortMonth = toMonthIndex(stats.first_purchase);
+        const cohortKey = getPeriodKey(stats.first_purchase, 'monthly');
+        if (!cohorts[cohortKey]) cohorts[cohortKey] = { start: cohortMonth, size: 0, active: {}, revenue: {} };
+
+        const cohort = cohorts[cohortKey];
+        cohort.size++;
+
+        for (const [month, revenue] of Object.entries(stats.monthly_revenue)) {
+            const offset = Number(month) - cohortMonth;
+            cohort.active[offset] = (cohort.active[offset] || 0) + 1;
+            cohort.revenue[offset] = (cohort.revenue[offset] || 0) + revenue;
+            lastMonth = Math.max(lastMonth, Number(month));
+        }
+    }
+
+    const rows = Object.entries(cohorts)
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([cohortKey, cohort]) => {
+            // Only offsets that have happened by the last order date, so recent cohorts aren't shown as churned
+            const observed = lastMonth - cohort.start + 1;
+            const active = Array.from({ length: observed }, (_, offset) => cohort.active[offset] || 0);
+            return {
+                cohort: cohortKey,
+                size: cohort.size,
+                active,
+                retention: active.map(count => count / cohort.size * 100),
+                revenue: Array.from({ length: observed }, (_, offset) => cohort.revenue[offset] || 0)
+            };
+        });
+
+    return {
+        period: 'monthly',
+        max_offset: rows.reduce((max, row) => Math.max(max, row.active.length - 1), 0),
+        cohorts: rows
+    };
+}
+
+function renderCohortHeatmap(cohortAnalysis) {
+    const maxOffset = Math.min(cohortAnalysis.max_offset, 11);
+
+    return `
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Cohort</th>
+                                <th>Customers</th>
+                                ${Array.from({ length: maxOffset + 1 }, (_, offset) => `<th>M${offset}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${cohortAnalysis.cohorts.slice(-12).map(row => `
+                                <tr>
+                                    <td>${row.cohort}</td>
+                                    <td>${row.size}</td>
+                                    ${Array.from({ length: maxOffset + 1 }, (_, offset) => {
+                                        const rate = row.retention[offset];
+                                        if (rate === undefined) return '<td></td>';
+                                        // Deeper teal for higher retention
+                                        const alpha = (0.08 + Math.min(rate, 100) / 100 * 0.82).toFixed(2);
+                                        return `<td class="heatmap-cell" style="background: rgba(0, 188, 212, ${alpha}); color: ${rate > 55 ? 'white' : 'inherit'};" title="${row.active[offset]} of ${row.size} customers">${rate.toFixed(0)}%</td>`;
+                                    }).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+}
+
+// ============= CUSTOMER LIFETIME VALUE =============
+// BG/NBD (Fader, Hardie & Lee 2005) predicts how many more purchases each customer makes and
+// how likely they are to still be active; Gamma-Gamma predicts what they spend per purchase.
+// Both are fitted by maximum likelihood on the purchase history. Purchases on the same day
+// count as one, and model time is in weeks.
+const CLV_DEFAULT_HORIZON_DAYS = 365;
+const CLV_MAX_HORIZON_DAYS = 1095;
+const CLV_MIN_CUSTOMERS = 20;
+const CLV_MIN_REPEAT_CUSTOMERS = 10;
+// "Likely to churn, high value": at least this churn probability and past spend in the top fifth
+const CLV_CHURN_THRESHOLD = 0.5;
+const CLV_HIGH_VALUE_QUANTILE = 0.8;
+const CLV_CHURN_LIST_SIZE = 50;
+// Keeps the optimiser away from parameters too extreme to evaluate. A fit that ends within
+// CLV_BOUND_MARGIN of it found no maximum: the data don't pin the model down.
+const CLV_MAX_LOG_PARAMETER = 15;
+const CLV_BOUND_MARGIN = 1;
+
+const LANCZOS_COEFFICIENTS = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+// ln Γ(x) by the Lanczos approximation (g = 7), accurate to about 15 digits
+function logGamma(x) {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for (let i = 1; i < LANCZOS_COEFFICIENTS.length; i++) sum += LANCZOS_COEFFICIENTS[i] / (x + i);
+    const t = x + 7.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Gauss hypergeometric function 2F1(a, b; c; z) as a power series, for 0 <= z < 1
+function hypergeometric2F1(a, b, c, z) {
+    let term = 1;
+    let sum = 1;
+    for (let k = 0; k < 10000 && Math.abs(term) > 1e-12 * Math.abs(sum); k++) {
+        term *= (a + k) * (b + k) / ((c + k) * (k + 1)) * z;
+        sum += term;
+    }
+    return sum;
+}
+
+// Derivative-free minimiser. The models search over log-parameters, so every step keeps them positive.
+function minimizeNelderMead(objective, start, { iterations = 2000, tolerance = 1e-10 } = {}) {
+    const evaluate = point => {
+        const value = objective(point);
+        return { point, value: Number.isFinite(value) ? value : Infinity };
+    };
+    const n = start.length;
+    let simplex = [start, ...start.map((_, i) => start.map((value, j) => i === j ? value + 0.5 : value))].map(evaluate);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        simplex.sort((a, b) => a.value - b.value);
+        const best = simplex[0];
+        const worst = simplex[n];
+        if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+        const centroid = start.map((_, j) => simplex.slice(0, n).reduce((sum, vertex) => sum + vertex.point[j], 0) / n);
+        // Points on the line from the centroid through the worst vertex; negative scales reflect
+        const along = scale => evaluate(centroid.map((value, j) => value + scale * (worst.point[j] - value)));
+
+        const reflected = along(-1);
+        if (reflected.value < best.value) {
+            const expanded = along(-2);
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = along(reflected.value < worst.value ? -0.5 : 0.5);
+            if (contracted.value < Math.min(worst.value, reflected.value)) {
+                simplex[n] = contracted;
+            } else {
+                simplex = simplex.map((vertex, i) => i === 0 ? vertex :
+                    evaluate(vertex.point.map((value, j) => best.point[j] + 0.5 * (value - best.point[j]))));
+            }
+        }
+    }
+
+    simplex.sort((a, b) => a.value - b.value);
+    return simplex[0];
+}
+
+function toModelParameters(logParameters) {
+    if (logParameters.some(value => Math.abs(value) > CLV_MAX_LOG_PARAMETER)) return null;
+    return logParameters.map(Math.exp);
+}
+
+function isAtParameterBound(logParameters) {
+    return logParameters.some(value => Math.abs(value) >= CLV_MAX_LOG_PARAMETER - CLV_BOUND_MARGIN);
+}
+
+// Customers with the same inputs add the same likelihood term, so each distinct tuple is
+// evaluated once and weighted by how many customers share it
+function countModelInputs(customers, fields) {
+    const groups = new Map();
+    for (const customer of customers) {
+        const key = fields.map(field => customer[field]).join('|');
+        const group = groups.get(key);
+        if (group) {
+            group.count++;
+        } else {
+            groups.set(key, { ...Object.fromEntries(fields.map(field => [field, customer[field]])), count: 1 });
+        }
+    }
+    return [...groups.values()];
+}
+
+// customers: [{ x: repeat purchases, t_x: weeks from first to last purchase, T: weeks from first purchase to as-of }]
+function fitBGNBD(customers) {
+    const inputs = countModelInputs(customers, ['x', 't_x', 'T']);
+    const negativeLogLikelihood = logParameters => {
+        const parameters = toModelParameters(logParameters);
+        if (!parameters) return Infinity;
+        const [r, alpha, a, b] = parameters;
+        const constant = logGamma(a + b) - logGamma(b) - logGamma(r) + r * Math.log(alpha);
+        // Most customers share a handful of repeat counts, so the gamma terms are cached per x
+        const byRepeats = new Map();
+        let total = 0;
+        for (const { x, t_x: tx, T, count } of inputs) {
+            if (!byRepeats.has(x)) byRepeats.set(x, logGamma(r + x) + logGamma(b + x) - logGamma(a + b + x));
+            const stillActive = -(r + x) * Math.log(alpha + T);
+            const droppedOut = x > 0 ? Math.log(a) - Math.log(b + x - 1) - (r + x) * Math.log(alpha + tx) : -Infinity;
+            const larger = Math.max(stillActive, droppedOut);
+            total += count * (constant + byRepeats.get(x) +
+                larger + Math.log(Math.exp(stillActive - larger) + Math.exp(droppedOut - larger)));
+        }
+        return -total;
+    };
+
+    const fit = minimizeNelderMead(negativeLogLikelihood, [0, 0, 0, 0]);
+    const [r, alpha, a, b] = fit.point.map(Math.exp);
+    return { r, alpha, a, b, log_likelihood: -fit.value, converged: !isAtParameterBound(fit.point) };
+}
+
+// One-time buyers have had no chance to drop out under BG/NBD, so they are always taken as active
+function bgnbdProbabilityAlive({ r, alpha, a, b }, { x, t_x: tx, T }) {
+    if (x === 0) return 1;
+    return 1 / (1 + Math.exp(Math.log(a / (b + x - 1)) + (r + x) * Math.log((alpha + T) / (alpha + tx))));
+}
+
+// Expected purchases in the next t weeks, given the customer's history
+function bgnbdExpectedPurchases(model, customer, t) {
+    const { r, alpha, a, b } = model;
+    const { x, T } = customer;
+    const hypergeometric = hypergeometric2F1(r + x, b + x, a + b + x - 1, t / (alpha + T + t));
+    const unconditional = (a + b + x - 1) / (a - 1) *
+        (1 - Math.pow((alpha + T) / (alpha + T + t), r + x) * hypergeometric);
+    const expected = unconditional * bgnbdProbabilityAlive(model, customer);
+    return Number.isFinite(expected) ? Math.max(0, expected) : null;
+}
+
+// customers: [{ x: repeat purchases, monetary: average spend on those repeat purchases }]
+// Spend is fitted in units of its mean, so v stays near 1 whatever the currency
+function fitGammaGamma(customers) {
+    const scale = mean(customers.map(customer => customer.monetary));
+    const inputs = countModelInputs(customers.map(({ x, monetary }) => ({ x, monetary: monetary / scale })), ['x', 'monetary']);
+    const negativeLogLikelihood = logParameters => {
+        const parameters = toModelParameters(logParameters);
+        if (!parameters) return Infinity;
+        const [p, q, v] = parameters;
+        let total = 0;
+        for (const { x, monetary: m, count } of inputs) {
+            total += count * (logGamma(p * x + q) - logGamma(p * x) - logGamma(q) + q * Math.log(v) +
+                (p * x - 1) * Math.log(m) + p * x * Math.log(x) - (p * x + q) * Math.log(x * m + v));
+        }
+        return -total;
+    };
+
+    const fit = minimizeNelderMead(negativeLogLikelihood, [0, Math.log(2), 0]);
+    const [p, q, v] = fit.point.map(Math.exp);
+    return {
+        p,
+        q,
+        v: v * scale,
+        // Back in the currency's units: each spend's density carries a 1/scale
+        log_likelihood: -fit.value - customers.length * Math.log(scale),
+        converged: !isAtParameterBound(fit.point)
+    };
+}
+
+// Shrinks the customer's own average towards the population's; one-time buyers get the population average
+function gammaGammaExpectedSpend({ p, q, v }, { x, monetary }) {
+    return x > 0 ? p * (v + x * monetary) / (p * x + q - 1) : p * v / (q - 1);
+}
+
+function parseHorizonDays(value) {
+    if (!hasValue(value)) return CLV_DEFAULT_HORIZON_DAYS;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < 1 || days > CLV_MAX_HORIZON_DAYS) {
+        throw httpError(400, `horizon_days must be a whole number from 1 to ${CLV_MAX_HORIZON_DAYS}`);
+    }
+    return days;
+}
+
+// Fits both models on every customer with a dated purchase up to asOf, then predicts each one's
+// churn probability and revenue over the next horizonDays. CLV is revenue, undiscounted.
+function computeCustomerLifetimeValue(metrics, { asOf, horizonDays } = {}) {
+    const horizon = parseHorizonDays(horizonDays);
+    const referenceDate = parseOrderDate(asOf) || metrics.timeseries.last_order_date || new Date();
+    const asOfDay = toDayKey(referenceDate);
+    const weeksBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / DAY_MS / 7;
+
+    const customers = Object.entries(metrics.customers.customer_stats || {}).map(([customer_id, stats]) => {
+        const days = Object.keys(stats.daily_revenue).filter(day => day <= asOfDay).sort();
+        if (days.length === 0) return null;
+        const spend = days.map(day => stats.daily_revenue[day]);
+        const revenue = spend.reduce((sum, value) => sum + value, 0);
+        return {
+            customer_id,
+            purchase_days: days.length,
+            revenue,
+            first_order_date: days[0],
+            last_order_date: days[days.length - 1],
+            recency_days: Math.round(weeksBetween(days[days.length - 1], asOfDay) * 7),
+            // Model inputs; the first purchase is left out of the repeat spend, as Gamma-Gamma expects
+            x: days.length - 1,
+            t_x: weeksBetween(days[0], days[days.length - 1]),
+            T: weeksBetween(days[0], asOfDay),
+            monetary: days.length > 1 ? mean(spend.slice(1)) : null
+        };
+    }).filter(Boolean);
+
+    const repeatCustomers = customers.filter(customer => customer.x > 0 && customer.monetary > 0);
+    if (customers.length < CLV_MIN_CUSTOMERS || repeatCustomers.length < CLV_MIN_REPEAT_CUSTOMERS) {
+        throw httpError(422, `Lifetime value needs at least ${CLV_MIN_CUSTOMERS} customers with dated purchases and ` +
+            `${CLV_MIN_REPEAT_CUSTOMERS} who bought on more than one day; found ${customers.length} and ${repeatCustomers.length}`);
+    }
+
+    const purchaseModel = fitBGNBD(customers);
+    const spendModel = fitGammaGamma(repeatCustomers);
+    if (!purchaseModel.converged || !spendModel.converged) {
+        throw httpError(422, `The ${purchaseModel.converged ? 'spend' : 'purchase'} model did not converge: its fit ran to a ` +
+            'parameter bound, so this data does not support lifetime value predictions');
+    }
+    if (spendModel.q <= 1) {
+        throw httpError(422, 'Spend per purchase varies too widely to predict an average; lifetime value is not available for this data');
+    }
+
+    const horizonWeeks = horizon / 7;
+    for (const customer of customers) {
+        const alive = bgnbdProbabilityAlive(purchaseModel, customer);
+        const expectedPurchases = bgnbdExpectedPurchases(purchaseModel, customer, horizonWeeks);
+        const expectedSpend = gammaGammaExpectedSpend(spendModel, customer);
+        customer.probability_alive = alive;
+        customer.churn_probability = 1 - alive;
+        customer.expected_purchases = expectedPurchases;
+        customer.expected_order_value = expectedSpend;
+        customer.predicted_clv = expectedPurchases === null ? null : expectedPurchases * expectedSpend;
+    }
+
+    const sortedRevenue = customers.map(customer => customer.revenue).sort((a, b) => a - b);
+    const highValueRevenue = sortedRevenue[Math.floor(CLV_HIGH_VALUE_QUANTILE * (sortedRevenue.length - 1))];
+    const churnRisks = customers
+        .filter(customer => customer.churn_probability >= CLV_CHURN_THRESHOLD && customer.revenue >= highValueRevenue)
+        .map(customer => ({ ...customer, value_at_risk: customer.churn_probability * customer.revenue }))
+        .sort((a, b) => b.value_at_risk - a.value_at_risk);
+
+    // Model inputs stay internal; the response carries the predictions
+    const present = ({ x, t_x, T, monetary, ...customer }) => customer;
+
+    return {
+        as_of: asOfDay,
+        horizon_days: horizon,
+        model: {
+            bg_nbd: purchaseModel,
+            gamma_gamma: spendModel,
+            time_unit: 'weeks',
+            customers_fitted: customers.length,
+            repeat_customers: repeatCustomers.length
+        },
+        summary: {
+            customers: customers.length,
+            predicted_revenue: customers.reduce((sum, customer) => sum + (customer.predicted_clv || 0), 0),
+            average_churn_probability: mean(customers.map(customer => customer.churn_probability)),
+            likely_to_churn: customers.filter(customer => customer.churn_probability >= CLV_CHURN_THRESHOLD).length,
+            high_value_min_revenue: highValueRevenue,
+            high_value_at_risk: churnRisks.length
+        },
+        customers: customers.sort((a, b) => (b.predicted_clv ?? -1) - (a.predicted_clv ?? -1)).map(present),
+        churn_risks: churnRisks.slice(0, CLV_CHURN_LIST_SIZE).map(present)
+    };
+}
+
+// ============= PERIOD COMPARISON =============
+// Headline metrics compared between two periods. Rates are compared in percentage points.
+// Every metric is better when higher unless it sets lower_is_better.
+const PERIOD_COMPARISON_METRICS = {
+    financial: {
+        total_revenue: { label: 'Total revenue', unit: 'currency', get: m => m.financial.total_revenue },
+        delivered_revenue: { label: 'Delivered revenue', unit: 'currency', get: m => m.financial.delivered_revenue },
+        cancelled_revenue: { label: 'Cancelled revenue', unit: 'currency', lower_is_better: true, get: m => m.financial.cancelled_revenue },
+        total_profit: { label: 'Total profit', unit: 'currency', get: m => m.financial.total_profit },
+        delivered_profit: { label: 'Delivered profit', unit: 'currency', get: m => m.financial.delivered_profit },
+        profit_margin: { label: 'Profit margin', unit: 'rate', get: m => m.financial.profit_margin },
+        average_order_value: { label: 'Average order value', unit: 'currency', get: m => m.financial.average_order_value }
+    },
+    orders: {
+        total: { label: 'Orders', unit: 'count', get: m => m.orders.total },
+        delivered: { label: 'Delivered orders', unit: 'count', get: m => m.orders.delivered },
+        cancelled: { label: 'Cancelled orders', unit: 'count', lower_is_better: true, get: m => m.orders.cancelled },
+        conversion_rate: { label: 'Conversion rate', unit: 'rate', get: m => m.orders.conversion_rate },
+        cancellation_rate: { label: 'Cancellation rate', unit: 'rate', lower_is_better: true, get: m => m.orders.cancellation_rate }
+    },
+    customers: {
+        unique: { label: 'Customers', unit: 'count', get: m => m.customers.unique.size },
+        repeat_buyers: { label: 'Repeat buyers', unit: 'count', get: m => m.customers.repeat_buyers },
+        repeat_rate: { label: 'Repeat rate', unit: 'rate', get: m => buildMetricContext(m).repeat_rate },
+        high_value_customers: { label: 'High-value customers', unit: 'count', get: m => m.customers.high_value_customers.length }
+    },
+    returns: {
+        return_rate: { label: 'Return rate', unit: 'rate', lower_is_better: true, get: m => m.returns.return_rate },
+        rto_rate: { label: 'RTO rate', unit: 'rate', lower_is_better: true, get: m => m.returns.rto_rate },
+        revenue_lost_returns: { label: 'Revenue lost to returns', unit: 'currency', lower_is_better: true, get: m => m.returns.revenue_lost_returns }
+    },
+    payments: {
+        cod_share: {
+            label: 'COD share of orders',
+            unit: 'rate',
+            lower_is_better: true,
+            get: m => m.orders.total > 0 ? m.payments.cod_performance.orders / m.orders.total * 100 : 0
+        },
+        cod_cancellation_rate: { label: 'COD cancellation', unit: 'rate', lower_is_better: true, get: m => buildMetricContext(m).cod_cancellation_rate }
+    }
+};
+
+const CITY_COMPARISON_FIELDS = { revenue: 'currency', orders: 'count', cod_rate: 'rate', return_rate: 'rate' };
+const PAYMENT_COMPARISON_FIELDS = { revenue: 'currency', net_revenue: 'currency', orders: 'count', profit: 'currency', delivery_rate: 'rate', cancellation_rate: 'rate', return_rate: 'rate' };
+
+// Changes big enough to call out. "points" thresholds apply to rates, "percent" to relative change.
+const PERIOD_CHANGE_RULES = [
+    { metric: 'financial.total_revenue', measure: 'percent', threshold: 10, category: 'Growth' },
+    { metric: 'financial.profit_margin', measure: 'points', threshold: 2, category: 'Profitability' },
+    { metric: 'financial.average_order_value', measure: 'percent', threshold: 10, category: 'Growth' },
+    { metric: 'orders.total', measure: 'percent', threshold: 15, category: 'Growth' },
+    { metric: 'orders.cancellation_rate', measure: 'points', threshold: 3, category: 'Operations' },
+    { metric: 'customers.repeat_rate', measure: 'points', threshold: 5, category: 'Retention' },
+    { metric: 'returns.return_rate', measure: 'points', threshold: 3, category: 'Returns' },
+    { metric: 'returns.rto_rate', measure: 'points', threshold: 2, category: 'Returns' },
+    { metric: 'payments.cod_cancellation_rate', measure: 'points', threshold: 5, category: 'Payments' }
+];
+
+// A city must hold this share (%) of revenue in either period before its swings are reported
+const CITY_CHANGE_MIN_SHARE = 5;
+const CITY_CHANGE_THRESHOLD = 25;
+
+function compareValues(current, previous, unit) {
+    const bothKnown = current !== null && current !== undefined && previous !== null && previous !== undefined;
+    return {
+        unit,
+        current: current ?? null,
+        previous: previous ?? null,
+        change: bothKnown ? current - previous : null,
+        percent_change: bothKnown ? percentChange(current, previous) : null
+    };
+}
+
+// "2024-03-31" covers the whole day; values with a time are taken as given
+function parseComparisonRange(from, to, name) {
+    const start = parseOrderDate(from);
+    const end = parseOrderDate(to);
+    if (!start || !end) throw httpError(400, `${name}_from and ${name}_to must be dates`);
+
+    const dateOnly = /^\s*(\d{4}-\d{2}-\d{2}|\d{1,2}[\/-]\d{1,2}[\/-]\d{4})\s*$/.test(String(to));
+    const endOfRange = new Date(end.getTime() + (dateOnly ? DAY_MS - 1 : 0));
+    if (start > endOfRange) throw httpError(400, `${name}_from must not be after ${name}_to`);
+
+    return { from: start, to: endOfRange, label: `${toDayKey(start)} to ${toDayKey(endOfRange)}` };
+}
+
+// Comparison mode for /analyze: current_orders + previous_orders, or one order set split by
+// current_from/current_to and previous_from/previous_to (in the workspace's timezone).
+// Returns null for a normal analysis.
+function extractComparisonInput(req, timeZone = DEFAULT_LOCALE.timezone) {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+
+    if (body.current_orders !== undefined || body.previous_orders !== undefined) {
+        if (!Array.isArray(body.current_orders) || !Array.isArray(body.previous_orders)) {
+            throw httpError(400, 'Send both current_orders and previous_orders as arrays');
+        }
+        return {
+            mode: 'order_sets',
+            current: { label: body.current_label || 'Current', orders: body.current_orders },
+            previous: { label: body.previous_label || 'Previous', orders: body.previous_orders },
+            ingestion: { format: 'json', rows: body.current_orders.length, orders_parsed: body.current_orders.length, errors: [] }
+        };
+    }
+
+    const bounds = ['current_from', 'current_to', 'previous_from', 'previous_to'].map(name => getRequestOption(req, name));
+    if (bounds.every(value => !hasValue(value))) return null;
+    if (bounds.some(value => !hasValue(value))) {
+        throw httpError(400, 'Date-range comparison needs current_from, current_to, previous_from and previous_to');
+    }
+
+    const ranges = {
+        current: parseComparisonRange(bounds[0], bounds[1], 'current'),
+        previous: parseComparisonRange(bounds[2], bounds[3], 'previous')
+    };
+    const { orders, ingestion } = extractOrderData(req);
+    const split = { current: [], previous: [] };
+    let undated = 0;
+    let outsideRanges = 0;
+
+    for (const order of orders) {
+        const date = toWorkspaceDate(order?.order_date, timeZone);
+        if (!date) {
+            undated++;
+            continue;
+        }
+
+        let matched = false;
+        for (const period of ['current', 'previous']) {
+            if (date >= ranges[period].from && date <= ranges[period].to) {
+                split[period].push(order);
+                matched = true;
+            }
+        }
+        if (!matched) outsideRanges++;
+    }
+
+    return {
+        mode: 'date_ranges',
+        current: { label: ranges.current.label, from: ranges.current.from, to: ranges.current.to, orders: split.current },
+        previous: { label: ranges.previous.label, from: ranges.previous.from, to: ranges.previous.to, orders: split.previous },
+        ingestion,
+        excluded: { undated, outside_ranges: outsideRanges }
+    };
+}
+
+function compareRowSets(currentRows, previousRows, keyField, fields) {
+    const byKey = (rows) => new Map(rows.map(row => [row[keyField], row]));
+    const current = byKey(currentRows);
+    const previous = byKey(previousRows);
+    const keys = [...new Set([...current.keys(), ...previous.keys()])];
+
+    // Keyed by city or payment method names, so no prototype for "constructor" to collide with
+    return keys.reduce((result, key) => {
+        result[key] = Object.entries(fields).reduce((deltas, [field, unit]) => {
+            deltas[field] = compareValues(current.get(key)?.[field] ?? 0, previous.get(key)?.[field] ?? 0, unit);
+            return deltas;
+        }, {});
+        return result;
+    }, Object.create(null));
+}
+
+function comparePeriodMetrics(current, previous) {
+    const deltas = {};
+    for (const [group, metrics] of Object.entries(PERIOD_COMPARISON_METRICS)) {
+        deltas[group] = {};
+        for (const [key, { label, unit, get, lower_is_better: lowerIsBetter }] of Object.entries(metrics)) {
+            const delta = compareValues(get(current), get(previous), unit);
+            deltas[group][key] = { label, ...delta, improved: delta.change ? (delta.change > 0) !== Boolean(lowerIsBetter) : null };
+        }
+    }
+
+    deltas.cities = compareRowSets(buildCityRows(current), buildCityRows(previous), 'city', CITY_COMPARISON_FIELDS);
+    deltas.payment_methods = compareRowSets(
+        buildPaymentMethodRows(current), buildPaymentMethodRows(previous), 'method', PAYMENT_COMPARISON_FIELDS);
+    return deltas;
+}
+
+function describeChange(delta, measure) {
+    const amount = measure === 'points' ? delta.change : delta.percent_change;
+    const direction = amount >= 0 ? 'up' : 'down';
+    const magnitude = measure === 'points' ? `${Math.abs(amount).toFixed(1)} pts` : `${Math.abs(amount).toFixed(0)}%`;
+    return `${direction} ${magnitude}`;
+}
+
+function formatDeltaValue(value, unit, locale = DEFAULT_LOCALE) {
+    if (value === null || value === undefined) return 'n/a';
+    if (unit === 'currency') return formatCurrency(value, locale);
+    if (unit === 'rate') return `${value.toFixed(1)}%`;
+    return formatNumber(value, locale);
+}
+
+// Insights about what moved between the periods, e.g. "COD cancellation up 12.0 pts"
+function generateComparisonInsights(deltas, labels, locale = DEFAULT_LOCALE) {
+    const insights = [];
+
+    for (const rule of PERIOD_CHANGE_RULES) {
+        const [group, key] = rule.metric.split('.');
+        const delta = deltas[group]?.[key];
+        const amount = rule.measure === 'points' ? delta?.change : delta?.percent_change;
+        if (amount === null || amount === undefined || Math.abs(amount) < rule.threshold) continue;
+
+        const improved = delta.improved;
+        insights.push({
+            id: `change_${group}_${key}`,
+            title: `${delta.label} ${describeChange(delta, rule.measure)}`,
+            description: `${delta.label} went from ${formatDeltaValue(delta.previous, delta.unit, locale)} (${labels.previous}) ` +
+                `to ${formatDeltaValue(delta.current, delta.unit, locale)} (${labels.current}).`,
+            category: rule.category,
+            // Twice the threshold in the wrong direction is critical
+            severity: improved ? 'Info' : Math.abs(amount) >= rule.threshold * 2 ? 'Critical' : 'Warning',
+            impact: '',
+            recommendation: improved ? '' : `Find out what changed in ${labels.current} before it compounds.`,
+            estimated_savings: '',
+            metric_value: amount,
+            threshold: rule.threshold
+        });
+    }
+
+    const totals = { current: deltas.financial.delivered_revenue.current, previous: deltas.financial.delivered_revenue.previous };
+    const citySwings = Object.entries(deltas.cities)
+        .filter(([, city]) => ['current', 'previous'].some(period =>
+            totals[period] > 0 && city.revenue[period] / totals[period] * 100 >= CITY_CHANGE_MIN_SHARE))
+        .filter(([, city]) => city.revenue.percent_change !== null && Math.abs(city.revenue.percent_change) >= CITY_CHANGE_THRESHOLD)
+        .sort((a, b) => Math.abs(b[1].revenue.change) - Math.abs(a[1].revenue.change))
+        .slice(0, 3);
+
+    for (const [city, delta] of citySwings) {
+        const improved = delta.revenue.change > 0;
+        insights.push({
+            id: `change_city_${city.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+            title: `${city} revenue ${describeChange(delta.revenue, 'percent')}`,
+            description: `${city} brought in ${formatCurrency(delta.revenue.current, locale)} against ${formatCurrency(delta.revenue.previous, locale)} in ${labels.previous}.`,
+            category: 'Geography',
+            severity: improved ? 'Info' : 'Warning',
+            impact: '',
+            recommendation: '',
+            estimated_savings: '',
+            metric_value: delta.revenue.percent_change,
+            threshold: CITY_CHANGE_THRESHOLD
+        });
+    }
+
+    return insights;
+}
+
+function buildPeriodComparison(input, currentMetrics, previousMetrics) {
+    const describePeriod = (period, metrics) => ({
+        label: period.label,
+        from: period.from ? period.from.toISOString() : null,
+        to: period.to ? period.to.toISOString() : null,
+        orders: metrics.orders.total,
+        business_health: { score: metrics.summary.overall_score, status: metrics.summary.health_status }
+    });
+    const deltas = comparePeriodMetrics(currentMetrics, previousMetrics);
+
+    return {
+        mode: input.mode,
+        current: describePeriod(input.current, currentMetrics),
+        previous: describePeriod(input.previous, previousMetrics),
+        excluded: input.excluded || null,
+        business_health: compareValues(currentMetrics.summary.overall_score, previousMetrics.summary.overall_score, 'score'),
+        deltas,
+        insights: generateComparisonInsights(deltas, { current: input.current.label, previous: input.previous.label }, currentMetrics.locale)
+    };
+}
+
+// ============= FORECASTING =============
+const FORECAST_METRICS = ['revenue', 'orders', 'profit'];
+// One season is a week of days, or a year of weeks or months
+const FORECAST_SEASON_LENGTHS = { daily: 7, weekly: 52, monthly: 12 };
+const FORECAST_DEFAULT_HORIZONS = { daily: 30, weekly: 12, monthly: 6 };
+const FORECAST_MAX_HORIZONS = { daily: 365, weekly: 104, monthly: 24 };
+const FORECAST_MIN_HISTORY = 6;
+// Two-sided normal quantiles for the supported interval levels
+const FORECAST_CONFIDENCE_Z = { 80: 1.2816, 90: 1.6449, 95: 1.96, 99: 2.5758 };
+const FORECAST_SMOOTHING_GRID = [0.05, 0.1, 0.2, 0.3, 0.5, 0.7, 0.9];
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+// Additive Holt-Winters, or Holt's linear trend when seasonLength is 0.
+// Returns the final state and the one-step-ahead errors over the history.
+function runHoltWinters(values, seasonLength, { alpha, beta, gamma }) {
+    let level;
+    let trend;
+    let start;
+    const seasonals = [];
+
+    if (seasonLength > 0) {
+        const firstSeason = mean(values.slice(0, seasonLength));
+        level = firstSeason;
+        trend = (mean(values.slice(seasonLength, seasonLength * 2)) - firstSeason) / seasonLength;
+        values.slice(0, seasonLength).forEach((value, i) => { seasonals[i] = value - firstSeason; });
+        start = seasonLength;
+    } else {
+        level = values[0];
+        trend = values[1] - values[0];
+        start = 1;
+    }
+
+    const errors = [];
+    for (let t = start; t < values.length; t++) {
+        const seasonal = seasonLength > 0 ? seasonals[t % seasonLength] : 0;
+        errors.push(values[t] - (level + trend + seasonal));
+
+        const previousLevel = level;
+        level = alpha * (values[t] - seasonal) + (1 - alpha) * (level + trend);
+        trend = beta * (level - previousLevel) + (1 - beta) * trend;
+        if (seasonLength > 0) {
+            seasonals[t % seasonLength] = gamma * (values[t] - level) + (1 - gamma) * seasonal;
+        }
+    }
+
+    return { level, trend, seasonals, errors };
+}
+
+// Picks smoothing parameters by grid search on one-step-ahead squared error
+function fitHoltWinters(values, seasonLength) {
+    const gammas = seasonLength > 0 ? FORECAST_SMOOTHING_GRID : [0];
+    let best = null;
+
+    for (const alpha of FORECAST_SMOOTHING_GRID) {
+        for (const beta of FORECAST_SMOOTHING_GRID) {
+            for (const gamma of gammas) {
+                const state = runHoltWinters(values, seasonLength, { alpha, beta, gamma });
+                const sse = state.errors.reduce((sum, error) => sum + error * error, 0);
+                if (!best || sse < best.sse) best = { alpha, beta, gamma, sse, state };
+            }
+        }
+    }
+
+    return best;
+}
+
+// Point forecasts with prediction intervals. The h-step variance is
+// sigma² · (1 + Σ c_j²) with c_j = α(1 + jβ) + γ on seasonal lags.
+function forecastValues(values, { seasonLength, horizon, z, nonNegative }) {
+    const season = values.length >= seasonLength * 2 ? seasonLength : 0;
+    const fit = fitHoltWinters(values, season);
+    const { level, trend, seasonals, errors } = fit.state;
+    const sigma = Math.sqrt(errors.reduce((sum, error) => sum + error * error, 0) / Math.max(errors.length, 1));
+
+    const points = [];
+    let varianceFactor = 1;
+    for (let h = 1; h <= horizon; h++) {
+        if (h > 1) {
+            const j = h - 1;
+            const c = fit.alpha * (1 + j * fit.beta) + (season > 0 && j % season === 0 ? fit.gamma : 0);
+            varianceFactor += c * c;
+        }
+
+        const seasonal = season > 0 ? seasonals[(values.length - 1 + h) % season] : 0;
+        const forecast = level + h * trend + seasonal;
+        const margin = z * sigma * Math.sqrt(varianceFactor);
+        const clamp = (value) => nonNegative ? Math.max(0, value) : value;
+        points.push({ forecast: clamp(forecast), lower: clamp(forecast - margin), upper: clamp(forecast + margin) });
+    }
+
+    return {
+        model: {
+            type: season > 0 ? 'holt_winters_additive' : 'holt_linear',
+            season_length: season || null,
+            alpha: fit.alpha,
+            beta: fit.beta,
+            gamma: season > 0 ? fit.gamma : null,
+            residual_std: sigma
+        },
+        points
+    };
+}
+
+// Refits on all but the last periods and scores the forecast against them
+function backtestForecast(values, { seasonLength, horizon, z, nonNegative }) {
+    const holdout = Math.min(horizon, Math.max(1, Math.floor(values.length * 0.2)));
+    const training = values.slice(0, values.length - holdout);
+    if (training.length < FORECAST_MIN_HISTORY) return null;
+
+    const actuals = values.slice(training.length);
+    const { points } = forecastValues(training, { seasonLength, horizon: holdout, z, nonNegative });
+    const season = training.length >= seasonLength * 2 ? seasonLength : 0;
+    // Baseline: repeat the last season, or the last value without seasonality
+    const naive = actuals.map((actual, i) => season > 0 ?
+        training[training.length - season + (i % season)] : training[training.length - 1]);
+
+    const errors = actuals.map((actual, i) => actual - points[i].forecast);
+    const percentErrors = actuals
+        .map((actual, i) => actual !== 0 ? Math.abs(errors[i] / actual) * 100 : null)
+        .filter(value => value !== null);
+
+    return {
+        holdout_periods: holdout,
+        mae: mean(errors.map(Math.abs)),
+        rmse: Math.sqrt(mean(errors.map(error => error * error))),
+        mape: percentErrors.length > 0 ? mean(percentErrors) : null,
+        naive_mae: mean(actuals.map((actual, i) => Math.abs(actual - naive[i]))),
+        interval_coverage: actuals.filter((actual, i) => actual >= points[i].lower && actual <= points[i].upper).length / actuals.length * 100
+    };
+}
+
+// Partial first and last periods (a week that started mid-week) would drag the fit down
+function trimPartialPeriods(series, timeseries, granularity) {
+    if (granularity === 'daily' || series.length === 0) return { history: series, dropped: [] };
+
+    const startDay = (key) => granularity === 'monthly' ? `${key}-01` : key;
+    const endDay = (key) => toDayKey(new Date(Date.parse(`${startDay(nextPeriodKey(key, granularity))}T00:00:00Z`) - DAY_MS));
+    const dropped = [];
+    let history = series;
+
+    if (toDayKey(timeseries.first_order_date) > startDay(history[0].period)) {
+        dropped.push(history[0].period);
+        history = history.slice(1);
+    }
+    const last = history[history.length - 1];
+    if (last && toDayKey(timeseries.last_order_date) < endDay(last.period)) {
+        dropped.push(last.period);
+        history = history.slice(0, -1);
+    }
+
+    return { history, dropped };
+}
+
+function forecastTimeseries(metrics, { granularity = 'daily', horizon, confidence = 95, fields = FORECAST_METRICS } = {}) {
+    if (!GRANULARITIES.includes(granularity)) {
+        throw httpError(400, `Invalid granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}`);
+    }
+
+    const steps = horizon === undefined || horizon === null || horizon === '' ?
+        FORECAST_DEFAULT_HORIZONS[granularity] : Number(horizon);
+    if (!Number.isInteger(steps) || steps < 1 || steps > FORECAST_MAX_HORIZONS[granularity]) {
+        throw httpError(400, `horizon must be a whole number from 1 to ${FORECAST_MAX_HORIZONS[granularity]} for ${granularity} forecasts`);
+    }
+
+    const z = FORECAST_CONFIDENCE_Z[Number(confidence)];
+    if (!z) {
+        throw httpError(400, `confidence must be one of: ${Object.keys(FORECAST_CONFIDENCE_Z).join(', ')}`);
+    }
+
+    const { history, dropped } = trimPartialPeriods(metrics.timeseries.series[granularity] || [], metrics.timeseries, granularity);
+    if (history.length < FORECAST_MIN_HISTORY) {
+        throw httpError(422, `Forecasting needs at least ${FORECAST_MIN_HISTORY} complete ${granularity} periods of dated orders, found ${history.length}`);
+    }
+
+    const periods = [];
+    let key = history[history.length - 1].period;
+    for (let h = 0; h < steps; h++) {
+        key = nextPeriodKey(key, granularity);
+        periods.push(key);
+    }
+
+    const forecasts = {};
+    for (const field of fields) {
+        const values = history.map(point => point[field]);
+        const settings = {
+            seasonLength: FORECAST_SEASON_LENGTHS[granularity],
+            horizon: steps,
+            z,
+            nonNegative: field !== 'profit'
+        };
+        const { model, points } = forecastValues(values, settings);
+
+        forecasts[field] = {
+            model,
+            forecast: points.map((point, i) => ({ period: periods[i], ...point })),
+            total: points.reduce((sum, point) => sum + point.forecast, 0),
+            backtest: backtestForecast(values, settings)
+        };
+    }
+
+    return {
+        granularity,
+        horizon: steps,
+        confidence: Number(confidence),
+        history: {
+            from: history[0].period,
+            to: history[history.length - 1].period,
+            periods: history.length,
+            dropped_partial_periods: dropped
+        },
+        metrics: forecasts
+    };
+}
+
+// Revenue forecast appended to the trend series for the dashboard chart; null when history is too short
+function buildForecastChartSeries(metrics, granularity) {
+    let forecast;
+    try {
+        forecast = forecastTimeseries(metrics, { granularity, fields: ['revenue'] });
+    } catch (error) {
+        if (error.status === 422) return null;
+        throw error;
+    }
+
+    const series = (metrics.timeseries.series[granularity] || []).map(point => ({ ...point }));
+    const anchor = series.find(point => point.period === forecast.history.to);
+    // Start the dashed line at the last complete period so it joins the actuals
+    Object.assign(anchor, { revenue_forecast: anchor.revenue, revenue_forecast_lower: anchor.revenue, revenue_forecast_upper: anchor.revenue });
+
+    for (const point of forecast.metrics.revenue.forecast) {
+        const existing = series.find(entry => entry.period === point.period);
+        const values = { revenue_forecast: point.forecast, revenue_forecast_lower: point.lower, revenue_forecast_upper: point.upper };
+        if (existing) Object.assign(existing, values);
+        else series.push({ period: point.period, ...values });
+    }
+
+    return series;
+}
+
+// ============= ANOMALY DETECTION =============
+// Each day is scored against the days before it with a robust z-score: (value - median) / (1.4826 × MAD)
+const ANOMALY_METRICS = ['revenue', 'cancellation_rate', 'cod_share', 'city_revenue'];
+const ANOMALY_DEFAULTS = {
+    window: 28,
+    threshold: 3.5,
+    min_history: 7,
+    // Days with fewer orders are skipped for rates, where one cancellation would swing the day
+    min_orders: 5,
+    // Cities averaging fewer orders a day are skipped: a mostly-zero series turns every order into a spike
+    min_city_daily_orders: 1,
+    max_cities: 20
+};
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function robustScore(value, history) {
+    const center = median(history);
+    const deviations = history.map(entry => Math.abs(entry - center));
+    // A MAD of zero (most days identical) falls back to the mean absolute deviation
+    const scale = 1.4826 * median(deviations) || 1.2533 * mean(deviations);
+    return scale > 0 ? { expected: center, score: (value - center) / scale } : null;
+}
+
+// series: [{ date, value }] with null values for days that can't be scored
+function scoreDailySeries(series, settings) {
+    const results = [];
+    series.forEach((point, i) => {
+        if (point.value === null) return;
+        const history = series.slice(Math.max(0, i - settings.window), i)
+            .map(entry => entry.value)
+            .filter(value => value !== null);
+        if (history.length < settings.min_history) return;
+
+        const scored = robustScore(point.value, history);
+        if (scored && Math.abs(scored.score) >= settings.threshold) {
+            results.push({ date: point.date, value: point.value, ...scored });
+        }
+    });
+    return results;
+}
+
+function validateAnomalySettings(settings) {
+    const errors = [];
+    if (!Number.isInteger(settings.window) || settings.window < 7 || settings.window > 365) errors.push('window must be 7-365 days');
+    if (!(settings.threshold > 0)) errors.push('threshold must be a positive number');
+    if (!Number.isInteger(settings.min_history) || settings.min_history < 3 || settings.min_history > settings.window) {
+        errors.push('min_history must be at least 3 and no more than window');
+    }
+    if (!Number.isInteger(settings.min_orders) || settings.min_orders < 1) errors.push('min_orders must be a positive whole number');
+    if (!(settings.min_city_daily_orders >= 0)) errors.push('min_city_daily_orders must be zero or more');
+    if (!Number.isInteger(settings.max_cities) || settings.max_cities < 0) errors.push('max_cities must be a whole number');
+    return errors;
+}
+
+// Anomalies over the daily series, oldest first. `since` (YYYY-MM-DD) keeps only later days.
+function detectAnomalies(metrics, options = {}) {
+    const settings = { ...ANOMALY_DEFAULTS };
+    for (const key of Object.keys(ANOMALY_DEFAULTS)) {
+        if (hasValue(options[key])) settings[key] = Number(options[key]);
+    }
+    const errors = validateAnomalySettings(settings);
+    if (errors.length > 0) throw httpError(400, errors.join('; '));
+
+    const days = metrics.timeseries.series.daily || [];
+    const rate = (part, total) => total >= settings.min_orders ? part / total * 100 : null;
+    const dimensions = [
+        { metric: 'revenue', values: days.map(day => day.revenue) },
+        { metric: 'cancellation_rate', values: days.map(day => rate(day.cancelled, day.orders)) },
+        { metric: 'cod_share', values: days.map(day => rate(day.cod_orders, day.orders)) }
+    ];
+
+    const cities = Object.entries(metrics.locations.city_revenue || {})
+        .filter(([city]) => days.length > 0 && (metrics.locations.city_orders[city] || 0) / days.length >= settings.min_city_daily_orders)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, settings.max_cities)
+        .map(([city]) => city);
+    for (const city of cities) {
+        const cityDays = metrics.timeseries.city_daily_revenue?.[city] || {};
+        dimensions.push({ metric: 'city_revenue', city, values: days.map(day => cityDays[day.period] || 0) });
+    }
+
+    const anomalies = [];
+    for (const { metric, city, values } of dimensions) {
+        const series = days.map((day, i) => ({ date: day.period, value: values[i] }));
+        for (const found of scoreDailySeries(series, settings)) {
+            if (options.since && found.date < options.since) continue;
+            anomalies.push({
+                date: found.date,
+                metric,
+                city: city || null,
+                value: found.value,
+                expected: found.expected,
+                deviation: found.value - found.expected,
+                percent_deviation: percentChange(found.value, found.expected),
+                score: Math.round(found.score * 100) / 100,
+                direction: found.score > 0 ? 'spike' : 'drop',
+                severity: Math.abs(found.score) >= settings.threshold * 2 ? 'Critical' : 'Warning'
+            });
+        }
+    }
+
+    anomalies.sort((a, b) => a.date.localeCompare(b.date) || Math.abs(b.score) - Math.abs(a.score));
+    return { settings, days: days.length, last_day: days[days.length - 1]?.period || null, anomalies };
+}
+
+function describeAnomaly(anomaly, locale = DEFAULT_LOCALE) {
+    const names = {
+        revenue: 'Revenue',
+        cancellation_rate: 'Cancellation rate',
+        cod_share: 'COD share',
+        city_revenue: `${anomaly.city} revenue`
+    };
+    const format = (value) => anomaly.metric.endsWith('revenue') ? formatCurrency(value, locale) : `${value.toFixed(1)}%`;
+    return `${names[anomaly.metric]} ${anomaly.direction} on ${anomaly.date}: ${format(anomaly.value)} vs ${format(anomaly.expected)} expected (score ${anomaly.score})`;
+}
+
+// ============= DASHBOARD FILTERS =============
+// Filters for the interactive dashboard and its drill-downs. Values are the keys the engine groups
+// by ("Unknown" city, "Uncategorized" category, classified status), so picking a row on the
+// dashboard selects exactly the orders behind it.
+const ORDER_STATUS_CLASSES = ['delivered', 'pending', 'cancelled', 'returned', 'rto', 'refunded'];
+const DASHBOARD_FILTER_FIELDS = ['city', 'category', 'payment_method', 'status', 'product'];
+const DRILLDOWN_SORT_FIELDS = ['order_date', 'revenue'];
+const DRILLDOWN_DEFAULT_PAGE_SIZE = 25;
+const DRILLDOWN_MAX_PAGE_SIZE = 200;
+
+// "Mumbai,Pune" or ["Mumbai", "Pune"] (repeated query parameters)
+function toFilterList(value) {
+    if (!hasValue(value)) return [];
+    return (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+}
+
+// from/to are workspace-local days (YYYY-MM-DD); every other filter takes one or more values
+function extractDashboardFilters(req) {
+    const filters = { from: null, to: null };
+
+    for (const bound of ['from', 'to']) {
+        const value = getRequestOption(req, bound);
+        if (!hasValue(value)) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || !parseOrderDate(value)) {
+            throw httpError(400, `${bound} must be a date in YYYY-MM-DD format`);
+        }
+        filters[bound] = String(value);
+    }
+    if (filters.from && filters.to && filters.from > filters.to) {
+        throw httpError(400, 'from must not be after to');
+    }
+
+    for (const field of DASHBOARD_FILTER_FIELDS) {
+        filters[field] = toFilterList(getRequestOption(req, field));
+    }
+    filters.city = filters.city.map(city => canonicalCityName(city));
+    filters.status = filters.status.map(status => status.toLowerCase());
+    const unknownStatus = filters.status.find(status => !ORDER_STATUS_CLASSES.includes(status));
+    if (unknownStatus) {
+        throw httpError(400, `Unknown status "${unknownStatus}". Use one of: ${ORDER_STATUS_CLASSES.join(', ')}`);
+    }
+
+    return filters;
+}
+
+function hasActiveFilters(filters) {
+    return Boolean(filters && (filters.from || filters.to || DASHBOARD_FILTER_FIELDS.some(field => filters[field].length > 0)));
+}
+
+function describeDashboardFilters(filters) {
+    const parts = [];
+    if (filters.from || filters.to) parts.push(`${filters.from || 'start'} to ${filters.to || 'end'}`);
+    for (const field of DASHBOARD_FILTER_FIELDS) {
+        if (filters[field].length > 0) parts.push(`${field.replace('_', ' ')}: ${filters[field].join(', ')}`);
+    }
+    return parts.join(' • ');
+}
+
+// The engine files a product under the first category it is seen with; do the same here
+function buildProductCategories(orders) {
+    const categories = new Map();
+    for (const order of orders) {
+        const product = String(order?.product_name || 'Unknown Product');
+        if (!categories.has(product) && hasValue(order?.product_category)) {
+            categories.set(product, String(order.product_category).trim());
+        }
+    }
+    return categories;
+}
+
+// Payment methods are the canonical names the dashboard shows, so "cod" and "COD" filter together
+function getOrderDimensions(order, productCategories, payments = DEFAULT_PAYMENT_SETTINGS) {
+    const product = String(order?.product_name || 'Unknown Product');
+    return {
+        city: resolveOrderLocation(order).city,
+        category: productCategories.get(product) || 'Uncategorized',
+        payment_method: classifyPaymentMethod(order?.payment_method, payments).name,
+        status: classifyOrderStatus(order?.status),
+        product
+    };
+}
+
+// A date filter leaves out undated orders
+function filterOrders(orders, filters, locale = DEFAULT_LOCALE, payments = DEFAULT_PAYMENT_SETTINGS) {
+    if (!hasActiveFilters(filters)) return orders;
+    const productCategories = buildProductCategories(orders);
+
+    return orders.filter(order => {
+        if (filters.from || filters.to) {
+            const date = toWorkspaceDate(order?.order_date, locale.timezone);
+            if (!date) return false;
+            const day = toDayKey(date);
+            if ((filters.from && day < filters.from) || (filters.to && day > filters.to)) return false;
+        }
+        const dimensions = getOrderDimensions(order, productCategories, payments);
+        return DASHBOARD_FILTER_FIELDS.every(field => filters[field].length === 0 || filters[field].includes(dimensions[field]));
+    });
+}
+
+// Choices for the dashboard's dropdowns, taken from the whole run so they survive filtering.
+// Most orders first.
+function collectFilterOptions(orders, payments = DEFAULT_PAYMENT_SETTINGS) {
+    const productCategories = buildProductCategories(orders);
+    const counts = { city: Object.create(null), category: Object.create(null), payment_method: Object.create(null) };
+
+    for (const order of orders) {
+        const dimensions = getOrderDimensions(order, productCategories, payments);
+        for (const field of Object.keys(counts)) {
+            counts[field][dimensions[field]] = (counts[field][dimensions[field]] || 0) + 1;
+        }
+    }
+
+    const options = { status: ORDER_STATUS_CLASSES };
+    for (const [field, values] of Object.entries(counts)) {
+        options[field] = Object.keys(values).sort((a, b) => values[b] - values[a] || a.localeCompare(b));
+    }
+    return options;
+}
+
+// ?page=, ?page_size= and ?sort= (order_date or revenue, "-" prefix for descending)
+function parseDrilldownOptions(req) {
+    const page = hasValue(req.query.page) ? Number(req.query.page) : 1;
+    const pageSize = hasValue(req.query.page_size) ? Number(req.query.page_size) : DRILLDOWN_DEFAULT_PAGE_SIZE;
+    const sort = hasValue(req.query.sort) ? String(req.query.sort) : '-order_date';
+
+    if (!Number.isInteger(page) || page < 1) throw httpError(400, 'page must be a positive whole number');
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > DRILLDOWN_MAX_PAGE_SIZE) {
+        throw httpError(400, `page_size must be between 1 and ${DRILLDOWN_MAX_PAGE_SIZE}`);
+    }
+    if (!DRILLDOWN_SORT_FIELDS.includes(sort.replace(/^-/, ''))) {
+        throw httpError(400, `sort must be one of: ${DRILLDOWN_SORT_FIELDS.join(', ')} (prefix with - for descending)`);
+    }
+    return { page, pageSize, sort };
+}
+
+// Revenue is in the reporting currency, or null when the order's currency has no rate
+function toDrilldownRow(order, productCategories, locale, payments) {
+    const rate = getExchangeRate(order?.currency, locale);
+    const date = toWorkspaceDate(order?.order_date, locale.timezone);
+
+    return {
+        order_id: order?.order_id ?? null,
+        order_date: date ? toDayKey(date) : null,
+        customer_id: order?.customer_id ?? null,
+        ...getOrderDimensions(order, productCategories, payments),
+        quantity: Number(order?.quantity) || 1,
+        revenue: rate === null ? null : (Number(order?.revenue) || 0) * rate,
+        currency: hasValue(order?.currency) ? String(order.currency).trim().toUpperCase() : locale.currency
+    };
+}
+
+// One page of the orders behind a dashboard row, with totals for all of them
+function buildOrderDrilldown(orders, filters, { page, pageSize, sort }, locale = DEFAULT_LOCALE, payments = DEFAULT_PAYMENT_SETTINGS) {
+    const productCategories = buildProductCategories(orders);
+    const matched = filterOrders(orders, filters, locale, payments);
+    const metrics = new SafeFlowlyticsAnalytics(matched, { rules: [], locale, payments }).analysis;
+
+    const field = sort.replace(/^-/, '');
+    const direction = sort.startsWith('-') ? -1 : 1;
+    // Orders without a date or revenue go last either way
+    const rows = matched.map(order => toDrilldownRow(order, productCategories, locale, payments))
+        .sort((a, b) => {
+            if (a[field] === null || b[field] === null) return (a[field] === null) - (b[field] === null);
+            return (a[field] < b[field] ? -1 : a[field] > b[field] ? 1 : 0) * direction;
+        });
+
+    return {
+        filters,
+        summary: {
+            orders: metrics.orders.total,
+            revenue: metrics.financial.total_revenue,
+            delivered_revenue: metrics.financial.delivered_revenue,
+            delivered_profit: metrics.financial.delivered_profit,
+            average_order_value: metrics.financial.average_order_value,
+            cancellation_rate: metrics.orders.cancellation_rate,
+            return_rate: metrics.returns.return_rate,
+            customers: metrics.customers.unique.size,
+            currency: locale.currency
+        },
+        orders: rows.slice((page - 1) * pageSize, page * pageSize),
+        pagination: {
+            page,
+            page_size: pageSize,
+            total: rows.length,
+            pages: Math.max(1, Math.ceil(rows.length / pageSize)),
+            sort
+        }
+    };
+}
+
+// ============= ORDER QUERIES =============
+// Ad-hoc questions over the orders: metrics per group, after filters and a date range. Dimensions
+// are the dashboard's grouping keys plus location and time, and the metrics follow the engine's
+// definitions, so a query with no filters adds up to the /analyze figures.
+const QUERY_DEFAULT_LIMIT = 100;
+const QUERY_MAX_LIMIT = 1000;
+const QUERY_DEFAULT_METRICS = ['revenue', 'orders'];
+// Time dimensions use the engine's period keys: weeks start on Monday
+const QUERY_TIME_DIMENSIONS = { day: 'daily', week: 'weekly', month: 'monthly' };
+const QUERY_DIMENSIONS = [
+    'city', 'state', 'region', 'pincode', 'category', 'product', 'payment_method', 'payment_type', 'status', 'customer_id',
+    ...Object.keys(QUERY_TIME_DIMENSIONS)
+];
+const QUERY_FILTER_FIELDS = QUERY_DIMENSIONS.filter(dimension => !Object.hasOwn(QUERY_TIME_DIMENSIONS, dimension));
+
+function queryRate(count, total) {
+    return total > 0 ? count / total * 100 : 0;
+}
+
+// unit tells clients how to format the column
+const QUERY_METRICS = {
+    orders: { unit: 'count', value: acc => acc.orders },
+    revenue: { unit: 'currency', value: acc => acc.revenue },
+    delivered_revenue: { unit: 'currency', value: acc => acc.delivered_revenue },
+    profit: { unit: 'currency', value: acc => acc.profit },
+    delivered_profit: { unit: 'currency', value: acc => acc.delivered_profit },
+    margin: { unit: 'percent', value: acc => queryRate(acc.delivered_profit, acc.delivered_revenue) },
+    average_order_value: { unit: 'currency', value: acc => acc.delivered > 0 ? acc.delivered_revenue / acc.delivered : 0 },
+    units: { unit: 'count', value: acc => acc.units },
+    customers: { unit: 'count', value: acc => acc.customers.size },
+    revenue_lost_returns: { unit: 'currency', value: acc => acc.revenue_lost_returns },
+    delivery_rate: { unit: 'percent', value: acc => queryRate(acc.delivered, acc.orders) },
+    cancellation_rate: { unit: 'percent', value: acc => queryRate(acc.cancelled, acc.orders) },
+    return_rate: { unit: 'percent', value: acc => queryRate(acc.returns, acc.orders) },
+    rto_rate: { unit: 'percent', value: acc => queryRate(acc.rto, acc.orders) },
+    cod_share: { unit: 'percent', value: acc => queryRate(acc.cod_orders, acc.orders) }
+};
+
+// Everything a query can group or filter on for one order, plus the amounts it sums.
+// Returns null for an order whose currency has no rate, which the engine leaves out too.
+function toQueryRow(order, productCategories, locale, payments) {
+    const exchangeRate = getExchangeRate(order?.currency, locale);
+    if (exchangeRate === null) return null;
+
+    const revenue = (Number(order?.revenue) || 0) * exchangeRate;
+    const hasProfit = hasValue(order?.profit) && isFinite(Number(order.profit));
+    const statusClass = classifyOrderStatus(order?.status);
+    const payment = classifyPaymentMethod(order?.payment_method, payments);
+    const location = resolveOrderLocation(order);
+    const date = toWorkspaceDate(order?.order_date, locale.timezone);
+    const refund = getRefundAmount(order) * exchangeRate;
+    const dimensions = {
+        ...getOrderDimensions(order, productCategories, payments),
+        state: location.state,
+        region: location.region,
+        pincode: location.pincode || 'Unknown',
+        payment_type: payment.type,
+        customer_id: hasValue(order?.customer_id) ? String(order.customer_id) : 'Anonymous'
+    };
+    for (const [dimension, granularity] of Object.entries(QUERY_TIME_DIMENSIONS)) {
+        dimensions[dimension] = date ? getPeriodKey(date, granularity) : 'Undated';
+    }
+
+    return {
+        dimensions,
+        day: date ? toDayKey(date) : null,
+        status: statusClass,
+        revenue,
+        profit: hasProfit ? Number(order.profit) * exchangeRate : revenue * 0.2,
+        units: Number(order?.quantity) || 1,
+        revenue_lost: RETURN_STATUSES.includes(statusClass) ? (refund || revenue) : refund,
+        is_cod: payment.type === 'cod'
+    };
+}
+
+function createQueryAccumulator() {
+    return {
+        orders: 0,
+        revenue: 0,
+        delivered_revenue: 0,
+        profit: 0,
+        delivered_profit: 0,
+        units: 0,
+        revenue_lost_returns: 0,
+        delivered: 0,
+        cancelled: 0,
+        returns: 0,
+        rto: 0,
+        cod_orders: 0,
+        customers: new Set()
+    };
+}
+
+function accumulateQueryRow(acc, row) {
+    acc.orders++;
+    acc.revenue += row.revenue;
+    acc.profit += row.profit;
+    acc.units += row.units;
+    acc.revenue_lost_returns += row.revenue_lost;
+    if (row.status === 'delivered') {
+        acc.delivered++;
+        acc.delivered_revenue += row.revenue;
+        acc.delivered_profit += row.profit;
+    }
+    if (row.status === 'cancelled') acc.cancelled++;
+    if (RETURN_STATUSES.includes(row.status)) acc.returns++;
+    if (row.status === 'rto') acc.rto++;
+    if (row.is_cod) acc.cod_orders++;
+    if (row.dimensions.customer_id !== 'Anonymous') acc.customers.add(row.dimensions.customer_id);
+}
+
+// Fills in defaults and checks every field. List fields take a string or an array, like the
+// dashboard filters. Sort entries are metric or group-by names,
+// "-" first for descending.
+function parseStructuredQuery(input = {}) {
+    const errors = [];
+    const metrics = toFilterList(input.metrics);
+    const groupBy = toFilterList(input.group_by);
+    const query = {
+        metrics: metrics.length > 0 ? metrics : QUERY_DEFAULT_METRICS,
+        group_by: groupBy,
+        filters: {},
+        date_range: { from: null, to: null },
+        sort: toFilterList(input.sort),
+        limit: hasValue(input.limit) ? Number(input.limit) : QUERY_DEFAULT_LIMIT
+    };
+
+    const unknownMetric = query.metrics.find(metric => !Object.hasOwn(QUERY_METRICS, metric));
+    if (unknownMetric) errors.push(`Unknown metric "${unknownMetric}". Use: ${Object.keys(QUERY_METRICS).join(', ')}`);
+    const unknownDimension = query.group_by.find(dimension => !QUERY_DIMENSIONS.includes(dimension));
+    if (unknownDimension) errors.push(`Unknown group_by dimension "${unknownDimension}". Use: ${QUERY_DIMENSIONS.join(', ')}`);
+    if (new Set(query.group_by).size !== query.group_by.length) errors.push('group_by lists a dimension twice');
+
+    if (input.filters !== undefined && (typeof input.filters !== 'object' || input.filters === null || Array.isArray(input.filters))) {
+        errors.push('filters must be an object of dimension -> value or values');
+    } else {
+        for (const [field, value] of Object.entries(input.filters || {})) {
+            if (!QUERY_FILTER_FIELDS.includes(field)) {
+                errors.push(`Unknown filter "${field}". Use: ${QUERY_FILTER_FIELDS.join(', ')}`);
+                continue;
+            }
+            const values = toFilterList(value);
+            if (values.length > 0) query.filters[field] = values;
+        }
+    }
+    const unknownStatus = (query.filters.status || []).find(status => !ORDER_STATUS_CLASSES.includes(status.toLowerCase()));
+    if (unknownStatus) errors.push(`Unknown status "${unknownStatus}". Use one of: ${ORDER_STATUS_CLASSES.join(', ')}`);
+
+    for (const bound of ['from', 'to']) {
+        const value = input.date_range?.[bound];
+        if (!hasValue(value)) continue;
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(value)) || !parseOrderDate(value)) {
+            errors.push(`date_range.${bound} must be a date in YYYY-MM-DD format`);
+        } else {
+            query.date_range[bound] = String(value);
+        }
+    }
+    if (query.date_range.from && query.date_range.to && query.date_range.from > query.date_range.to) {
+        errors.push('date_range.from must not be after date_range.to');
+    }
+
+    const sortable = [...query.metrics, ...query.group_by];
+    const badSort = query.sort.find(field => !sortable.includes(field.replace(/^-/, '')));
+    if (badSort) errors.push(`Cannot sort by "${badSort}": sort by one of the query's metrics or group_by dimensions`);
+    if (!Number.isInteger(query.limit) || query.limit < 1 || query.limit > QUERY_MAX_LIMIT) {
+        errors.push(`limit must be a whole number between 1 and ${QUERY_MAX_LIMIT}`);
+    }
+
+    return { query, errors };
+}
+
+// Time-grouped results read oldest first; anything else biggest first on the first metric
+function getDefaultQuerySort(query) {
+    if (query.group_by.length > 0 && Object.hasOwn(QUERY_TIME_DIMENSIONS, query.group_by[0])) return [query.group_by[0]];
+    return [`-${query.metrics[0]}`];
+}
+
+function runOrderQuery(orders, query, locale = DEFAULT_LOCALE, payments = DEFAULT_PAYMENT_SETTINGS) {
+    const productCategories = buildProductCategories(orders);
+    // Filters match case-insensitively, so "pune" finds "Pune"
+    const filters = Object.entries(query.filters).map(([field, values]) => [field, new Set(values.map(value => value.toLowerCase()))]);
+    const { from, to } = query.date_range;
+    const groups = new Map();
+    const totals = createQueryAccumulator();
+    const skipped = { unconverted: 0, undated: 0 };
+
+    for (const order of orders) {
+        const row = toQueryRow(order, productCategories, locale, payments);
+        if (!row) {
+            skipped.unconverted++;
+            continue;
+        }
+        if (from || to) {
+            if (!row.day) {
+                skipped.undated++;
+                continue;
+            }
+            if ((from && row.day < from) || (to && row.day > to)) continue;
+        }
+        if (!filters.every(([field, values]) => values.has(String(row.dimensions[field]).toLowerCase()))) continue;
+
+        accumulateQueryRow(totals, row);
+        const key = JSON.stringify(query.group_by.map(dimension => row.dimensions[dimension]));
+        if (!groups.has(key)) groups.set(key, { dimensions: row.dimensions, acc: createQueryAccumulator() });
+        accumulateQueryRow(groups.get(key).acc, row);
+    }
+
+    const readMetrics = acc => Object.fromEntries(query.metrics.map(metric => [metric, QUERY_METRICS[metric].value(acc)]));
+    const sort = query.sort.length > 0 ? query.sort : getDefaultQuerySort(query);
+    const rows = [...groups.values()]
+        .map(({ dimensions, acc }) => ({
+            ...Object.fromEntries(query.group_by.map(dimension => [dimension, dimensions[dimension]])),
+            ...readMetrics(acc)
+        }))
+        .sort((a, b) => {
+            for (const entry of sort) {
+                const field = entry.replace(/^-/, '');
+                const direction = entry.startsWith('-') ? -1 : 1;
+                const order = typeof a[field] === 'number' ? a[field] - b[field] : String(a[field]).localeCompare(String(b[field]));
+                if (order !== 0) return order * direction;
+            }
+            return 0;
+        });
+
+    return {
+        columns: [
+            ...query.group_by.map(name => ({ name, type: 'dimension' })),
+            ...query.metrics.map(name => ({ name, type: 'metric', unit: QUERY_METRICS[name].unit }))
+        ],
+        rows: rows.slice(0, query.limit),
+        totals: totals.orders > 0 ? readMetrics(totals) : null,
+        matched_orders: totals.orders,
+        row_count: rows.length,
+        truncated: rows.length > query.limit,
+        sort,
+        skipped,
+        currency: locale.currency
+    };
+}
+
+// ----- Plain-English questions -----
+// "revenue from UPI in Pune last month by category" becomes a structured query. The parser only
+// picks out known phrases; whatever it skipped comes back under ignored_words.
+const QUERY_METRIC_PHRASES = {
+    delivered_revenue: ['delivered revenue', 'realised revenue', 'realized revenue', 'delivered sales'],
+    delivered_profit: ['delivered profit'],
+    average_order_value: ['average order value', 'avg order value', 'aov', 'basket size'],
+    margin: ['profit margin', 'margins', 'margin'],
+    revenue_lost_returns: ['revenue lost to returns', 'revenue lost', 'refunds', 'refunded'],
+    cancellation_rate: ['cancellation rate', 'cancel rate', 'cancellations'],
+    delivery_rate: ['delivery rate', 'delivery success rate', 'conversion rate'],
+    return_rate: ['return rate', 'returns'],
+    rto_rate: ['rto rate', 'rto'],
+    cod_share: ['cod share', 'share of cod', 'cod percentage'],
+    units: ['units sold', 'items sold', 'units', 'quantity'],
+    customers: ['unique customers', 'customers', 'buyers'],
+    orders: ['number of orders', 'order count', 'how many', 'orders'],
+    revenue: ['revenue', 'sales', 'gmv', 'turnover'],
+    profit: ['profits', 'profit']
+};
+const QUERY_DIMENSION_PHRASES = {
+    payment_method: ['payment methods', 'payment method', 'payment modes', 'payment mode', 'payments', 'payment', 'method'],
+    payment_type: ['payment types', 'payment type', 'cod vs prepaid'],
+    pincode: ['pincodes', 'pincode', 'pin codes', 'pin code', 'zip codes', 'zip code', 'postcodes', 'postcode'],
+    customer_id: ['customers', 'customer'],
+    category: ['categories', 'category'],
+    product: ['products', 'product', 'skus', 'sku', 'items', 'item'],
+    region: ['regions', 'region', 'zones', 'zone'],
+    state: ['states', 'state', 'provinces', 'province'],
+    city: ['cities', 'city'],
+    status: ['statuses', 'status'],
+    day: ['days', 'day', 'date', 'daily'],
+    week: ['weeks', 'week', 'weekly'],
+    month: ['months', 'month', 'monthly']
+};
+const QUERY_STATUS_WORDS = {
+    delivered: 'delivered', cancelled: 'cancelled', canceled: 'cancelled', returned: 'returned',
+    rto: 'rto', pending: 'pending', refunded: 'refunded'
+};
+const QUERY_MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const QUERY_MONTH_PATTERN = QUERY_MONTHS.map(name => `${name.slice(0, 3)}(?:${name.slice(3)})?`).join('|');
+const QUERY_STOP_WORDS = new Set([
+    'a', 'an', 'the', 'of', 'in', 'on', 'at', 'for', 'from', 'to', 'and', 'or', 'with', 'by', 'per', 'what', 'which', 'was',
+    'were', 'is', 'are', 'did', 'do', 'does', 'we', 'our', 'us', 'my', 'me', 'show', 'give', 'list', 'get', 'tell', 'much',
+    'total', 'all', 'each', 'every', 'across', 'split', 'broken', 'down', 'grouped', 'group', 'where', 'paid', 'via', 'using',
+    'made', 'make', 'have', 'had', 'been', 'during', 'over', 'orders', 'order', 'than', 'please', 'whats'
+]);
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Longest phrase first, so "delivered revenue" wins over "revenue"
+function buildPhrasePattern(phrases) {
+    return [...phrases].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+}
+
+function monthRange(year, monthIndex) {
+    const first = new Date(Date.UTC(year, monthIndex, 1));
+    const last = new Date(Date.UTC(year, monthIndex + 1, 0));
+    return { from: toDayKey(first), to: toDayKey(last) };
+}
+
+// Relative ranges count back from asOf (a YYYY-MM-DD day in the workspace timezone)
+function parseQueryDateRange(text, asOf) {
+    const [year, month] = asOf.split('-').map(Number);
+    const monthIndex = month - 1;
+    const rules = [
+        [/\b(?:from|between|since)\s+(\d{4}-\d{2}-\d{2})(?:\s+(?:to|and|until|till)\s+(\d{4}-\d{2}-\d{2}))?/, match => ({ from: match[1], to: match[2] || asOf })],
+        [/\btoday\b/, () => ({ from: asOf, to: asOf })],
+        [/\byesterday\b/, () => ({ from: shiftDay(asOf, -1), to: shiftDay(asOf, -1) })],
+        [/\b(?:last|past|previous)\s+(\d+)\s+(day|week|month)s?\b/, match => {
+            const count = Number(match[1]);
+            if (match[2] === 'month') {
+                const start = new Date(Date.UTC(year, monthIndex - count, Number(asOf.slice(8, 10))));
+                return { from: shiftDay(toDayKey(start), 1), to: asOf };
+            }
+            return { from: shiftDay(asOf, 1 - count * (match[2] === 'week' ? 7 : 1)), to: asOf };
+        }],
+        [/\b(this|last|previous)\s+week\b/, match => {
+            const monday = getPeriodKey(new Date(`${asOf}T00:00:00Z`), 'weekly');
+            return match[1] === 'this' ? { from: monday, to: asOf } : { from: shiftDay(monday, -7), to: shiftDay(monday, -1) };
+        }],
+        [/\b(this|last|previous)\s+month\b/, match => match[1] === 'this' ?
+            { from: monthRange(year, monthIndex).from, to: asOf } : monthRange(year, monthIndex - 1)],
+        [/\b(this|last|previous)\s+quarter\b/, match => {
+            const quarterStart = monthIndex - monthIndex % 3 - (match[1] === 'this' ? 0 : 3);
+            return match[1] === 'this' ?
+                { from: monthRange(year, quarterStart).from, to: asOf } :
+                { from: monthRange(year, quarterStart).from, to: monthRange(year, quarterStart + 2).to };
+        }],
+        [/\b(this|last|previous)\s+year\b/, match => match[1] === 'this' ?
+            { from: `${year}-01-01`, to: asOf } : { from: `${year - 1}-01-01`, to: `${year - 1}-12-31` }],
+        [/\bq([1-4])(?:\s+(\d{4}))?\b/, match => {
+            const quarterStart = (Number(match[1]) - 1) * 3;
+            const quarterYear = match[2] ? Number(match[2]) : (quarterStart > monthIndex ? year - 1 : year);
+            return { from: monthRange(quarterYear, quarterStart).from, to: monthRange(quarterYear, quarterStart + 2).to };
+        }],
+        // A month needs a year after it or "in"/"for" before it, so "may be higher in march" reads as
+        // March. Without a year it is the latest one that has started.
+        [new RegExp(`\\b(?:in|during|for)\\s+(${QUERY_MONTH_PATTERN})\\b(?:\\s+(\\d{4}))?|\\b(${QUERY_MONTH_PATTERN})\\s+(\\d{4})\\b`), match => {
+            const name = match[1] || match[3];
+            const index = QUERY_MONTHS.findIndex(month => month.startsWith(name.slice(0, 3)));
+            const explicitYear = match[2] || match[4];
+            const monthYear = explicitYear ? Number(explicitYear) : (index > monthIndex ? year - 1 : year);
+            return monthRange(monthYear, index);
+        }],
+        [/\b(?:in|during|for)\s+(\d{4})\b/, match => ({ from: `${match[1]}-01-01`, to: `${match[1]}-12-31` })]
+    ];
+
+    for (const [pattern, toRange] of rules) {
+        const match = text.match(pattern);
+        if (match) return { range: toRange(match), phrase: match[0] };
+    }
+    return null;
+}
+
+// Names from the data that a question can mention: cities, states, categories, products, and the
+// payment taxonomy's labels ("upi", "cash on delivery")
+function collectQueryValues(orders, locale, payments) {
+    const productCategories = buildProductCategories(orders);
+    const values = new Map();
+    const add = (field, value) => {
+        const phrase = normalizePaymentLabel(value);
+        // Too short or numeric to find safely in a sentence
+        if (phrase.length < 2 || /^\d+$/.test(phrase) || values.has(phrase)) return;
+        values.set(phrase, { field, value });
+    };
+
+    for (const order of orders) {
+        const row = toQueryRow(order, productCategories, locale, payments);
+        if (!row) continue;
+        for (const field of ['city', 'state', 'region', 'category', 'product']) {
+            if (!['Unknown', 'Uncategorized', 'Unknown Product'].includes(row.dimensions[field])) add(field, row.dimensions[field]);
+        }
+    }
+    for (const [label, name] of payments.aliases) add('payment_method', name === label ? name : label);
+    for (const name of Object.keys(payments.types)) add('payment_method', name);
+    add('payment_type', 'prepaid');
+    // Aliases map to the method's canonical name
+    for (const entry of values.values()) {
+        if (entry.field === 'payment_method') entry.value = classifyPaymentMethod(entry.value, payments).name;
+    }
+    return values;
+}
+
+function parseQuestion(question, { orders, locale = DEFAULT_LOCALE, payments = DEFAULT_PAYMENT_SETTINGS, asOf }) {
+    // Lower case, single spaces, and punctuation kept only inside dates
+    let text = ` ${String(question).toLowerCase().replace(/[^a-z0-9\-\s]+/g, ' ').replace(/\s+/g, ' ').trim()} `;
+    const consume = phrase => { text = text.replace(phrase, ' '); };
+    const interpretation = [];
+    const query = { metrics: [], group_by: [], filters: {}, date_range: { from: null, to: null }, sort: [], limit: QUERY_DEFAULT_LIMIT };
+    const addFilter = (field, value) => {
+        query.filters[field] = [...new Set([...(query.filters[field] || []), value])];
+    };
+
+    const dates = parseQueryDateRange(text, asOf);
+    if (dates) {
+        query.date_range = dates.range;
+        interpretation.push(`${dates.range.from} to ${dates.range.to} ("${dates.phrase.trim()}")`);
+        consume(dates.phrase);
+    }
+    // Hyphens only mattered for dates; names are compared without them ("t-shirt" is "t shirt")
+    text = text.replace(/-/g, ' ');
+
+    const dimensionPattern = buildPhrasePattern(Object.values(QUERY_DIMENSION_PHRASES).flat());
+    const findDimension = phrase => Object.keys(QUERY_DIMENSION_PHRASES).find(dimension => QUERY_DIMENSION_PHRASES[dimension].includes(phrase));
+
+    // "top 5 cities" ranks and groups at once
+    let direction = -1;
+    const ranking = text.match(new RegExp(`\\b(top|best|highest|most|bottom|worst|lowest|least)\\s+(\\d+)(?:\\s+(${dimensionPattern}))?\\b`));
+    if (ranking) {
+        query.limit = Math.min(Number(ranking[2]), QUERY_MAX_LIMIT);
+        direction = ['bottom', 'worst', 'lowest', 'least'].includes(ranking[1]) ? 1 : -1;
+        if (ranking[3]) query.group_by.push(findDimension(ranking[3]));
+        interpretation.push(`${direction < 0 ? 'top' : 'bottom'} ${query.limit}`);
+        consume(ranking[0]);
+    }
+
+    // "cancelled orders" filters on status; "cancellation rate" is a metric
+    const statusPattern = new RegExp(`\\b(${Object.keys(QUERY_STATUS_WORDS).join('|')})\\s+orders\\b`, 'g');
+    text = text.replace(statusPattern, (match, word) => {
+        addFilter('status', QUERY_STATUS_WORDS[word]);
+        interpretation.push(`status is ${QUERY_STATUS_WORDS[word]}`);
+        return ' orders ';
+    });
+
+    const groupPattern = new RegExp(`\\b(?:by|per|for each|for every|each|across|split by|broken down by|grouped by)\\s+(${dimensionPattern})((?:\\s*(?:and|then|,)\\s*(?:by\\s+)?(?:${dimensionPattern})\\b)*)`, 'g');
+    text = text.replace(groupPattern, match => {
+        for (const phrase of match.match(new RegExp(`\\b(${dimensionPattern})\\b`, 'g'))) {
+            const dimension = findDimension(phrase);
+            if (!query.group_by.includes(dimension)) query.group_by.push(dimension);
+        }
+        return ' ';
+    });
+    // "daily revenue", "monthly orders"
+    text = text.replace(/\b(daily|weekly|monthly)\b/g, (match, word) => {
+        const dimension = findDimension(word);
+        if (!query.group_by.includes(dimension)) query.group_by.push(dimension);
+        return ' ';
+    });
+    if (query.group_by.length > 0) interpretation.push(`grouped by ${query.group_by.join(', ')}`);
+
+    const metricPattern = new RegExp(`\\b(${buildPhrasePattern(Object.values(QUERY_METRIC_PHRASES).flat())})\\b`, 'g');
+    text = text.replace(metricPattern, (match, phrase) => {
+        const metric = Object.keys(QUERY_METRIC_PHRASES).find(name => QUERY_METRIC_PHRASES[name].includes(phrase));
+        if (!query.metrics.includes(metric)) query.metrics.push(metric);
+        return ' ';
+    });
+    if (query.metrics.length === 0) query.metrics = [...QUERY_DEFAULT_METRICS];
+    interpretation.unshift(`metrics: ${query.metrics.join(', ')}`);
+
+
+    // Names from the data, longest first so "navi mumbai" isn't read as "mumbai"
+    const values = collectQueryValues(orders, locale, payments);
+    for (const phrase of [...values.keys()].sort((a, b) => b.length - a.length)) {
+        const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(phrase)}(?![a-z0-9])`);
+        if (!pattern.test(text)) continue;
+        const { field, value } = values.get(phrase);
+        addFilter(field, value);
+        interpretation.push(`${field.replace('_', ' ')} is ${value}`);
+        text = text.replace(pattern, ' ');
+    }
+    const pincodes = text.match(/\b\d{6}\b/g) || [];
+    for (const pincode of pincodes) {
+        addFilter('pincode', pincode);
+        interpretation.push(`pincode is ${pincode}`);
+        consume(pincode);
+    }
+
+    if (ranking) query.sort = [`${direction < 0 ? '-' : ''}${query.metrics[0]}`];
+
+    return {
+        query,
+        interpretation,
+        ignored_words: text.split(' ').filter(word => word && !QUERY_STOP_WORDS.has(word))
+    };
+}
+
+// ============= HTML GENERATOR =============
+// locale comes from resolveLocaleSettings(); ₹1.25 L with Indian grouping, $1.25M with Western
+function formatCurrency(value, locale = DEFAULT_LOCALE) {
+    const symbol = getCurrencyPrefix(locale);
+    if (!value && value !== 0) return `${symbol}0`;
+    const numValue = Number(value);
+    if (isNaN(numValue)) return `${symbol}0`;
+    
+    for (const [divisor, suffix, decimals] of CURRENCY_ABBREVIATIONS[locale.number_grouping]) {
+        if (numValue >= divisor) return `${symbol}${(numValue / divisor).toFixed(decimals)}${suffix}`;
+    }
+    return `${symbol}${formatNumber(Math.round(numValue), locale)}`;
+}
+
+function formatGrowth(value) {
+    if (value === null || value === undefined || !isFinite(value)) return '—';
+    return `${value >= 0 ? '▲' : '▼'} ${Math.abs(value).toFixed(1)}%`;
+}
+
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Clicking an element with these attributes opens the drill-down panel for that value
+function drillAttributes(field, value) {
+    return `class="drillable" data-drill-field="${field}" data-drill-value="${escapeHTML(value)}"`;
+}
+
+const CHART_PALETTE = ['#1a237e', '#00bcd4', '#ff9800', '#4caf50', '#f44336', '#534bae', '#8d6e63', '#607d8b'];
+
+// Horizontal bars for ranked breakdowns; items are { label, value }
+function renderBarChart(items, formatValue = (v) => v, { drillField = null, color = CHART_PALETTE[0] } = {}) {
+    if (items.length === 0) {
+        return '<p style="color: var(--medium-gray);">No data for this chart.</p>';
+    }
+
+    const width = 640;
+    const rowHeight = 28;
+    const labelWidth = 150;
+    const valueWidth = 90;
+    const height = items.length * rowHeight;
+    const maxValue = Math.max(1, ...items.map(item => item.value));
+    const x = (v) => Math.max(2, (v / maxValue) * (width - labelWidth - valueWidth));
+
+    const bars = items.map((item, i) => {
+        const y = i * rowHeight;
+        const label = item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label;
+        return `
+            <g${drillField ? ` ${drillAttributes(drillField, item.label)}` : ''}>
+                <text x="${labelWidth - 8}" y="${y + 18}" text-anchor="end" font-size="12" fill="#263238">${escapeHTML(label)}</text>
+                <rect x="${labelWidth}" y="${y + 5}" width="${x(item.value).toFixed(1)}" height="${rowHeight - 10}" rx="3" fill="${color}">
+                    <title>${escapeHTML(item.label)}: ${formatValue(item.value)}</title>
+                </rect>
+                <text x="${labelWidth + x(item.value) + 6}" y="${y + 18}" font-size="11" fill="#757575">${formatValue(item.value)}</text>
+            </g>`;
+    }).join('');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img">
+            ${bars}
+        </svg>`;
+}
+
+// Share of a whole as a ring; items are { label, value, detail }
+function renderDonutChart(items, { drillField = null } = {}) {
+    const total = items.reduce((sum, item) => sum + item.value, 0);
+    if (total <= 0) {
+        return '<p style="color: var(--medium-gray);">No data for this chart.</p>';
+    }
+
+    const radius = 70;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+    const segments = items.map((item, index) => {
+        const length = item.value / total * circumference;
+        const segment = `
+                <circle cx="100" cy="100" r="${radius}" fill="none" stroke="${CHART_PALETTE[index % CHART_PALETTE.length]}" stroke-width="36"
+                    stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}"${drillField ? ` ${drillAttributes(drillField, item.label)}` : ''}>
+                    <title>${escapeHTML(item.label)}: ${(item.value / total * 100).toFixed(1)}%</title>
+                </circle>`;
+        offset += length;
+        return segment;
+    }).join('');
+
+    const legend = items.map((item, index) => `
+            <div${drillField ? ` ${drillAttributes(drillField, item.label)}` : ''} style="display: flex; align-items: center; gap: 8px; margin-bottom: 6px;">
+                <span style="width: 12px; height: 12px; border-radius: 2px; background: ${CHART_PALETTE[index % CHART_PALETTE.length]};"></span>
+                <span><strong>${escapeHTML(item.label)}</strong> ${(item.value / total * 100).toFixed(1)}%${item.detail ? ` • ${item.detail}` : ''}</span>
+            </div>`).join('');
+
+    return `
+        <div class="donut-chart">
+            <svg viewBox="0 0 200 200" role="img"><g transform="rotate(-90 100 100)">${segments}</g></svg>
+            <div>${legend}</div>
+        </div>`;
+}
+
+const percentColumn = (header, key) => ({
+    header,
+    numeric: true,
+    value: row => row[key],
+    display: row => row[key] === null ? 'n/a' : `${row[key].toFixed(1)}%`
+});
+const currencyColumn = (header, key, locale) => ({ header, numeric: true, value: row => row[key], display: row => formatCurrency(row[key], locale) });
+
+// columns: [{ header, value: row => sort value, display: row => cell HTML (the escaped value by default), numeric }].
+// Rows past the first page start hidden; the page script sorts on header clicks and pages through the rest.
+// drill: { field, value: row => value } makes each row open the drill-down panel.
+function renderDataTable(columns, rows, { pageSize = 10, drill = null, empty = 'Nothing to show.' } = {}) {
+    if (rows.length === 0) {
+        return `<p style="color: var(--medium-gray);">${empty}</p>`;
+    }
+
+    return `
+                <div class="table-container">
+                    <table class="data-table" data-interactive data-page-size="${pageSize}">
+                        <thead>
+                            <tr>
+                                ${columns.map(column => `<th data-sort="${column.numeric ? 'number' : 'text'}">${column.header}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map((row, index) => `
+                                <tr${drill ? ` ${drillAttributes(drill.field, drill.value(row))}` : ''}${index >= pageSize ? ' hidden' : ''}>
+                                    ${columns.map(column => {
+                                        const value = column.value(row);
+                                        return `<td data-value="${escapeHTML(value)}">${column.display ? column.display(row) : escapeHTML(value)}</td>`;
+                                    }).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+}
+
+// Inline SVG so the dashboard renders without any charting library
+function renderTrendChart(series, lines, formatValue = (v) => v) {
+    if (!series || series.length === 0) {
+        return '<p style="color: var(--medium-gray);">No dated orders available for this chart.</p>';
+    }
+
+    const width = 640;
+    const height = 220;
+    const pad = { top: 16, right: 16, bottom: 32, left: 64 };
+    const plotWidth = width - pad.left - pad.right;
+    const plotHeight = height - pad.top - pad.bottom;
+
+    const maxValue = Math.max(1, ...series.flatMap(point => lines.flatMap(line =>
+        [line.key, ...(line.band || [])].map(key => Number(point[key]) || 0))));
+    const x = (i) => pad.left + (series.length === 1 ? plotWidth / 2 : (i / (series.length - 1)) * plotWidth);
+    const y = (v) => pad.top + plotHeight - ((Number(v) || 0) / maxValue) * plotHeight;
+
+    const gridLines = [0, 0.5, 1].map(ratio => {
+        const value = maxValue * ratio;
+        return `
+            <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(value)}" y2="${y(value)}" stroke="#e0e0e0" stroke-dasharray="4 4"/>
+            <text x="${pad.left - 8}" y="${y(value) + 4}" text-anchor="end" font-size="11" fill="#757575">${formatValue(value)}</text>`;
+    }).join('');
+
+    const labelIndexes = [...new Set([0, Math.floor((series.length - 1) / 2), series.length - 1])];
+    const xLabels = labelIndexes.map(i => `
+            <text x="${x(i)}" y="${height - 8}" text-anchor="middle" font-size="11" fill="#757575">${series[i].period}</text>`).join('');
+
+    // A line only covers the periods where it has a value, e.g. a forecast after the actuals
+    const paths = lines.map(line => {
+        const indexes = series.map((point, i) => i).filter(i => hasValue(series[i][line.key]));
+        const points = indexes.map(i => `${x(i).toFixed(1)},${y(series[i][line.key]).toFixed(1)}`).join(' ');
+        const band = line.band ? `
+            <polygon fill="${line.color}" fill-opacity="0.12" stroke="none" points="${[
+                ...indexes.map(i => `${x(i).toFixed(1)},${y(series[i][line.band[1]]).toFixed(1)}`),
+                ...[...indexes].reverse().map(i => `${x(i).toFixed(1)},${y(series[i][line.band[0]]).toFixed(1)}`)
+            ].join(' ')}"/>` : '';
+        const dots = series.length <= 62 ? indexes.map(i => `
+            <circle cx="${x(i).toFixed(1)}" cy="${y(series[i][line.key]).toFixed(1)}" r="3" fill="${line.color}">
+                <title>${series[i].period}: ${formatValue(series[i][line.key])}${line.band ? ` (${formatValue(series[i][line.band[0]])} – ${formatValue(series[i][line.band[1]])})` : ''}</title>
+            </circle>`).join('') : '';
+        return `${band}
+            <polyline fill="none" stroke="${line.color}" stroke-width="2.5" points="${points}"${line.dashed ? ' stroke-dasharray="6 4"' : ''}/>${dots}`;
+    }).join('');
+
+    const legend = lines.map(line => `
+        <span style="display: inline-flex; align-items: center; gap: 6px; margin-right: var(--space-sm); font-size: 0.85rem;">
+            <span style="width: 12px; height: 12px; border-radius: 2px; background: ${line.color};"></span>${line.label}
+        </span>`).join('');
+
+    return `
+        <svg class="trend-chart" viewBox="0 0 ${width} ${height}" role="img">
+            ${gridLines}${xLabels}${paths}
+        </svg>
+        <div>${legend}</div>`;
+}
+
+function renderReturnsTable(label, buckets, locale) {
+    const rows = Object.entries(buckets || {})
+        .filter(([, bucket]) => bucket.returns > 0)
+        .sort((a, b) => b[1].return_rate - a[1].return_rate)
+        .slice(0, 5);
+    
+    if (rows.length === 0) {
+        return '<p style="color: var(--medium-gray);">No returns recorded.</p>';
+    }
+    
+    return `
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>${label}</th>
+                                <th>Return Rate</th>
+                                <th>Returns / RTO</th>
+                                <th>Revenue Lost</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([name, bucket]) => `
+                                <tr>
+                                    <td>${escapeHTML(name)}</td>
+                                    <td>${bucket.return_rate.toFixed(1)}%</td>
+                                    <td>${bucket.returned + bucket.refunded} / ${bucket.rto}</td>
+                                    <td>${formatCurrency(bucket.revenue_lost, locale)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+}
+
+function renderCategoryTable(categories, locale, drillField = null) {
+    return renderDataTable([
+        {
+            header: 'Category',
+            value: category => category.category,
+            display: category => `${escapeHTML(category.category)} <span style="color: var(--medium-gray);">(${category.products})</span>`
+        },
+        {
+            header: 'Revenue',
+            numeric: true,
+            value: category => category.revenue,
+            display: category => `${formatCurrency(category.revenue, locale)} (${category.revenue_share.toFixed(0)}%)`
+        },
+        percentColumn('Margin', 'margin'),
+        percentColumn('Cancelled', 'cancellation_rate'),
+        percentColumn('Returned', 'return_rate')
+    ], categories, { drill: drillField && { field: drillField, value: category => category.category } });
+}
+
+function renderProductTable(products, locale, drillField = null) {
+    const classStyles = { A: 'status-success', B: 'status-warning', C: 'status-danger' };
+    return renderDataTable([
+        {
+            header: 'Product',
+            value: product => product.name,
+            display: product => `${escapeHTML(product.name)}<br><span style="color: var(--medium-gray);">${escapeHTML(product.category)}</span>`
+        },
+        {
+            header: 'Class',
+            value: product => product.abc_class,
+            display: product => `<span class="status-indicator ${classStyles[product.abc_class]}">${product.abc_class}</span>`
+        },
+        currencyColumn('Revenue', 'revenue', locale),
+        percentColumn('Margin', 'margin'),
+        percentColumn('Cancelled', 'cancellation_rate'),
+        percentColumn('Returned', 'return_rate')
+    ], products, { drill: drillField && { field: drillField, value: product => product.name }, empty: 'No products to show.' });
+}
+
+function renderCityTable(cities, locale, drillField = null) {
+    return renderDataTable([
+        { header: 'City', value: city => city.city },
+        currencyColumn('Revenue', 'revenue', locale),
+        { header: 'Orders', numeric: true, value: city => city.orders },
+        { header: 'Customers', numeric: true, value: city => city.customers },
+        percentColumn('COD Share', 'cod_rate'),
+        percentColumn('Return Rate', 'return_rate'),
+        { header: 'RTO', numeric: true, value: city => city.rto }
+    ], cities, { drill: drillField && { field: drillField, value: city => city.city } });
+}
+
+function renderLocationRiskTable(locations, header, key, empty = 'No locations to show.') {
+    const levelStyles = { High: 'status-danger', Medium: 'status-warning', Low: 'status-success' };
+    return renderDataTable([
+        {
+            header,
+            value: location => location[key],
+            display: location => key === 'pincode' ?
+                `${location.pincode}<br><span style="color: var(--medium-gray);">${escapeHTML(location.city)}, ${escapeHTML(location.state)}</span>` :
+                escapeHTML(location[key])
+        },
+        { header: 'Orders', numeric: true, value: location => location.orders },
+        percentColumn('Delivered', 'delivery_success_rate'),
+        percentColumn('Cancelled', 'cancellation_rate'),
+        percentColumn('RTO', 'rto_rate'),
+        percentColumn('COD Share', 'cod_share'),
+        {
+            header: 'Risk',
+            numeric: true,
+            value: location => location.risk_score,
+            display: location => `<span class="status-indicator ${levelStyles[location.risk_level]}">${location.risk_score} ${location.risk_level}</span>`
+        }
+    ], locations, { empty });
+}
+
+function renderInventoryTable(items) {
+    const levelStyles = {
+        'Out of Stock': 'status-danger', High: 'status-danger', Medium: 'status-warning',
+        Low: 'status-success', Overstock: 'status-warning', 'No Sales': ''
+    };
+    const levels = STOCK_RISK_LEVELS.map(entry => entry.level);
+    const days = value => value === null ? 'n/a' : value.toFixed(0);
+    return renderDataTable([
+        {
+            header: 'Product',
+            value: item => item.product_name || item.sku,
+            display: item => `${escapeHTML(item.product_name || item.sku)}${item.sku && item.product_name ?
+                `<br><span style="color: var(--medium-gray);">${escapeHTML(item.sku)}</span>` : ''}`
+        },
+        { header: 'Stock', numeric: true, value: item => item.stock },
+        { header: 'Units / Day', numeric: true, value: item => item.velocity, display: item => item.velocity.toFixed(1) },
+        { header: 'Days of Cover', numeric: true, value: item => item.days_of_cover ?? Infinity, display: item => days(item.days_of_cover) },
+        { header: 'Lead Time', numeric: true, value: item => item.lead_time_days, display: item => `${item.lead_time_days}d` },
+        { header: 'Reorder Point', numeric: true, value: item => item.reorder_point },
+        { header: 'Suggested Reorder', numeric: true, value: item => item.suggested_reorder },
+        {
+            header: 'Risk',
+            value: item => levels.indexOf(item.risk_level),
+            display: item => `<span class="status-indicator ${levelStyles[item.risk_level]}" title="${escapeHTML(item.action)}">${item.risk_level}</span>`
+        }
+    ], items, { empty: 'No SKUs uploaded.' });
+}
+
+function renderPaymentMethodTable(methods, locale, drillField = null) {
+    return renderDataTable([
+        { header: 'Method', value: method => method.method },
+        { header: 'Orders', numeric: true, value: method => method.orders },
+        currencyColumn('Revenue', 'revenue', locale),
+        currencyColumn('Net of Fees', 'net_revenue', locale),
+        percentColumn('Delivered', 'delivery_rate'),
+        percentColumn('Cancelled', 'cancellation_rate'),
+        percentColumn('RTO', 'rto_rate'),
+        percentColumn('Returned', 'return_rate')
+    ], methods, { drill: drillField && { field: drillField, value: method => method.method } });
+}
+
+function formatDeltaChange(delta, locale) {
+    if (delta.change === null) return 'n/a';
+    const sign = delta.change > 0 ? '+' : delta.change < 0 ? '−' : '';
+    if (delta.unit === 'rate') return `${sign}${Math.abs(delta.change).toFixed(1)} pts`;
+    const amount = `${sign}${formatDeltaValue(Math.abs(delta.change), delta.unit, locale)}`;
+    return delta.percent_change === null ? amount : `${amount} (${formatGrowth(delta.percent_change)})`;
+}
+
+// rows: [label, delta, improved] where improved is true, false or null (neutral)
+function renderComparisonTable(firstColumn, rows, labels, locale) {
+    return `
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>${firstColumn}</th>
+                                <th>${escapeHTML(labels.previous)}</th>
+                                <th>${escapeHTML(labels.current)}</th>
+                                <th>Change</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${rows.map(([label, delta, improved]) => `
+                                <tr>
+                                    <td>${escapeHTML(label)}</td>
+                                    <td>${formatDeltaValue(delta.previous, delta.unit, locale)}</td>
+                                    <td>${formatDeltaValue(delta.current, delta.unit, locale)}</td>
+                                    <td class="${improved === true ? 'growth-up' : improved === false ? 'growth-down' : ''}">${formatDeltaChange(delta, locale)}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>`;
+}
+
+function renderPeriodComparison(comparison, locale) {
+    const labels = { current: comparison.current.label, previous: comparison.previous.label };
+    const { deltas } = comparison;
+    const headline = [
+        deltas.financial.delivered_revenue,
+        deltas.financial.delivered_profit,
+        deltas.financial.profit_margin,
+        deltas.financial.average_order_value,
+        deltas.orders.total,
+        deltas.orders.cancellation_rate,
+        deltas.customers.unique,
+        deltas.customers.repeat_rate,
+        deltas.returns.return_rate,
+        deltas.returns.rto_rate,
+        deltas.payments.cod_cancellation_rate
+    ].map(delta => [delta.label, delta, delta.improved]);
+    const byRevenueSwing = (a, b) => Math.abs(b[1].revenue.change) - Math.abs(a[1].revenue.change);
+    const cities = Object.entries(deltas.cities).sort(byRevenueSwing).slice(0, 8)
+        .map(([city, delta]) => [city, delta.revenue, delta.revenue.change ? delta.revenue.change > 0 : null]);
+    const methods = Object.entries(deltas.payment_methods).sort(byRevenueSwing)
+        .map(([method, delta]) => [method, delta.revenue, delta.revenue.change ? delta.revenue.change > 0 : null]);
+
+    return `
+        <div class="card">
+            <div class="card-header">
+                <h2>Period Comparison</h2>
+                <span>${escapeHTML(labels.current)} vs ${escapeHTML(labels.previous)}</span>
+            </div>
+
+            <div class="metrics-grid">
+                ${[comparison.previous, comparison.current].map(period => `
+                <div class="metric-card">
+                    <div class="metric-value">${period.business_health.score}</div>
+                    <div class="metric-label">${escapeHTML(period.label)}</div>
+                    <div>${period.orders} orders • ${escapeHTML(period.business_health.status)}</div>
+                </div>`).join('')}
+            </div>
+
+            ${renderComparisonTable('Metric', headline, labels, locale)}
+
+            ${comparison.insights.map(insight => `
+                <div style="padding: var(--space-md); margin-top: var(--space-sm); border-left: 4px solid ${insight.severity === 'Critical' ? 'var(--danger-red)' : insight.severity === 'Warning' ? 'var(--warning-orange)' : 'var(--success-green)'}; background: white;">
+                    <h3>${escapeHTML(insight.title)}</h3>
+                    <p>${escapeHTML(insight.description)}</p>
+                </div>
+            `).join('')}
+
+            <div class="chart-grid">
+                <div>
+                    <h3>City Revenue</h3>
+                    ${renderComparisonTable('City', cities, labels, locale)}
+                </div>
+                <div>
+                    <h3>Payment Method Revenue</h3>
+                    ${renderComparisonTable('Payment Method', methods, labels, locale)}
+                </div>
+            </div>
+        </div>`;
+}
+
+// Submitting the form reloads the dashboard with the filters in the query string
+function renderFilterBar(filters, { filter_options: options, workspace_id: workspaceId, forecast }) {
+    const select = (field, label, values) => `
+            <label>${label}
+                <select name="${field}">
+                    <option value="">All</option>
+                    ${values.map(value => `<option value="${escapeHTML(value)}"${filters[field].includes(value) ? ' selected' : ''}>${escapeHTML(value)}</option>`).join('')}
+                </select>
+            </label>`;
+
+    return `
+        <form class="card filter-bar" method="get">
+            ${workspaceId ? `<input type="hidden" name="workspace_id" value="${escapeHTML(workspaceId)}">` : ''}
+            ${filters.product.map(product => `<input type="hidden" name="product" value="${escapeHTML(product)}">`).join('')}
+            <label>From <input type="date" name="from" value="${filters.from || ''}"></label>
+            <label>To <input type="date" name="to" value="${filters.to || ''}"></label>
+            ${select('city', 'City', options.city)}
+            ${select('category', 'Category', options.category)}
+            ${select('payment_method', 'Payment', options.payment_method)}
+            ${select('status', 'Status', options.status)}
+            <label><input type="checkbox" name="forecast" value="true"${forecast ? ' checked' : ''}> Forecast</label>
+            <button type="submit" class="action-button">Apply</button>
+            <a href="?${workspaceId ? `workspace_id=${encodeURIComponent(workspaceId)}` : ''}">Reset</a>
+        </form>`;
+}
+
+function renderDrilldownPanel() {
+    return `
+        <div class="drilldown-overlay" id="drilldown" hidden>
+            <div class="card">
+                <div class="card-header">
+                    <h2 data-role="title">Orders</h2>
+                    <button type="button" class="action-button" data-role="close">Close</button>
+                </div>
+                <div class="metrics-grid" data-role="summary"></div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Date</th>
+                                <th>Order</th>
+                                <th>Customer</th>
+                                <th>Product</th>
+                                <th>Payment</th>
+                                <th>Status</th>
+                                <th>Revenue</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+                <div class="table-pager">
+                    <button type="button" data-step="-1">Previous</button>
+                    <span data-role="status"></span>
+                    <button type="button" data-step="1">Next</button>
+                </div>
+            </div>
+        </div>`;
+}
+
+// Sorting, paging, filter auto-submit and drill-downs. Plain DOM code, so the page stays self-contained.
+// config.query holds the active filters, which every drill-down request repeats.
+function renderDashboardScript(config) {
+    return `
+    <script type="application/json" id="dashboard-config">${JSON.stringify(config).replace(/</g, '\\u003c')}</script>
+    <script>
+    (function () {
+        const config = JSON.parse(document.getElementById('dashboard-config').textContent);
+        const numberFormat = new Intl.NumberFormat(config.number_locale, { maximumFractionDigits: 0 });
+        const formatMoney = (value) => value === null ? '—' : config.currency_prefix + numberFormat.format(value);
+        const formatPercent = (value) => (Number(value) || 0).toFixed(1) + '%';
+
+        document.querySelectorAll('table[data-interactive]').forEach((table) => {
+            const body = table.tBodies[0];
+            const rows = Array.from(body.rows);
+            const pageSize = Number(table.dataset.pageSize) || rows.length;
+            const pager = document.createElement('div');
+            pager.className = 'table-pager';
+            pager.innerHTML = '<button type="button" data-step="-1">Previous</button><span></span><button type="button" data-step="1">Next</button>';
+            table.parentNode.after(pager);
+            let page = 0;
+
+            const render = () => {
+                const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+                page = Math.min(Math.max(page, 0), pages - 1);
+                rows.forEach((row, index) => { row.hidden = Math.floor(index / pageSize) !== page; });
+                pager.hidden = pages <= 1;
+                pager.querySelector('span').textContent = 'Page ' + (page + 1) + ' of ' + pages + ' • ' + rows.length + ' rows';
+                pager.querySelector('[data-step="-1"]').disabled = page === 0;
+                pager.querySelector('[data-step="1"]').disabled = page === pages - 1;
+            };
+            pager.addEventListener('click', (event) => {
+                const step = Number(event.target.dataset.step);
+                if (step) {
+                    page += step;
+                    render();
+                }
+            });
+
+            // Numbers sort largest first on the first click, text A to Z
+            Array.from(table.tHead.rows[0].cells).forEach((header, column) => {
+                header.addEventListener('click', () => {
+                    const numeric = header.dataset.sort === 'number';
+                    const ascending = header.dataset.direction ? header.dataset.direction !== 'asc' : !numeric;
+                    table.querySelectorAll('th').forEach((th) => { delete th.dataset.direction; });
+                    header.dataset.direction = ascending ? 'asc' : 'desc';
+                    rows.sort((a, b) => {
+                        const x = a.cells[column].dataset.value;
+                        const y = b.cells[column].dataset.value;
+                        const order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+                        return ascending ? order : -order;
+                    });
+                    rows.forEach((row) => body.appendChild(row));
+                    page = 0;
+                    render();
+                });
+            });
+            render();
+        });
+
+        const filterForm = document.querySelector('form.filter-bar');
+        if (filterForm) {
+            filterForm.addEventListener('change', () => filterForm.requestSubmit());
+            // Leave empty fields out of the URL
+            filterForm.addEventListener('submit', () => {
+                filterForm.querySelectorAll('input, select').forEach((field) => { field.disabled = !field.value; });
+            });
+        }
+
+        const panel = document.getElementById('drilldown');
+        if (!panel || !config.drilldown_url) return;
+        const status = panel.querySelector('[data-role="status"]');
+        let current = null;
+
+        const metricCard = (value, label) => {
+            const card = document.createElement('div');
+            card.className = 'metric-card';
+            card.innerHTML = '<div class="metric-value"></div><div class="metric-label"></div>';
+            card.firstChild.textContent = value;
+            card.lastChild.textContent = label;
+            return card;
+        };
+
+        const show = (data) => {
+            const summary = data.summary;
+            panel.querySelector('[data-role="summary"]').replaceChildren(
+                metricCard(summary.orders, 'Orders'),
+                metricCard(formatMoney(summary.delivered_revenue), 'Delivered Revenue'),
+                metricCard(formatMoney(summary.average_order_value), 'Average Order Value'),
+                metricCard(formatPercent(summary.cancellation_rate), 'Cancellation Rate'),
+                metricCard(formatPercent(summary.return_rate), 'Return Rate')
+            );
+            panel.querySelector('tbody').replaceChildren(...data.orders.map((order) => {
+                const row = document.createElement('tr');
+                [order.order_date || '—', order.order_id ?? '—', order.customer_id ?? '—', order.product, order.payment_method, order.status, formatMoney(order.revenue)]
+                    .forEach((text) => { row.insertCell().textContent = text; });
+                return row;
+            }));
+            const pagination = data.pagination;
+            status.textContent = 'Page ' + pagination.page + ' of ' + pagination.pages + ' • ' + pagination.total + ' orders';
+            panel.querySelector('[data-step="-1"]').disabled = pagination.page <= 1;
+            panel.querySelector('[data-step="1"]').disabled = pagination.page >= pagination.pages;
+        };
+
+        const load = (field, value, page) => {
+            current = { field: field, value: value, page: page };
+            const params = new URLSearchParams(config.query);
+            params.set(field, value);
+            params.set('page', page);
+            panel.hidden = false;
+            panel.querySelector('[data-role="title"]').textContent = config.labels[field] + ': ' + value;
+            status.textContent = 'Loading…';
+            fetch(config.drilldown_url + '?' + params.toString(), { credentials: 'same-origin', headers: { Accept: 'application/json' } })
+                .then((response) => response.json())
+                .then((result) => {
+                    if (!result.success) throw new Error(result.error);
+                    show(result.data);
+                })
+                .catch((error) => { status.textContent = 'Could not load orders: ' + error.message; });
+        };
+
+        document.addEventListener('click', (event) => {
+            const target = event.target.closest('[data-drill-field]');
+            if (target) load(target.dataset.drillField, target.dataset.drillValue, 1);
+        });
+        panel.addEventListener('click', (event) => {
+            const step = Number(event.target.dataset.step);
+            if (step && current) load(current.field, current.value, current.page + step);
+            if (event.target.dataset.role === 'close' || event.target === panel) panel.hidden = true;
+        });
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') panel.hidden = true;
+        });
+    })();
+    </script>`;
+}
+
+// interactive: { filter_options, drilldown_url, workspace_id, forecast } for a saved run, which adds the
+// filter bar and drill-downs. Without it, tables still sort and page, and filters are only described.
+// The revenue forecast is fitted by grid search and backtesting, so the chart only draws it on request.
+function generateDashboardHTML(metrics, { comparison = null, filters = null, interactive = null, narrative = null, forecast = false } = {}) {
+    const locale = metrics.locale;
+    const unconvertedCurrencies = Object.entries(metrics.currency.unconverted_orders);
+    const topCustomers = getTopCustomers(metrics, 100);
+    const cityRows = buildCityRows(metrics);
+    const paymentRows = buildPaymentMethodRows(metrics);
+    const stateRows = rankLocations(metrics.geography.by_state, 'state').filter(row => row.state !== 'Unknown');
+    const drill = (field) => interactive ? field : null;
+    const filterQuery = filters ? [
+        ...['from', 'to'].filter(bound => filters[bound]).map(bound => [bound, filters[bound]]),
+        ...DASHBOARD_FILTER_FIELDS.flatMap(field => filters[field].map(value => [field, value]))
+    ] : [];
+    const granularity = metrics.timeseries?.granularity || 'daily';
+    const trendSeries = metrics.timeseries?.series?.[granularity] || [];
+    const forecastSeries = forecast && trendSeries.length > 0 ? buildForecastChartSeries(metrics, granularity) : null;
+    const growth = metrics.timeseries?.growth || {};
+    const granularityLabel = granularity.charAt(0).toUpperCase() + granularity.slice(1);
+    const dataQuality = metrics.data_quality;
+    const rfm = computeRFMSegments(metrics);
+    const cohortAnalysis = computeCohorts(metrics);
+    const defaultedFields = Object.entries(dataQuality?.defaulted_fields || {}).filter(([, count]) => count > 0);
+
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Flowlytics AI • Enterprise Analytics</title>
+    <style>
+        /* Your CSS styles from previous code */
+        :root {
+            --primary-blue: #1a237e;
+            --primary-blue-light: #534bae;
+            --accent-teal: #00bcd4;
+            --success-green: #4caf50;
+            --warning-orange: #ff9800;
+            --danger-red: #f44336;
+            --dark-charcoal: #263238;
+            --light-gray: #f5f5f5;
+            --medium-gray: #757575;
+            --border-color: #e0e0e0;
+            
+            --gradient-primary: linear-gradient(135deg, var(--primary-blue), var(--primary-blue-light));
+            --gradient-success: linear-gradient(135deg, var(--success-green), #8bc34a);
+            --gradient-warning: linear-gradient(135deg, var(--warning-orange), #ffb74d);
+            --gradient-danger: linear-gradient(135deg, var(--danger-red), #ef5350);
+            --gradient-accent: linear-gradient(135deg, var(--accent-teal), #26c6da);
+            
+            --shadow-light: 0 2px 12px rgba(0, 0, 0, 0.08);
+            --shadow-medium: 0 4px 20px rgba(0, 0, 0, 0.12);
+            
+            --radius-sm: 8px;
+            --radius-md: 12px;
+            --radius-lg: 16px;
+            
+            --space-xs: 8px;
+            --space-sm: 16px;
+            --space-md: 24px;
+            --space-lg: 32px;
+            --space-xl: 48px;
+        }
+        
+        * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+        }
+        
+        body {
+            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+            background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
+            color: var(--dark-charcoal);
+            line-height: 1.6;
+            min-height: 100vh;
+            padding: var(--space-sm);
+        }
+        
+        .container {
+            max-width: 1440px;
+            margin: 0 auto;
+        }
+        
+        .platform-header {
+            background: var(--gradient-primary);
+            color: white;
+            padding: var(--space-lg) var(--space-xl);
+            border-radius: var(--radius-lg);
+            margin-bottom: var(--space-lg);
+            box-shadow: var(--shadow-medium);
+        }
+        
+        .metrics-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+            gap: var(--space-md);
+            margin-bottom: var(--space-lg);
+        }
+        
+        .metric-card {
+            background: white;
+            padding: var(--space-md);
+            border-radius: var(--radius-md);
+            box-shadow: var(--shadow-light);
+            border: 1px solid var(--border-color);
+            text-align: center;
+        }
+        
+        .metric-value {
+            font-size: 2rem;
+            font-weight: 700;
+            color: var(--primary-blue);
+            margin-bottom: var(--space-xs);
+        }
+        
+        .card {
+            background: white;
+            border-radius: var(--radius-md);
+            padding: var(--space-lg);
+            box-shadow: var(--shadow-light);
+            margin-bottom: var(--space-lg);
+            border: 1px solid var(--border-color);
+        }
+        
+        .card-header {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            margin-bottom: var(--space-lg);
+            padding-bottom: var(--space-sm);
+            border-bottom: 2px solid var(--light-gray);
+        }
+        
+        .table-container {
+            overflow-x: auto;
+            border-radius: var(--radius-sm);
+            box-shadow: 0 2px 8px rgba(0,0,0,0.05);
+            background: white;
+            border: 1px solid var(--border-color);
+        }
+        
+        .data-table {
+            width: 100%;
+            border-collapse: collapse;
+        }
+        
+        .data-table th {
+            background: var(--light-gray);
+            padding: 12px 16px;
+            text-align: left;
+            font-weight: 600;
+            color: var(--primary-blue);
+        }
+        
+        .data-table td {
+            padding: 12px 16px;
+            border-bottom: 1px solid var(--border-color);
+        }
+        
+        .status-indicator {
+            display: inline-flex;
+            align-items: center;
+            gap: 6px;
+            padding: 6px 14px;
+            border-radius: 20px;
+            font-size: 0.85rem;
+            font-weight: 600;
+        }
+        
+        .status-success {
+            background: rgba(76, 175, 80, 0.1);
+            color: var(--success-green);
+        }
+        
+        .status-warning {
+            background: rgba(255, 152, 0, 0.1);
+            color: var(--warning-orange);
+        }
+        
+        .status-danger {
+            background: rgba(244, 67, 54, 0.1);
+            color: var(--danger-red);
+        }
+        
+        .action-button {
+            background: var(--gradient-primary);
+            color: white;
+            border: none;
+            padding: 12px 24px;
+            border-radius: var(--radius-sm);
+            font-weight: 600;
+            cursor: pointer;
+        }
+        
+        .trend-chart {
+            width: 100%;
+            height: auto;
+            margin-bottom: var(--space-xs);
+        }
+
+        .chart-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(320px, 1fr));
+            gap: var(--space-md);
+        }
+
+        .heatmap-cell {
+            text-align: center;
+            font-weight: 600;
+        }
+
+        .growth-up {
+            color: var(--success-green);
+        }
+
+        .growth-down {
+            color: var(--danger-red);
+        }
+
+        [hidden] {
+            display: none !important;
+        }
+
+        .filter-bar {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: flex-end;
+            gap: var(--space-sm);
+            padding: var(--space-md);
+        }
+
+        .filter-bar label {
+            display: flex;
+            flex-direction: column;
+            font-size: 0.85rem;
+            font-weight: 600;
+            color: var(--medium-gray);
+        }
+
+        .filter-bar input,
+        .filter-bar select {
+            margin-top: 4px;
+            padding: 8px 10px;
+            border: 1px solid var(--border-color);
+            border-radius: var(--radius-sm);
+            font: inherit;
+            min-width: 140px;
+        }
+
+        .data-table th[data-sort] {
+            cursor: pointer;
+            user-select: none;
+        }
+
+        .data-table th[data-direction="asc"]::after {
+            content: ' ▲';
+        }
+
+        .data-table th[data-direction="desc"]::after {
+            content: ' ▼';
+        }
+
+        .drillable {
+            cursor: pointer;
+        }
+
+        tr.drillable:hover {
+            background: var(--light-gray);
+        }
+
+        .table-pager {
+            display: flex;
+            justify-content: flex-end;
+            align-items: center;
+            gap: var(--space-sm);
+            padding: var(--space-xs) 0;
+            font-size: 0.85rem;
+            color: var(--medium-gray);
+        }
+
+        .donut-chart {
+            display: flex;
+            flex-wrap: wrap;
+            align-items: center;
+            gap: var(--space-md);
+        }
+
+        .donut-chart svg {
+            width: 200px;
+            height: 200px;
+        }
+
+        .insight-action summary {
+            display: inline-block;
+            list-style: none;
+        }
+
+        .insight-action p {
+            margin-top: var(--space-sm);
+        }
+
+        .drilldown-overlay {
+            position: fixed;
+            inset: 0;
+            background: rgba(38, 50, 56, 0.5);
+            padding: var(--space-lg);
+            overflow-y: auto;
+            z-index: 10;
+        }
+
+        .drilldown-overlay .card {
+            max-width: 1100px;
+            margin: 0 auto;
+        }
+
+        @media (max-width: 768px) {
+            .metrics-grid {
+                grid-template-columns: repeat(2, 1fr);
+            }
+        }
+        
+        @media (max-width: 480px) {
+            .metrics-grid {
+                grid-template-columns: 1fr;
+            }
+        }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <header class="platform-header">
+            <h1>Flowlytics AI</h1>
+            <p>Intelligent Analytics & Automation Platform for eCommerce Entrepreneurs</p>
+        </header>
+
+        ${interactive ? renderFilterBar(filters, interactive) : ''}
+
+        <div class="card">
+            <div class="card-header">
+                <h2>Business Overview</h2>
+                ${hasActiveFilters(filters) ? `<span>Filtered: ${escapeHTML(describeDashboardFilters(filters))}</span>` : ''}
+            </div>
+            
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <div class="metric-value">${formatCurrency(metrics.financial.delivered_revenue, locale)}</div>
+                    <div class="metric-label">Delivered Revenue</div>
+                    <div>${metrics.orders.delivered || 0} orders</div>
+                </div>
+                
+                <div class="metric-card">
+                    <div class="metric-value">${formatCurrency(metrics.financial.delivered_profit, locale)}</div>
+                    <div class="metric-label">Total Profit</div>
+                    <div>${metrics.financial.profit_margin.toFixed(1)}% margin</div>
+                </div>
+                
+                <div class="metric-card">
+                    <div class="metric-value">${formatCurrency(metrics.financial.average_order_value, locale)}</div>
+                    <div class="metric-label">Average Order Value</div>
+                    ${locale.currency === 'INR' ? '<div>Industry: ₹1,500</div>' : ''}
+                </div>
+                
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.customers.unique?.size || 0}</div>
+                    <div class="metric-label">Unique Customers</div>
+                    <div>${metrics.customers.repeat_buyers || 0} repeat buyers</div>
+                </div>
+            </div>
+            
+            <div style="text-align: center; margin-top: var(--space-lg);">
+                <h3>Business Health Score: ${metrics.summary.overall_score} - ${escapeHTML(metrics.summary.health_status)}</h3>
+                <p>${escapeHTML(metrics.summary.recommended_action)}</p>
+            </div>
+            
+            ${(metrics.summary.score_breakdown || []).length > 0 ? `
+            <div class="table-container" style="margin-top: var(--space-md);">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Score Component</th>
+                            <th>Current Value</th>
+                            <th>Impact on Score</th>
+                            <th>Why</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        <tr>
+                            <td>Starting score</td>
+                            <td>—</td>
+                            <td>100</td>
+                            <td>Every business starts at 100</td>
+                        </tr>
+                        ${metrics.summary.score_breakdown.map(component => `
+                            <tr>
+                                <td>${escapeHTML(component.label)}</td>
+                                <td>${component.value === null ? 'n/a' : component.value.toFixed(1) + escapeHTML(component.unit)}</td>
+                                <td>
+                                    <span class="status-indicator ${component.deduction > 0 ? 'status-danger' : 'status-success'}">
+                                        ${component.deduction > 0 ? '−' + component.deduction : '0'}
+                                    </span>
+                                </td>
+                                <td>${escapeHTML(component.explanation)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+        </div>
+
+        ${comparison ? renderPeriodComparison(comparison, locale) : ''}
+
+        ${trendSeries.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Performance Trends</h2>
+                <span>${granularityLabel} • ${trendSeries.length} periods</span>
+            </div>
+
+            <div class="metrics-grid">
+                ${[
+                    ['Revenue', growth.revenue_growth],
+                    ['Profit', growth.profit_growth],
+                    ['Orders', growth.orders_growth],
+                    ['AOV', growth.aov_growth]
+                ].map(([label, value]) => `
+                <div class="metric-card">
+                    <div class="metric-value ${value > 0 ? 'growth-up' : value < 0 ? 'growth-down' : ''}">${formatGrowth(value)}</div>
+                    <div class="metric-label">${label} vs previous period</div>
+                </div>`).join('')}
+            </div>
+
+            <div class="chart-grid">
+                <div>
+                    <h3>Revenue &amp; Profit</h3>
+                    ${renderTrendChart(forecastSeries || trendSeries, [
+                        { key: 'revenue', label: 'Revenue', color: '#1a237e' },
+                        { key: 'profit', label: 'Profit', color: '#4caf50' },
+                        ...(forecastSeries ? [{
+                            key: 'revenue_forecast',
+                            label: 'Revenue forecast (95% interval)',
+                            color: '#534bae',
+                            dashed: true,
+                            band: ['revenue_forecast_lower', 'revenue_forecast_upper']
+                        }] : [])
+                    ], (value) => formatCurrency(value, locale))}
+                </div>
+                <div>
+                    <h3>Delivered vs Cancelled Orders</h3>
+                    ${renderTrendChart(trendSeries, [
+                        { key: 'delivered', label: 'Delivered', color: '#00bcd4' },
+                        { key: 'cancelled', label: 'Cancelled', color: '#f44336' }
+                    ], (v) => Math.round(v))}
+                </div>
+                <div>
+                    <h3>Average Order Value</h3>
+                    ${renderTrendChart(trendSeries, [
+                        { key: 'aov', label: 'AOV', color: '#ff9800' }
+                    ], (value) => formatCurrency(value, locale))}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${cityRows.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Cities &amp; Payment Mix</h2>
+                <span>${cityRows.length} cities • ${paymentRows.length} payment methods${interactive ? ' • click a row to see its orders' : ''}</span>
+            </div>
+
+            <div class="chart-grid">
+                <div>
+                    <h3>Revenue by City</h3>
+                    ${renderBarChart(cityRows.slice(0, 10).map(row => ({ label: row.city, value: row.revenue })),
+                        (value) => formatCurrency(value, locale), { drillField: drill('city') })}
+                </div>
+                <div>
+                    <h3>Payment Mix</h3>
+                    ${renderDonutChart(paymentRows.map(row => ({
+                        label: row.method,
+                        value: row.orders,
+                        detail: `${row.orders} orders • ${formatCurrency(row.revenue, locale)}`
+                    })), { drillField: drill('payment_method') })}
+                </div>
+            </div>
+
+            <div class="chart-grid" style="margin-top: var(--space-md);">
+                <div>
+                    <h3>Cities</h3>
+                    ${renderCityTable(cityRows, locale, drill('city'))}
+                </div>
+                <div>
+                    <h3>Payment Methods</h3>
+                    ${renderPaymentMethodTable(paymentRows, locale, drill('payment_method'))}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${stateRows.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Delivery Risk by Location</h2>
+                <span>${metrics.geography.pincode_orders} of ${metrics.orders.total} orders with a pincode • risk blends failed deliveries with COD share</span>
+            </div>
+
+            <div class="chart-grid">
+                <div>
+                    <h3>States</h3>
+                    ${renderLocationRiskTable(stateRows, 'State', 'state')}
+                </div>
+                <div>
+                    <h3>High-Risk Pincodes</h3>
+                    ${renderLocationRiskTable(metrics.geography.high_risk_pincodes, 'Pincode', 'pincode',
+                        `No pincode with ${GEO_RISK_MIN_ORDERS}+ orders is high risk.`)}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${metrics.returns.total_returns > 0 || metrics.returns.revenue_lost_returns > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Returns &amp; RTO</h2>
+            </div>
+
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.returns.return_rate.toFixed(1)}%</div>
+                    <div class="metric-label">Return Rate</div>
+                    <div>${metrics.returns.total_returns} returned, RTO or refunded</div>
+                </div>
+
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.returns.rto_rate.toFixed(1)}%</div>
+                    <div class="metric-label">RTO Rate</div>
+                    <div>${metrics.returns.rto} orders returned to origin</div>
+                </div>
+
+                <div class="metric-card">
+                    <div class="metric-value">${formatCurrency(metrics.returns.revenue_lost_returns, locale)}</div>
+                    <div class="metric-label">Revenue Lost to Returns</div>
+                    <div>${metrics.returns.partial_refunds} partial refunds</div>
+                </div>
+
+                <div class="metric-card">
+                    <div class="metric-value">${formatCurrency(metrics.returns.revenue_lost_cancellations, locale)}</div>
+                    <div class="metric-label">Revenue Lost to Cancellations</div>
+                    <div>${metrics.returns.cancelled_orders} cancelled orders</div>
+                </div>
+            </div>
+
+            <div class="chart-grid">
+                <div>
+                    <h3>By City</h3>
+                    ${renderReturnsTable('City', metrics.returns.by_city, locale)}
+                </div>
+                <div>
+                    <h3>By Product</h3>
+                    ${renderReturnsTable('Product', metrics.returns.by_product, locale)}
+                </div>
+                <div>
+                    <h3>By Payment Method</h3>
+                    ${renderReturnsTable('Payment Method', metrics.returns.by_payment_method, locale)}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${dataQuality && (dataQuality.invalid_rows > 0 || dataQuality.duplicate_order_ids.count > 0 || dataQuality.fabricated_customers > 0 || defaultedFields.length > 0) ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Data Quality</h2>
+                <span class="status-indicator ${dataQuality.quality_score >= 95 ? 'status-success' : dataQuality.quality_score >= 80 ? 'status-warning' : 'status-danger'}">
+                    ${dataQuality.quality_score}% valid rows
+                </span>
+            </div>
+
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <div class="metric-value">${dataQuality.invalid_rows}</div>
+                    <div class="metric-label">Invalid Rows</div>
+                    <div>of ${dataQuality.total_rows} submitted</div>
+                </div>
+
+                <div class="metric-card">
+                    <div class="metric-value">${dataQuality.duplicate_order_ids.count}</div>
+                    <div class="metric-label">Duplicate Order IDs</div>
+                </div>
+
+                <div class="metric-card">
+                    <div class="metric-value">${dataQuality.fabricated_customers}</div>
+                    <div class="metric-label">Orders Without Customer</div>
+                    <div>excluded from customer metrics</div>
+                </div>
+            </div>
+
+            ${defaultedFields.length > 0 ? `
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Missing Field</th>
+                            <th>Orders</th>
+                            <th>Assumed Value</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${defaultedFields.map(([field, count]) => `
+                            <tr>
+                                <td>${field}</td>
+                                <td>${count}</td>
+                                <td>${dataQuality.defaults_applied[field]}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ` : ''}
+        </div>
+        ` : ''}
+
+        ${narrative?.text ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Executive Summary</h2>
+            </div>
+            ${narrative.text.split(/\n\s*\n/).map(paragraph => `<p style="margin-bottom: var(--space-sm);">${escapeHTML(paragraph.trim())}</p>`).join('')}
+            <p style="color: var(--medium-gray); font-size: 0.85rem;">Written by ${escapeHTML(narrative.model)}. Every figure was checked against the metrics${narrative.grounding.grounded ? '' : `; ${narrative.grounding.removed_sentences.length} sentence(s) that could not be verified were left out`}.</p>
+        </div>
+        ` : ''}
+
+        ${metrics.insights.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>AI Business Insights</h2>
+            </div>
+            
+            ${metrics.insights.map(insight => `
+                <div style="padding: var(--space-md); margin-bottom: var(--space-sm); border-left: 4px solid ${insight.severity === 'Critical' ? 'var(--danger-red)' : insight.severity === 'Warning' ? 'var(--warning-orange)' : 'var(--success-green)'}; background: white;">
+                    <h3>${escapeHTML(insight.title)}</h3>
+                    <p>${escapeHTML(insight.description)}</p>
+                    <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-top: var(--space-sm);">
+                        <span class="status-indicator status-${insight.severity.toLowerCase()}">
+                            ${escapeHTML(insight.category)}
+                        </span>
+                        ${insight.recommendation ? `
+                        <details class="insight-action">
+                            <summary class="action-button">Take Action</summary>
+                            <p>${escapeHTML(insight.recommendation)}</p>
+                        </details>` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+        ` : ''}
+
+        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: var(--space-md);">
+            <div class="card">
+                <div class="card-header">
+                    <h2>Top Customers</h2>
+                </div>
+                ${renderDataTable([
+                    { header: 'Customer ID', value: customer => customer.id },
+                    currencyColumn('Revenue', 'revenue', locale),
+                    { header: 'Orders', numeric: true, value: customer => customer.orders },
+                    {
+                        header: 'Status',
+                        value: customer => customer.orders > 1 ? 'Repeat Buyer' : 'Single Purchase',
+                        display: customer => `
+                                        <span class="status-indicator ${customer.orders > 1 ? 'status-success' : 'status-warning'}">
+                                            ${customer.orders > 1 ? 'Repeat Buyer' : 'Single Purchase'}
+                                        </span>`
+                    }
+                ], topCustomers, { pageSize: 5, empty: 'No customers to show.' })}
+            </div>
+
+            <div class="card">
+                <div class="card-header">
+                    <h2>Top Products</h2>
+                </div>
+                ${renderDataTable([
+                    { header: 'Product', value: product => product.name },
+                    currencyColumn('Revenue', 'revenue', locale),
+                    currencyColumn('Profit', 'profit', locale),
+                    percentColumn('Margin', 'margin')
+                ], metrics.products.by_revenue_sorted, {
+                    pageSize: 5,
+                    drill: drill('product') && { field: 'product', value: product => product.name },
+                    empty: 'No delivered products yet.'
+                })}
+            </div>
+        </div>
+
+        ${metrics.products.by_product_sorted.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Products &amp; Categories</h2>
+                <span>${metrics.products.abc.pareto.products_for_80_percent} of ${metrics.products.by_product_sorted.length} products drive 80% of revenue</span>
+            </div>
+
+            <div class="metrics-grid">
+                ${Object.entries(metrics.products.abc.classes).map(([abcClass, bucket]) => `
+                <div class="metric-card">
+                    <div class="metric-value">${bucket.products}</div>
+                    <div class="metric-label">Class ${abcClass} Products</div>
+                    <div>${formatCurrency(bucket.revenue, locale)} • ${bucket.revenue_share.toFixed(0)}% of revenue</div>
+                </div>
+                `).join('')}
+            </div>
+
+            <div class="chart-grid">
+                <div>
+                    <h3>By Category</h3>
+                    ${renderCategoryTable(metrics.products.by_category_sorted, locale, drill('category'))}
+                </div>
+                <div>
+                    <h3>By Product</h3>
+                    ${renderProductTable(metrics.products.by_product_sorted, locale, drill('product'))}
+                </div>
+                <div>
+                    <h3>Low-Margin Products (under ${LOW_MARGIN_THRESHOLD}%)</h3>
+                    ${renderProductTable(metrics.products.by_product_sorted.filter(p => p.revenue > 0 && p.margin < LOW_MARGIN_THRESHOLD), locale, drill('product'))}
+                </div>
+            </div>
+        </div>
+        ` : ''}
+
+        ${metrics.inventory ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Inventory &amp; Stock-Out Risk</h2>
+                <span>Stock as of ${metrics.inventory.stock_as_of ? metrics.inventory.stock_as_of.slice(0, 10) : 'n/a'} • sales velocity over ${metrics.inventory.window.days} days</span>
+            </div>
+
+            <div class="metrics-grid">
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.inventory.summary.out_of_stock}</div>
+                    <div class="metric-label">Out of Stock</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.inventory.summary.high_risk}</div>
+                    <div class="metric-label">Stock Out Before Restock</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.inventory.summary.reorder_due}</div>
+                    <div class="metric-label">At Reorder Point</div>
+                </div>
+                <div class="metric-card">
+                    <div class="metric-value">${metrics.inventory.summary.overstock}</div>
+                    <div class="metric-label">Overstocked</div>
+                </div>
+            </div>
+
+            ${renderInventoryTable(metrics.inventory.items)}
+        </div>
+        ` : ''}
+
+        ${rfm.scored_customers > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Customer Segments</h2>
+                <span>RFM as of ${rfm.as_of} • ${rfm.scored_customers} customers</span>
+            </div>
+            
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Segment</th>
+                            <th>Customers</th>
+                            <th>Revenue</th>
+                            <th>Avg Days Since Order</th>
+                            <th>Avg Orders</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rfm.segments.map(segment => `
+                            <tr>
+                                <td>${segment.segment}</td>
+                                <td>${segment.customers} (${segment.customer_share.toFixed(0)}%)</td>
+                                <td>${formatCurrency(segment.revenue, locale)} (${segment.revenue_share.toFixed(0)}%)</td>
+                                <td>${Math.round(segment.avg_recency_days)}</td>
+                                <td>${segment.avg_frequency.toFixed(1)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+        ` : ''}
+
+        ${cohortAnalysis.cohorts.length > 0 ? `
+        <div class="card">
+            <div class="card-header">
+                <h2>Monthly Cohort Retention</h2>
+                <span>% of each cohort buying again N months after their first order</span>
+            </div>
+            ${renderCohortHeatmap(cohortAnalysis)}
+        </div>
+        ` : ''}
+
+        <footer style="text-align: center; padding: var(--space-lg); color: var(--medium-gray);">
+            <p><strong>Flowlytics AI Enterprise Platform</strong></p>
+            <p>${metrics.orders.total} orders processed • Amounts in ${locale.currency} • Generated on ${formatDateTime(new Date(), locale)}</p>
+            ${unconvertedCurrencies.length > 0 ? `<p>${unconvertedCurrencies.map(([code, count]) => `${count} ${escapeHTML(code)}`).join(', ')} orders left out: add their rates to the workspace's exchange_rates</p>` : ''}
+        </footer>
+    </div>
+
+    ${interactive ? renderDrilldownPanel() : ''}
+    ${renderDashboardScript({
+        drilldown_url: interactive?.drilldown_url || null,
+        query: [...(interactive?.workspace_id ? [['workspace_id', interactive.workspace_id]] : []), ...filterQuery],
+        labels: { city: 'City', category: 'Category', payment_method: 'Payment method', status: 'Status', product: 'Product' },
+        currency_prefix: getCurrencyPrefix(locale),
+        number_locale: getNumberLocale(locale)
+    })}
+</body>
+</html>`;
+}
+
+// ============= EXPORTS =============
+// PDF and XLSX versions of the dashboard. Both are built from metrics alone with the PDF
+// standard fonts, so nothing is fetched at render time.
+const EXPORT_FORMATS = {
+    pdf: { extension: 'pdf', contentType: 'application/pdf', render: (metrics) => generatePDFReport(metrics) },
+    xlsx: {
+        extension: 'xlsx',
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        render: (metrics) => generateXLSXReport(metrics)
+    }
+};
+
+const PDF_COLORS = { primary: '#1a237e', accent: '#00bcd4', text: '#212121', muted: '#757575', rule: '#e0e0e0', stripe: '#f5f7fb' };
+
+// The standard PDF fonts only cover Latin-1, so symbols like ₹ and ▲ are spelled out
+function toPDFText(value) {
+    return String(value ?? '')
+        .replace(/₹/g, 'Rs. ')
+        .replace(/▲ ?/g, '+')
+        .replace(/▼ ?/g, '-')
+        .replace(/[^\x00-\xFF–—‘’“”•…]/g, '');
+}
+
+// Currency symbols the PDF fonts can't draw (other than ₹, which toPDFText spells out) fall back to the ISO code
+function toPDFLocale(locale) {
+    const symbol = locale.currency_symbol.replace(/₹/g, 'Rs.');
+    return { ...locale, currency_symbol: /^[\x20-\xFF]+$/.test(symbol) ? symbol : locale.currency };
+}
+
+// Per-city rows shared by the PDF and XLSX exports
+function buildCityRows(metrics) {
+    return Object.entries(metrics.locations.city_revenue || {})
+        .map(([city, revenue]) => {
+            const returns = metrics.returns.by_city[city] || createReturnsBucket();
+            return {
+                city,
+                revenue,
+                orders: metrics.locations.city_orders[city] || 0,
+                customers: metrics.customers.city_customers[city]?.size || 0,
+                cod_rate: metrics.locations.city_cod_rate[city]?.rate || 0,
+                return_rate: returns.return_rate,
+                rto: returns.rto
+            };
+        })
+        .sort((a, b) => b.revenue - a.revenue);
+}
+
+function buildPaymentMethodRows(metrics) {
+    return metrics.payments.methods_sorted.map(row => ({
+        method: row.method,
+        type: row.type,
+        orders: row.orders,
+        revenue: row.revenue,
+        profit: row.profit,
+        fees: row.fees,
+        net_revenue: row.net_revenue,
+        delivery_rate: row.delivery_rate,
+        cancellation_rate: row.cancellation_rate,
+        rto_rate: row.rto_rate,
+        return_rate: metrics.returns.by_payment_method[row.method]?.return_rate || 0
+    }));
+}
+
+function buildSummaryRows(metrics) {
+    return [
+        ['Health score', metrics.summary.overall_score, 'score'],
+        ['Health status', metrics.summary.health_status, 'text'],
+        ['Total revenue', metrics.financial.total_revenue, 'currency'],
+        ['Delivered revenue', metrics.financial.delivered_revenue, 'currency'],
+        ['Cancelled revenue', metrics.financial.cancelled_revenue, 'currency'],
+        ['Delivered profit', metrics.financial.delivered_profit, 'currency'],
+        ['Profit margin', metrics.financial.profit_margin, 'percent'],
+        ['Average order value', metrics.financial.average_order_value, 'currency'],
+        ['Orders', metrics.orders.total, 'count'],
+        ['Delivered orders', metrics.orders.delivered, 'count'],
+        ['Conversion rate', metrics.orders.conversion_rate, 'percent'],
+        ['Cancellation rate', metrics.orders.cancellation_rate, 'percent'],
+        ['Return rate', metrics.returns.return_rate, 'percent'],
+        ['RTO rate', metrics.returns.rto_rate, 'percent'],
+        ['Revenue lost to returns', metrics.returns.revenue_lost_returns, 'currency'],
+        ['Unique customers', metrics.customers.unique.size, 'count'],
+        ['Repeat buyers', metrics.customers.repeat_buyers, 'count'],
+        ['High-value customers', metrics.customers.high_value_customers.length, 'count']
+    ];
+}
+
+function formatSummaryValue(value, kind, locale) {
+    if (kind === 'currency') return formatCurrency(value, locale);
+    if (kind === 'percent') return `${(Number(value) || 0).toFixed(1)}%`;
+    if (kind === 'score') return `${value}/100`;
+    return String(value ?? '');
+}
+
+function collectPDF(doc) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+        doc.end();
+    });
+}
+
+function ensurePDFSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) doc.addPage();
+}
+
+function drawPDFHeading(doc, title, subtitle) {
+    ensurePDFSpace(doc, 60);
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(13).fillColor(PDF_COLORS.primary)
+        .text(toPDFText(title), doc.page.margins.left, doc.y);
+    if (subtitle) {
+        doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted).text(toPDFText(subtitle));
+    }
+    doc.moveDown(0.4);
+}
+
+// columns: [{ header, width (share of the page width), align }]; the header repeats on each new page
+function drawPDFTable(doc, columns, rows) {
+    const left = doc.page.margins.left;
+    const tableWidth = doc.page.width - left - doc.page.margins.right;
+    const rowHeight = 16;
+
+    const drawRow = (cells, { header = false, striped = false } = {}) => {
+        if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (!header) drawRow(columns.map(c => c.header), { header: true });
+        }
+        const y = doc.y;
+        if (header || striped) {
+            doc.rect(left, y, tableWidth, rowHeight).fill(header ? PDF_COLORS.primary : PDF_COLORS.stripe);
+        }
+
+        let x = left;
+        doc.font(header ? 'Helvetica-Bold' : 'Helvetica').fontSize(8).fillColor(header ? 'white' : PDF_COLORS.text);
+        columns.forEach((column, index) => {
+            const width = column.width * tableWidth;
+            doc.text(toPDFText(cells[index]), x + 4, y + 4, {
+                width: width - 8,
+                height: rowHeight - 4,
+                align: column.align || 'left',
+                lineBreak: false,
+                ellipsis: true
+            });
+            x += width;
+        });
+        doc.x = left;
+        doc.y = y + rowHeight;
+    };
+
+    drawRow(columns.map(c => c.header), { header: true });
+    rows.forEach((row, index) => drawRow(row, { striped: index % 2 === 1 }));
+}
+
+function drawPDFRevenueChart(doc, series, locale) {
+    const points = series.slice(-12);
+    if (points.length === 0) return;
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const height = 120;
+    ensurePDFSpace(doc, height + 30);
+
+    const top = doc.y;
+    const maxRevenue = Math.max(...points.map(p => p.revenue), 1);
+    const slot = width / points.length;
+
+    doc.moveTo(left, top + height).lineTo(left + width, top + height).strokeColor(PDF_COLORS.rule).stroke();
+    points.forEach((point, index) => {
+        const barHeight = point.revenue / maxRevenue * (height - 14);
+        const x = left + index * slot + slot * 0.15;
+        doc.rect(x, top + height - barHeight, slot * 0.7, barHeight).fill(PDF_COLORS.accent);
+        doc.font('Helvetica').fontSize(6).fillColor(PDF_COLORS.muted)
+            .text(point.period, left + index * slot, top + height + 3, { width: slot, align: 'center', lineBreak: false });
+    });
+    doc.font('Helvetica').fontSize(7).fillColor(PDF_COLORS.muted)
+        .text(`Peak ${toPDFText(formatCurrency(maxRevenue, locale))}`, left, top, { width, align: 'right' });
+
+    doc.x = left;
+    doc.y = top + height + 16;
+}
+
+function generatePDFReport(metrics) {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: 'Flowlytics AI Business Report', Author: 'Flowlytics AI' } });
+    const left = doc.page.margins.left;
+    const pageWidth = doc.page.width - left - doc.page.margins.right;
+    const granularity = metrics.timeseries?.granularity || 'daily';
+    const locale = toPDFLocale(metrics.locale);
+    const generatedAt = formatDateTime(new Date(), locale);
+
+    // Title band
+    doc.rect(0, 0, doc.page.width, 80).fill(PDF_COLORS.primary);
+    doc.font('Helvetica-Bold').fontSize(20).fillColor('white').text('Flowlytics AI Business Report', left, 24);
+    doc.font('Helvetica').fontSize(9).text(`${metrics.orders.total} orders processed • Amounts in ${locale.currency} • Generated on ${generatedAt}`, left, 50);
+    doc.y = 100;
+
+    // Health score
+    doc.font('Helvetica-Bold').fontSize(28).fillColor(PDF_COLORS.primary).text(`${metrics.summary.overall_score}/100`, left, doc.y, { continued: true })
+        .font('Helvetica').fontSize(14).fillColor(PDF_COLORS.text).text(`  ${toPDFText(metrics.summary.health_status)}`);
+    doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.muted).text(toPDFText(metrics.summary.recommended_action), { width: pageWidth });
+
+    drawPDFHeading(doc, 'Key Metrics');
+    drawPDFTable(doc, [
+        { header: 'Metric', width: 0.6 },
+        { header: 'Value', width: 0.4, align: 'right' }
+    ], buildSummaryRows(metrics).map(([label, value, kind]) => [label, formatSummaryValue(value, kind, locale)]));
+
+    const series = metrics.timeseries?.series?.[granularity] || [];
+    if (series.length > 0) {
+        drawPDFHeading(doc, 'Revenue Trend', `${granularity} revenue, last ${Math.min(series.length, 12)} periods • Revenue growth ${formatGrowth(metrics.timeseries.growth?.revenue_growth)}`);
+        drawPDFRevenueChart(doc, series, locale);
+    }
+
+    if (metrics.insights.length > 0) {
+        drawPDFHeading(doc, 'Business Insights');
+        for (const insight of metrics.insights) {
+            ensurePDFSpace(doc, 50);
+            doc.font('Helvetica-Bold').fontSize(9).fillColor(PDF_COLORS.text)
+                .text(toPDFText(`[${insight.severity}] ${insight.title}`), left, doc.y, { width: pageWidth });
+            doc.font('Helvetica').fontSize(8).fillColor(PDF_COLORS.muted)
+                .text(toPDFText([insight.description, insight.recommendation].filter(Boolean).join(' ')), { width: pageWidth });
+            doc.moveDown(0.4);
+        }
+    }
+
+    if (metrics.summary.score_breakdown.length > 0) {
+        drawPDFHeading(doc, 'Health Score Breakdown');
+        drawPDFTable(doc, [
+            { header: 'Component', width: 0.4 },
+            { header: 'Value', width: 0.2, align: 'right' },
+            { header: 'Deduction', width: 0.2, align: 'right' },
+            { header: 'Weight', width: 0.2, align: 'right' }
+        ], metrics.summary.score_breakdown.map(component => [
+            component.label,
+            component.value === null ? 'n/a' : Number(component.value).toFixed(1),
+            component.deduction > 0 ? `-${component.deduction.toFixed(1)}` : '0',
+            component.weight
+        ]));
+    }
+
+    drawPDFHeading(doc, 'Top Customers');
+    drawPDFTable(doc, [
+        { header: 'Customer', width: 0.4 },
+        { header: 'Revenue', width: 0.25, align: 'right' },
+        { header: 'Orders', width: 0.15, align: 'right' },
+        { header: 'Avg Order', width: 0.2, align: 'right' }
+    ], getTopCustomers(metrics, 10).map(customer => [
+        customer.id,
+        formatCurrency(customer.revenue, locale),
+        customer.orders,
+        formatCurrency(customer.average_order_value, locale)
+    ]));
+
+    drawPDFHeading(doc, 'Products', `${metrics.products.abc.pareto?.products_for_80_percent || 0} of ${metrics.products.by_product_sorted.length} products drive 80% of revenue`);
+    drawPDFTable(doc, [
+        { header: 'Product', width: 0.3 },
+        { header: 'Category', width: 0.18 },
+        { header: 'Class', width: 0.08, align: 'center' },
+        { header: 'Revenue', width: 0.16, align: 'right' },
+        { header: 'Margin', width: 0.1, align: 'right' },
+        { header: 'Cancelled', width: 0.09, align: 'right' },
+        { header: 'Returned', width: 0.09, align: 'right' }
+    ], metrics.products.by_product_sorted.slice(0, 15).map(product => [
+        product.name,
+        product.category,
+        product.abc_class,
+        formatCurrency(product.revenue, locale),
+        `${product.margin.toFixed(1)}%`,
+        `${product.cancellation_rate.toFixed(1)}%`,
+        `${product.return_rate.toFixed(1)}%`
+    ]));
+
+    drawPDFHeading(doc, 'Cities');
+    drawPDFTable(doc, [
+        { header: 'City', width: 0.3 },
+        { header: 'Revenue', width: 0.2, align: 'right' },
+        { header: 'Orders', width: 0.12, align: 'right' },
+        { header: 'COD Share', width: 0.13, align: 'right' },
+        { header: 'Return Rate', width: 0.13, align: 'right' },
+        { header: 'RTO', width: 0.12, align: 'right' }
+    ], buildCityRows(metrics).slice(0, 15).map(city => [
+        city.city,
+        formatCurrency(city.revenue, locale),
+        city.orders,
+        `${city.cod_rate.toFixed(1)}%`,
+        `${city.return_rate.toFixed(1)}%`,
+        city.rto
+    ]));
+
+    drawPDFHeading(doc, 'Payment Methods');
+    drawPDFTable(doc, [
+        { header: 'Method', width: 0.22 },
+        { header: 'Revenue', width: 0.17, align: 'right' },
+        { header: 'Net Revenue', width: 0.17, align: 'right' },
+        { header: 'Orders', width: 0.1, align: 'right' },
+        { header: 'Delivered', width: 0.11, align: 'right' },
+        { header: 'Cancelled', width: 0.12, align: 'right' },
+        { header: 'Returned', width: 0.11, align: 'right' }
+    ], buildPaymentMethodRows(metrics).map(method => [
+        method.method,
+        formatCurrency(method.revenue, locale),
+        formatCurrency(method.net_revenue, locale),
+        method.orders,
+        `${method.delivery_rate.toFixed(1)}%`,
+        `${method.cancellation_rate.toFixed(1)}%`,
+        `${method.return_rate.toFixed(1)}%`
+    ]));
+
+    if (metrics.data_quality) {
+        drawPDFHeading(doc, 'Data Quality');
+        doc.font('Helvetica').fontSize(9).fillColor(PDF_COLORS.text).text(
+            `Quality score ${metrics.data_quality.quality_score}% • ${metrics.data_quality.valid_rows} of ${metrics.data_quality.total_rows} rows valid • ` +
+            `${metrics.data_quality.duplicate_order_ids.count} duplicate order IDs`,
+            left, doc.y, { width: pageWidth }
+        );
+    }
+
+    return collectPDF(doc);
+}
+
+const XLSX_FORMATS = {
+    percent: '0.0"%"',
+    count: '#,##0',
+    score: '0"/100"'
+};
+
+// Excel has no Indian grouping, so commas are literal and each pattern fits a number of digits.
+// The column format covers up to 99 crore; with a value, the pattern is built for its digits.
+function buildXLSXCurrencyFormat(locale, value) {
+    const symbol = `"${getCurrencyPrefix(locale).replace(/"/g, '')}"`;
+    if (locale.number_grouping !== 'indian') return `${symbol}#,##0.00`;
+    if (value !== undefined) {
+        const digits = Math.round(Math.abs(value)).toString().length;
+        // The last three digits, then pairs: 12,34,56,789
+        let pattern = '##0';
+        for (let remaining = digits - 3; remaining > 0; remaining -= 2) pattern = `##\\,${pattern}`;
+        return `${symbol}${pattern}.00`;
+    }
+    return `[>=10000000]${symbol}#\\,##\\,##\\,##0.00;[>=100000]${symbol}#\\,##\\,##0.00;${symbol}#,##0.00`;
+}
+
+// columns: [{ header, key, width, format }] where format is a key of formats
+function addXLSXSheet(workbook, name, columns, rows, formats) {
+    const sheet = workbook.addWorksheet(name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns.map(({ header, key, width, format }) => ({
+        header,
+        key,
+        width: width || 16,
+        style: format ? { numFmt: formats[format] } : {}
+    }));
+    sheet.getRow(1).font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    sheet.getRow(1).fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF1A237E' } };
+    sheet.addRows(rows);
+    if (rows.length > 0) {
+        sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+    }
+    return sheet;
+}
+
+async function generateXLSXReport(metrics) {
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'Flowlytics AI';
+    workbook.created = new Date();
+    const formats = { ...XLSX_FORMATS, currency: buildXLSXCurrencyFormat(metrics.locale) };
+
+    // Values keep their types; each row gets its own number format
+    const summary = addXLSXSheet(workbook, 'Financial Summary', [
+        { header: 'Metric', key: 'metric', width: 30 },
+        { header: 'Value', key: 'value', width: 20 }
+    ], buildSummaryRows(metrics).map(([metric, value]) => ({ metric, value })), formats);
+    buildSummaryRows(metrics).forEach(([, , kind], index) => {
+        if (formats[kind]) summary.getCell(index + 2, 2).numFmt = formats[kind];
+    });
+
+    const rfm = computeRFMSegments(metrics);
+    const rfmByCustomer = new Map(rfm.customers.map(customer => [customer.customer_id, customer]));
+    const highValue = new Set(metrics.customers.high_value_customers);
+    addXLSXSheet(workbook, 'Customers', [
+        { header: 'Customer', key: 'id', width: 28 },
+        { header: 'Revenue', key: 'revenue', format: 'currency' },
+        { header: 'Orders', key: 'orders', format: 'count', width: 10 },
+        { header: 'Avg Order Value', key: 'average_order_value', format: 'currency' },
+        { header: 'First Purchase', key: 'first_purchase', width: 14 },
+        { header: 'Last Purchase', key: 'last_purchase', width: 14 },
+        { header: 'RFM', key: 'rfm', width: 8 },
+        { header: 'Segment', key: 'segment', width: 20 },
+        { header: 'High Value', key: 'high_value', width: 12 }
+    ], getTopCustomers(metrics, Infinity).map(customer => {
+        const stats = metrics.customers.customer_stats[customer.id];
+        const scored = rfmByCustomer.get(customer.id);
+        return {
+            ...customer,
+            first_purchase: stats?.first_purchase ? toDayKey(stats.first_purchase) : '',
+            last_purchase: stats?.last_purchase ? toDayKey(stats.last_purchase) : '',
+            rfm: scored?.rfm || '',
+            segment: scored?.segment || '',
+            high_value: highValue.has(customer.id) ? 'Yes' : 'No'
+        };
+    }), formats);
+
+    addXLSXSheet(workbook, 'Products', [
+        { header: 'Product', key: 'name', width: 30 },
+        { header: 'Category', key: 'category', width: 18 },
+        { header: 'ABC Class', key: 'abc_class', width: 10 },
+        { header: 'Orders', key: 'orders', format: 'count', width: 10 },
+        { header: 'Delivered', key: 'delivered', format: 'count', width: 10 },
+        { header: 'Units', key: 'quantity', format: 'count', width: 10 },
+        { header: 'Revenue', key: 'revenue', format: 'currency' },
+        { header: 'Profit', key: 'profit', format: 'currency' },
+        { header: 'Margin', key: 'margin', format: 'percent', width: 10 },
+        { header: 'Revenue Share', key: 'revenue_share', format: 'percent', width: 14 },
+        { header: 'Cancellation Rate', key: 'cancellation_rate', format: 'percent' },
+        { header: 'Return Rate', key: 'return_rate', format: 'percent', width: 12 }
+    ], metrics.products.by_product_sorted, formats);
+
+    addXLSXSheet(workbook, 'Cities', [
+        { header: 'City', key: 'city', width: 24 },
+        { header: 'Revenue', key: 'revenue', format: 'currency' },
+        { header: 'Orders', key: 'orders', format: 'count', width: 10 },
+        { header: 'Customers', key: 'customers', format: 'count', width: 12 },
+        { header: 'COD Share', key: 'cod_rate', format: 'percent', width: 12 },
+        { header: 'Return Rate', key: 'return_rate', format: 'percent', width: 12 },
+        { header: 'RTO Orders', key: 'rto', format: 'count', width: 12 }
+    ], buildCityRows(metrics), formats);
+
+    addXLSXSheet(workbook, 'Payment Methods', [
+        { header: 'Method', key: 'method', width: 20 },
+        { header: 'Orders', key: 'orders', format: 'count', width: 10 },
+        { header: 'Revenue', key: 'revenue', format: 'currency' },
+        { header: 'Profit', key: 'profit', format: 'currency' },
+        { header: 'Payment Fees', key: 'fees', format: 'currency' },
+        { header: 'Net Revenue', key: 'net_revenue', format: 'currency' },
+        { header: 'Delivery Rate', key: 'delivery_rate', format: 'percent', width: 14 },
+        { header: 'Cancellation Rate', key: 'cancellation_rate', format: 'percent' },
+        { header: 'Return Rate', key: 'return_rate', format: 'percent', width: 12 }
+    ], buildPaymentMethodRows(metrics), formats);
+
+    // 100 crore and up, and negative amounts, outgrow the column's conditional format
+    if (metrics.locale.number_grouping === 'indian') {
+        workbook.eachSheet(sheet => sheet.eachRow(row => row.eachCell(cell => {
+            if (cell.numFmt === formats.currency && typeof cell.value === 'number' && (cell.value >= 1000000000 || cell.value < 0)) {
+                cell.numFmt = buildXLSXCurrencyFormat(metrics.locale, cell.value);
+            }
+        })));
+    }
+
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+// ============= CSV INGESTION =============
+// Header aliases seen in Shopify, WooCommerce and marketplace seller-panel exports.
+// Headers are compared after normalizeHeader(), so case, underscores and dashes don't matter.
+const DEFAULT_HEADER_ALIASES = {
+    order_id: ['order id', 'order number', 'order no', 'order', 'name', 'id', 'sub order no'],
+    customer_id: ['customer id', 'customer', 'customer email', 'email', 'buyer id', 'billing email'],
+    revenue: ['revenue', 'total', 'order total', 'total price', 'grand total', 'amount', 'sales', 'invoice amount', 'selling price'],
+    profit: ['profit', 'net profit', 'gross profit', 'margin amount'],
+    status: ['status', 'order status', 'fulfillment status', 'shipment status', 'delivery status'],
+    city: ['city', 'shipping city', 'billing city', 'ship city', 'customer city', 'delivery city'],
+    state: ['state', 'shipping province', 'shipping state', 'shipping province name', 'ship state', 'province', 'billing province', 'billing state'],
+    pincode: ['pincode', 'pin code', 'pin', 'zip', 'zip code', 'postcode', 'postal code', 'shipping zip', 'shipping postcode', 'shipping pincode', 'ship postal code', 'billing zip', 'billing postcode'],
+    payment_method: ['payment method', 'payment', 'payment mode', 'payment type', 'gateway', 'payment gateway', 'payment method title'],
+    product_name: ['product name', 'product', 'lineitem name', 'item name', 'product title', 'title'],
+    product_category: ['product category', 'category', 'product type'],
+    sku: ['sku', 'lineitem sku', 'variant sku', 'item sku', 'seller sku'],
+    quantity: ['quantity', 'qty', 'lineitem quantity', 'units', 'item quantity'],
+    order_date: ['order date', 'date', 'created at', 'order created', 'purchase date', 'date created'],
+    refund_amount: ['refund amount', 'refunded amount', 'refund'],
+    currency: ['currency', 'currency code', 'order currency', 'presentment currency']
+};
+
+const NUMERIC_ORDER_FIELDS = ['revenue', 'profit', 'quantity', 'refund_amount'];
+
+function normalizeHeader(header) {
+    return (header || '').toString().trim().toLowerCase().replace(/[_\-\s.#]+/g, ' ').trim();
+}
+
+// Custom aliases come first so they win over the built-in ones
+function buildHeaderLookup(customAliases = {}) {
+    // A column named "constructor" must not find Object's
+    const lookup = Object.create(null);
+    const register = (field, aliases) => {
+        for (const alias of [field, ...aliases]) {
+            const key = normalizeHeader(alias);
+            if (!(key in lookup)) lookup[key] = field;
+        }
+    };
+
+    for (const [field, aliases] of Object.entries(customAliases)) {
+        register(field, Array.isArray(aliases) ? aliases : [aliases]);
+    }
+    for (const [field, aliases] of Object.entries(DEFAULT_HEADER_ALIASES)) {
+        register(field, aliases);
+    }
+    return lookup;
+}
+
+function detectDelimiter(headerLine) {
+    const candidates = [',', ';', '\t', '|'];
+    return candidates
+        .map(delimiter => ({ delimiter, count: headerLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+// RFC 4180 parser: quoted fields, escaped quotes, CRLF and newlines inside quotes.
+// Also handles what Excel adds when saving CSV: a UTF-8 BOM and an optional "sep=;" first line.
+// Incremental: push() text chunks in any size and get back the records they complete.
+// A record longer than maxRecordLength characters, quoted newlines included, throws a 413.
+function createCSVRecordParser({ maxRecordLength = Infinity } = {}) {
+    let buffer = '';
+    let started = false;
+    let delimiter = null;
+    let record = [];
+    let field = '';
+    let recordLength = 0;
+    let inQuotes = false;
+
+    const tooLong = () => httpError(413, `A CSV row is longer than the ${maxRecordLength}-character limit`);
+
+    const push = (chunk, final) => {
+        buffer += chunk;
+
+        if (!started) {
+            // The delimiter is detected from the first line, so wait until it is complete
+            if (!final && !/[\r\n]/.test(buffer)) {
+                if (buffer.length > maxRecordLength) throw tooLong();
+                return [];
+            }
+
+            buffer = buffer.replace(/^\uFEFF/, '');
+            const sepLine = buffer.match(/^sep=(.)\r?\n/i);
+            if (sepLine) {
+                delimiter = sepLine[1];
+                buffer = buffer.slice(sepLine[0].length);
+            }
+            if (!delimiter) {
+                delimiter = detectDelimiter(buffer.split(/\r?\n/, 1)[0] || '');
+            }
+            started = true;
+        }
+
+        const input = buffer;
+        const records = [];
+        let i = 0;
+
+        for (; i < input.length; i++) {
+            const char = input[i];
+
+            // A trailing CR or quote means something different depending on the next chunk
+            if (!final && i === input.length - 1 && (char === '\r' || (inQuotes && char === '"'))) break;
+            if (++recordLength > maxRecordLength) throw tooLong();
+
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                inQuotes = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+                recordLength = 0;
+            } else {
+                field += char;
+            }
+        }
+        buffer = input.slice(i);
+
+        if (final && (field !== '' || record.length > 0)) {
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        }
+        return records;
+    };
+
+    return {
+        push: (chunk) => push(chunk, false),
+        end: () => push('', true),
+        get delimiter() { return delimiter; },
+        get unterminatedQuote() { return inQuotes; }
+    };
+}
+
+function isBlankRecord(record) {
+    return !record.some(value => value.trim() !== '');
+}
+
+function parseCSV(text) {
+    const parser = createCSVRecordParser();
+    const records = parser.push(text).concat(parser.end());
+
+    const nonEmpty = records.filter(record => !isBlankRecord(record));
+    return {
+        delimiter: parser.delimiter,
+        headers: (nonEmpty[0] || []).map(h => h.trim()),
+        rows: nonEmpty.slice(1),
+        unterminated_quote: parser.unterminatedQuote
+    };
+}
+
+// Whichever of "." and "," comes last is the decimal separator, and the other one groups digits.
+// With only one kind: a lone "," is decimal unless exactly three digits follow ("12,5" but "1,234"),
+// and repeated dots group ("1.234.567"). Returns null when the separators can't be told apart.
+function detectDecimalSeparator(text) {
+    const count = separator => text.split(separator).length - 1;
+    const decimal = text.includes('.') && text.includes(',') ? (text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',')
+        : count(',') === 1 && !/,\d{3}$/.test(text) ? ','
+        : count('.') > 1 ? ',' : '.';
+    if (count(decimal) > 1) return null;
+
+    // Groups are Western (1,234,567) or Indian (12,34,567): three digits last, two or three before
+    const integer = text.includes(decimal) ? text.slice(0, text.indexOf(decimal)) : text;
+    const groups = integer.split(decimal === '.' ? ',' : '.');
+    if (groups.length > 1 && !(/^\d{1,3}$/.test(groups[0]) && /^\d{3}$/.test(groups[groups.length - 1])
+        && groups.slice(1, -1).every(group => /^\d{2,3}$/.test(group)))) {
+        return null;
+    }
+    return decimal;
+}
+
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+// A currency symbol, "Rs" or an ISO code, before or after the amount
+const NUMERIC_CELL_CURRENCY_PREFIX = /^(?:[₹$€£¥]|rs\.?|[a-z]{3}(?=[\d.,+-]))/i;
+const NUMERIC_CELL_CURRENCY_SUFFIX = /(?:[₹$€£¥]|(?<=[\d.])[a-z]{3})$/i;
+
+function stripCellCurrency(amount, pattern) {
+    const match = amount.match(pattern);
+    if (!match || (/^[a-z]{3}$/i.test(match[0]) && !CURRENCY_CODES.has(match[0].toUpperCase()))) return amount;
+    return amount.replace(pattern, '');
+}
+
+// "₹1,23,456.00", "Rs. 1500", "USD 12.50", "(250)", "-₹250", "1 500", "₹1,500/-" and "1.234,56" all
+// become numbers; blank becomes undefined. Anything else left over ("1e5", "12abc", a date) is NaN.
+function parseNumericCell(value) {
+    const text = (value || '').toString().trim();
+    if (text === '') return undefined;
+
+    const bracketed = /^\(.*\)$/.test(text);
+    let amount = (bracketed ? text.slice(1, -1) : text).replace(/\s+/g, '').replace(/\/-$/, '');
+    let negative = bracketed;
+    const stripSign = () => {
+        if (!/^[-+]/.test(amount)) return;
+        negative = negative || amount[0] === '-';
+        amount = amount.slice(1);
+    };
+    stripSign();
+    amount = stripCellCurrency(stripCellCurrency(amount, NUMERIC_CELL_CURRENCY_PREFIX), NUMERIC_CELL_CURRENCY_SUFFIX);
+    stripSign();
+
+    if (!/^[\d.,]*\d[\d.,]*$/.test(amount)) return NaN;
+    const decimal = detectDecimalSeparator(amount);
+    if (decimal === null) return NaN;
+
+    const number = Number(amount.replace(decimal === '.' ? /,/g : /\./g, '').replace(',', '.'));
+    if (isNaN(number)) return NaN;
+    return negative ? -number : number;
+}
+
+// Maps CSV rows onto order fields by header; shared by buffered and streamed CSV uploads
+function createCSVOrderMapper(headers, customAliases = {}) {
+    const lookup = buildHeaderLookup(customAliases);
+
+    const mappedColumns = {};
+    const unmappedColumns = [];
+    headers.forEach((header, index) => {
+        const field = lookup[normalizeHeader(header)];
+        // First matching column wins, so "Total" doesn't override an explicit "Revenue"
+        if (field && !Object.values(mappedColumns).some(m => m.field === field)) {
+            mappedColumns[index] = { header, field };
+        } else {
+            unmappedColumns.push(header);
+        }
+    });
+
+    const mapRow = (cells, row) => {
+        const errors = [];
+
+        // Short rows are common when trailing cells are empty; extra cells mean a broken row
+        if (cells.length > headers.length) {
+            errors.push({ row, column: null, message: `Expected ${headers.length} columns, found ${cells.length}` });
+        }
+
+        const order = {};
+        for (const [columnIndex, { header, field }] of Object.entries(mappedColumns)) {
+            const raw = cells[columnIndex];
+            if (raw === undefined) continue;
+
+            if (NUMERIC_ORDER_FIELDS.includes(field)) {
+                const number = parseNumericCell(raw);
+                if (Number.isNaN(number)) {
+                    errors.push({ row, column: header, message: `"${raw}" is not a valid number for ${field}` });
+                } else if (number !== undefined) {
+                    order[field] = number;
+                }
+            } else if (raw.trim() !== '') {
+                order[field] = raw.trim();
+            }
+        }
+
+        return { order, errors };
+    };
+
+    return {
+        mapRow,
+        mapped_columns: Object.values(mappedColumns).reduce((map, { header, field }) => {
+            map[header] = field;
+            return map;
+        }, {}),
+        unmapped_columns: unmappedColumns
+    };
+}
+
+function csvToOrders(text, customAliases = {}) {
+    const parsed = parseCSV(text);
+    const mapper = createCSVOrderMapper(parsed.headers, customAliases);
+
+    const orders = [];
+    const errors = [];
+
+    if (parsed.headers.length === 0) {
+        errors.push({ row: 1, column: null, message: 'CSV has no header row' });
+    }
+    if (parsed.unterminated_quote) {
+        errors.push({ row: parsed.rows.length + 1, column: null, message: 'Unterminated quoted field at end of file' });
+    }
+
+    parsed.rows.forEach((cells, index) => {
+        // Row 1 is the header, so the first data row is row 2
+        const { order, errors: rowErrors } = mapper.mapRow(cells, index + 2);
+
+        if (rowErrors.length > 0) {
+            errors.push(...rowErrors);
+        } else {
+            orders.push(order);
+        }
+    });
+
+    return {
+        orders,
+        report: {
+            format: 'csv',
+            delimiter: parsed.delimiter,
+            rows: parsed.rows.length,
+            orders_parsed: orders.length,
+            rows_rejected: parsed.rows.length - orders.length,
+            mapped_columns: mapper.mapped_columns,
+            unmapped_columns: mapper.unmapped_columns,
+            errors
+        }
+    };
+}
+
+// Stock exports (Shopify inventory, WooCommerce products, marketplace listings) for PUT /inventory
+const INVENTORY_HEADER_ALIASES = {
+    sku: ['sku', 'variant sku', 'seller sku', 'item sku', 'sku code'],
+    product_name: ['product name', 'product', 'title', 'name', 'item name', 'product title'],
+    stock: ['stock', 'quantity', 'qty', 'available', 'on hand', 'inventory', 'stock quantity', 'inventory quantity', 'units in stock'],
+    lead_time_days: ['lead time days', 'lead time', 'lead days', 'restock days', 'supplier lead time']
+};
+
+function csvToInventoryItems(text) {
+    const parsed = parseCSV(text);
+    const lookup = {};
+    for (const [field, aliases] of Object.entries(INVENTORY_HEADER_ALIASES)) {
+        for (const alias of aliases) lookup[normalizeHeader(alias)] = field;
+    }
+    const columns = {};
+    parsed.headers.forEach((header, index) => {
+        const field = lookup[normalizeHeader(header)];
+        if (field && !(field in columns)) columns[field] = index;
+    });
+
+    const errors = [];
+    if (!('stock' in columns) || !('sku' in columns || 'product_name' in columns)) {
+        errors.push('CSV needs a stock column and a sku or product name column');
+        return { items: [], errors };
+    }
+
+    // Numbers are left for validateInventoryItems() to reject, with the row as its item index
+    const items = parsed.rows.map(cells => {
+        const item = {};
+        for (const [field, index] of Object.entries(columns)) {
+            const raw = (cells[index] || '').trim();
+            if (raw === '') continue;
+            const number = field === 'stock' || field === 'lead_time_days' ? parseNumericCell(raw) : raw;
+            item[field] = Number.isNaN(number) ? raw : number;
+        }
+        return item;
+    });
+    return { items, errors };
+}
+
+// A streamed body has no size limit, but one unterminated row would otherwise be buffered whole
+const STREAM_MAX_ROW_LENGTH = 1024 * 1024;
+
+// Reads a streamed NDJSON or CSV upload chunk by chunk: push() returns the orders each chunk completes.
+// Only the first maxErrors row errors are kept in the report; the rest are counted. A row longer
+// than maxRowLength characters throws a 413.
+function createOrderStreamParser(format, { customAliases = {}, maxErrors = 100, maxRowLength = STREAM_MAX_ROW_LENGTH } = {}) {
+    const report = { format, rows: 0, orders_parsed: 0, rows_rejected: 0 };
+    if (format === 'csv') Object.assign(report, { delimiter: null, mapped_columns: {}, unmapped_columns: [] });
+    Object.assign(report, { errors: [], errors_truncated: 0 });
+
+    const addErrors = (errors) => {
+        for (const error of errors) {
+            if (report.errors.length < maxErrors) report.errors.push(error);
+            else report.errors_truncated++;
+        }
+    };
+    const accept = (orders, order) => {
+        orders.push(order);
+        report.orders_parsed++;
+    };
+    const reject = (errors) => {
+        report.rows_rejected++;
+        addErrors(errors);
+    };
+
+    if (format === 'ndjson') {
+        let pending = '';
+        let line = 0;
+
+        const parseLines = (chunk, final) => {
+            const lines = (pending + chunk).split('\n');
+            pending = final ? '' : lines.pop();
+            if (pending.length > maxRowLength) {
+                throw httpError(413, `NDJSON line ${line + lines.length + 1} is longer than the ${maxRowLength}-character limit`);
+            }
+
+            const orders = [];
+            for (const text of lines) {
+                line++;
+                if (text.length > maxRowLength) {
+                    throw httpError(413, `NDJSON line ${line} is longer than the ${maxRowLength}-character limit`);
+                }
+                if (text.trim() === '') continue;
+
+                report.rows++;
+                try {
+                    accept(orders, JSON.parse(text));
+                } catch (error) {
+                    reject([{ row: line, column: null, message: `Invalid JSON: ${error.message}` }]);
+                }
+            }
+            return orders;
+        };
+
+        return { report, push: (chunk) => parseLines(chunk, false), end: () => parseLines('', true) };
+    }
+
+    const parser = createCSVRecordParser({ maxRecordLength: maxRowLength });
+    let mapper = null;
+    let row = 0;
+
+    // Row numbers count non-blank records with the header as row 1, matching csvToOrders()
+    const mapRecords = (records) => {
+        const orders = [];
+        for (const cells of records) {
+            if (isBlankRecord(cells)) continue;
+            row++;
+
+            if (!mapper) {
+                mapper = createCSVOrderMapper(cells.map(h => h.trim()), customAliases);
+                Object.assign(report, {
+                    delimiter: parser.delimiter,
+                    mapped_columns: mapper.mapped_columns,
+                    unmapped_columns: mapper.unmapped_columns
+                });
+                continue;
+            }
+
+            report.rows++;
+            const { order, errors } = mapper.mapRow(cells, row);
+            if (errors.length > 0) reject(errors);
+            else accept(orders, order);
+        }
+        return orders;
+    };
+
+    const end = () => {
+        const orders = mapRecords(parser.end());
+        if (!mapper) addErrors([{ row: 1, column: null, message: 'CSV has no header row' }]);
+        if (parser.unterminatedQuote) addErrors([{ row: row + 1, column: null, message: 'Unterminated quoted field at end of file' }]);
+        return orders;
+    };
+
+    return { report, push: (chunk) => mapRecords(parser.push(chunk)), end };
+}
+
+// An object of field -> alias or [aliases], as JSON text when it comes from a query or multipart field
+function parseHeaderAliases(value) {
+    if (!value) return {};
+    let aliases = value;
+    if (typeof value === 'string') {
+        try {
+            aliases = JSON.parse(value);
+        } catch (error) {
+            aliases = null;
+        }
+    }
+
+    const isAlias = alias => typeof alias === 'string';
+    const valid = typeof aliases === 'object' && aliases !== null && !Array.isArray(aliases) &&
+        Object.values(aliases).every(alias => isAlias(alias) || (Array.isArray(alias) && alias.every(isAlias)));
+    if (!valid) throw httpError(400, 'header_aliases must be a JSON object of field -> [aliases]');
+    return aliases;
+}
+
+// Orders from a multipart upload, a text/csv body, or the JSON shapes the API has always accepted
+function extractOrderData(req, { allowSingleOrder = false } = {}) {
+    const isCSVUpload = req.file && (/csv|text|excel/i.test(req.file.mimetype) || /\.(csv|txt)$/i.test(req.file.originalname));
+
+    if (req.file && !isCSVUpload) {
+        throw httpError(415, `Unsupported upload type "${req.file.mimetype}". Export the sheet as CSV.`);
+    }
+
+    if (isCSVUpload || typeof req.body === 'string') {
+        const text = isCSVUpload ? req.file.buffer.toString('utf8') : req.body;
+        const aliases = parseHeaderAliases(req.body?.header_aliases || req.query.header_aliases);
+        const { orders, report } = csvToOrders(text, aliases);
+        return { orders, ingestion: report };
+    }
+
+    const orders = ordersFromJSON(req.body, { allowSingleOrder });
+    return { orders, ingestion: { format: 'json', rows: orders.length, orders_parsed: orders.length, errors: [] } };
+}
+
+// A bare array, { orders: [...] } or { data: [...] }
+function ordersFromJSON(body, { allowSingleOrder = false } = {}) {
+    body = body || {};
+    if (Array.isArray(body)) return body;
+    if (Array.isArray(body.orders)) return body.orders;
+    if (Array.isArray(body.data)) return body.data;
+    // Single order
+    if (allowSingleOrder && typeof body === 'object' && Object.keys(body).length > 0) return [body];
+    return [];
+}
+
+// Query-string values for text/csv and multipart requests, where body options aren't JSON
+function getRequestOption(req, name) {
+    const fromBody = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body[name] : undefined;
+    return fromBody !== undefined ? fromBody : req.query[name];
+}
+
+// ============= STORAGE =============
+// Adapters share one async interface: insert, get, list, update, remove.
+// Records are plain JSON objects grouped by collection name ("runs", "datasets", ...).
+class FileStorageAdapter {
+    constructor(directory) {
+        this.directory = directory;
+    }
+
+    collectionPath(collection) {
+        return path.join(this.directory, collection);
+    }
+
+    recordPath(collection, id) {
+        // Ids are generated server-side, but never let one escape its collection folder
+        return path.join(this.collectionPath(collection), `${path.basename(String(id))}.json`);
+    }
+
+    async insert(collection, record) {
+        const stored = {
+            id: record.id || crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...record
+        };
+        await fs.promises.mkdir(this.collectionPath(collection), { recursive: true });
+        await this.lock(collection, stored.id, () => this.write(collection, stored));
+        return stored;
+    }
+
+    async get(collection, id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.recordPath(collection, id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async list(collection, filter = {}) {
+        let files;
+        try {
+            files = await fs.promises.readdir(this.collectionPath(collection));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            const record = await this.get(collection, file.slice(0, -5));
+            if (record && matchesFilter(record, filter)) records.push(record);
+        }
+        return records.sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+    }
+
+    update(collection, id, changes) {
+        return this.lock(collection, id, async () => {
+            const existing = await this.get(collection, id);
+            if (!existing) return null;
+
+            const updated = { ...existing, ...changes, id: existing.id, updated_at: new Date().toISOString() };
+            await this.write(collection, updated);
+            return updated;
+        });
+    }
+
+    remove(collection, id) {
+        return this.lock(collection, id, async () => {
+            try {
+                await fs.promises.unlink(this.recordPath(collection, id));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') return false;
+                throw error;
+            }
+        });
+    }
+
+    // Writes to one record run one at a time, so an update never reads a copy another write is replacing
+    lock(collection, id, task) {
+        return withKeyLock(`file:${this.recordPath(collection, id)}`, task);
+    }
+
+    async write(collection, record) {
+        // Write-then-rename so a crash never leaves a half-written record behind; every write gets
+        // its own temp file
+        const target = this.recordPath(collection, record.id);
+        const temp = `${target}.${crypto.randomUUID()}.tmp`;
+        try {
+            await fs.promises.writeFile(temp, JSON.stringify(record));
+            await fs.promises.rename(temp, target);
+        } catch (error) {
+            await fs.promises.unlink(temp).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+class SqliteStorageAdapter {
+    constructor(filename) {
+        // Optional dependency: only required when STORAGE_DRIVER=sqlite
+        const Database = require('better-sqlite3');
+        fs.mkdirSync(path.dirname(filename), { recursive: true });
+
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS records (
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                data TEXT NOT NULL,
+                PRIMARY KEY (collection, id)
+            )
+        `);
+    }
+
+    async insert(collection, record) {
+        const stored = {
+            id: record.id || crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...record
+        };
+        this.db.prepare('INSERT INTO records (collection, id, created_at, data) VALUES (?, ?, ?, ?)')
+            .run(collection, stored.id, stored.created_at, JSON.stringify(stored));
+        return stored;
+    }
+
+    async get(collection, id) {
+        const row = this.db.prepare('SELECT data FROM records WHERE collection = ? AND id = ?')
+            .get(collection, String(id));
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async list(collection, filter = {}) {
+        return this.db.prepare('SELECT data FROM records WHERE collection = ? ORDER BY created_at')
+            .all(collection)
+            .map(row => JSON.parse(row.data))
+            .filter(record => matchesFilter(record, filter));
+    }
+
+    async update(collection, id, changes) {
+        const existing = await this.get(collection, id);
+        if (!existing) return null;
+
+        const updated = { ...existing, ...changes, id: existing.id, updated_at: new Date().toISOString() };
+        this.db.prepare('UPDATE records SET data = ? WHERE collection = ? AND id = ?')
+            .run(JSON.stringify(updated), collection, existing.id);
+        return updated;
+    }
+
+    async remove(collection, id) {
+        const result = this.db.prepare('DELETE FROM records WHERE collection = ? AND id = ?')
+            .run(collection, String(id));
+        return result.changes > 0;
+    }
+}
+
+function matchesFilter(record, filter) {
+    return Object.entries(filter).every(([key, value]) => record[key] === value);
+}
+
+// Runs tasks that share a key one after another, so a read-then-write on a record can't interleave
+// with another request's. Only within this process; a failed task doesn't block the next one.
+const keyLocks = new Map();
+
+function withKeyLock(key, task) {
+    const run = (keyLocks.get(key) || Promise.resolve()).then(task);
+    const settled = run.catch(() => {});
+    keyLocks.set(key, settled);
+    settled.then(() => {
+        if (keyLocks.get(key) === settled) keyLocks.delete(key);
+    });
+    return run;
+}
+
+function createStorage() {
+    const dataDir = process.env.DATA_DIR || path.join(__dirname, 'storage');
+
+    if (process.env.STORAGE_DRIVER === 'sqlite') {
+        return new SqliteStorageAdapter(process.env.SQLITE_PATH || path.join(dataDir, 'flowlytics.db'));
+    }
+    return new FileStorageAdapter(dataDir);
+}
+
+const storage = createStorage();
+
+// Saves the orders and their analysis as a named run; orders live in "datasets" so listing runs stays cheap.
+// Streamed runs pass no orders: only their analysis is kept.
+async function saveAnalysisRun({ workspaceId, name, orders, options, metrics }) {
+    const analysis = formatAnalysisPayload(metrics, metrics.orders.total);
+    const run = await storage.insert('runs', {
+        workspace_id: workspaceId,
+        name: name || `Analysis ${new Date().toISOString().slice(0, 16).replace('T', ' ')}`,
+        orders_processed: metrics.orders.total,
+        streamed: !orders,
+        options,
+        business_health: analysis.business_health,
+        analysis
+    });
+    if (orders) {
+        await storage.insert('datasets', { id: run.id, run_id: run.id, workspace_id: workspaceId, orders });
+    }
+    return run;
+}
+
+// Runs from another workspace are reported as missing rather than forbidden
+async function getWorkspaceRun(workspaceId, runId) {
+    const run = await storage.get('runs', runId);
+    return run && run.workspace_id === workspaceId ? run : null;
+}
+
+function summarizeRun(run) {
+    return {
+        id: run.id,
+        name: run.name,
+        created_at: run.created_at,
+        orders_processed: run.orders_processed,
+        streamed: Boolean(run.streamed),
+        options: run.options,
+        business_health: run.business_health
+    };
+}
+
+// JSON-safe view of the metrics returned by /analyze and stored with each run
+function formatAnalysisPayload(metrics, ordersProcessed) {
+    return {
+        orders_processed: ordersProcessed,
+        analytics: {
+            financial: {
+                total_revenue: metrics.financial.total_revenue,
+                delivered_revenue: metrics.financial.delivered_revenue,
+                total_profit: metrics.financial.total_profit,
+                profit_margin: metrics.financial.profit_margin,
+                average_order_value: metrics.financial.average_order_value
+            },
+            orders: {
+                total: metrics.orders.total,
+                delivered: metrics.orders.delivered,
+                conversion_rate: metrics.orders.conversion_rate
+            },
+            customers: {
+                unique: metrics.customers.unique.size,
+                repeat_buyers: metrics.customers.repeat_buyers
+            }
+        },
+        products: {
+            categories: metrics.products.by_category_sorted,
+            products: metrics.products.by_product_sorted,
+            low_margin_products: metrics.products.low_margin_products,
+            abc: metrics.products.abc
+        },
+        returns: metrics.returns,
+        payments: {
+            methods: metrics.payments.methods_sorted,
+            cod: metrics.payments.cod_performance,
+            prepaid: metrics.payments.prepaid_performance,
+            total_fees: metrics.payments.total_fees,
+            net_revenue: metrics.payments.net_revenue,
+            cod_to_prepaid: metrics.payments.cod_to_prepaid
+        },
+        geography: formatGeography(metrics.geography),
+        // stockout_risks and out_of_stock_sellers repeat entries of items, for insights only
+        inventory: metrics.inventory && {
+            stock_as_of: metrics.inventory.stock_as_of,
+            window: metrics.inventory.window,
+            summary: metrics.inventory.summary,
+            items: metrics.inventory.items
+        },
+        data_quality: metrics.data_quality,
+        currency: {
+            ...metrics.currency,
+            locale: metrics.locale.locale,
+            timezone: metrics.locale.timezone
+        },
+        trends: {
+            granularity: metrics.timeseries.granularity,
+            series: metrics.timeseries.series[metrics.timeseries.granularity],
+            growth: metrics.timeseries.growth,
+            dated_orders: metrics.timeseries.dated_orders,
+            undated_orders: metrics.timeseries.undated_orders
+        },
+        insights: metrics.insights,
+        business_health: {
+            score: metrics.summary.overall_score,
+            status: metrics.summary.health_status,
+            recommendation: metrics.summary.recommended_action,
+            breakdown: metrics.summary.score_breakdown
+        }
+    };
+}
+
+// ============= AUTH & WORKSPACES =============
+// Every stored record belongs to a workspace; members hold one role per workspace.
+const ROLE_LEVELS = { viewer: 1, analyst: 2, owner: 3 };
+const SESSION_COOKIE = 'flowlytics_session';
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 24 * 7) * 60 * 60 * 1000;
+
+function httpError(status, message) {
+    return Object.assign(new Error(message), { status });
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return { salt, hash };
+}
+
+function verifyPassword(password, user) {
+    const { hash } = hashPassword(password, user.password_salt);
+    return crypto.timingSafeEqual(Buffer.from(hash, 'hex'), Buffer.from(user.password_hash, 'hex'));
+}
+
+function parseCookies(header) {
+    return (header || '').split(';').reduce((cookies, pair) => {
+        const index = pair.indexOf('=');
+        if (index > 0) cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+        return cookies;
+    }, {});
+}
+
+function publicUser(user) {
+    return { id: user.id, email: user.email, name: user.name, created_at: user.created_at };
+}
+
+async function findUserByEmail(email) {
+    const [user] = await storage.list('users', { email: String(email || '').trim().toLowerCase() });
+    return user || null;
+}
+
+async function createWorkspace(name, ownerId) {
+    const workspace = await storage.insert('workspaces', { name, created_by: ownerId, settings: {} });
+    await storage.insert('memberships', { workspace_id: workspace.id, user_id: ownerId, role: 'owner' });
+    return workspace;
+}
+
+async function createSession(user) {
+    const token = crypto.randomBytes(32).toString('hex');
+    await storage.insert('sessions', {
+        id: hashToken(token),
+        user_id: user.id,
+        expires_at: new Date(Date.now() + SESSION_TTL_MS).toISOString()
+    });
+    return token;
+}
+
+function setSessionCookie(res, token, maxAgeMs = SESSION_TTL_MS) {
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    res.setHeader('Set-Cookie',
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`);
+}
+
+// API keys ("flk_...") are bound to one workspace and role.
+// Sessions come from /auth/login and pick a workspace with X-Workspace-Id.
+async function authenticateRequest(req) {
+    const bearer = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+    const apiKey = req.headers['x-api-key'] || (bearer?.startsWith('flk_') ? bearer : null);
+
+    if (apiKey) {
+        const key = await storage.get('api_keys', hashToken(apiKey));
+        if (!key || key.revoked_at) throw httpError(401, 'Invalid API key');
+
+        const workspace = await storage.get('workspaces', key.workspace_id);
+        if (!workspace) throw httpError(401, 'Invalid API key');
+
+        storage.update('api_keys', key.id, { last_used_at: new Date().toISOString() })
+            .catch(error => console.warn('Failed to record API key usage:', error.message));
+
+        return { via: 'api_key', user: null, api_key_id: key.id, workspace, role: key.role };
+    }
+
+    const token = bearer || parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    if (!token) throw httpError(401, 'Authentication required');
+
+    const session = await storage.get('sessions', hashToken(token));
+    if (!session || new Date(session.expires_at) < new Date()) throw httpError(401, 'Session expired or invalid');
+
+    const user = await storage.get('users', session.user_id);
+    if (!user) throw httpError(401, 'Session expired or invalid');
+
+    const memberships = await storage.list('memberships', { user_id: user.id });
+    const requestedWorkspace = req.headers['x-workspace-id'] || req.query.workspace_id;
+    const membership = requestedWorkspace ?
+        memberships.find(m => m.workspace_id === requestedWorkspace) :
+        memberships[0];
+
+    if (!membership) {
+        throw httpError(requestedWorkspace ? 403 : 401,
+            requestedWorkspace ? 'Not a member of this workspace' : 'User has no workspace');
+    }
+
+    const workspace = await storage.get('workspaces', membership.workspace_id);
+    return { via: 'session', user, session_id: session.id, workspace, role: membership.role };
+}
+
+// Authenticates the request and enforces a minimum role, e.g. requireRole('analyst')
+function requireRole(minimumRole) {
+    return (req, res, next) => {
+        authenticateRequest(req)
+            .then(auth => {
+                if ((ROLE_LEVELS[auth.role] || 0) < ROLE_LEVELS[minimumRole]) {
+                    throw httpError(403, `Requires ${minimumRole} role or higher`);
+                }
+                req.auth = auth;
+                next();
+            })
+            .catch(next);
+    };
+}
+
+// ============= OUTBOUND REQUESTS =============
+// Report sources and alert webhooks are URLs typed in by workspace members, so requests to them
+// must not reach the server's own network. The resolved address is checked on every connection,
+// including redirects and retries, so re-pointing DNS after the URL was saved doesn't get around it.
+// Self-hosted setups that post to internal services can set ALLOW_PRIVATE_NETWORK_URLS=true.
+const allowPrivateNetworkURLs = process.env.ALLOW_PRIVATE_NETWORK_URLS === 'true';
+const OUTBOUND_MAX_REDIRECTS = 5;
+const OUTBOUND_MAX_RESPONSE_BYTES = 10 * 1024 * 1024;
+
+// Loopback, private, carrier-grade NAT, link-local (cloud metadata), multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+// No ::ffff:0:0/96 entry: BlockList matches IPv4 addresses against it as well, and already checks
+// IPv4-mapped addresses against the IPv4 ranges above
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+    if (allowPrivateNetworkURLs) return false;
+    const family = net.isIP(address);
+    return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+function blockedAddressError(hostname) {
+    return Object.assign(new Error(`${hostname} resolves to a private or local address`), { code: 'EBLOCKEDADDRESS' });
+}
+
+// dns.lookup for http(s).request that refuses blocked addresses. Hosts given as IP literals
+// never reach it, so requestOutboundURL() checks those itself.
+function publicOnlyLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.some(entry => isBlockedAddress(entry.address))) return callback(blockedAddressError(hostname));
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+// For validators: null when the URL can be requested, otherwise the reason it can't
+async function checkOutboundURL(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'must be an http(s) URL';
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) return 'must be an http(s) URL';
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    try {
+        const addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+        return addresses.some(entry => isBlockedAddress(entry.address)) ? 'must not point to a private or local address' : null;
+    } catch (error) {
+        return `host ${hostname} could not be resolved`;
+    }
+}
+
+// One request through publicOnlyLookup(), following GET redirects. Resolves to
+// { status, ok, headers, url, text }; text is null unless readBody is set.
+function requestOutboundURL(value, { method = 'GET', headers = {}, body, timeoutMs, readBody = false, redirects = OUTBOUND_MAX_REDIRECTS } = {}) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(value);
+        const hostname = url.hostname.replace(/^\[|\]$/g, '');
+        if (!['http:', 'https:'].includes(url.protocol)) return reject(new Error('Only http(s) URLs can be requested'));
+        if (net.isIP(hostname) && isBlockedAddress(hostname)) return reject(blockedAddressError(hostname));
+
+        const client = url.protocol === 'https:' ? https : http;
+        const request = client.request(url, {
+            method,
+            headers: body !== undefined ? { ...headers, 'Content-Length': Buffer.byteLength(body) } : headers,
+            lookup: publicOnlyLookup,
+            signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+        }, response => {
+            const location = response.headers.location;
+            if (method === 'GET' && location && [301, 302, 303, 307, 308].includes(response.statusCode)) {
+                response.resume();
+                if (redirects <= 0) return reject(new Error('Too many redirects'));
+                return resolve(requestOutboundURL(new URL(location, url).href, { method, headers, timeoutMs, readBody, redirects: redirects - 1 }));
+            }
+
+            const result = {
+                status: response.statusCode,
+                ok: response.statusCode >= 200 && response.statusCode < 300,
+                headers: response.headers,
+                url: url.href,
+                text: null
+            };
+            if (!readBody) {
+                response.resume();
+                return response.on('end', () => resolve(result)).on('error', reject);
+            }
+
+            const chunks = [];
+            let size = 0;
+            response.on('data', chunk => {
+                size += chunk.length;
+                if (size > OUTBOUND_MAX_RESPONSE_BYTES) {
+                    response.destroy(new Error(`Response is larger than ${OUTBOUND_MAX_RESPONSE_BYTES / 1024 / 1024} MB`));
+                } else {
+                    chunks.push(chunk);
+                }
+            });
+            response.on('end', () => resolve({ ...result, text: Buffer.concat(chunks).toString('utf8') }));
+            response.on('error', reject);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+}
+
+// ============= SCHEDULED REPORTS =============
+// Cron-style jobs per workspace: re-analyze the latest dataset and email the dashboard.
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day_of_month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    // 7 is accepted as Sunday, as in most crons
+    { name: 'day_of_week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const CRON_ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+const DEFAULT_REPORT_TIMEZONE = 'Asia/Kolkata';
+// Minutes to wait before each retry of a failed run; once exhausted, the schedule waits for its next slot
+const REPORT_RETRY_DELAYS_MINUTES = [5, 30];
+const REPORT_TICK_MS = 30 * 1000;
+
+// "0 9 * * mon", "*/15 8-18 * * 1-5", "@weekly"; lists, ranges, steps and month/day names
+function parseCronExpression(expression) {
+    const text = String(expression || '').trim().toLowerCase();
+    const parts = (CRON_ALIASES[text] || text).split(/\s+/);
+
+    if (parts.length !== 5) {
+        throw new Error('cron needs 5 fields: minute hour day-of-month month day-of-week');
+    }
+
+    const cron = {};
+    CRON_FIELDS.forEach((field, index) => {
+        const toNumber = (token) => {
+            const named = field.names ? field.names.indexOf(token) : -1;
+            if (named >= 0) return named + (field.name === 'month' ? 1 : 0);
+            return /^\d+$/.test(token) ? Number(token) : NaN;
+        };
+        const values = new Set();
+
+        for (const item of parts[index].split(',')) {
+            const match = item.match(/^(\*|[a-z0-9]+)(?:-([a-z0-9]+))?(?:\/(\d+))?$/);
+            if (!match) throw new Error(`Invalid ${field.name} "${item}"`);
+
+            const [, first, last, stepText] = match;
+            const start = first === '*' ? field.min : toNumber(first);
+            // "5/15" runs from 5 to the end of the range
+            const end = first === '*' ? field.max : last !== undefined ? toNumber(last) : stepText ? field.max : start;
+            const step = stepText ? Number(stepText) : 1;
+
+            if (![start, end].every(n => Number.isInteger(n) && n >= field.min && n <= field.max) || start > end || step < 1) {
+                throw new Error(`Invalid ${field.name} "${item}"`);
+            }
+            for (let value = start; value <= end; value += step) {
+                values.add(field.name === 'day_of_week' ? value % 7 : value);
+            }
+        }
+
+        cron[field.name] = values;
+        cron[`${field.name}_restricted`] = parts[index] !== '*';
+    });
+    return cron;
+}
+
+// Like standard cron: when both day fields are restricted, matching either is enough
+function cronDayMatches(cron, date) {
+    const dayOfMonth = cron.day_of_month.has(date.getUTCDate());
+    const dayOfWeek = cron.day_of_week.has(date.getUTCDay());
+    if (cron.day_of_month_restricted && cron.day_of_week_restricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+}
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The wall-clock time in a zone, as a UTC timestamp with the same fields
+// Building a DateTimeFormat is far slower than using one, and this runs per order
+const wallClockFormats = new Map();
+
+function getZonedWallClock(date, timeZone) {
+    let format = wallClockFormats.get(timeZone);
+    if (!format) {
+        format = new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        wallClockFormats.set(timeZone, format);
+    }
+    const parts = format.formatToParts(date).reduce((fields, part) => {
+        fields[part.type] = Number(part.value);
+        return fields;
+    }, {});
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+// First minute after `after` that matches the cron in the given zone; null if none within five years
+function nextCronRun(cron, after, timeZone = DEFAULT_REPORT_TIMEZONE) {
+    const offsetAt = (instant) => getZonedWallClock(new Date(instant), timeZone) - Math.floor(instant / 1000) * 1000;
+
+    let wall = Math.floor(getZonedWallClock(after, timeZone) / 60000) * 60000 + 60000;
+    const limit = wall + 5 * 366 * DAY_MS;
+
+    while (wall < limit) {
+        const date = new Date(wall);
+        const [year, month, day, hour] = [date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), date.getUTCHours()];
+
+        // Skip whole months, days and hours that can't match instead of stepping minute by minute
+        if (!cron.month.has(month + 1)) {
+            wall = Date.UTC(year, month + 1, 1);
+        } else if (!cronDayMatches(cron, date)) {
+            wall = Date.UTC(year, month, day + 1);
+        } else if (!cron.hour.has(hour)) {
+            wall = Date.UTC(year, month, day, hour + 1);
+        } else if (!cron.minute.has(date.getUTCMinutes())) {
+            wall += 60000;
+        } else {
+            // Back to an instant, with the offsets in force a day either side. Around a DST change a
+            // time can happen twice (the first one still ahead is used) or not at all (it runs as the
+            // clocks jump past it, as cron does)
+            const candidates = [wall - DAY_MS, wall + DAY_MS].map(instant => wall - offsetAt(instant));
+            const exact = candidates.filter(instant => instant > after.getTime() && getZonedWallClock(new Date(instant), timeZone) === wall);
+            return new Date(exact.length > 0 ? Math.min(...exact) : Math.max(...candidates));
+        }
+    }
+    return null;
+}
+
+async function validateReportSchedule(schedule) {
+    const errors = [];
+    if (!schedule || typeof schedule !== 'object') return ['Schedule must be an object'];
+
+    if (!schedule.name || typeof schedule.name !== 'string') errors.push('name is required');
+    try {
+        parseCronExpression(schedule.cron);
+    } catch (error) {
+        errors.push(error.message);
+    }
+    if (!isValidTimeZone(schedule.timezone)) errors.push(`Unknown timezone "${schedule.timezone}"`);
+
+    const recipients = schedule.recipients;
+    if (!Array.isArray(recipients) || recipients.length === 0 || recipients.length > 50) {
+        errors.push('recipients must be a list of 1-50 email addresses');
+    } else {
+        const invalid = recipients.filter(email => !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email)));
+        if (invalid.length > 0) errors.push(`Invalid recipients: ${invalid.join(', ')}`);
+    }
+
+    if (!GRANULARITIES.includes(schedule.granularity)) {
+        errors.push(`granularity must be one of: ${GRANULARITIES.join(', ')}`);
+    }
+    if (schedule.subject !== undefined && typeof schedule.subject !== 'string') errors.push('subject must be a string');
+    if (typeof schedule.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+    const source = schedule.source;
+    if (!source || !['latest_run', 'url'].includes(source.type)) {
+        errors.push('source.type must be "latest_run" or "url"');
+    } else if (source.type === 'url') {
+        const urlError = await checkOutboundURL(source.url);
+        if (urlError) errors.push(`source.url ${urlError}`);
+    }
+
+    return errors;
+}
+
+let mailTransport = null;
+
+function getMailTransport() {
+    if (!process.env.SMTP_HOST) {
+        throw new Error('Email is not configured: set SMTP_HOST');
+    }
+    if (!mailTransport) {
+        mailTransport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return mailTransport;
+}
+
+// The latest run with stored orders, or a JSON/CSV export fetched from the schedule's URL
+async function loadReportOrders(schedule) {
+    if (schedule.source.type === 'url') {
+        const response = await requestOutboundURL(schedule.source.url, { timeoutMs: 60 * 1000, readBody: true });
+        if (!response.ok) {
+            throw new Error(`Fetching ${schedule.source.url} failed with HTTP ${response.status}`);
+        }
+
+        // Errors end up in report_jobs, so they describe the problem without quoting the fetched body
+        const isCSV = /csv/i.test(response.headers['content-type'] || '') || /\.csv(\?|$)/i.test(response.url);
+        if (isCSV) return csvToOrders(response.text, schedule.source.header_aliases).orders;
+        try {
+            return ordersFromJSON(JSON.parse(response.text));
+        } catch (error) {
+            throw new Error(`${schedule.source.url} did not return valid JSON or CSV`);
+        }
+    }
+
+    const loaded = await loadRunOrders(schedule.workspace_id);
+    if (!loaded) throw new Error('No saved runs with stored orders to report on');
+    return loaded.orders;
+}
+
+// One attempt at sending a report. Recorded in report_jobs; failures are returned, not thrown.
+async function executeReportJob(schedule, { attempt = 1, trigger = 'schedule' } = {}) {
+    const job = await storage.insert('report_jobs', {
+        workspace_id: schedule.workspace_id,
+        schedule_id: schedule.id,
+        trigger,
+        attempt,
+        status: 'running',
+        recipients: schedule.recipients,
+        started_at: new Date().toISOString()
+    });
+
+    try {
+        const workspace = await storage.get('workspaces', schedule.workspace_id);
+        if (!workspace) throw new Error('Workspace no longer exists');
+
+        const orders = await loadReportOrders(schedule);
+        if (orders.length === 0) throw new Error('The dataset has no orders');
+
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(workspace);
+        const metrics = new SafeFlowlyticsAnalytics(orders, { ...workspaceOptions, granularity: schedule.granularity }).analysis;
+        const subject = schedule.subject ?
+            renderRuleTemplate(schedule.subject, buildMetricContext(metrics)) :
+            `${schedule.name}: health score ${metrics.summary.overall_score}/100 (${metrics.summary.health_status})`;
+
+        const info = await getMailTransport().sendMail({
+            from: process.env.SMTP_FROM || 'Flowlytics AI <reports@flowlytics.local>',
+            to: schedule.recipients,
+            subject,
+            html: generateDashboardHTML(metrics)
+        });
+
+        return await storage.update('report_jobs', job.id, {
+            status: 'succeeded',
+            finished_at: new Date().toISOString(),
+            subject,
+            orders_processed: metrics.orders.total,
+            business_health: { score: metrics.summary.overall_score, status: metrics.summary.health_status },
+            message_id: info.messageId || null
+        });
+    } catch (error) {
+        console.error(`Report job ${job.id} failed:`, error.message);
+        return storage.update('report_jobs', job.id, {
+            status: 'failed',
+            finished_at: new Date().toISOString(),
+            error: error.message
+        });
+    }
+}
+
+// After a scheduled attempt: retry a failure after a delay, otherwise move on to the next cron slot
+function getScheduleChangesAfterRun(schedule, job, now = new Date()) {
+    const retryDelay = job.status === 'failed' ? REPORT_RETRY_DELAYS_MINUTES[job.attempt - 1] : undefined;
+    const changes = { last_run_at: job.started_at, last_status: job.status, last_job_id: job.id };
+
+    if (retryDelay !== undefined) {
+        changes.retry_attempt = job.attempt + 1;
+        changes.next_run_at = new Date(now.getTime() + retryDelay * 60 * 1000).toISOString();
+    } else {
+        changes.retry_attempt = null;
+        changes.next_run_at = nextCronRun(parseCronExpression(schedule.cron), now, schedule.timezone)?.toISOString() || null;
+    }
+    return changes;
+}
+
+function completeScheduledRun(schedule, job) {
+    return storage.update('report_schedules', schedule.id, getScheduleChangesAfterRun(schedule, job));
+}
+
+let reportTickRunning = false;
+
+async function runDueReports() {
+    if (reportTickRunning) return;
+    reportTickRunning = true;
+
+    try {
+        const now = Date.now();
+        const due = (await storage.list('report_schedules'))
+            .filter(schedule => schedule.enabled && schedule.next_run_at && Date.parse(schedule.next_run_at) <= now);
+
+        // One at a time: a report re-runs a full analysis
+        for (const schedule of due) {
+            const job = await executeReportJob(schedule, { attempt: schedule.retry_attempt || 1 });
+            await completeScheduledRun(schedule, job);
+        }
+    } catch (error) {
+        console.error('Report scheduler error:', error);
+    } finally {
+        reportTickRunning = false;
+    }
+}
+
+// Runs missed while the server was down fire once on the first tick, then follow the cron again
+function startReportScheduler() {
+    if (process.env.REPORT_SCHEDULER === 'false') return;
+    setInterval(runDueReports, REPORT_TICK_MS).unref();
+    console.log('⏰ Report scheduler running');
+}
+
+// ============= ALERT WEBHOOKS =============
+// Alert rules match anomalies in newly saved runs and post them to a webhook. Every delivery is
+// logged in webhook_deliveries and retried in the background until it succeeds or runs out of attempts.
+const ALERT_DIRECTIONS = ['spike', 'drop', 'both'];
+const WEBHOOK_FORMATS = ['json', 'slack'];
+// Minutes to wait before each retry; a delivery is attempted at most once more than this list is long
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30];
+const WEBHOOK_TICK_MS = 15 * 1000;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+const webhookDispatcherEnabled = process.env.WEBHOOK_DISPATCHER !== 'false';
+
+async function validateAlertRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') return ['Alert rule must be an object'];
+
+    if (!rule.name || typeof rule.name !== 'string') errors.push('name is required');
+    if (!Array.isArray(rule.metrics) || rule.metrics.length === 0 || rule.metrics.some(metric => !ANOMALY_METRICS.includes(metric))) {
+        errors.push(`metrics must be a list of: ${ANOMALY_METRICS.join(', ')}`);
+    }
+    if (!ALERT_DIRECTIONS.includes(rule.direction)) errors.push(`direction must be one of: ${ALERT_DIRECTIONS.join(', ')}`);
+    if (typeof rule.min_score !== 'number' || !(rule.min_score > 0)) errors.push('min_score must be a positive number');
+    if (rule.cities !== undefined && (!Array.isArray(rule.cities) || rule.cities.some(city => typeof city !== 'string'))) {
+        errors.push('cities must be a list of city names');
+    }
+    if (!Number.isInteger(rule.lookback_days) || rule.lookback_days < 1 || rule.lookback_days > 90) {
+        errors.push('lookback_days must be a whole number from 1 to 90');
+    }
+    const urlError = await checkOutboundURL(rule.webhook_url);
+    if (urlError) errors.push(`webhook_url ${urlError}`);
+    if (!WEBHOOK_FORMATS.includes(rule.format)) errors.push(`format must be one of: ${WEBHOOK_FORMATS.join(', ')}`);
+    if (typeof rule.enabled !== 'boolean') errors.push('enabled must be true or false');
+
+    return errors;
+}
+
+// Anomalies within the rule's last `lookback_days` of data that pass its filters
+function matchAlertRule(rule, anomalies, lastDay) {
+    const since = toDayKey(new Date(Date.parse(`${lastDay}T00:00:00Z`) - (rule.lookback_days - 1) * DAY_MS));
+    const cities = (rule.cities || []).map(city => city.toLowerCase());
+
+    return anomalies.filter(anomaly => anomaly.date >= since &&
+        rule.metrics.includes(anomaly.metric) &&
+        (rule.direction === 'both' || anomaly.direction === rule.direction) &&
+        Math.abs(anomaly.score) >= rule.min_score &&
+        (anomaly.metric !== 'city_revenue' || cities.length === 0 || cities.includes(anomaly.city.toLowerCase())));
+}
+
+function alertDedupeKey(rule, anomaly) {
+    return [rule.id, anomaly.metric, anomaly.city || '', anomaly.date].join(':');
+}
+
+// Slack incoming webhooks only read `text`; everything else gets the full event
+function buildWebhookBody(rule, event, locale) {
+    if (rule.format !== 'slack') return event;
+
+    const lines = event.event === 'anomaly.detected' ?
+        event.anomalies.map(anomaly => `• ${describeAnomaly(anomaly, locale)}`) :
+        ['Test delivery from Flowlytics AI'];
+    return { text: [`*${rule.name}*`, ...lines].join('\n') };
+}
+
+function signWebhookPayload(secret, timestamp, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+async function queueWebhookDelivery(rule, event, { dedupeKeys = [], locale = DEFAULT_LOCALE } = {}) {
+    const delivery = await storage.insert('webhook_deliveries', {
+        workspace_id: rule.workspace_id,
+        rule_id: rule.id,
+        event: event.event,
+        url: rule.webhook_url,
+        payload: buildWebhookBody(rule, event, locale),
+        dedupe_keys: dedupeKeys,
+        status: 'pending',
+        attempts: [],
+        next_attempt_at: new Date().toISOString(),
+        delivered_at: null
+    });
+
+    // Deliver straight away rather than waiting for the next tick
+    if (webhookDispatcherEnabled) setImmediate(runDueWebhookDeliveries);
+    return delivery;
+}
+
+// One POST to the receiver, recorded on the delivery. Failures schedule the next retry, not throw.
+// Only the status code and timing are kept: the reply is never stored or shown.
+async function attemptWebhookDelivery(delivery) {
+    const rule = await storage.get('alert_rules', delivery.rule_id);
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString() };
+    const started = Date.now();
+
+    try {
+        if (!rule) throw new Error('Alert rule no longer exists');
+
+        const response = await requestOutboundURL(delivery.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'Flowlytics-Webhooks/1.0',
+                'X-Flowlytics-Event': delivery.event,
+                'X-Flowlytics-Delivery': delivery.id,
+                'X-Flowlytics-Timestamp': String(timestamp),
+                'X-Flowlytics-Signature': signWebhookPayload(rule.secret, timestamp, body)
+            },
+            body,
+            timeoutMs: WEBHOOK_TIMEOUT_MS
+        });
+
+        attempt.status_code = response.status;
+        if (!response.ok) throw new Error(`Receiver answered HTTP ${response.status}`);
+    } catch (error) {
+        attempt.error = error.message;
+    }
+    attempt.duration_ms = Date.now() - started;
+
+    const attempts = [...delivery.attempts, attempt];
+    const retryDelay = attempt.error && rule ? WEBHOOK_RETRY_DELAYS_MINUTES[attempts.length - 1] : undefined;
+    return storage.update('webhook_deliveries', delivery.id, {
+        attempts,
+        status: !attempt.error ? 'delivered' : retryDelay !== undefined ? 'retrying' : 'failed',
+        next_attempt_at: retryDelay !== undefined ? new Date(Date.now() + retryDelay * 60 * 1000).toISOString() : null,
+        delivered_at: attempt.error ? null : attempt.at,
+        last_error: attempt.error || null
+    });
+}
+
+let webhookTickRunning = false;
+
+async function runDueWebhookDeliveries() {
+    if (webhookTickRunning) return;
+    webhookTickRunning = true;
+
+    try {
+        const now = Date.now();
+        const due = (await storage.list('webhook_deliveries'))
+            .filter(delivery => ['pending', 'retrying'].includes(delivery.status) &&
+                delivery.next_attempt_at && Date.parse(delivery.next_attempt_at) <= now);
+
+        for (const delivery of due) {
+            await attemptWebhookDelivery(delivery);
+        }
+    } catch (error) {
+        console.error('Webhook dispatcher error:', error);
+    } finally {
+        webhookTickRunning = false;
+    }
+}
+
+function startWebhookDispatcher() {
+    if (!webhookDispatcherEnabled) return;
+    setInterval(runDueWebhookDeliveries, WEBHOOK_TICK_MS).unref();
+    console.log('🔔 Webhook dispatcher running');
+}
+
+// Runs the workspace's alert rules against a newly saved run. An anomaly is sent once per rule,
+// however many later runs contain the same day.
+async function evaluateAlertRules(workspaceId, metrics, runId) {
+    const rules = (await storage.list('alert_rules', { workspace_id: workspaceId })).filter(rule => rule.enabled);
+    if (rules.length === 0) return { rules_evaluated: 0, anomalies: 0, deliveries: [] };
+
+    // Each rule is matched at its own threshold, which also sets where Critical starts
+    const detections = new Map();
+    const detectFor = rule => {
+        if (!detections.has(rule.min_score)) detections.set(rule.min_score, detectAnomalies(metrics, { threshold: rule.min_score }));
+        return detections.get(rule.min_score);
+    };
+    const alreadySent = new Set((await storage.list('webhook_deliveries', { workspace_id: workspaceId }))
+        .flatMap(delivery => delivery.dedupe_keys || []));
+    const deliveries = [];
+    let matchedCount = 0;
+
+    for (const rule of rules) {
+        const detection = detectFor(rule);
+        if (!detection.last_day) continue;
+        const matched = matchAlertRule(rule, detection.anomalies, detection.last_day)
+            .filter(anomaly => !alreadySent.has(alertDedupeKey(rule, anomaly)));
+        if (matched.length === 0) continue;
+
+        matchedCount += matched.length;
+        const delivery = await queueWebhookDelivery(rule, {
+            event: 'anomaly.detected',
+            workspace_id: workspaceId,
+            rule: { id: rule.id, name: rule.name },
+            run_id: runId,
+            currency: metrics.locale.currency,
+            anomalies: matched,
+            created_at: new Date().toISOString()
+        }, { dedupeKeys: matched.map(anomaly => alertDedupeKey(rule, anomaly)), locale: metrics.locale });
+        deliveries.push({ id: delivery.id, rule_id: rule.id, anomalies: matched.length });
+    }
+
+    return { rules_evaluated: rules.length, anomalies: matchedCount, deliveries };
+}
+
+// ============= NARRATIVE =============
+// An optional written summary on top of the rule-based insights. The model only sees a fact sheet
+// built from the metrics, and every number it writes is checked against that sheet.
+const NARRATIVE_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60 * 1000;
+const NARRATIVE_MAX_TOKENS = Number(process.env.LLM_MAX_TOKENS) || 700;
+const NARRATIVE_LIST_SIZE = 5;
+const NARRATIVE_HISTORY_TURNS = 6;
+const NARRATIVE_QUESTION_MAX_LENGTH = 500;
+// Longer than any answer NARRATIVE_MAX_TOKENS can produce, so only made-up history is refused
+const NARRATIVE_ANSWER_MAX_LENGTH = 6000;
+// Whole numbers up to this are read as counting words ("the top 3 cities"), not figures
+const NARRATIVE_MAX_COUNT_WORD = 10;
+const NARRATIVE_NUMBER_SCALES = {
+    k: 1e3, thousand: 1e3,
+    l: 1e5, lac: 1e5, lakh: 1e5, lakhs: 1e5,
+    m: 1e6, mn: 1e6, million: 1e6,
+    cr: 1e7, crore: 1e7, crores: 1e7,
+    b: 1e9, bn: 1e9, billion: 1e9
+};
+// "₹1,23,456.78", "12.5%", "$1.2M", "3.4 lakh"; digits glued to letters ("Q1", "SKU12") are names, not figures
+const NARRATIVE_NUMBER_PATTERN = /(?<!\w)(?<!\d[.,])([₹$€£¥]\s?)?(\d{1,3}(?:,\d{2,3})+|\d+)(?:\.(\d+))?(?:\s?(thousand|lakhs|lakh|lac|million|mn|crores|crore|cr|billion|bn|k|l|m|b)\b)?(\s?%)?/gi;
+
+const NARRATIVE_SYSTEM_PROMPT = [
+    'You are a business analyst writing for the owner of an online store.',
+    'You are given a JSON fact sheet computed from their orders.',
+    'Use only numbers that appear in the facts, either as given or rounded to fewer decimals.',
+    'Name the metric next to every number, as in "a cancellation rate of 12%".',
+    'Never calculate new numbers such as sums, differences, ratios or averages.',
+    'Amounts are in the currency named by "currency". Rates, shares, margins and growth figures are percentages.',
+    'Write dates exactly as they appear in the facts.',
+    'If the facts do not answer something, say so rather than guessing.',
+    'Write plain text paragraphs without headings or tables.'
+].join(' ');
+
+// Each provider turns its config into { name, model, complete(messages) -> Promise<string> }.
+// "local" is an OpenAI-compatible server on this machine (Ollama, llama.cpp, vLLM) and needs no key.
+const NARRATIVE_PROVIDERS = {
+    openai: config => createOpenAICompatibleProvider({ base_url: 'https://api.openai.com/v1', model: 'gpt-4o-mini', ...config }),
+    local: config => createOpenAICompatibleProvider({ base_url: 'http://localhost:11434/v1', model: 'llama3.1', ...config })
+};
+
+function createOpenAICompatibleProvider({ name, base_url, api_key, model }) {
+    const url = `${base_url.replace(/\/+$/, '')}/chat/completions`;
+    return {
+        name,
+        model,
+        async complete(messages) {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(api_key ? { Authorization: `Bearer ${api_key}` } : {})
+                },
+                body: JSON.stringify({ model, messages, max_tokens: NARRATIVE_MAX_TOKENS, temperature: 0.2 }),
+                signal: AbortSignal.timeout(NARRATIVE_TIMEOUT_MS)
+            });
+            const text = await response.text();
+            if (!response.ok) throw new Error(`${name} provider answered HTTP ${response.status}: ${text.slice(0, 200)}`);
+
+            let content = null;
+            try {
+                content = JSON.parse(text).choices?.[0]?.message?.content;
+            } catch (error) {
+                // Reported below with the other empty answers
+            }
+            if (typeof content !== 'string' || !content.trim()) throw new Error(`${name} provider returned no message`);
+            return content.trim();
+        }
+    };
+}
+
+// Off unless LLM_PROVIDER is set; an unknown provider stops the server at startup
+function createNarrativeProvider(env) {
+    if (!env.LLM_PROVIDER) return null;
+    const factory = NARRATIVE_PROVIDERS[env.LLM_PROVIDER];
+    if (!factory) {
+        throw new Error(`Unknown LLM_PROVIDER "${env.LLM_PROVIDER}". Use one of: ${Object.keys(NARRATIVE_PROVIDERS).join(', ')}`);
+    }
+    const config = { name: env.LLM_PROVIDER, api_key: env.LLM_API_KEY || null };
+    if (env.LLM_BASE_URL) config.base_url = env.LLM_BASE_URL;
+    if (env.LLM_MODEL) config.model = env.LLM_MODEL;
+    return factory(config);
+}
+
+const narrativeProvider = createNarrativeProvider(process.env);
+
+function requireNarrativeProvider() {
+    if (!narrativeProvider) throw httpError(503, 'Narratives are not configured: set LLM_PROVIDER');
+    return narrativeProvider;
+}
+
+// Rounded to 2 decimals so the model has nothing to round except on purpose
+function roundFacts(value) {
+    if (typeof value === 'number') return isFinite(value) ? Math.round(value * 100) / 100 : null;
+    if (Array.isArray(value)) return value.map(roundFacts);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, roundFacts(item)]));
+    }
+    return value ?? null;
+}
+
+// What the model is allowed to know: headline figures, the top few of each table and the insights
+function buildNarrativeFacts(metrics) {
+    const { financial, orders, returns, payments, geography, timeseries, summary } = metrics;
+    const context = buildMetricContext(metrics);
+    const top = rows => rows.slice(0, NARRATIVE_LIST_SIZE);
+    const paymentFacts = bucket => ({
+        orders: bucket.orders,
+        revenue: bucket.revenue,
+        delivery_rate: bucket.delivery_rate,
+        cancellation_rate: bucket.cancellation_rate,
+        rto_rate: bucket.rto_rate
+    });
+
+    return roundFacts({
+        currency: metrics.locale.currency,
+        period: {
+            first_order_date: timeseries.first_order_date ? toDayKey(timeseries.first_order_date) : null,
+            last_order_date: timeseries.last_order_date ? toDayKey(timeseries.last_order_date) : null,
+            latest_period: timeseries.growth.current_period,
+            previous_period: timeseries.growth.previous_period
+        },
+        revenue: {
+            total_revenue: financial.total_revenue,
+            delivered_revenue: financial.delivered_revenue,
+            total_profit: financial.total_profit,
+            profit_margin: financial.profit_margin,
+            average_order_value: financial.average_order_value,
+            payment_fees: payments.total_fees,
+            net_revenue_after_fees: payments.net_revenue,
+            revenue_lost_to_cancellations: returns.revenue_lost_cancellations,
+            revenue_lost_to_returns: returns.revenue_lost_returns
+        },
+        orders: {
+            total: orders.total,
+            delivered: orders.delivered,
+            cancelled: orders.cancelled,
+            delivery_rate: orders.conversion_rate,
+            cancellation_rate: orders.cancellation_rate,
+            return_rate: returns.return_rate,
+            rto_rate: returns.rto_rate
+        },
+        growth_vs_previous_period: {
+            revenue_growth: timeseries.growth.revenue_growth,
+            orders_growth: timeseries.growth.orders_growth,
+            profit_growth: timeseries.growth.profit_growth
+        },
+        customers: {
+            unique: context.unique_customers,
+            repeat_buyers: metrics.customers.repeat_buyers,
+            repeat_rate: context.repeat_rate
+        },
+        health: { score: summary.overall_score, status: summary.health_status },
+        top_cities: top(rankLocations(geography.by_city, 'city').filter(row => row.city !== 'Unknown')
+            .sort((a, b) => b.revenue - a.revenue))
+            .map(row => ({
+                city: row.city,
+                orders: row.orders,
+                revenue: row.revenue,
+                delivery_success_rate: row.delivery_success_rate,
+                rto_rate: row.rto_rate,
+                cod_share: row.cod_share,
+                risk_level: row.risk_level
+            })),
+        top_products: top(metrics.products.by_product_sorted).map(product => ({
+            product: product.name,
+            units: product.quantity,
+            revenue: product.revenue,
+            margin: product.margin,
+            revenue_share: product.revenue_share,
+            return_rate: product.return_rate
+        })),
+        payment_methods: top(payments.methods_sorted).map(row => ({
+            method: row.method,
+            ...paymentFacts(row),
+            net_revenue: row.net_revenue
+        })),
+        cod: paymentFacts(payments.cod_performance),
+        prepaid: paymentFacts(payments.prepaid_performance),
+        cod_to_prepaid: payments.cod_to_prepaid ? {
+            estimated_gain: payments.cod_to_prepaid.estimated_gain,
+            cities: top(payments.cod_to_prepaid.cities).map(row => row.city)
+        } : null,
+        high_risk_pincodes: top(geography.high_risk_pincodes).map(row => ({
+            pincode: row.pincode,
+            city: row.city,
+            orders: row.orders,
+            risk_score: row.risk_score
+        })),
+        insights: metrics.insights.map(insight => ({
+            severity: insight.severity,
+            title: insight.title,
+            description: insight.description,
+            recommendation: insight.recommendation
+        }))
+    });
+}
+
+function parseNarrativeNumber(match) {
+    const [text, currency, whole, fraction, scaleName, percent] = match;
+    return {
+        text: text.trim(),
+        value: Number(`${whole.replace(/,/g, '')}.${fraction || 0}`),
+        decimals: fraction ? fraction.length : 0,
+        scale: scaleName ? NARRATIVE_NUMBER_SCALES[scaleName.toLowerCase()] : 1,
+        is_percent: Boolean(percent),
+        is_count: !currency && !scaleName && !percent && !fraction
+    };
+}
+
+// Fact keys holding percentages; a figure written with "%" has to match one of these
+const NARRATIVE_PERCENT_KEY_PATTERN = /rate|share|margin|growth/;
+// Words that don't say which metric a number is
+const NARRATIVE_GENERIC_WORDS = new Set([
+    'rate', 'rates', 'total', 'share', 'top', 'previous', 'period', 'latest', 'estimated', 'after',
+    'the', 'and', 'for', 'from', 'with', 'than', 'are', 'was', 'were', 'has', 'have', 'had', 'this', 'that',
+    'its', 'their', 'your', 'our', 'all', 'versus', 'per', 'about', 'only', 'just', 'over', 'under', 'around'
+]);
+const NARRATIVE_TERM_SYNONYMS = { reven: ['sales'], unit: ['sold'] };
+// A figure is checked against the facts its own clause names: "revenue grew 8% and orders 5%" is two claims
+const NARRATIVE_CLAUSE_PATTERN = /[;:](?!\d)|,(?!\d)|\s+(?:and|but|while|whereas)\s+|\s+[-–—]\s+/i;
+
+// "cancellation_rate", "cancelled" and "cancellations" all come down to "cance"
+function metricTerms(text) {
+    const terms = new Set();
+    for (const word of String(text).toLowerCase().match(/[a-z]+/g) || []) {
+        if (word.length < 3 || NARRATIVE_GENERIC_WORDS.has(word)) continue;
+        const term = word.replace(/s$/, '').slice(0, 5);
+        terms.add(term);
+        for (const synonym of NARRATIVE_TERM_SYNONYMS[term] || []) terms.add(synonym);
+    }
+    return [...terms];
+}
+
+// Numbers in the facts, each with the terms of the metric it measures, plus the strings with digits
+// in them (dates, pincodes, product names), which are matched as a whole rather than read as figures
+function collectFactValues(facts) {
+    const numbers = [];
+    const strings = new Set();
+    // A key that names no metric ("total", "orders" rows) takes its parent's terms
+    const visit = (value, key = '', parentTerms = []) => {
+        if (typeof value === 'number') {
+            const terms = metricTerms(key);
+            numbers.push({ value: Math.abs(value), is_percent: NARRATIVE_PERCENT_KEY_PATTERN.test(key), terms: terms.length > 0 ? terms : parentTerms });
+        } else if (typeof value === 'string') {
+            if (/\d/.test(value)) strings.add(value);
+            // Insight descriptions quote figures that are already grounded, described by their clause
+            for (const clause of value.split(NARRATIVE_CLAUSE_PATTERN)) {
+                for (const match of clause.matchAll(NARRATIVE_NUMBER_PATTERN)) {
+                    const number = parseNarrativeNumber(match);
+                    numbers.push({ value: number.value * number.scale, is_percent: number.is_percent, terms: metricTerms(clause) });
+                }
+            }
+        } else if (Array.isArray(value)) value.forEach(item => visit(item, key, parentTerms));
+        else if (value && typeof value === 'object') {
+            const terms = metricTerms(key);
+            Object.entries(value).forEach(([name, item]) => visit(item, name, terms.length > 0 ? terms : parentTerms));
+        }
+    };
+    visit(facts);
+
+    const years = [facts.period.first_order_date, facts.period.last_order_date].filter(Boolean).map(day => Number(day.slice(0, 4)));
+    return {
+        numbers,
+        // Longest first, so "2024-03-11" goes before "2024-03"
+        strings: [...strings].sort((a, b) => b.length - a.length),
+        years: years.length > 0 ? { from: Math.min(...years), to: Math.max(...years) } : null
+    };
+}
+
+// A written number is grounded when a fact its clause names rounds to it at the precision it was
+// written with, so "a cancellation rate of 12%" needs a cancellation figure of 12, not any 12
+function isGroundedNumber(number, allowed, words) {
+    if (number.is_count && number.value <= NARRATIVE_MAX_COUNT_WORD) return true;
+    if (number.is_count && allowed.years && number.value >= allowed.years.from && number.value <= allowed.years.to) return true;
+    const written = number.value * number.scale;
+    const tolerance = 0.5 * Math.pow(10, -number.decimals) * number.scale + 1e-9;
+    return allowed.numbers.some(fact => (fact.is_percent || !number.is_percent)
+        && Math.abs(fact.value - written) <= tolerance
+        && fact.terms.some(term => words.some(word => word.startsWith(term))));
+}
+
+function splitSentences(line) {
+    return line.split(/(?<=[.!?])\s+(?=\S)/);
+}
+
+// Drops every sentence with a number the facts don't back, and lists what was dropped
+function checkNarrativeNumbers(text, allowed) {
+    let checked = 0;
+    const ungrounded = [];
+    const removed = [];
+
+    const lines = text.split('\n').map(line => splitSentences(line).filter(sentence => {
+        let scrubbed = sentence;
+        for (const value of allowed.strings) scrubbed = scrubbed.split(value).join(' ');
+
+        const bad = [];
+        for (const clause of scrubbed.split(NARRATIVE_CLAUSE_PATTERN)) {
+            const words = clause.toLowerCase().match(/[a-z]+/g) || [];
+            for (const match of clause.matchAll(NARRATIVE_NUMBER_PATTERN)) {
+                const number = parseNarrativeNumber(match);
+                checked++;
+                if (!isGroundedNumber(number, allowed, words)) bad.push(number.text);
+            }
+        }
+        if (bad.length === 0) return true;
+        ungrounded.push(...bad);
+        removed.push({ sentence: sentence.trim(), numbers: bad });
+        return false;
+    }).join(' '));
+
+    return {
+        text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+        numbers_checked: checked,
+        ungrounded,
+        removed_sentences: removed
+    };
+}
+
+// One retry names the made-up figures; whatever still can't be grounded after that is cut
+async function writeGroundedNarrative(provider, facts, prompt, history = []) {
+    const allowed = collectFactValues(facts);
+    const messages = [
+        { role: 'system', content: NARRATIVE_SYSTEM_PROMPT },
+        { role: 'user', content: `Facts:\n${JSON.stringify(facts, null, 2)}` },
+        ...history.flatMap(turn => [
+            { role: 'user', content: turn.question },
+            { role: 'assistant', content: turn.answer }
+        ]),
+        { role: 'user', content: prompt }
+    ];
+
+    let draft = await provider.complete(messages);
+    let check = checkNarrativeNumbers(draft, allowed);
+    let attempts = 1;
+    if (check.ungrounded.length > 0) {
+        messages.push(
+            { role: 'assistant', content: draft },
+            { role: 'user', content: `These numbers do not match the facts they describe: ${[...new Set(check.ungrounded)].join(', ')}. Rewrite your answer using only numbers that appear in the facts, each next to the name of its metric.` }
+        );
+        draft = await provider.complete(messages);
+        check = checkNarrativeNumbers(draft, allowed);
+        attempts++;
+    }
+
+    return {
+        text: check.text,
+        provider: provider.name,
+        model: provider.model,
+        grounding: {
+            grounded: check.removed_sentences.length === 0,
+            numbers_checked: check.numbers_checked,
+            removed_sentences: check.removed_sentences,
+            attempts
+        },
+        generated_at: new Date().toISOString()
+    };
+}
+
+function generateNarrativeSummary(provider, metrics) {
+    return writeGroundedNarrative(provider, buildNarrativeFacts(metrics), [
+        'Write an executive summary of 3 to 5 short paragraphs:',
+        'how the business is doing overall, what is going well, the biggest risks, and the most important next steps.',
+        'Build on the insights in the facts.'
+    ].join(' '));
+}
+
+function answerNarrativeQuestion(provider, metrics, question, history) {
+    return writeGroundedNarrative(provider, buildNarrativeFacts(metrics),
+        `Answer this question about the data in 1 to 3 short paragraphs: ${question}`, history);
+}
+
+// Earlier turns come back from the client; only the most recent ones are sent to the model
+function validateNarrativeQuestion(question, history) {
+    const errors = [];
+    if (typeof question !== 'string' || !question.trim()) errors.push('question is required');
+    else if (question.length > NARRATIVE_QUESTION_MAX_LENGTH) errors.push(`question must be at most ${NARRATIVE_QUESTION_MAX_LENGTH} characters`);
+
+    if (history !== undefined && (!Array.isArray(history) || !history.every(turn =>
+        typeof turn?.question === 'string' && typeof turn?.answer === 'string'))) {
+        errors.push('history must be an array of { question, answer } turns');
+    } else if ((history || []).some(turn => turn.question.length > NARRATIVE_QUESTION_MAX_LENGTH || turn.answer.length > NARRATIVE_ANSWER_MAX_LENGTH)) {
+        errors.push(`history questions must be at most ${NARRATIVE_QUESTION_MAX_LENGTH} characters and answers at most ${NARRATIVE_ANSWER_MAX_LENGTH}`);
+    }
+    return errors;
+}
+
+// ============= CONNECTORS =============
+// Shopify and WooCommerce orders, from webhooks or REST API responses posted in bulk, mapped onto
+// the Flowlytics order model. Each platform order becomes one Flowlytics order named after its
+// highest-value line item; every line item is kept under line_items.
+const CONNECTOR_PLATFORMS = {
+    shopify: {
+        label: 'Shopify',
+        map: mapShopifyOrder,
+        updated_at: order => order.updated_at,
+        signature_header: 'x-shopify-hmac-sha256',
+        shop_header: 'x-shopify-shop-domain',
+        topic_header: 'x-shopify-topic',
+        delete_topics: ['orders/delete'],
+        // Shopify signs with the app's client secret, so it can't be generated here
+        generates_secret: false
+    },
+    woocommerce: {
+        label: 'WooCommerce',
+        map: mapWooCommerceOrder,
+        updated_at: order => order.date_modified_gmt ? `${order.date_modified_gmt}Z` : order.date_modified,
+        signature_header: 'x-wc-webhook-signature',
+        shop_header: 'x-wc-webhook-source',
+        topic_header: 'x-wc-webhook-topic',
+        delete_topics: ['order.deleted'],
+        generates_secret: true
+    }
+};
+
+const WOOCOMMERCE_STATUSES = {
+    completed: 'Delivered',
+    processing: 'Processing',
+    'on-hold': 'On Hold',
+    pending: 'Pending Payment',
+    'checkout-draft': 'Pending',
+    cancelled: 'Cancelled',
+    failed: 'Cancelled',
+    refunded: 'Refunded'
+};
+
+function toAmount(value) {
+    const amount = Number(value);
+    return isFinite(amount) ? amount : 0;
+}
+
+function getConnectorPlatform(name) {
+    return Object.hasOwn(CONNECTOR_PLATFORMS, name) ? CONNECTOR_PLATFORMS[name] : null;
+}
+
+// "https://Shop.example.com/" and "shop.example.com" are the same shop
+function normalizeShopDomain(value) {
+    return String(value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/+$/, '');
+}
+
+// Both platforms sign the raw request body: base64 HMAC-SHA256 with the webhook secret
+function verifyWebhookSignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) return false;
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest();
+    const received = Buffer.from(String(signature), 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function summarizeLineItems(lineItems) {
+    const top = lineItems.reduce((best, item) => !best || item.total > best.total ? item : best, null);
+    return {
+        product_name: top?.name || null,
+        quantity: lineItems.reduce((sum, item) => sum + item.quantity, 0) || 1
+    };
+}
+
+// Shopify has no RTO status: a failed delivery on the fulfillment's tracking is taken as one.
+// Without carrier tracking, "fulfilled" is the last thing Shopify knows and counts as delivered.
+function getShopifyStatus(order) {
+    if (order.cancelled_at || order.financial_status === 'voided') return 'Cancelled';
+    const shipmentStatuses = (order.fulfillments || []).map(fulfillment => fulfillment.shipment_status).filter(Boolean);
+    if (shipmentStatuses.includes('failure')) return 'RTO';
+    if (order.financial_status === 'refunded') return 'Refunded';
+    if (order.fulfillment_status === 'restocked') return 'Returned';
+    if (shipmentStatuses.includes('delivered')) return 'Delivered';
+    if (order.fulfillment_status === 'fulfilled' && shipmentStatuses.length === 0) return 'Delivered';
+    return order.fulfillment_status ? 'Shipped' : 'Pending';
+}
+
+function mapShopifyOrder(order) {
+    const address = order.shipping_address || order.billing_address || {};
+    const lineItems = (order.line_items || []).map(item => ({
+        name: item.title || item.name || null,
+        sku: item.sku || null,
+        product_id: item.product_id ?? null,
+        quantity: Number(item.quantity) || 0,
+        total: toAmount(item.price) * (Number(item.quantity) || 0) - toAmount(item.total_discount)
+    }));
+    const refundAmount = (order.refunds || [])
+        .flatMap(refund => refund.transactions || [])
+        .filter(transaction => transaction.kind === 'refund' && transaction.status === 'success')
+        .reduce((sum, transaction) => sum + toAmount(transaction.amount), 0);
+
+    return {
+        order_id: order.name || String(order.id),
+        customer_id: order.customer?.id ? String(order.customer.id) : (order.email || null),
+        revenue: toAmount(order.total_price),
+        refund_amount: refundAmount,
+        currency: order.currency || null,
+        status: getShopifyStatus(order),
+        city: address.city || null,
+        state: address.province || null,
+        pincode: address.zip || null,
+        payment_method: order.payment_gateway_names?.[0] || order.gateway || null,
+        ...summarizeLineItems(lineItems),
+        order_date: order.created_at || null,
+        line_items: lineItems
+    };
+}
+
+// Custom statuses from shipping plugins ("rto", "returned", "delivered") pass through to classifyOrderStatus()
+function mapWooCommerceOrder(order) {
+    const address = order.shipping?.city ? order.shipping : (order.billing || {});
+    const lineItems = (order.line_items || []).map(item => ({
+        name: item.name || null,
+        sku: item.sku || null,
+        product_id: item.product_id ?? null,
+        quantity: Number(item.quantity) || 0,
+        total: toAmount(item.total)
+    }));
+    // Refund totals are negative
+    const refundAmount = (order.refunds || []).reduce((sum, refund) => sum + Math.abs(toAmount(refund.total)), 0);
+
+    return {
+        order_id: String(order.number || order.id),
+        customer_id: order.customer_id ? String(order.customer_id) : (order.billing?.email || null),
+        revenue: toAmount(order.total),
+        refund_amount: refundAmount,
+        currency: order.currency || null,
+        status: WOOCOMMERCE_STATUSES[order.status] || order.status || null,
+        city: address.city || null,
+        state: address.state || null,
+        pincode: address.postcode || null,
+        payment_method: order.payment_method_title || order.payment_method || null,
+        ...summarizeLineItems(lineItems),
+        // date_created is in the site's timezone, date_created_gmt in UTC without a zone
+        order_date: order.date_created_gmt ? `${order.date_created_gmt}Z` : (order.date_created || null),
+        line_items: lineItems
+    };
+}
+
+// A bare order (webhooks), { order }, { orders: [...] } (Shopify REST) or an array (WooCommerce REST)
+function platformOrdersFromJSON(body) {
+    if (body && typeof body === 'object' && !Array.isArray(body) && body.order) return [body.order];
+    return ordersFromJSON(body, { allowSingleOrder: true });
+}
+
+// Upserts one platform order. Webhooks can arrive out of order, so an older copy never replaces a newer one.
+// Platforms retry and send several topics for one order at once, so the stored copy is read and
+// written under a lock per order
+async function storeConnectorOrder(workspaceId, platform, payload, topic = null) {
+    const connector = CONNECTOR_PLATFORMS[platform];
+    const externalId = String(payload?.id ?? '');
+    if (!/^[\w-]{1,64}$/.test(externalId)) throw httpError(400, `${connector.label} order has no usable id`);
+
+    const id = `${workspaceId}-${platform}-${externalId}`;
+    const order = { id, workspaceId, platform, externalId, payload, topic };
+    return withKeyLock(`connector_orders/${id}`, () => upsertConnectorOrder(order));
+}
+
+async function upsertConnectorOrder(order) {
+    const { id, workspaceId, platform, externalId, payload, topic } = order;
+    const connector = CONNECTOR_PLATFORMS[platform];
+    const existing = await storage.get('connector_orders', id);
+
+    if (connector.delete_topics.includes(topic)) {
+        if (existing) await storage.remove('connector_orders', id);
+        return { action: existing ? 'deleted' : 'ignored', external_id: externalId };
+    }
+
+    const updatedAt = Date.parse(connector.updated_at(payload)) || null;
+    if (existing?.source_updated_at && updatedAt && updatedAt < Date.parse(existing.source_updated_at)) {
+        return { action: 'skipped', external_id: externalId, order_id: existing.order.order_id };
+    }
+
+    const record = {
+        workspace_id: workspaceId,
+        platform,
+        external_id: externalId,
+        topic,
+        source_updated_at: updatedAt ? new Date(updatedAt).toISOString() : null,
+        order: connector.map(payload)
+    };
+    if (existing) {
+        await storage.update('connector_orders', id, record);
+    } else {
+        try {
+            await storage.insert('connector_orders', { id, ...record });
+        } catch (error) {
+            // Another instance stored it first: go again, now as an update of that copy
+            if (!await storage.get('connector_orders', id)) throw error;
+            return upsertConnectorOrder(order);
+        }
+    }
+
+    return { action: existing ? 'updated' : 'created', external_id: externalId, order_id: record.order.order_id };
+}
+
+// The secret is only returned when the connector is saved
+function publicConnector({ secret, ...connector }) {
+    return { ...connector, secret_prefix: secret.slice(0, 6) };
+}
+
+// ============= API ENDPOINTS =============
+
+// Health check
+app.get('/health', (req, res) => {
+    res.json({
+        status: 'healthy',
+        service: 'Flowlytics AI',
+        version: '5.1',
+        timestamp: new Date().toISOString(),
+        endpoints: {
+            signup: 'POST /auth/signup',
+            login: 'POST /auth/login',
+            analyze: 'POST /analyze',
+            analyze_stream: 'POST /analyze/stream',
+            dashboard: 'POST /dashboard',
+            export: 'POST /export',
+            forecast: 'POST /forecast',
+            runs: 'GET /runs',
+            run_orders: 'GET /runs/:id/orders',
+            geography: 'GET /geography',
+            risk_score: 'POST /risk/score',
+            customer_lifetime_value: 'GET /customers/lifetime-value',
+            customer_profile: 'GET /customers/:id',
+            payment_methods: 'GET /workspace/payment-methods',
+            reports: 'GET /reports/schedules',
+            anomalies: 'POST /anomalies',
+            narrative: 'POST /narrative',
+            narrative_ask: 'POST /narrative/ask',
+            query: 'POST /query',
+            inventory: 'GET /inventory',
+            alerts: 'GET /alerts/rules',
+            connectors: 'GET /connectors',
+            ingest_webhook: 'POST /ingest/:platform/orders',
+            ingest_analyze: 'POST /ingest/analyze',
+            health: 'GET /health'
+        }
+    });
+});
+
+// Accounts & sessions
+app.post('/auth/signup', async (req, res) => {
+    try {
+        if (process.env.ALLOW_SIGNUP === 'false') {
+            return res.status(403).json({ success: false, error: 'Signup is disabled' });
+        }
+        
+        const email = String(req.body?.email || '').trim().toLowerCase();
+        const password = String(req.body?.password || '');
+        
+        if (!/^[^@\s]+@[^@\s]+$/.test(email) || password.length < 8) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid email and a password of at least 8 characters are required'
+            });
+        }
+        
+        if (await findUserByEmail(email)) {
+            return res.status(409).json({ success: false, error: 'An account with this email already exists' });
+        }
+        
+        const { salt, hash } = hashPassword(password);
+        const user = await storage.insert('users', {
+            email,
+            name: req.body?.name || email,
+            password_salt: salt,
+            password_hash: hash
+        });
+        const workspace = await createWorkspace(req.body?.workspace_name || `${user.name}'s workspace`, user.id);
+        const token = await createSession(user);
+        
+        setSessionCookie(res, token);
+        res.status(201).json({
+            success: true,
+            data: { user: publicUser(user), workspace: { id: workspace.id, name: workspace.name, role: 'owner' }, token }
+        });
+        
+    } catch (error) {
+        console.error('Signup error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/auth/login', async (req, res) => {
+    try {
+        const user = await findUserByEmail(req.body?.email);
+        
+        if (!user || !verifyPassword(String(req.body?.password || ''), user)) {
+            return res.status(401).json({ success: false, error: 'Invalid email or password' });
+        }
+        
+        const token = await createSession(user);
+        
+        setSessionCookie(res, token);
+        res.json({ success: true, data: { user: publicUser(user), token } });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/auth/logout', requireRole('viewer'), async (req, res) => {
+    try {
+        if (req.auth.session_id) {
+            await storage.remove('sessions', req.auth.session_id);
+        }
+        
+        setSessionCookie(res, '', 0);
+        res.json({ success: true });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/auth/me', requireRole('viewer'), async (req, res) => {
+    try {
+        const memberships = req.auth.user ?
+            await storage.list('memberships', { user_id: req.auth.user.id }) : [];
+        
+        res.json({
+            success: true,
+            data: {
+                via: req.auth.via,
+                user: req.auth.user ? publicUser(req.auth.user) : null,
+                workspace: { id: req.auth.workspace.id, name: req.auth.workspace.name },
+                role: req.auth.role,
+                memberships: memberships.map(m => ({ workspace_id: m.workspace_id, role: m.role }))
+            }
+        });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Workspaces, members & API keys
+app.get('/workspaces', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!req.auth.user) {
+            return res.json({
+                success: true,
+                data: [{ id: req.auth.workspace.id, name: req.auth.workspace.name, role: req.auth.role }]
+            });
+        }
+        
+        const memberships = await storage.list('memberships', { user_id: req.auth.user.id });
+        const workspaces = await Promise.all(memberships.map(async m => {
+            const workspace = await storage.get('workspaces', m.workspace_id);
+            return workspace && { id: workspace.id, name: workspace.name, role: m.role };
+        }));
+        
+        res.json({ success: true, data: workspaces.filter(Boolean) });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/workspaces', requireRole('viewer'), async (req, res) => {
+    try {
+        if (!req.auth.user) {
+            return res.status(403).json({ success: false, error: 'API keys cannot create workspaces' });
+        }
+        if (!req.body?.name) {
+            return res.status(400).json({ success: false, error: 'Workspace name is required' });
+        }
+        
+        const workspace = await createWorkspace(String(req.body.name), req.auth.user.id);
+        res.status(201).json({ success: true, data: { id: workspace.id, name: workspace.name, role: 'owner' } });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/workspace/members', requireRole('viewer'), async (req, res) => {
+    try {
+        const memberships = await storage.list('memberships', { workspace_id: req.auth.workspace.id });
+        const members = await Promise.all(memberships.map(async m => {
+            const user = await storage.get('users', m.user_id);
+            return user && { ...publicUser(user), role: m.role };
+        }));
+        
+        res.json({ success: true, data: members.filter(Boolean) });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Adds an existing user, or changes their role if they are already a member
+// Removing or demoting this member would leave the workspace without an owner
+async function isLastOwner(workspaceId, membership) {
+    if (membership.role !== 'owner') return false;
+    const owners = await storage.list('memberships', { workspace_id: workspaceId, role: 'owner' });
+    return owners.length === 1;
+}
+
+app.post('/workspace/members', requireRole('owner'), async (req, res) => {
+    try {
+        const role = req.body?.role || 'viewer';
+        if (!Object.hasOwn(ROLE_LEVELS, role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}` });
+        }
+        
+        const user = await findUserByEmail(req.body?.email);
+        if (!user) {
+            return res.status(404).json({ success: false, error: 'No user with this email; ask them to sign up first' });
+        }
+        
+        const [existing] = await storage.list('memberships', { workspace_id: req.auth.workspace.id, user_id: user.id });
+        if (existing && role !== 'owner' && await isLastOwner(req.auth.workspace.id, existing)) {
+            return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+        }
+        
+        const membership = existing ?
+            await storage.update('memberships', existing.id, { role }) :
+            await storage.insert('memberships', { workspace_id: req.auth.workspace.id, user_id: user.id, role });
+        
+        res.status(existing ? 200 : 201).json({ success: true, data: { ...publicUser(user), role: membership.role } });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/workspace/members/:userId', requireRole('owner'), async (req, res) => {
+    try {
+        const [membership] = await storage.list('memberships', {
+            workspace_id: req.auth.workspace.id,
+            user_id: req.params.userId
+        });
+        
+        if (!membership) {
+            return res.status(404).json({ success: false, error: 'Member not found' });
+        }
+        
+        if (await isLastOwner(req.auth.workspace.id, membership)) {
+            return res.status(400).json({ success: false, error: 'A workspace needs at least one owner' });
+        }
+        
+        await storage.remove('memberships', membership.id);
+        res.json({ success: true });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/workspace/api-keys', requireRole('owner'), async (req, res) => {
+    try {
+        const keys = await storage.list('api_keys', { workspace_id: req.auth.workspace.id });
+        
+        res.json({
+            success: true,
+            data: keys.map(({ id, name, role, prefix, created_at, last_used_at, revoked_at }) =>
+                ({ id, name, role, prefix, created_at, last_used_at, revoked_at }))
+        });
         
-        // Process all orders
-        for (const order of this.orders) {
-            this.processOrderSafely(order, metrics);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// The key itself is only returned here; storage keeps its hash
+app.post('/workspace/api-keys', requireRole('owner'), async (req, res) => {
+    try {
+        const role = req.body?.role || 'analyst';
+        if (!Object.hasOwn(ROLE_LEVELS, role)) {
+            return res.status(400).json({ success: false, error: `Role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}` });
         }
         
-        // Calculate derived metrics
-        this.calculateDerivedMetricsSafely(metrics);
+        const key = `flk_${crypto.randomBytes(24).toString('hex')}`;
+        const record = await storage.insert('api_keys', {
+            id: hashToken(key),
+            workspace_id: req.auth.workspace.id,
+            name: req.body?.name || 'API key',
+            role,
+            prefix: key.slice(0, 10),
+            created_by: req.auth.user?.id || null
+        });
         
-        // Generate AI insights
-        this.generateAIInsightsSafely(metrics);
+        res.status(201).json({
+            success: true,
+            data: { id: record.id, name: record.name, role: record.role, prefix: record.prefix, key }
+        });
         
-        // Calculate business score
-        this.calculateBusinessScoreSafely(metrics);
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/workspace/api-keys/:id', requireRole('owner'), async (req, res) => {
+    try {
+        const key = await storage.get('api_keys', req.params.id);
         
-        return metrics;
+        if (!key || key.workspace_id !== req.auth.workspace.id) {
+            return res.status(404).json({ success: false, error: 'API key not found' });
+        }
+        
+        await storage.update('api_keys', key.id, { revoked_at: new Date().toISOString() });
+        res.json({ success: true });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
+});
+
+// Workspace settings are a free-form object; top-level keys are replaced on update.
+// Scoring, the currency & locale keys and the payment keys are validated first.
+app.get('/workspace/settings', requireRole('viewer'), (req, res) => {
+    res.json({ success: true, data: req.auth.workspace.settings || {} });
+});
+
+app.put('/workspace/settings', requireRole('owner'), async (req, res) => {
+    try {
+        if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+            return res.status(400).json({ success: false, error: 'Settings must be a JSON object' });
+        }
+        
+        const scoringErrors = req.body.scoring ? validateScoringConfig(req.body.scoring) : [];
+        if (scoringErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid scoring config', errors: scoringErrors });
+        }
+        
+        const localeErrors = validateLocaleSettings(req.body);
+        if (localeErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid locale settings', errors: localeErrors });
+        }
+        
+        const paymentErrors = validatePaymentSettings(req.body);
+        if (paymentErrors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid payment settings', errors: paymentErrors });
+        }
+        
+        const workspace = await storage.update('workspaces', req.auth.workspace.id, {
+            settings: { ...(req.auth.workspace.settings || {}), ...req.body }
+        });
+        
+        res.json({ success: true, data: workspace.settings });
+        
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Main analysis endpoint
+app.post('/analyze', requireRole('analyst'), upload.single('file'), async (req, res) => {
+    console.log('Analyze endpoint called');
     
-    processOrderSafely(order, metrics) {
-        try {
-            const revenue = Number(order?.revenue) || 0;
-            const profit = Number(order?.profit) || (revenue * 0.2); // Default 20% margin
-            const status = (order?.status || '').toString().toLowerCase();
-            const quantity = Number(order?.quantity) || 1;
-            const isDelivered = status.includes('delivered');
-            const isCancelled = status.includes('cancel');
-            const paymentMethod = order?.payment_method || 'Unknown';
-            const city = order?.city || 'Unknown';
-            const productName = order?.product_name || 'Unknown Product';
-            const customerId = order?.customer_id || `CUST_${Math.random().toString(36).substr(2, 9)}`;
-            
-            // Financial Metrics
-            metrics.financial.total_revenue += revenue;
-            metrics.financial.total_profit += profit;
-            
-            if (isDelivered) {
-                metrics.financial.delivered_revenue += revenue;
-                metrics.financial.delivered_profit += profit;
-                metrics.orders.delivered++;
-            } else if (isCancelled) {
-                metrics.financial.cancelled_revenue += revenue;
-                metrics.orders.cancelled++;
+    try {
+        // Comparison mode sends two order sets or two date ranges; the current period is the main analysis
+        const comparisonInput = extractComparisonInput(req, resolveLocaleSettings(req.auth.workspace.settings).timezone);
+        
+        // Extract data from JSON, text/csv or a multipart CSV upload
+        const { orders: orderData, ingestion } = comparisonInput ?
+            { orders: comparisonInput.current.orders, ingestion: comparisonInput.ingestion } :
+            extractOrderData(req, { allowSingleOrder: true });
+        
+        console.log(`Received ${orderData.length} orders`);
+        
+        if (orderData.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: comparisonInput ? `No orders in the current period (${comparisonInput.current.label})` : 'No order data provided',
+                instructions: 'Send orders as array in body.orders, body.data, or directly as array, or upload a CSV as text/csv or multipart field "file"',
+                ingestion
+            });
+        }
+        
+        const granularity = getRequestOption(req, 'granularity') || 'daily';
+        if (!GRANULARITIES.includes(granularity)) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid granularity "${granularity}"`,
+                instructions: `Use one of: ${GRANULARITIES.join(', ')}`
+            });
+        }
+        
+        // Validate before analysis; strict mode rejects the whole payload on any bad row
+        const strict = [true, 'true'].includes(getRequestOption(req, 'strict'));
+        const validation = validateOrders(orderData, { strict });
+        
+        if (strict && !validation.valid) {
+            return res.status(422).json({
+                success: false,
+                error: `${validation.data_quality.invalid_rows} of ${orderData.length} ${comparisonInput ? 'current period ' : ''}orders failed validation`,
+                data_quality: validation.data_quality,
+                errors: validation.errors
+            });
+        }
+        
+        const previousValidation = comparisonInput ? validateOrders(comparisonInput.previous.orders, { strict }) : null;
+        if (strict && previousValidation && !previousValidation.valid) {
+            return res.status(422).json({
+                success: false,
+                error: `${previousValidation.data_quality.invalid_rows} of ${comparisonInput.previous.orders.length} previous period orders failed validation`,
+                data_quality: previousValidation.data_quality,
+                errors: previousValidation.errors
+            });
+        }
+        
+        // Process analytics with the workspace's rules and settings
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const analytics = new SafeFlowlyticsAnalytics(orderData, {
+            ...workspaceOptions,
+            granularity,
+            dataQuality: validation.data_quality
+        });
+        const metrics = analytics.analysis;
+        
+        let comparison = null;
+        if (comparisonInput) {
+            // Stock levels are today's, so they only apply to the current period
+            const previousMetrics = new SafeFlowlyticsAnalytics(comparisonInput.previous.orders, {
+                ...workspaceOptions,
+                inventory: null,
+                granularity,
+                dataQuality: previousValidation.data_quality
+            }).analysis;
+            comparison = buildPeriodComparison(comparisonInput, metrics, previousMetrics);
+        }
+        
+        // The written summary is opt-in and never fails the analysis
+        let narrative = null;
+        if ([true, 'true'].includes(getRequestOption(req, 'narrative'))) {
+            narrative = narrativeProvider ?
+                await generateNarrativeSummary(narrativeProvider, metrics).catch(error => {
+                    console.error('Narrative error:', error);
+                    return { error: `Narrative provider failed: ${error.message}` };
+                }) :
+                { error: 'Narratives are not configured: set LLM_PROVIDER' };
+        }
+        
+        // Generate HTML dashboard
+        const html = generateDashboardHTML(metrics, {
+            comparison,
+            narrative,
+            forecast: [true, 'true'].includes(getRequestOption(req, 'forecast'))
+        });
+        
+        // Persist the run unless the caller opts out; a storage failure must not lose the analysis
+        let runId = null;
+        const persist = getRequestOption(req, 'persist');
+        if (persist !== false && persist !== 'false') {
+            try {
+                const run = await saveAnalysisRun({
+                    workspaceId: req.auth.workspace.id,
+                    name: getRequestOption(req, 'name') || getRequestOption(req, 'dataset_name'),
+                    orders: orderData,
+                    options: { granularity },
+                    metrics
+                });
+                runId = run.id;
+            } catch (error) {
+                console.error('Failed to persist analysis run:', error);
             }
-            
-            // Customer Intelligence
-            metrics.customers.unique.add(customerId);
-            
-            if (!metrics.customers.customer_orders[customerId]) {
-                metrics.customers.customer_orders[customerId] = [];
-                metrics.customers.customer_revenue[customerId] = 0;
+        }
+        
+        // Alerts only fire for saved runs, so a what-if analysis with persist=false stays quiet
+        const alerts = runId ? await evaluateAlertRules(req.auth.workspace.id, metrics, runId).catch(error => {
+            console.error('Failed to evaluate alert rules:', error);
+            return null;
+        }) : null;
+        
+        res.json({
+            success: true,
+            run_id: runId,
+            alerts,
+            data: formatAnalysisPayload(metrics, orderData.length),
+            narrative,
+            comparison,
+            validation_errors: validation.errors.slice(0, 100),
+            ingestion,
+            html: html,
+            generated_at: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Analysis error:', error);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        });
+    }
+});
+
+// Streaming analysis: an NDJSON or CSV body is read row by row with no size limit,
+// folded into the engine's aggregates and never held in memory as a whole
+const STREAM_CONTENT_TYPES = {
+    ndjson: ['application/x-ndjson', 'application/ndjson', 'application/jsonl', 'application/x-jsonlines'],
+    csv: ['text/csv', 'application/csv']
+};
+
+app.post('/analyze/stream', requireRole('analyst'), async (req, res) => {
+    try {
+        const format = Object.keys(STREAM_CONTENT_TYPES).find(key => req.is(STREAM_CONTENT_TYPES[key]));
+        if (!format) {
+            throw httpError(415, 'Send NDJSON as application/x-ndjson or CSV as text/csv');
+        }
+        
+        const granularity = req.query.granularity || 'daily';
+        if (!GRANULARITIES.includes(granularity)) {
+            throw httpError(400, `Invalid granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}`);
+        }
+        
+        const strict = req.query.strict === 'true';
+        const parser = createOrderStreamParser(format, { customAliases: parseHeaderAliases(req.query.header_aliases) });
+        const validator = createOrderValidator({ strict, maxErrors: 100 });
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const analytics = new SafeFlowlyticsAnalytics(null, { ...workspaceOptions, granularity, validator });
+        
+        req.setEncoding('utf8');
+        for await (const chunk of req) {
+            for (const order of parser.push(chunk)) analytics.add(order);
+        }
+        for (const order of parser.end()) analytics.add(order);
+        
+        const metrics = analytics.finalize();
+        const validation = validator.result();
+        
+        if (metrics.orders.total === 0) {
+            return res.status(400).json({ success: false, error: 'No order data provided', ingestion: parser.report });
+        }
+        
+        // Rows have already been analyzed, but strict mode still refuses to report on bad data
+        if (strict && !validation.valid) {
+            return res.status(422).json({
+                success: false,
+                error: `${validation.data_quality.invalid_rows} of ${metrics.orders.total} orders failed validation`,
+                data_quality: validation.data_quality,
+                errors: validation.errors
+            });
+        }
+        
+        let runId = null;
+        if (req.query.persist !== 'false') {
+            try {
+                const run = await saveAnalysisRun({
+                    workspaceId: req.auth.workspace.id,
+                    name: req.query.name,
+                    orders: null,
+                    options: { granularity },
+                    metrics
+                });
+                runId = run.id;
+            } catch (error) {
+                console.error('Failed to persist analysis run:', error);
             }
-            
-            metrics.customers.customer_orders[customerId].push(order);
-            metrics.customers.customer_revenue[customerId] += revenue;
-            
-            // High value customers (spending over ₹1L)
-            if (revenue >= 100000 && !metrics.customers.high_value_customers.includes(customerId)) {
-                metrics.customers.high_value_customers.push(customerId);
+        }
+        
+        // Alerts only fire for saved runs, so a what-if analysis with persist=false stays quiet
+        const alerts = runId ? await evaluateAlertRules(req.auth.workspace.id, metrics, runId).catch(error => {
+            console.error('Failed to evaluate alert rules:', error);
+            return null;
+        }) : null;
+        
+        res.json({
+            success: true,
+            run_id: runId,
+            alerts,
+            data: formatAnalysisPayload(metrics, metrics.orders.total),
+            validation_errors: validation.errors,
+            ingestion: parser.report,
+            html: generateDashboardHTML(metrics, { forecast: req.query.forecast === 'true' }),
+            generated_at: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Streaming analysis error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Dashboard endpoint (HTML only)
+app.post('/dashboard', requireRole('viewer'), upload.single('file'), async (req, res) => {
+    try {
+        const { orders: orderData } = extractOrderData(req);
+        const filters = extractDashboardFilters(req);
+        
+        const granularity = GRANULARITIES.includes(getRequestOption(req, 'granularity')) ?
+            getRequestOption(req, 'granularity') : 'daily';
+        
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const analytics = new SafeFlowlyticsAnalytics(filterOrders(orderData, filters, workspaceOptions.locale, workspaceOptions.payments), { ...workspaceOptions, granularity });
+        const html = generateDashboardHTML(analytics.analysis, {
+            filters,
+            forecast: [true, 'true'].includes(getRequestOption(req, 'forecast'))
+        });
+        
+        res.setHeader('Content-Type', 'text/html');
+        res.send(html);
+        
+    } catch (error) {
+        res.status(error.status || 500).send(`<h1>Error</h1><p>${escapeHTML(error.message)}</p>`);
+    }
+});
+
+// Saved analysis runs
+app.get('/runs', requireRole('viewer'), async (req, res) => {
+    try {
+        const runs = await storage.list('runs', { workspace_id: req.auth.workspace.id });
+        
+        res.json({
+            success: true,
+            data: runs.reverse().map(summarizeRun)
+        });
+        
+    } catch (error) {
+        console.error('List runs error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/runs/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const run = await getWorkspaceRun(req.auth.workspace.id, req.params.id);
+        
+        if (!run) {
+            return res.status(404).json({ success: false, error: 'Run not found' });
+        }
+        
+        res.json({
+            success: true,
+            data: {
+                ...summarizeRun(run),
+                analysis: run.analysis
             }
-            
-            // City customers
-            if (!metrics.customers.city_customers[city]) {
-                metrics.customers.city_customers[city] = new Set();
+        });
+        
+    } catch (error) {
+        console.error('Get run error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+async function loadSavedRunOrders(workspace, runId) {
+    const run = await getWorkspaceRun(workspace.id, runId);
+    if (!run) throw httpError(404, 'Run not found');
+    
+    const dataset = await storage.get('datasets', run.id);
+    if (!dataset) {
+        throw httpError(409, 'Streamed runs keep only aggregates, so there are no orders to rebuild this from');
+    }
+    
+    return { run, orders: dataset.orders };
+}
+
+// Re-analyzes a saved run's orders with the workspace's current rules and scoring
+async function analyzeSavedRun(workspace, runId) {
+    const { run, orders } = await loadSavedRunOrders(workspace, runId);
+    const workspaceOptions = await loadWorkspaceAnalysisOptions(workspace);
+    return new SafeFlowlyticsAnalytics(orders, { ...workspaceOptions, ...run.options }).analysis;
+}
+
+// Interactive dashboard: filters come from the query string (?from=&to=&city=&category=&payment_method=&status=)
+app.get('/runs/:id/dashboard', requireRole('viewer'), async (req, res) => {
+    try {
+        const filters = extractDashboardFilters(req);
+        const { run, orders } = await loadSavedRunOrders(req.auth.workspace, req.params.id);
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const metrics = new SafeFlowlyticsAnalytics(filterOrders(orders, filters, workspaceOptions.locale, workspaceOptions.payments), {
+            ...workspaceOptions,
+            ...run.options
+        }).analysis;
+        
+        const forecast = req.query.forecast === 'true';
+        const html = generateDashboardHTML(metrics, {
+            filters,
+            forecast,
+            interactive: {
+                forecast,
+                filter_options: collectFilterOptions(orders, workspaceOptions.payments),
+                drilldown_url: `/runs/${encodeURIComponent(run.id)}/orders`,
+                // Sessions can belong to several workspaces, so links and drill-downs say which one
+                workspace_id: req.auth.via === 'session' ? req.auth.workspace.id : null
             }
-            metrics.customers.city_customers[city].add(customerId);
-            
-            // Product Performance
-            if (isDelivered && productName) {
-                if (!metrics.products.by_revenue[productName]) {
-                    metrics.products.by_revenue[productName] = {
-                        revenue: 0,
-                        profit: 0,
-                        quantity: 0,
-                        orders: 0
-                    };
-                }
-                
-                metrics.products.by_revenue[productName].revenue += revenue;
-                metrics.products.by_revenue[productName].profit += profit;
-                metrics.products.by_revenue[productName].quantity += quantity;
-                metrics.products.by_revenue[productName].orders++;
-                
-                // Check for low margin
-                const margin = revenue > 0 ? (profit / revenue * 100) : 0;
-                if (margin < 15) {
-                    metrics.products.low_margin_products.push({
-                        name: productName,
-                        revenue: revenue,
-                        profit: profit,
-                        margin: margin
-                    });
-                }
+        });
+        
+        res.setHeader('Content-Type', 'text/html');
+        res.send(html);
+        
+    } catch (error) {
+        res.status(error.status || 500).send(`<h1>Error</h1><p>${escapeHTML(error.message)}</p>`);
+    }
+});
+
+// Drill-down: the orders behind a dashboard row. Takes the dashboard's filters plus ?product=,
+// and ?page=, ?page_size= and ?sort=
+app.get('/runs/:id/orders', requireRole('viewer'), async (req, res) => {
+    try {
+        const filters = extractDashboardFilters(req);
+        const options = parseDrilldownOptions(req);
+        const { orders } = await loadSavedRunOrders(req.auth.workspace, req.params.id);
+        
+        res.json({
+            success: true,
+            data: buildOrderDrilldown(orders, filters, options,
+                resolveLocaleSettings(req.auth.workspace.settings), resolvePaymentSettings(req.auth.workspace.settings))
+        });
+        
+    } catch (error) {
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// File exports: ?format=pdf (default) or ?format=xlsx
+async function sendExport(req, res, metrics) {
+    const format = EXPORT_FORMATS[getRequestOption(req, 'format') || 'pdf'];
+    if (!format) {
+        throw httpError(400, `format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+    
+    const file = await format.render(metrics);
+    const filename = `flowlytics-report-${new Date().toISOString().slice(0, 10)}.${format.extension}`;
+    
+    res.setHeader('Content-Type', format.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(file);
+}
+
+app.post('/export', requireRole('viewer'), upload.single('file'), async (req, res) => {
+    try {
+        const { orders } = extractOrderData(req);
+        if (orders.length === 0) {
+            return res.status(400).json({ success: false, error: 'No order data provided' });
+        }
+        
+        const granularity = GRANULARITIES.includes(getRequestOption(req, 'granularity')) ?
+            getRequestOption(req, 'granularity') : 'daily';
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const metrics = new SafeFlowlyticsAnalytics(orders, { ...workspaceOptions, granularity }).analysis;
+        
+        await sendExport(req, res, metrics);
+        
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Projects revenue, orders and profit from posted orders or a saved run's history
+app.post('/forecast', requireRole('viewer'), upload.single('file'), async (req, res) => {
+    try {
+        const runId = getRequestOption(req, 'run_id');
+        let metrics;
+        if (runId) {
+            metrics = await analyzeSavedRun(req.auth.workspace, runId);
+        } else {
+            const { orders } = extractOrderData(req);
+            if (orders.length === 0) {
+                return res.status(400).json({ success: false, error: 'Provide orders or a run_id to forecast from' });
             }
+            metrics = new SafeFlowlyticsAnalytics(orders, {
+                rules: [],
+                locale: resolveLocaleSettings(req.auth.workspace.settings),
+                payments: resolvePaymentSettings(req.auth.workspace.settings)
+            }).analysis;
+        }
+        
+        const forecast = forecastTimeseries(metrics, {
+            granularity: getRequestOption(req, 'granularity') || 'daily',
+            horizon: getRequestOption(req, 'horizon'),
+            confidence: getRequestOption(req, 'confidence') || 95
+        });
+        
+        res.json({
+            success: true,
+            data: {
+                ...forecast,
+                undated_orders: metrics.timeseries.undated_orders
+            },
+            generated_at: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        console.error('Forecast error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.get('/runs/:id/export', requireRole('viewer'), async (req, res) => {
+    try {
+        const metrics = await analyzeSavedRun(req.auth.workspace, req.params.id);
+        await sendExport(req, res, metrics);
+        
+    } catch (error) {
+        console.error('Export error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Customer segmentation: GET reads a saved run (latest by default), POST analyzes posted orders
+async function loadRunOrders(workspaceId, runId) {
+    let run;
+    if (runId) {
+        run = await getWorkspaceRun(workspaceId, runId);
+    } else {
+        // Streamed runs have no stored orders to segment
+        const runs = await storage.list('runs', { workspace_id: workspaceId });
+        run = runs.filter(r => !r.streamed).pop();
+    }
+    const dataset = run && await storage.get('datasets', run.id);
+    return dataset ? { run, orders: dataset.orders } : null;
+}
+
+async function resolveSegmentationOrders(req) {
+    if (req.method === 'POST') {
+        return { run: null, orders: extractOrderData(req).orders };
+    }
+    const loaded = await loadRunOrders(req.auth.workspace.id, req.query.run_id);
+    if (!loaded) {
+        throw httpError(404, req.query.run_id ? 'Run not found' : 'No saved runs yet; POST orders instead');
+    }
+    return loaded;
+}
+
+const segmentationRoutes = {
+    '/customers/segments': (metrics, options) => computeRFMSegments(metrics, options),
+    '/customers/cohorts': (metrics) => computeCohorts(metrics),
+    '/customers/lifetime-value': (metrics, options) => computeCustomerLifetimeValue(metrics, options),
+    '/geography': (metrics) => formatGeography(metrics.geography, { includePincodes: true })
+};
+
+for (const [route, compute] of Object.entries(segmentationRoutes)) {
+    const handler = async (req, res) => {
+        try {
+            const { run, orders } = await resolveSegmentationOrders(req);
             
-            // Location Analysis
-            if (city) {
-                if (!metrics.locations.city_revenue[city]) {
-                    metrics.locations.city_revenue[city] = 0;
-                    metrics.locations.city_orders[city] = 0;
-                    metrics.locations.city_cod_rate[city] = { total: 0, cod: 0 };
-                }
-                
-                metrics.locations.city_revenue[city] += revenue;
-                metrics.locations.city_orders[city]++;
-                
-                // COD rate tracking
-                metrics.locations.city_cod_rate[city].total++;
-                if (paymentMethod === 'COD') {
-                    metrics.locations.city_cod_rate[city].cod++;
-                }
+            if (orders.length === 0) {
+                return res.status(400).json({ success: false, error: 'No order data provided' });
             }
             
-            // Payment Method Intelligence
-            if (paymentMethod) {
-                if (!metrics.payments.methods[paymentMethod]) {
-                    metrics.payments.methods[paymentMethod] = {
-                        revenue: 0,
-                        orders: 0,
-                        delivered: 0,
-                        cancelled: 0,
-                        profit: 0
-                    };
-                }
-                
-                metrics.payments.methods[paymentMethod].revenue += revenue;
-                metrics.payments.methods[paymentMethod].orders++;
-                metrics.payments.methods[paymentMethod].profit += profit;
-                
-                if (isDelivered) metrics.payments.methods[paymentMethod].delivered++;
-                if (isCancelled) metrics.payments.methods[paymentMethod].cancelled++;
-                
-                // COD vs Prepaid
-                if (paymentMethod === 'COD') {
-                    metrics.payments.cod_performance.revenue += revenue;
-                    metrics.payments.cod_performance.orders++;
-                    metrics.payments.cod_performance.profit += profit;
-                    if (isDelivered) metrics.payments.cod_performance.delivered++;
-                    if (isCancelled) metrics.payments.cod_performance.cancelled++;
-                } else {
-                    metrics.payments.prepaid_performance.revenue += revenue;
-                    metrics.payments.prepaid_performance.orders++;
-                    metrics.payments.prepaid_performance.profit += profit;
-                }
-            }
+            const metrics = new SafeFlowlyticsAnalytics(orders, {
+                rules: [],
+                locale: resolveLocaleSettings(req.auth.workspace.settings),
+                payments: resolvePaymentSettings(req.auth.workspace.settings)
+            }).analysis;
+            
+            res.json({
+                success: true,
+                run_id: run?.id || null,
+                data: compute(metrics, {
+                    asOf: getRequestOption(req, 'as_of'),
+                    horizonDays: getRequestOption(req, 'horizon_days')
+                })
+            });
             
         } catch (error) {
-            console.warn("Error processing order:", error.message);
+            if (!error.status) console.error(`${route} error:`, error);
+            res.status(error.status || 500).json({ success: false, error: error.message });
         }
-    }
+    };
     
-    calculateDerivedMetricsSafely(metrics) {
-        const totalOrders = this.orders.length;
-        const deliveredOrders = metrics.orders.delivered || 0;
-        const cancelledOrders = metrics.orders.cancelled || 0;
+    app.get(route, requireRole('viewer'), handler);
+    app.post(route, requireRole('viewer'), upload.single('file'), handler);
+}
+
+// Most frequent value; ties go to the one seen first
+function mostCommon(values) {
+    const counts = new Map();
+    for (const value of values) counts.set(value, (counts.get(value) || 0) + 1);
+    return [...counts.entries()].reduce((best, entry) => !best || entry[1] > best[1] ? entry : best, null)?.[0] ?? null;
+}
+
+// Profiles are read one customer at a time, so each saved run's stats, segments and lifetime value
+// fit are computed once and kept for the next lookup. Keyed by run, options and the workspace
+// settings the run was analyzed with; the least recently used entry goes first.
+const CUSTOMER_PROFILE_CACHE_SIZE = 20;
+const customerProfileCache = new Map();
+
+function buildCustomerProfileContext(orders, { locale, payments, options }) {
+    const metrics = new SafeFlowlyticsAnalytics(orders, { rules: [], locale, payments }).analysis;
+    const segments = computeRFMSegments(metrics, options).customers;
+    let lifetime = null;
+    let predictionError = null;
+    // Predictions need enough customers to fit the models; the profile is useful without them
+    try {
+        lifetime = computeCustomerLifetimeValue(metrics, options);
+    } catch (error) {
+        if (error.status !== 422) throw error;
+        predictionError = error.message;
+    }
+    return {
+        customerStats: metrics.customers.customer_stats,
+        segments: new Map(segments.map(entry => [entry.customer_id, entry.segment])),
+        predictions: lifetime && new Map(lifetime.customers.map(entry => [entry.customer_id, entry])),
+        churnRisks: lifetime && new Set(lifetime.churn_risks.map(entry => entry.customer_id)),
+        lifetime: lifetime && { as_of: lifetime.as_of, horizon_days: lifetime.horizon_days },
+        predictionError
+    };
+}
+
+function getCustomerProfileContext(run, orders, { settings, locale, payments, options }) {
+    const key = crypto.createHash('sha256')
+        .update(JSON.stringify([run.id, options.asOf ?? null, options.horizonDays ?? null, settings || {}]))
+        .digest('hex');
+    let context = customerProfileCache.get(key);
+    if (context) {
+        customerProfileCache.delete(key);
+    } else {
+        context = buildCustomerProfileContext(orders, { locale, payments, options });
+        if (customerProfileCache.size >= CUSTOMER_PROFILE_CACHE_SIZE) {
+            customerProfileCache.delete(customerProfileCache.keys().next().value);
+        }
+    }
+    customerProfileCache.set(key, context);
+    return context;
+}
+
+// Registered after the segment routes so "/customers/segments" isn't taken for a customer id
+app.get('/customers/:id', requireRole('viewer'), async (req, res) => {
+    try {
+        const loaded = await loadRunOrders(req.auth.workspace.id, req.query.run_id);
+        if (!loaded) {
+            throw httpError(404, req.query.run_id ? 'Run not found' : 'No saved runs yet; analyze orders first');
+        }
         
-        // Financial Metrics
-        metrics.financial.profit_margin = metrics.financial.delivered_revenue > 0 ?
-            (metrics.financial.delivered_profit / metrics.financial.delivered_revenue * 100) : 0;
+        const customerId = req.params.id;
+        const orders = loaded.orders.filter(order => hasValue(order?.customer_id) && String(order.customer_id) === customerId);
+        if (orders.length === 0) throw httpError(404, 'Customer not found');
         
-        metrics.financial.average_order_value = deliveredOrders > 0 ?
-            metrics.financial.delivered_revenue / deliveredOrders : 0;
+        const settings = req.auth.workspace.settings;
+        const locale = resolveLocaleSettings(settings);
+        const payments = resolvePaymentSettings(settings);
+        const options = { asOf: req.query.as_of, horizonDays: parseHorizonDays(req.query.horizon_days) };
+        const context = getCustomerProfileContext(loaded.run, loaded.orders, { settings, locale, payments, options });
+        // The engine skips orders it can't count (an unknown currency), so a customer can have none
+        const stats = context.customerStats[customerId] || null;
         
-        // Order Metrics
-        metrics.orders.conversion_rate = totalOrders > 0 ?
-            (deliveredOrders / totalOrders * 100) : 0;
+        let prediction = null;
+        if (context.lifetime && stats) {
+            const customer = context.predictions.get(customerId);
+            prediction = {
+                ...context.lifetime,
+                probability_alive: customer?.probability_alive ?? null,
+                churn_probability: customer?.churn_probability ?? null,
+                expected_purchases: customer?.expected_purchases ?? null,
+                expected_order_value: customer?.expected_order_value ?? null,
+                predicted_clv: customer?.predicted_clv ?? null,
+                likely_to_churn_high_value: context.churnRisks.has(customerId)
+            };
+        }
         
-        metrics.orders.cancellation_rate = totalOrders > 0 ?
-            (cancelledOrders / totalOrders * 100) : 0;
+        const history = orders
+            .map(order => {
+                const orderDate = toWorkspaceDate(order.order_date, locale.timezone);
+                return {
+                    order_id: order.order_id ?? null,
+                    order_date: orderDate ? toDayKey(orderDate) : null,
+                    status: order.status ?? null,
+                    revenue: Number(order.revenue) || 0,
+                    currency: hasValue(order.currency) ? String(order.currency).trim().toUpperCase() : locale.currency,
+                    payment_method: classifyPaymentMethod(order.payment_method, payments).name,
+                    city: resolveOrderLocation(order).city,
+                    product_name: order.product_name ?? null
+                };
+            })
+            .sort((a, b) => (a.order_date || '').localeCompare(b.order_date || ''));
+        const purchases = orders.filter(isCustomerPurchase);
         
-        metrics.orders.avg_value = deliveredOrders > 0 ?
-            metrics.financial.delivered_revenue / deliveredOrders : 0;
+        res.json({
+            success: true,
+            run_id: loaded.run.id,
+            data: {
+                customer_id: customerId,
+                orders: orders.length,
+                purchases: stats ? stats.purchases : 0,
+                revenue: stats ? stats.purchase_revenue : 0,
+                average_order_value: stats?.purchases > 0 ? stats.purchase_revenue / stats.purchases : 0,
+                first_order_date: stats?.first_purchase ? toDayKey(stats.first_purchase) : null,
+                last_order_date: stats?.last_purchase ? toDayKey(stats.last_purchase) : null,
+                preferred_payment_method: mostCommon(purchases.map(order => classifyPaymentMethod(order.payment_method, payments).name)),
+                preferred_city: mostCommon(purchases.map(order => resolveOrderLocation(order).city).filter(Boolean)),
+                segment: context.segments.get(customerId) || null,
+                prediction,
+                ...(context.predictionError ? { prediction_error: context.predictionError } : {}),
+                ...(stats ? {} : { note: 'None of this customer\'s orders could be analyzed, so the profile has no stats or predictions' }),
+                order_history: history
+            }
+        });
         
-        // Customer Metrics
-        const uniqueCustomers = metrics.customers.unique.size || 0;
-        const repeatCustomers = Object.values(metrics.customers.customer_orders || {})
-            .filter(orders => orders.length > 1).length;
+    } catch (error) {
+        if (!error.status) console.error('Customer profile error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery risk for incoming orders, scored against a saved run's history (the latest by default)
+app.post('/risk/score', requireRole('viewer'), upload.single('file'), async (req, res) => {
+    try {
+        const { orders } = extractOrderData(req, { allowSingleOrder: true });
+        if (orders.length === 0) {
+            return res.status(400).json({ success: false, error: 'No orders to score' });
+        }
+
+        const runId = getRequestOption(req, 'run_id');
+        const loaded = await loadRunOrders(req.auth.workspace.id, runId);
+        if (!loaded) {
+            throw httpError(404, runId ? 'Run not found' : 'No saved runs yet; analyze past orders first');
+        }
+
+        const payments = resolvePaymentSettings(req.auth.workspace.settings);
+        const metrics = new SafeFlowlyticsAnalytics(loaded.orders, {
+            rules: [],
+            locale: resolveLocaleSettings(req.auth.workspace.settings),
+            payments
+        }).analysis;
+        const scores = orders.map(order => scoreOrderRisk(order, metrics.geography, payments));
+
+        res.json({
+            success: true,
+            run_id: loaded.run.id,
+            data: {
+                history_orders: metrics.geography.overall.orders,
+                summary: Object.fromEntries(GEO_RISK_LEVELS.map(({ level }) =>
+                    [level.toLowerCase(), scores.filter(score => score.risk_level === level).length])),
+                orders: scores
+            }
+        });
+
+    } catch (error) {
+        if (!error.status) console.error('Risk scoring error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// The payment taxonomy with the workspace's aliases and fees applied
+app.get('/workspace/payment-methods', requireRole('viewer'), (req, res) => {
+    const payments = resolvePaymentSettings(req.auth.workspace.settings);
+    const methods = Object.entries(payments.types).map(([name, type]) => ({
+        name,
+        type,
+        aliases: [...payments.aliases].filter(([, target]) => target === name).map(([alias]) => alias),
+        fee: getPaymentFee(name, payments)
+    }));
+    res.json({ success: true, data: { methods, fee_tax_rate: payments.fee_tax_rate } });
+});
+
+// Health score configuration
+app.get('/workspace/scoring', requireRole('viewer'), (req, res) => {
+    res.json({
+        success: true,
+        data: req.auth.workspace.settings?.scoring || DEFAULT_SCORING_CONFIG,
+        is_default: !req.auth.workspace.settings?.scoring
+    });
+});
+
+app.put('/workspace/scoring', requireRole('owner'), async (req, res) => {
+    try {
+        const errors = validateScoringConfig(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid scoring config', errors });
+        }
         
-        metrics.customers.repeat_buyers = repeatCustomers;
+        const scoring = { components: req.body.components, bands: req.body.bands };
+        await storage.update('workspaces', req.auth.workspace.id, {
+            settings: { ...(req.auth.workspace.settings || {}), scoring }
+        });
         
-        // Product Metrics
-        metrics.products.by_revenue_sorted = Object.entries(metrics.products.by_revenue || {})
-            .map(([name, data]) => ({
-                name,
-                ...data,
-                margin: data.revenue > 0 ? (data.profit / data.revenue * 100) : 0
-            }))
-            .sort((a, b) => b.revenue - a.revenue);
+        res.json({ success: true, data: scoring });
         
-        // Location Metrics
-        Object.entries(metrics.locations.city_cod_rate || {}).forEach(([city, data]) => {
-            data.rate = data.total > 0 ? (data.cod / data.total * 100) : 0;
-        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Back to DEFAULT_SCORING_CONFIG
+app.delete('/workspace/scoring', requireRole('owner'), async (req, res) => {
+    try {
+        const { scoring, ...settings } = req.auth.workspace.settings || {};
+        await storage.update('workspaces', req.auth.workspace.id, { settings });
         
-        metrics.locations.high_risk_cities = Object.entries(metrics.locations.city_cod_rate || {})
-            .filter(([city, data]) => data.rate > 50)
-            .map(([city]) => city);
+        res.json({ success: true, data: DEFAULT_SCORING_CONFIG });
         
-        metrics.locations.top_performing_cities = Object.entries(metrics.locations.city_revenue || {})
-            .sort((a, b) => b[1] - a[1])
-            .slice(0, 3)
-            .map(([city, revenue]) => ({ city, revenue }));
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    generateAIInsightsSafely(metrics) {
-        metrics.insights = [];
+});
+
+// Insight rules
+const INSIGHT_RULE_FIELDS = ['key', 'name', 'metric', 'operator', 'threshold', 'title', 'description',
+    'category', 'severity', 'impact', 'recommendation', 'estimated_savings', 'enabled'];
+
+function pickRuleFields(body) {
+    return INSIGHT_RULE_FIELDS.reduce((rule, field) => {
+        if (body?.[field] !== undefined) rule[field] = body[field];
+        return rule;
+    }, {});
+}
+
+async function getWorkspaceRule(workspaceId, ruleId) {
+    const rule = await storage.get('insight_rules', ruleId);
+    return rule && rule.workspace_id === workspaceId ? rule : null;
+}
+
+app.get('/rules', requireRole('viewer'), async (req, res) => {
+    try {
+        const rules = await getWorkspaceRules(req.auth.workspace.id);
+        res.json({ success: true, data: rules });
         
-        // Insight 1: COD Performance
-        const codOrders = metrics.payments.cod_performance?.orders || 0;
-        const codCancelled = metrics.payments.cod_performance?.cancelled || 0;
-        
-        if (codOrders > 0) {
-            const codCancellationRate = (codCancelled / codOrders * 100);
-            
-            if (codCancellationRate > 50) {
-                metrics.insights.push({
-                    id: 'cod_high_cancellation',
-                    title: 'High COD Cancellation Detected',
-                    description: `COD payments show ${codCancellationRate.toFixed(1)}% cancellation rate, significantly impacting revenue.`,
-                    category: 'Payment Risk',
-                    severity: 'Critical',
-                    impact: 'Revenue Loss',
-                    recommendation: 'Implement advance payment confirmation or reduce COD availability in high-risk areas.',
-                    estimated_savings: 'Potential 5-10% revenue recovery'
-                });
-            }
-        }
+    } catch (error) {
+        console.error('List rules error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/rules', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = { enabled: true, ...pickRuleFields(req.body) };
+        const errors = validateInsightRule(rule);
         
-        // Insight 2: Customer Retention Opportunity
-        const uniqueCustomers = metrics.customers.unique?.size || 1;
-        const repeatBuyers = metrics.customers.repeat_buyers || 0;
-        const repeatRate = (repeatBuyers / uniqueCustomers * 100);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid rule', errors });
+        }
         
-        if (repeatRate < 30) {
-            metrics.insights.push({
-                id: 'low_repeat_rate',
-                title: 'Customer Retention Opportunity',
-                description: `Only ${repeatRate.toFixed(1)}% of customers make repeat purchases. Industry average is 35-40%.`,
-                category: 'Customer Growth',
-                severity: 'Opportunity',
-                impact: 'Untapped Revenue Potential',
-                recommendation: 'Implement loyalty program, personalized email campaigns, and post-purchase engagement.',
-                estimated_savings: 'Potential 15-25% revenue growth'
-            });
+        const existing = await getWorkspaceRules(req.auth.workspace.id);
+        if (existing.some(r => r.key === rule.key)) {
+            return res.status(409).json({ success: false, error: `A rule with key "${rule.key}" already exists` });
         }
         
-        // Insight 3: High Value Customer Opportunity
-        const highValueCustomers = metrics.customers.high_value_customers?.length || 0;
+        const stored = await storage.insert('insight_rules', {
+            ...rule,
+            workspace_id: req.auth.workspace.id,
+            builtin: false
+        });
+        res.status(201).json({ success: true, data: stored });
         
-        if (highValueCustomers > 0) {
-            metrics.insights.push({
-                id: 'high_value_customers',
-                title: 'High Value Customers Identified',
-                description: `${highValueCustomers} customers spending over ₹1L each.`,
-                category: 'Customer Intelligence',
-                severity: 'Opportunity',
-                impact: 'Revenue Growth',
-                recommendation: 'Create VIP program with exclusive offers, early access, and personalized service.',
-                estimated_savings: 'Potential 20-30% higher lifetime value'
-            });
-        }
+    } catch (error) {
+        console.error('Create rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
-    
-    calculateBusinessScoreSafely(metrics) {
-        let score = 100;
+});
+
+// Dry-runs a rule (stored or inline) against posted orders or a saved run
+app.post('/rules/test', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = req.body?.rule_id ?
+            await getWorkspaceRule(req.auth.workspace.id, req.body.rule_id) :
+            pickRuleFields(req.body?.rule);
         
-        // Deduct for risks
-        const codCancellationRate = metrics.payments.cod_performance?.orders > 0 ?
-            (metrics.payments.cod_performance.cancelled / metrics.payments.cod_performance.orders * 100) : 0;
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
         
-        if (codCancellationRate > 50) score -= 20;
-        if (codCancellationRate > 30) score -= 10;
+        const errors = validateInsightRule(rule);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid rule', errors });
+        }
         
-        const uniqueCustomers = metrics.customers.unique?.size || 1;
-        const repeatBuyers = metrics.customers.repeat_buyers || 0;
-        const repeatRate = (repeatBuyers / uniqueCustomers * 100);
+        let orders = Array.isArray(req.body?.orders) ? req.body.orders : null;
+        if (!orders && req.body?.run_id) {
+            const run = await getWorkspaceRun(req.auth.workspace.id, req.body.run_id);
+            orders = run && (await storage.get('datasets', run.id))?.orders;
+        }
         
-        if (repeatRate < 20) score -= 10;
-        if (repeatRate < 30) score -= 5;
+        if (!orders) {
+            return res.status(400).json({ success: false, error: 'Provide orders or a run_id to test against' });
+        }
         
-        const profitMargin = metrics.financial.profit_margin || 0;
-        if (profitMargin < 15) score -= 10;
-        if (profitMargin < 20) score -= 5;
+        const metrics = new SafeFlowlyticsAnalytics(orders, {
+            rules: [],
+            locale: resolveLocaleSettings(req.auth.workspace.settings),
+            payments: resolvePaymentSettings(req.auth.workspace.settings)
+        }).analysis;
+        const { value, insight } = evaluateInsightRule(rule, buildMetricContext(metrics));
         
-        score = Math.max(0, Math.min(100, Math.round(score)));
+        res.json({
+            success: true,
+            data: {
+                value,
+                threshold: rule.threshold,
+                operator: rule.operator,
+                fired: Boolean(insight),
+                insight
+            }
+        });
         
-        metrics.summary.overall_score = score;
+    } catch (error) {
+        console.error('Test rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/rules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await getWorkspaceRule(req.auth.workspace.id, req.params.id);
         
-        // Determine health status
-        if (score >= 80) {
-            metrics.summary.health_status = 'Excellent';
-            metrics.summary.recommended_action = 'Maintain current strategies and focus on scaling profitable segments';
-        } else if (score >= 60) {
-            metrics.summary.health_status = 'Good';
-            metrics.summary.recommended_action = 'Address key risks while optimizing high-performing areas';
-        } else if (score >= 40) {
-            metrics.summary.health_status = 'Needs Attention';
-            metrics.summary.recommended_action = 'Prioritize critical risk mitigation and operational improvements';
-        } else {
-            metrics.summary.health_status = 'Critical';
-            metrics.summary.recommended_action = 'Immediate action required on multiple business fronts';
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
         }
         
-        // Determine top opportunity
-        const opportunities = (metrics.insights || []).filter(i => i.severity === 'Opportunity');
-        if (opportunities.length > 0) {
-            metrics.summary.top_opportunity = opportunities[0].title;
-        } else {
-            metrics.summary.top_opportunity = 'Optimize existing customer base for repeat purchases';
-        }
+        const changes = pickRuleFields(req.body);
+        delete changes.key;
         
-        // Determine critical risk
-        const criticalRisks = (metrics.insights || []).filter(i => i.severity === 'Critical');
-        if (criticalRisks.length > 0) {
-            metrics.summary.critical_risk = criticalRisks[0].title;
-        } else {
-            metrics.summary.critical_risk = 'No critical risks detected';
+        const errors = validateInsightRule({ ...rule, ...changes });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid rule', errors });
         }
-    }
-    
-    getTopCustomers(n = 5) {
-        const customerRevenue = this.analysis.customers.customer_revenue || {};
         
-        return Object.entries(customerRevenue)
-            .map(([id, revenue]) => ({
-                id,
-                revenue,
-                orders: (this.analysis.customers.customer_orders?.[id]?.length || 0),
-                average_order_value: (this.analysis.customers.customer_orders?.[id]?.length > 0 ? 
-                    revenue / this.analysis.customers.customer_orders[id].length : 0)
-            }))
-            .sort((a, b) => b.revenue - a.revenue)
-            .slice(0, n);
+        const updated = await storage.update('insight_rules', rule.id, changes);
+        res.json({ success: true, data: updated });
+        
+    } catch (error) {
+        console.error('Update rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
-}
-
-// ============= HTML GENERATOR =============
-function formatCurrency(value) {
-    if (!value && value !== 0) return '₹0';
-    const numValue = Number(value);
-    if (isNaN(numValue)) return '₹0';
-    
-    if (numValue >= 10000000) return `₹${(numValue / 10000000).toFixed(2)} Cr`;
-    if (numValue >= 100000) return `₹${(numValue / 100000).toFixed(2)} L`;
-    if (numValue >= 1000) return `₹${(numValue / 1000).toFixed(1)}K`;
-    return `₹${Math.round(numValue).toLocaleString('en-IN')}`;
-}
+});
 
-function generateDashboardHTML(metrics, orders) {
-    const topCustomers = (new SafeFlowlyticsAnalytics(orders)).getTopCustomers(5);
-    
-    return `
-<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Flowlytics AI • Enterprise Analytics</title>
-    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
-    <style>
-        /* Your CSS styles from previous code */
-        :root {
-            --primary-blue: #1a237e;
-            --primary-blue-light: #534bae;
-            --accent-teal: #00bcd4;
-            --success-green: #4caf50;
-            --warning-orange: #ff9800;
-            --danger-red: #f44336;
-            --dark-charcoal: #263238;
-            --light-gray: #f5f5f5;
-            --medium-gray: #757575;
-            --border-color: #e0e0e0;
-            
-            --gradient-primary: linear-gradient(135deg, var(--primary-blue), var(--primary-blue-light));
-            --gradient-success: linear-gradient(135deg, var(--success-green), #8bc34a);
-            --gradient-warning: linear-gradient(135deg, var(--warning-orange), #ffb74d);
-            --gradient-danger: linear-gradient(135deg, var(--danger-red), #ef5350);
-            --gradient-accent: linear-gradient(135deg, var(--accent-teal), #26c6da);
+for (const [action, enabled] of [['disable', false], ['enable', true]]) {
+    app.post(`/rules/:id/${action}`, requireRole('analyst'), async (req, res) => {
+        try {
+            const rule = await getWorkspaceRule(req.auth.workspace.id, req.params.id);
             
-            --shadow-light: 0 2px 12px rgba(0, 0, 0, 0.08);
-            --shadow-medium: 0 4px 20px rgba(0, 0, 0, 0.12);
+            if (!rule) {
+                return res.status(404).json({ success: false, error: 'Rule not found' });
+            }
             
-            --radius-sm: 8px;
-            --radius-md: 12px;
-            --radius-lg: 16px;
+            const updated = await storage.update('insight_rules', rule.id, { enabled });
+            res.json({ success: true, data: updated });
             
-            --space-xs: 8px;
-            --space-sm: 16px;
-            --space-md: 24px;
-            --space-lg: 32px;
-            --space-xl: 48px;
+        } catch (error) {
+            res.status(500).json({ success: false, error: error.message });
         }
+    });
+}
+
+// Scheduled reports
+const REPORT_SCHEDULE_FIELDS = ['name', 'cron', 'timezone', 'recipients', 'subject', 'granularity', 'source', 'enabled'];
+
+function pickScheduleFields(body) {
+    return REPORT_SCHEDULE_FIELDS.reduce((schedule, field) => {
+        if (body?.[field] !== undefined) schedule[field] = body[field];
+        return schedule;
+    }, {});
+}
+
+async function getWorkspaceSchedule(workspaceId, scheduleId) {
+    const schedule = await storage.get('report_schedules', scheduleId);
+    return schedule && schedule.workspace_id === workspaceId ? schedule : null;
+}
+
+function scheduleNextRun(schedule) {
+    if (!schedule.enabled) return null;
+    return nextCronRun(parseCronExpression(schedule.cron), new Date(), schedule.timezone)?.toISOString() || null;
+}
+
+app.get('/reports/schedules', requireRole('viewer'), async (req, res) => {
+    try {
+        const schedules = await storage.list('report_schedules', { workspace_id: req.auth.workspace.id });
+        res.json({ success: true, data: schedules });
         
-        * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-        }
+    } catch (error) {
+        console.error('List schedules error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/reports/schedules', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = {
+            timezone: resolveLocaleSettings(req.auth.workspace.settings).timezone,
+            granularity: 'daily',
+            source: { type: 'latest_run' },
+            enabled: true,
+            ...pickScheduleFields(req.body)
+        };
+        const errors = await validateReportSchedule(schedule);
         
-        body {
-            font-family: 'Inter', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
-            background: linear-gradient(135deg, #f8fafc 0%, #e2e8f0 100%);
-            color: var(--dark-charcoal);
-            line-height: 1.6;
-            min-height: 100vh;
-            padding: var(--space-sm);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid schedule', errors });
         }
         
-        .container {
-            max-width: 1440px;
-            margin: 0 auto;
-        }
+        const stored = await storage.insert('report_schedules', {
+            ...schedule,
+            workspace_id: req.auth.workspace.id,
+            created_by: req.auth.user?.id || null,
+            next_run_at: scheduleNextRun(schedule),
+            retry_attempt: null,
+            last_run_at: null,
+            last_status: null
+        });
+        res.status(201).json({ success: true, data: stored });
         
-        .platform-header {
-            background: var(--gradient-primary);
-            color: white;
-            padding: var(--space-lg) var(--space-xl);
-            border-radius: var(--radius-lg);
-            margin-bottom: var(--space-lg);
-            box-shadow: var(--shadow-medium);
-        }
+    } catch (error) {
+        console.error('Create schedule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/reports/schedules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await getWorkspaceSchedule(req.auth.workspace.id, req.params.id);
         
-        .metrics-grid {
-            display: grid;
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-            gap: var(--space-md);
-            margin-bottom: var(--space-lg);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
         }
         
-        .metric-card {
-            background: white;
-            padding: var(--space-md);
-            border-radius: var(--radius-md);
-            box-shadow: var(--shadow-light);
-            border: 1px solid var(--border-color);
-            text-align: center;
+        const changes = pickScheduleFields(req.body);
+        const errors = await validateReportSchedule({ ...schedule, ...changes });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid schedule', errors });
         }
         
-        .metric-value {
-            font-size: 2rem;
-            font-weight: 700;
-            color: var(--primary-blue);
-            margin-bottom: var(--space-xs);
-        }
+        // Any edit starts over from the next slot of the (possibly new) cron
+        const updated = await storage.update('report_schedules', schedule.id, {
+            ...changes,
+            next_run_at: scheduleNextRun({ ...schedule, ...changes }),
+            retry_attempt: null
+        });
+        res.json({ success: true, data: updated });
         
-        .card {
-            background: white;
-            border-radius: var(--radius-md);
-            padding: var(--space-lg);
-            box-shadow: var(--shadow-light);
-            margin-bottom: var(--space-lg);
-            border: 1px solid var(--border-color);
-        }
+    } catch (error) {
+        console.error('Update schedule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/reports/schedules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await getWorkspaceSchedule(req.auth.workspace.id, req.params.id);
         
-        .card-header {
-            display: flex;
-            justify-content: space-between;
-            align-items: center;
-            margin-bottom: var(--space-lg);
-            padding-bottom: var(--space-sm);
-            border-bottom: 2px solid var(--light-gray);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
         }
         
-        .table-container {
-            overflow-x: auto;
-            border-radius: var(--radius-sm);
-            box-shadow: 0 2px 8px rgba(0,0,0,0.05);
-            background: white;
-            border: 1px solid var(--border-color);
-        }
+        await storage.remove('report_schedules', schedule.id);
+        res.json({ success: true });
         
-        .data-table {
-            width: 100%;
-            border-collapse: collapse;
-        }
+    } catch (error) {
+        console.error('Delete schedule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sends the report now without touching the schedule's next run or retries
+app.post('/reports/schedules/:id/run', requireRole('analyst'), async (req, res) => {
+    try {
+        const schedule = await getWorkspaceSchedule(req.auth.workspace.id, req.params.id);
         
-        .data-table th {
-            background: var(--light-gray);
-            padding: 12px 16px;
-            text-align: left;
-            font-weight: 600;
-            color: var(--primary-blue);
+        if (!schedule) {
+            return res.status(404).json({ success: false, error: 'Schedule not found' });
         }
         
-        .data-table td {
-            padding: 12px 16px;
-            border-bottom: 1px solid var(--border-color);
-        }
+        const job = await executeReportJob(schedule, { trigger: 'manual' });
+        res.status(job.status === 'succeeded' ? 200 : 502).json({
+            success: job.status === 'succeeded',
+            error: job.error,
+            data: job
+        });
         
-        .status-indicator {
-            display: inline-flex;
-            align-items: center;
-            gap: 6px;
-            padding: 6px 14px;
-            border-radius: 20px;
-            font-size: 0.85rem;
-            font-weight: 600;
+    } catch (error) {
+        console.error('Run schedule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Job history, newest first; ?schedule_id= narrows it to one schedule
+app.get('/reports/jobs', requireRole('viewer'), async (req, res) => {
+    try {
+        const filter = { workspace_id: req.auth.workspace.id };
+        if (req.query.schedule_id) filter.schedule_id = req.query.schedule_id;
+        
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+        const jobs = (await storage.list('report_jobs', filter)).reverse().slice(0, limit);
+        res.json({ success: true, data: jobs });
+        
+    } catch (error) {
+        console.error('List report jobs error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Anomalies in the daily series of posted orders or a saved run
+app.post('/anomalies', requireRole('viewer'), upload.single('file'), async (req, res) => {
+    try {
+        const runId = getRequestOption(req, 'run_id');
+        let metrics;
+        if (runId) {
+            metrics = await analyzeSavedRun(req.auth.workspace, runId);
+        } else {
+            const { orders } = extractOrderData(req);
+            if (orders.length === 0) {
+                return res.status(400).json({ success: false, error: 'Provide orders or a run_id to scan' });
+            }
+            metrics = new SafeFlowlyticsAnalytics(orders, {
+                rules: [],
+                locale: resolveLocaleSettings(req.auth.workspace.settings),
+                payments: resolvePaymentSettings(req.auth.workspace.settings)
+            }).analysis;
         }
         
-        .status-success {
-            background: rgba(76, 175, 80, 0.1);
-            color: var(--success-green);
+        const options = ['since', ...Object.keys(ANOMALY_DEFAULTS)].reduce((picked, name) => {
+            picked[name] = getRequestOption(req, name);
+            return picked;
+        }, {});
+        res.json({ success: true, data: detectAnomalies(metrics, options) });
+        
+    } catch (error) {
+        console.error('Anomaly detection error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Posted orders, a run_id, or the latest saved run
+async function resolveRequestOrders(req) {
+    const runId = getRequestOption(req, 'run_id');
+    const { orders } = runId ? { orders: [] } : extractOrderData(req);
+    if (orders.length > 0) return { run: null, orders };
+    
+    const loaded = await loadRunOrders(req.auth.workspace.id, runId);
+    if (!loaded) throw httpError(404, runId ? 'Run not found' : 'No saved runs yet; provide orders or a run_id');
+    return loaded;
+}
+
+async function analyzeNarrativeInput(req) {
+    const { run, orders } = await resolveRequestOrders(req);
+    const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+    return {
+        run,
+        metrics: new SafeFlowlyticsAnalytics(orders, { ...workspaceOptions, ...run?.options }).analysis
+    };
+}
+
+// Provider failures are upstream errors, not ours
+function narrativeProviderError(error) {
+    return error.status ? error : httpError(502, `Narrative provider failed: ${error.message}`);
+}
+
+app.post('/narrative', requireRole('analyst'), upload.single('file'), async (req, res) => {
+    try {
+        const provider = requireNarrativeProvider();
+        const { run, metrics } = await analyzeNarrativeInput(req);
+        const narrative = await generateNarrativeSummary(provider, metrics).catch(error => {
+            throw narrativeProviderError(error);
+        });
+        
+        res.json({
+            success: true,
+            run_id: run?.id || null,
+            data: { narrative, insights: metrics.insights }
+        });
+        
+    } catch (error) {
+        if (!error.status || error.status === 502) console.error('Narrative error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Follow-up questions; the client sends back earlier { question, answer } turns as history
+app.post('/narrative/ask', requireRole('analyst'), async (req, res) => {
+    try {
+        const provider = requireNarrativeProvider();
+        const question = req.body?.question;
+        const history = req.body?.history;
+        const errors = validateNarrativeQuestion(question, history);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid question', errors });
         }
         
-        .status-warning {
-            background: rgba(255, 152, 0, 0.1);
-            color: var(--warning-orange);
+        const { run, metrics } = await analyzeNarrativeInput(req);
+        const { text, ...details } = await answerNarrativeQuestion(provider, metrics, question.trim(),
+            (history || []).slice(-NARRATIVE_HISTORY_TURNS)).catch(error => {
+            throw narrativeProviderError(error);
+        });
+        
+        res.json({
+            success: true,
+            run_id: run?.id || null,
+            data: { question: question.trim(), answer: text, ...details }
+        });
+        
+    } catch (error) {
+        if (!error.status || error.status === 502) console.error('Narrative question error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Ad-hoc queries: a plain-English "question", structured fields, or both (the fields win)
+const QUERY_FIELDS = ['metrics', 'group_by', 'filters', 'date_range', 'sort', 'limit'];
+
+// Relative dates in a question ("last month") count back from as_of, today in the workspace timezone by default
+function buildRequestQuery(req, orders, locale, payments) {
+    const body = req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {};
+    const question = getRequestOption(req, 'question');
+    let parsed = null;
+    
+    if (hasValue(question)) {
+        const asOf = getRequestOption(req, 'as_of') || toDayKey(new Date(getZonedWallClock(new Date(), locale.timezone)));
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(String(asOf)) || !parseOrderDate(asOf)) {
+            throw httpError(400, 'as_of must be a date in YYYY-MM-DD format');
+        }
+        if (String(question).length > NARRATIVE_QUESTION_MAX_LENGTH) {
+            throw httpError(400, `question must be at most ${NARRATIVE_QUESTION_MAX_LENGTH} characters`);
         }
+        parsed = parseQuestion(question, { orders, locale, payments, asOf: String(asOf) });
+    } else if (!QUERY_FIELDS.some(field => body[field] !== undefined)) {
+        throw httpError(400, `Send a question, or a structured query with any of: ${QUERY_FIELDS.join(', ')}`);
+    }
+    
+    const explicit = Object.fromEntries(QUERY_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+    const { query, errors } = parseStructuredQuery({ ...parsed?.query, ...explicit });
+    return { query, errors, parsed };
+}
+
+// Turns a question into the structured query without running it
+app.post('/query/parse', requireRole('viewer'), async (req, res) => {
+    try {
+        const { orders } = await resolveRequestOrders(req);
+        const locale = resolveLocaleSettings(req.auth.workspace.settings);
+        const { query, errors, parsed } = buildRequestQuery(req, orders, locale, resolvePaymentSettings(req.auth.workspace.settings));
         
-        .status-danger {
-            background: rgba(244, 67, 54, 0.1);
-            color: var(--danger-red);
+        res.json({
+            success: true,
+            data: {
+                query,
+                interpretation: parsed?.interpretation || [],
+                ignored_words: parsed?.ignored_words || [],
+                errors
+            }
+        });
+        
+    } catch (error) {
+        if (!error.status) console.error('Query parse error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+app.post('/query', requireRole('viewer'), async (req, res) => {
+    try {
+        const { run, orders } = await resolveRequestOrders(req);
+        const locale = resolveLocaleSettings(req.auth.workspace.settings);
+        const payments = resolvePaymentSettings(req.auth.workspace.settings);
+        const { query, errors, parsed } = buildRequestQuery(req, orders, locale, payments);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid query', errors, query });
         }
         
-        .action-button {
-            background: var(--gradient-primary);
-            color: white;
-            border: none;
-            padding: 12px 24px;
-            border-radius: var(--radius-sm);
-            font-weight: 600;
-            cursor: pointer;
+        res.json({
+            success: true,
+            run_id: run?.id || null,
+            query,
+            ...(parsed ? { interpretation: parsed.interpretation, ignored_words: parsed.ignored_words } : {}),
+            data: runOrderQuery(orders, query, locale, payments),
+            generated_at: new Date().toISOString()
+        });
+        
+    } catch (error) {
+        if (!error.status) console.error('Query error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Inventory: one stock snapshot per workspace, replaced on every upload
+app.put('/inventory', requireRole('analyst'), upload.single('file'), async (req, res) => {
+    try {
+        const isCSVUpload = Boolean(req.file) || typeof req.body === 'string';
+        const { items, errors: csvErrors } = isCSVUpload ?
+            csvToInventoryItems(req.file ? req.file.buffer.toString('utf8') : req.body) :
+            { items: Array.isArray(req.body) ? req.body : req.body?.items, errors: [] };
+        const errors = csvErrors.length > 0 ? csvErrors : validateInventoryItems(items);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid inventory', errors });
         }
         
-        @media (max-width: 768px) {
-            .metrics-grid {
-                grid-template-columns: repeat(2, 1fr);
-            }
+        const workspaceId = req.auth.workspace.id;
+        const existing = await storage.get('inventory', workspaceId);
+        const snapshot = {
+            workspace_id: workspaceId,
+            items: items.map(normalizeInventoryItem),
+            uploaded_at: new Date().toISOString(),
+            uploaded_by: req.auth.user?.id || null
+        };
+        // A replacement is one write, so a failure can't leave the workspace without a snapshot
+        const stored = existing ?
+            await storage.update('inventory', workspaceId, snapshot) :
+            await storage.insert('inventory', { id: workspaceId, ...snapshot });
+        
+        res.status(existing ? 200 : 201).json({ success: true, data: stored });
+        
+    } catch (error) {
+        if (!error.status) console.error('Inventory upload error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// The snapshot, analyzed against a saved run's sales (the latest one by default)
+app.get('/inventory', requireRole('viewer'), async (req, res) => {
+    try {
+        const snapshot = await storage.get('inventory', req.auth.workspace.id);
+        if (!snapshot) {
+            return res.status(404).json({ success: false, error: 'No inventory uploaded yet; send stock levels to PUT /inventory' });
         }
         
-        @media (max-width: 480px) {
-            .metrics-grid {
-                grid-template-columns: 1fr;
+        const loaded = await loadRunOrders(req.auth.workspace.id, req.query.run_id);
+        if (!loaded && req.query.run_id) throw httpError(404, 'Run not found');
+        const analysis = loaded && new SafeFlowlyticsAnalytics(loaded.orders, {
+            rules: [],
+            locale: resolveLocaleSettings(req.auth.workspace.settings),
+            payments: resolvePaymentSettings(req.auth.workspace.settings),
+            inventory: snapshot
+        }).analysis.inventory;
+        
+        res.json({
+            success: true,
+            data: {
+                uploaded_at: snapshot.uploaded_at,
+                run_id: loaded?.run.id || null,
+                window: analysis?.window || null,
+                summary: analysis?.summary || null,
+                items: analysis?.items || snapshot.items
             }
-        }
-    </style>
-</head>
-<body>
-    <div class="container">
-        <header class="platform-header">
-            <h1>Flowlytics AI</h1>
-            <p>Intelligent Analytics & Automation Platform for eCommerce Entrepreneurs</p>
-        </header>
+        });
+        
+    } catch (error) {
+        if (!error.status) console.error('Inventory error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-        <div class="card">
-            <div class="card-header">
-                <h2>Business Overview</h2>
-            </div>
-            
-            <div class="metrics-grid">
-                <div class="metric-card">
-                    <div class="metric-value">${formatCurrency(metrics.financial.delivered_revenue)}</div>
-                    <div class="metric-label">Delivered Revenue</div>
-                    <div>${metrics.orders.delivered || 0} orders</div>
-                </div>
-                
-                <div class="metric-card">
-                    <div class="metric-value">${formatCurrency(metrics.financial.delivered_profit)}</div>
-                    <div class="metric-label">Total Profit</div>
-                    <div>${metrics.financial.profit_margin.toFixed(1)}% margin</div>
-                </div>
-                
-                <div class="metric-card">
-                    <div class="metric-value">${formatCurrency(metrics.financial.average_order_value)}</div>
-                    <div class="metric-label">Average Order Value</div>
-                    <div>Industry: ₹1,500</div>
-                </div>
-                
-                <div class="metric-card">
-                    <div class="metric-value">${metrics.customers.unique?.size || 0}</div>
-                    <div class="metric-label">Unique Customers</div>
-                    <div>${metrics.customers.repeat_buyers || 0} repeat buyers</div>
-                </div>
-            </div>
-            
-            <div style="text-align: center; margin-top: var(--space-lg);">
-                <h3>Business Health Score: ${metrics.summary.overall_score} - ${metrics.summary.health_status}</h3>
-                <p>${metrics.summary.recommended_action}</p>
-            </div>
-        </div>
+app.delete('/inventory', requireRole('analyst'), async (req, res) => {
+    try {
+        if (!await storage.get('inventory', req.auth.workspace.id)) throw httpError(404, 'No inventory uploaded');
+        
+        await storage.remove('inventory', req.auth.workspace.id);
+        res.json({ success: true });
+        
+    } catch (error) {
+        if (!error.status) console.error('Delete inventory error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
 
-        ${metrics.insights.length > 0 ? `
-        <div class="card">
-            <div class="card-header">
-                <h2>AI Business Insights</h2>
-            </div>
-            
-            ${metrics.insights.map(insight => `
-                <div style="padding: var(--space-md); margin-bottom: var(--space-sm); border-left: 4px solid ${insight.severity === 'Critical' ? 'var(--danger-red)' : insight.severity === 'Warning' ? 'var(--warning-orange)' : 'var(--success-green)'}; background: white;">
-                    <h3>${insight.title}</h3>
-                    <p>${insight.description}</p>
-                    <div style="display: flex; justify-content: space-between; align-items: center; margin-top: var(--space-sm);">
-                        <span class="status-indicator status-${insight.severity.toLowerCase()}">
-                            ${insight.category}
-                        </span>
-                        <button class="action-button">Take Action</button>
-                    </div>
-                </div>
-            `).join('')}
-        </div>
-        ` : ''}
+// Alert rules and webhook deliveries
+const ALERT_RULE_FIELDS = ['name', 'metrics', 'direction', 'min_score', 'cities', 'lookback_days', 'webhook_url', 'format', 'enabled'];
 
-        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: var(--space-md);">
-            <div class="card">
-                <div class="card-header">
-                    <h2>Top Customers</h2>
-                </div>
-                <div class="table-container">
-                    <table class="data-table">
-                        <thead>
-                            <tr>
-                                <th>Customer ID</th>
-                                <th>Revenue</th>
-                                <th>Orders</th>
-                                <th>Status</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${topCustomers.map(customer => `
-                                <tr>
-                                    <td>${customer.id}</td>
-                                    <td>${formatCurrency(customer.revenue)}</td>
-                                    <td>${customer.orders}</td>
-                                    <td>
-                                        <span class="status-indicator ${customer.orders > 1 ? 'status-success' : 'status-warning'}">
-                                            ${customer.orders > 1 ? 'Repeat Buyer' : 'Single Purchase'}
-                                        </span>
-                                    </td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
+function pickAlertRuleFields(body) {
+    return ALERT_RULE_FIELDS.reduce((rule, field) => {
+        if (body?.[field] !== undefined) rule[field] = body[field];
+        return rule;
+    }, {});
+}
 
-            <div class="card">
-                <div class="card-header">
-                    <h2>Top Products</h2>
-                </div>
-                <div class="table-container">
-                    <table class="data-table">
-                        <thead>
-                            <tr>
-                                <th>Product</th>
-                                <th>Revenue</th>
-                                <th>Profit</th>
-                                <th>Margin</th>
-                            </tr>
-                        </thead>
-                        <tbody>
-                            ${metrics.products.by_revenue_sorted.slice(0, 5).map(product => `
-                                <tr>
-                                    <td>${product.name}</td>
-                                    <td>${formatCurrency(product.revenue)}</td>
-                                    <td>${formatCurrency(product.profit)}</td>
-                                    <td>${product.margin.toFixed(1)}%</td>
-                                </tr>
-                            `).join('')}
-                        </tbody>
-                    </table>
-                </div>
-            </div>
-        </div>
+async function getWorkspaceAlertRule(workspaceId, ruleId) {
+    const rule = await storage.get('alert_rules', ruleId);
+    return rule && rule.workspace_id === workspaceId ? rule : null;
+}
 
-        <footer style="text-align: center; padding: var(--space-lg); color: var(--medium-gray);">
-            <p><strong>Flowlytics AI Enterprise Platform</strong></p>
-            <p>${orders.length} orders processed • Generated on ${new Date().toLocaleString('en-IN', {timeZone: 'Asia/Kolkata'})}</p>
-        </footer>
-    </div>
-</body>
-</html>`;
+// The signing secret is only returned when the rule is created
+function publicAlertRule({ secret, ...rule }) {
+    return { ...rule, secret_prefix: secret.slice(0, 10) };
 }
 
-// ============= API ENDPOINTS =============
+app.get('/alerts/rules', requireRole('viewer'), async (req, res) => {
+    try {
+        const rules = await storage.list('alert_rules', { workspace_id: req.auth.workspace.id });
+        res.json({ success: true, data: rules.map(publicAlertRule) });
+        
+    } catch (error) {
+        console.error('List alert rules error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-// Health check
-app.get('/health', (req, res) => {
-    res.json({
-        status: 'healthy',
-        service: 'Flowlytics AI',
-        version: '5.1',
-        timestamp: new Date().toISOString(),
-        endpoints: {
-            analyze: 'POST /analyze',
-            dashboard: 'POST /dashboard',
-            health: 'GET /health'
+app.post('/alerts/rules', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = {
+            metrics: [...ANOMALY_METRICS],
+            direction: 'both',
+            min_score: ANOMALY_DEFAULTS.threshold,
+            lookback_days: 1,
+            format: 'json',
+            enabled: true,
+            ...pickAlertRuleFields(req.body)
+        };
+        const errors = await validateAlertRule(rule);
+        
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
         }
-    });
+        
+        const secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+        const stored = await storage.insert('alert_rules', {
+            ...rule,
+            workspace_id: req.auth.workspace.id,
+            created_by: req.auth.user?.id || null,
+            secret
+        });
+        res.status(201).json({ success: true, data: { ...publicAlertRule(stored), secret } });
+        
+    } catch (error) {
+        console.error('Create alert rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-// Main analysis endpoint
-app.post('/analyze', (req, res) => {
-    console.log('Analyze endpoint called');
-    
+app.put('/alerts/rules/:id', requireRole('analyst'), async (req, res) => {
     try {
-        let orderData = [];
+        const rule = await getWorkspaceAlertRule(req.auth.workspace.id, req.params.id);
         
-        // Extract data from different formats
-        if (Array.isArray(req.body)) {
-            orderData = req.body;
-        } else if (req.body.orders && Array.isArray(req.body.orders)) {
-            orderData = req.body.orders;
-        } else if (req.body.data && Array.isArray(req.body.data)) {
-            orderData = req.body.data;
-        } else if (req.body) {
-            // Single order
-            orderData = [req.body];
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
         }
         
-        console.log(`Received ${orderData.length} orders`);
+        const changes = pickAlertRuleFields(req.body);
+        const errors = await validateAlertRule({ ...rule, ...changes });
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, error: 'Invalid alert rule', errors });
+        }
         
-        if (orderData.length === 0) {
-            return res.status(400).json({
-                success: false,
-                error: 'No order data provided',
-                instructions: 'Send orders as array in body.orders, body.data, or directly as array'
-            });
+        const updated = await storage.update('alert_rules', rule.id, changes);
+        res.json({ success: true, data: publicAlertRule(updated) });
+        
+    } catch (error) {
+        console.error('Update alert rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.delete('/alerts/rules/:id', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await getWorkspaceAlertRule(req.auth.workspace.id, req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
         }
         
-        // Process analytics
-        const analytics = new SafeFlowlyticsAnalytics(orderData);
-        const metrics = analytics.analysis;
+        await storage.remove('alert_rules', rule.id);
+        res.json({ success: true });
         
-        // Generate HTML dashboard
-        const html = generateDashboardHTML(metrics, orderData);
+    } catch (error) {
+        console.error('Delete alert rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Queues a signed "alert.test" event so receivers can check their signature handling
+app.post('/alerts/rules/:id/test', requireRole('analyst'), async (req, res) => {
+    try {
+        const rule = await getWorkspaceAlertRule(req.auth.workspace.id, req.params.id);
+        
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Alert rule not found' });
+        }
+        
+        const delivery = await queueWebhookDelivery(rule, {
+            event: 'alert.test',
+            workspace_id: rule.workspace_id,
+            rule: { id: rule.id, name: rule.name },
+            created_at: new Date().toISOString()
+        });
+        res.status(202).json({ success: true, data: delivery });
+        
+    } catch (error) {
+        console.error('Test alert rule error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Delivery log, newest first; ?rule_id= and ?status= narrow it down
+app.get('/alerts/deliveries', requireRole('viewer'), async (req, res) => {
+    try {
+        const filter = { workspace_id: req.auth.workspace.id };
+        if (req.query.rule_id) filter.rule_id = req.query.rule_id;
+        if (req.query.status) filter.status = req.query.status;
+        
+        const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 500);
+        const deliveries = (await storage.list('webhook_deliveries', filter)).reverse().slice(0, limit);
+        res.json({ success: true, data: deliveries });
+        
+    } catch (error) {
+        console.error('List webhook deliveries error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Sends a delivery again now, e.g. after fixing a receiver; its attempt history is kept
+app.post('/alerts/deliveries/:id/retry', requireRole('analyst'), async (req, res) => {
+    try {
+        const delivery = await storage.get('webhook_deliveries', req.params.id);
+        
+        if (!delivery || delivery.workspace_id !== req.auth.workspace.id) {
+            return res.status(404).json({ success: false, error: 'Delivery not found' });
+        }
+        
+        const updated = await attemptWebhookDelivery(delivery);
+        res.status(updated.status === 'delivered' ? 200 : 502).json({
+            success: updated.status === 'delivered',
+            error: updated.last_error || undefined,
+            data: updated
+        });
         
+    } catch (error) {
+        console.error('Retry webhook delivery error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Store connectors: one per platform per workspace, found by shop domain when a webhook arrives
+app.get('/connectors', requireRole('viewer'), async (req, res) => {
+    try {
+        const connectors = await storage.list('connectors', { workspace_id: req.auth.workspace.id });
+        const orders = await storage.list('connector_orders', { workspace_id: req.auth.workspace.id });
         res.json({
             success: true,
-            data: {
-                orders_processed: orderData.length,
-                analytics: {
-                    financial: {
-                        total_revenue: metrics.financial.total_revenue,
-                        delivered_revenue: metrics.financial.delivered_revenue,
-                        total_profit: metrics.financial.total_profit,
-                        profit_margin: metrics.financial.profit_margin,
-                        average_order_value: metrics.financial.average_order_value
-                    },
-                    orders: {
-                        total: metrics.orders.total,
-                        delivered: metrics.orders.delivered,
-                        conversion_rate: metrics.orders.conversion_rate
-                    },
-                    customers: {
-                        unique: metrics.customers.unique.size,
-                        repeat_buyers: metrics.customers.repeat_buyers
-                    }
-                },
-                insights: metrics.insights,
-                business_health: {
-                    score: metrics.summary.overall_score,
-                    status: metrics.summary.health_status,
-                    recommendation: metrics.summary.recommended_action
-                }
-            },
-            html: html,
-            generated_at: new Date().toISOString()
+            data: connectors.map(connector => ({
+                ...publicConnector(connector),
+                orders: orders.filter(record => record.platform === connector.platform).length
+            }))
         });
         
     } catch (error) {
-        console.error('Analysis error:', error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+        console.error('List connectors error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+app.put('/connectors/:platform', requireRole('owner'), async (req, res) => {
+    try {
+        const platform = getConnectorPlatform(req.params.platform);
+        if (!platform) throw httpError(404, `Unknown platform. Use one of: ${Object.keys(CONNECTOR_PLATFORMS).join(', ')}`);
+        
+        const shop = normalizeShopDomain(req.body?.shop);
+        if (!shop) throw httpError(400, 'shop is required, e.g. "my-store.myshopify.com" or "https://shop.example.com"');
+        
+        let secret = req.body?.webhook_secret;
+        if (secret !== undefined && (typeof secret !== 'string' || secret.length < 8)) {
+            throw httpError(400, 'webhook_secret must be a string of at least 8 characters');
+        }
+        if (!secret && !platform.generates_secret) {
+            throw httpError(400, `webhook_secret is required: use the secret ${platform.label} signs webhooks with`);
+        }
+        secret = secret || crypto.randomBytes(24).toString('hex');
+        
+        const id = `${req.auth.workspace.id}-${req.params.platform}`;
+        const [claimed] = await storage.list('connectors', { platform: req.params.platform, shop });
+        if (claimed && claimed.id !== id) throw httpError(409, 'This shop is connected to another workspace');
+        
+        const changes = { workspace_id: req.auth.workspace.id, platform: req.params.platform, shop, secret };
+        const existing = await storage.get('connectors', id);
+        const connector = existing ?
+            await storage.update('connectors', id, changes) :
+            await storage.insert('connectors', { id, ...changes, created_by: req.auth.user?.id || null });
+        
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: { ...publicConnector(connector), secret, webhook_url: `/ingest/${req.params.platform}/orders` }
         });
+        
+    } catch (error) {
+        if (!error.status) console.error('Save connector error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
-// Dashboard endpoint (HTML only)
-app.post('/dashboard', (req, res) => {
+// Ingested orders are kept, so they can still be analyzed with POST /ingest/analyze
+app.delete('/connectors/:platform', requireRole('owner'), async (req, res) => {
+    try {
+        const id = `${req.auth.workspace.id}-${req.params.platform}`;
+        if (!await storage.get('connectors', id)) throw httpError(404, 'Connector not found');
+        
+        await storage.remove('connectors', id);
+        res.json({ success: true });
+        
+    } catch (error) {
+        if (!error.status) console.error('Delete connector error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Platform webhooks carry no session or API key: the shop header finds the connector and
+// the HMAC signature proves the payload came from that shop
+app.post('/ingest/:platform/orders', async (req, res) => {
     try {
-        let orderData = [];
+        const platform = getConnectorPlatform(req.params.platform);
+        if (!platform) throw httpError(404, 'Unknown platform');
         
-        if (Array.isArray(req.body)) {
-            orderData = req.body;
-        } else if (req.body.orders && Array.isArray(req.body.orders)) {
-            orderData = req.body.orders;
-        } else if (req.body.data && Array.isArray(req.body.data)) {
-            orderData = req.body.data;
+        // WooCommerce pings a new webhook's URL with a form body before sending orders
+        if (req.is('application/x-www-form-urlencoded') && req.body?.webhook_id) {
+            return res.json({ success: true, ping: true });
         }
         
-        const analytics = new SafeFlowlyticsAnalytics(orderData);
-        const html = generateDashboardHTML(analytics.analysis, orderData);
+        const shop = normalizeShopDomain(req.get(platform.shop_header));
+        const [connector] = shop ? await storage.list('connectors', { platform: req.params.platform, shop }) : [];
+        // Unknown shops and bad signatures get the same answer
+        if (!connector || !verifyWebhookSignature(req.rawBody, req.get(platform.signature_header), connector.secret)) {
+            throw httpError(401, 'Invalid webhook signature');
+        }
         
-        res.setHeader('Content-Type', 'text/html');
-        res.send(html);
+        const result = await storeConnectorOrder(connector.workspace_id, req.params.platform, req.body, req.get(platform.topic_header) || null);
+        storage.update('connectors', connector.id, { last_received_at: new Date().toISOString() })
+            .catch(error => console.warn('Failed to record webhook receipt:', error.message));
+        
+        res.json({ success: true, data: result });
+        
+    } catch (error) {
+        if (!error.status) console.error(`${req.params.platform} webhook error:`, error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Bulk import of a REST API response or recorded webhook payloads; dry_run returns the mapped
+// orders without storing them
+app.post('/ingest/:platform/import', requireRole('analyst'), async (req, res) => {
+    try {
+        const platform = getConnectorPlatform(req.params.platform);
+        if (!platform) throw httpError(404, 'Unknown platform');
+        
+        const payloads = platformOrdersFromJSON(req.body);
+        if (payloads.length === 0) throw httpError(400, `No ${platform.label} orders in the body`);
+        
+        if ([true, 'true'].includes(getRequestOption(req, 'dry_run'))) {
+            return res.json({ success: true, data: { orders: payloads.map(platform.map) } });
+        }
+        
+        const counts = { created: 0, updated: 0, skipped: 0 };
+        const errors = [];
+        for (const [index, payload] of payloads.entries()) {
+            try {
+                const { action } = await storeConnectorOrder(req.auth.workspace.id, req.params.platform, payload);
+                counts[action]++;
+            } catch (error) {
+                if (!error.status) throw error;
+                errors.push({ index, error: error.message });
+            }
+        }
+        
+        res.json({ success: true, data: { received: payloads.length, ...counts, errors } });
+        
+    } catch (error) {
+        if (!error.status) console.error('Connector import error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
+    }
+});
+
+// Analyzes everything the connectors have ingested (?platform= for one) and saves it as a run
+app.post('/ingest/analyze', requireRole('analyst'), async (req, res) => {
+    try {
+        const platform = getRequestOption(req, 'platform');
+        if (platform && !Object.hasOwn(CONNECTOR_PLATFORMS, platform)) throw httpError(400, `Unknown platform "${platform}"`);
+        
+        const granularity = getRequestOption(req, 'granularity') || 'daily';
+        if (!GRANULARITIES.includes(granularity)) {
+            throw httpError(400, `Invalid granularity "${granularity}". Use one of: ${GRANULARITIES.join(', ')}`);
+        }
+        
+        const records = await storage.list('connector_orders', {
+            workspace_id: req.auth.workspace.id,
+            ...(platform ? { platform } : {})
+        });
+        if (records.length === 0) throw httpError(400, 'No ingested orders yet');
+        
+        const orders = records.map(record => record.order);
+        const validation = validateOrders(orders);
+        const workspaceOptions = await loadWorkspaceAnalysisOptions(req.auth.workspace);
+        const metrics = new SafeFlowlyticsAnalytics(orders, {
+            ...workspaceOptions,
+            granularity,
+            dataQuality: validation.data_quality
+        }).analysis;
+        
+        const platforms = [...new Set(records.map(record => CONNECTOR_PLATFORMS[record.platform].label))];
+        const run = await saveAnalysisRun({
+            workspaceId: req.auth.workspace.id,
+            name: getRequestOption(req, 'name') || `${platforms.join(' + ')} orders ${new Date().toISOString().slice(0, 10)}`,
+            orders,
+            options: { granularity, source: 'connectors' },
+            metrics
+        });
+        const alerts = await evaluateAlertRules(req.auth.workspace.id, metrics, run.id).catch(error => {
+            console.error('Failed to evaluate alert rules:', error);
+            return null;
+        });
+        
+        res.json({
+            success: true,
+            run_id: run.id,
+            alerts,
+            data: formatAnalysisPayload(metrics, orders.length),
+            validation_errors: validation.errors.slice(0, 100),
+            generated_at: new Date().toISOString()
+        });
         
     } catch (error) {
-        res.status(500).send(`<h1>Error</h1><p>${error.message}</p>`);
+        if (!error.status) console.error('Connector analysis error:', error);
+        res.status(error.status || 500).json({ success: false, error: error.message });
     }
 });
 
@@ -896,9 +10294,76 @@ app.get('/', (req, res) => {
         version: '5.1',
         endpoints: [
             'GET  /health - Health check',
-            'POST /analyze - Analyze orders (returns JSON with HTML)',
-            'POST /dashboard - Get HTML dashboard only'
+            'POST /auth/signup - Create an account and its first workspace',
+            'POST /auth/login - Start a session (cookie or Bearer token)',
+            'POST /auth/logout - End the current session',
+            'GET  /auth/me - Current user, workspace and role',
+            'GET  /workspaces - Workspaces you belong to',
+            'POST /workspaces - Create a workspace',
+            'GET  /workspace/members - List members (viewer)',
+            'POST /workspace/members - Add a member or change their role (owner)',
+            'GET  /workspace/api-keys - List API keys (owner)',
+            'POST /workspace/api-keys - Create an API key (owner)',
+            'GET  /workspace/settings - Workspace settings (viewer)',
+            'PUT  /workspace/settings - Update workspace settings, including currency, exchange rates, locale and payment aliases and fees (owner)',
+            'GET  /workspace/payment-methods - Payment method taxonomy with the workspace\'s aliases and fees (viewer)',
+            'GET  /workspace/scoring - Health score weights, tiers and bands (viewer)',
+            'PUT  /workspace/scoring - Configure the health score (owner)',
+            'POST /analyze - Analyze orders (returns JSON with HTML); accepts JSON, text/csv or a multipart "file" upload; compare periods with current_orders/previous_orders or current_from/current_to/previous_from/previous_to; narrative=true adds a written summary',
+            'POST /analyze/stream - Analyze a large NDJSON or CSV body row by row without a size limit; keeps only aggregates',
+            'POST /dashboard - Get HTML dashboard only; accepts the same formats as /analyze, plus the dashboard filters',
+            'GET  /runs - List saved analysis runs',
+            'GET  /runs/:id - Get a saved run with its metrics',
+            'GET  /runs/:id/dashboard - Interactive dashboard for a saved run (?from=&to=&city=&category=&payment_method=&status=)',
+            'GET  /runs/:id/orders - Orders behind a dashboard row with totals; dashboard filters plus product, page, page_size and sort',
+            'POST /export - Download the analysis as a PDF report or XLSX workbook (?format=pdf|xlsx); accepts the same formats as /analyze',
+            'GET  /runs/:id/export - Download a saved run as PDF or XLSX (?format=pdf|xlsx)',
+            'POST /forecast - Forecast revenue, orders and profit with confidence intervals and a backtest (orders or run_id; granularity, horizon, confidence)',
+            'GET  /customers/segments - RFM segments for a saved run (?run_id=, latest by default)',
+            'POST /customers/segments - RFM segments for posted orders',
+            'GET  /customers/cohorts - Monthly acquisition cohorts and retention for a saved run',
+            'POST /customers/cohorts - Cohorts and retention for posted orders',
+            'GET  /customers/lifetime-value - Predicted CLV and churn probability per customer (BG/NBD and Gamma-Gamma), with likely-to-churn high-value customers (?run_id=, ?horizon_days=, ?as_of=)',
+            'POST /customers/lifetime-value - Lifetime value for posted orders',
+            'GET  /customers/:id - Customer profile: order history, AOV, preferred payment and city, segment, predicted CLV and churn (?run_id=, latest by default)',
+            'GET  /geography - Delivery success, cancellation, RTO and risk by region, state, city and pincode for a saved run',
+            'POST /geography - Geography for posted orders',
+            'POST /risk/score - Score incoming orders for RTO/cancellation risk against a saved run (run_id, latest by default)',
+            'GET  /rules - List insight rules (viewer)',
+            'POST /rules - Create an insight rule (analyst)',
+            'POST /rules/test - Dry-run a rule against orders or a run (analyst)',
+            'PUT  /rules/:id - Update a rule (analyst)',
+            'POST /rules/:id/disable - Disable a rule (analyst)',
+            'POST /rules/:id/enable - Re-enable a rule (analyst)',
+            'GET  /reports/schedules - List scheduled email reports (viewer)',
+            'POST /reports/schedules - Schedule a report with a cron expression (analyst)',
+            'PUT  /reports/schedules/:id - Update a schedule (analyst)',
+            'DELETE /reports/schedules/:id - Delete a schedule (analyst)',
+            'POST /reports/schedules/:id/run - Send a report now (analyst)',
+            'GET  /reports/jobs - Report delivery history (?schedule_id=)',
+            'POST /anomalies - Anomalies in daily revenue, cancellation rate, COD share and city revenue (orders or run_id)',
+            'POST /narrative - Written executive summary checked against the metrics, with the rule-based insights (orders or run_id, latest run by default; needs LLM_PROVIDER)',
+            'POST /narrative/ask - Answer a follow-up question about the data (question, history, orders or run_id)',
+            'POST /query - Metrics by any dimensions with filters, a date range, sort and limit, as structured fields or a plain-English question (orders or run_id, latest run by default)',
+            'POST /query/parse - Show the structured query a question turns into, without running it',
+            'PUT  /inventory - Replace the stock snapshot: items with sku or product_name, stock and lead_time_days, as JSON or CSV (analyst)',
+            'GET  /inventory - Stock levels with sales velocity, days of cover, stock-out risk and reorder suggestions (?run_id=, latest run by default)',
+            'DELETE /inventory - Remove the stock snapshot (analyst)',
+            'GET  /alerts/rules - List alert rules (viewer)',
+            'POST /alerts/rules - Create an alert rule that posts anomalies to a signed webhook (analyst)',
+            'PUT  /alerts/rules/:id - Update an alert rule (analyst)',
+            'DELETE /alerts/rules/:id - Delete an alert rule (analyst)',
+            'POST /alerts/rules/:id/test - Send a test event to the rule\'s webhook (analyst)',
+            'GET  /alerts/deliveries - Webhook delivery log, newest first (?rule_id=, ?status=, ?limit=)',
+            'POST /alerts/deliveries/:id/retry - Send a delivery again now (analyst)',
+            'GET  /connectors - Shopify and WooCommerce connectors with their ingested order counts (viewer)',
+            'PUT  /connectors/:platform - Connect a shop (shop, webhook_secret; generated for WooCommerce if omitted) (owner)',
+            'DELETE /connectors/:platform - Disconnect a shop; ingested orders are kept (owner)',
+            'POST /ingest/:platform/orders - Order webhook for shopify or woocommerce, verified by the platform\'s HMAC signature header',
+            'POST /ingest/:platform/import - Import orders from a platform REST response or recorded payloads (?dry_run=true to preview the mapping) (analyst)',
+            'POST /ingest/analyze - Analyze the ingested orders and save a run (platform, name, granularity) (analyst)'
         ],
+        authentication: 'Send "X-API-Key: flk_..." or "Authorization: Bearer <token>"; add "X-Workspace-Id" to pick a workspace for session logins. /analyze needs analyst, dashboards and runs need viewer.',
         example_request: {
             method: 'POST',
             url: '/analyze',
@@ -914,18 +10379,51 @@ app.get('/', (req, res) => {
                         "payment_method": "UPI",
                         "product_name": "Test Product",
                         "product_category": "Electronics",
-                        "quantity": 1
+                        "quantity": 1,
+                        "order_date": "2024-01-15"
                     }
-                ]
+                ],
+                granularity: 'daily | weekly | monthly',
+                name: 'January orders',
+                strict: false
             }
         }
     });
 });
 
-// Start server
-app.listen(port, () => {
-    console.log(`🚀 Flowlytics AI API running on port ${port}`);
-    console.log(`🌐 Health check: http://localhost:${port}/health`);
-    console.log(`📊 Analyze endpoint: POST http://localhost:${port}/analyze`);
-    console.log(`📈 Dashboard endpoint: POST http://localhost:${port}/dashboard`);
-});
\ No newline at end of file
+// Errors passed to next(): auth failures, upload limits, malformed JSON
+app.use((error, req, res, next) => {
+    const status = error.status || error.statusCode || (error.code === 'LIMIT_FILE_SIZE' ? 413 : 500);
+    if (status >= 500) console.error('Request error:', error);
+    
+    res.status(status).json({ success: false, error: error.message });
+});
+
+// Start server; tests require() the app and listen on a port of their own
+if (require.main === module) {
+    app.listen(port, () => {
+        console.log(`🚀 Flowlytics AI API running on port ${port}`);
+        console.log(`🌐 Health check: http://localhost:${port}/health`);
+        console.log(`📊 Analyze endpoint: POST http://localhost:${port}/analyze`);
+        console.log(`📈 Dashboard endpoint: POST http://localhost:${port}/dashboard`);
+        startReportScheduler();
+        startWebhookDispatcher();
+    });
+}
+
+// The app, plus the internals the tests call directly
+module.exports = {
+    app,
+    FileStorageAdapter,
+    parseCronExpression,
+    nextCronRun,
+    getScheduleChangesAfterRun,
+    isBlockedAddress,
+    publicOnlyLookup,
+    checkOutboundURL,
+    requestOutboundURL,
+    forecastValues,
+    backtestForecast,
+    fitBGNBD,
+    fitGammaGamma
+};
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Amounts in uploaded CSVs, in Western, Indian and European notation
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, signup } = require('./helpers');
+
+let baseURL;
+let token;
+
+function postCSV(csv, query = '') {
+    return fetch(`${baseURL}/analyze${query}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/csv', Authorization: `Bearer ${token}` },
+        body: csv
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+// Analyzes one delivered order per amount and returns the total revenue with the rejected cells
+async function analyzeAmounts(amounts) {
+    const rows = amounts.map((amount, index) => `O${index},"${amount}",Delivered,2024-03-${String(index + 1).padStart(2, '0')}`);
+    const { body } = await postCSV(['order_id,revenue,status,order_date', ...rows].join('\n'));
+    assert.equal(body.success, true, body.error);
+    return {
+        revenue: body.data.analytics.financial.total_revenue,
+        rejected: body.ingestion.errors.map(error => error.message)
+    };
+}
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+});
+
+test('either decimal separator is understood', async () => {
+    for (const [amount, expected] of [
+        ['1.234,56', 1234.56],
+        ['€ 1.234.567,8', 1234567.8],
+        ['12,5', 12.5],
+        ['1,234', 1234],
+        ['1,234.56', 1234.56],
+        ['₹1,23,456.78', 123456.78],
+        ['Rs. 1500', 1500],
+        ['1 500,25', 1500.25],
+        ['1.234.567', 1234567],
+        ['USD 12.50', 12.5],
+        ['₹1,500/-', 1500],
+        ['(250)', -250]
+    ]) {
+        const { revenue, rejected } = await analyzeAmounts([amount]);
+        assert.deepEqual(rejected, [], amount);
+        assert.equal(revenue, expected, amount);
+    }
+});
+
+test('ambiguous separators are rejected', async () => {
+    const { rejected } = await analyzeAmounts(['1.234.56', '1,2,3', '1,234,56.7', '100']);
+    assert.deepEqual(rejected, [
+        '"1.234.56" is not a valid number for revenue',
+        '"1,2,3" is not a valid number for revenue',
+        '"1,234,56.7" is not a valid number for revenue'
+    ]);
+});
+
+test('cells with anything besides an amount and its currency are rejected', async () => {
+    const cells = ['2024-03-01', '1e5', '12abc', 'ABC 12', '12%'];
+    const { revenue, rejected } = await analyzeAmounts([...cells, '100']);
+    assert.equal(revenue, 100);
+    assert.deepEqual(rejected, cells.map(cell => `"${cell}" is not a valid number for revenue`));
+});
+
+test('header_aliases must be an object of aliases', async () => {
+    const csv = 'order_id,Net Amount,status,order_date\nO1,250,Delivered,2024-03-01';
+    const mapped = await postCSV(csv, `?header_aliases=${encodeURIComponent('{"revenue":["Net Amount"]}')}`);
+    assert.equal(mapped.body.data.analytics.financial.total_revenue, 250);
+
+    for (const aliases of ['null', '[1]', '"revenue"', '{"revenue":[1]}', '{oops']) {
+        const { status, body } = await postCSV(csv, `?header_aliases=${encodeURIComponent(aliases)}`);
+        assert.equal(status, 400, aliases);
+        assert.match(body.error, /header_aliases must be a JSON object/);
+    }
+});
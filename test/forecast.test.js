@@ -0,0 +1,69 @@
+// Holt-Winters forecasts and their backtest on a series with a known weekly pattern
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+let baseURL;
+let token;
+let forecastValues;
+let backtestForecast;
+
+// Eight weeks of days: a fixed weekly shape on a trend of +2 a day
+const WEEK = [100, 120, 130, 110, 150, 200, 180];
+const expected = day => WEEK[day % 7] + 2 * day;
+const SERIES = Array.from({ length: 56 }, (_, day) => expected(day));
+const SETTINGS = { seasonLength: 7, horizon: 14, z: 1.96, nonNegative: true };
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+    ({ forecastValues, backtestForecast } = require('../server'));
+});
+
+test('a seasonal series is projected with its weekly shape and trend', () => {
+    const { model, points } = forecastValues(SERIES, SETTINGS);
+    assert.equal(model.type, 'holt_winters_additive');
+    assert.equal(model.season_length, 7);
+
+    assert.equal(points.length, 14);
+    points.forEach((point, h) => {
+        assert.ok(Math.abs(point.forecast - expected(56 + h)) < 1, `day ${56 + h}: ${point.forecast}`);
+        assert.ok(point.lower < point.forecast && point.forecast < point.upper);
+    });
+    // Intervals widen with the horizon
+    const width = point => point.upper - point.lower;
+    assert.ok(width(points[13]) > width(points[0]));
+});
+
+test('the backtest scores the held-out periods against a naive baseline', () => {
+    const backtest = backtestForecast(SERIES, SETTINGS);
+    assert.equal(backtest.holdout_periods, 11);
+    assert.ok(backtest.mae < 1, `mae ${backtest.mae}`);
+    assert.ok(backtest.mape < 1, `mape ${backtest.mape}`);
+    assert.ok(backtest.naive_mae > 10 * backtest.mae);
+    assert.equal(backtest.interval_coverage, 100);
+});
+
+test('less than two seasons of history falls back to a trend-only model', () => {
+    const { model } = forecastValues(SERIES.slice(0, 10), SETTINGS);
+    assert.equal(model.type, 'holt_linear');
+    assert.equal(model.gamma, null);
+    assert.equal(backtestForecast(SERIES.slice(0, 6), SETTINGS), null);
+});
+
+test('POST /forecast projects daily revenue from dated orders', async () => {
+    const orders = SERIES.map((revenue, day) => ({
+        order_id: `O${day}`,
+        revenue,
+        status: 'Delivered',
+        order_date: new Date(Date.UTC(2024, 0, 1 + day)).toISOString().slice(0, 10)
+    }));
+    const { status, body } = await request(baseURL, 'POST', '/forecast', { token, body: { orders, horizon: 7 } });
+    assert.equal(status, 200, body.error);
+
+    const revenue = body.data.metrics.revenue;
+    assert.equal(body.data.history.periods, 56);
+    assert.deepEqual(revenue.forecast.map(point => point.period), ['2024-02-26', '2024-02-27', '2024-02-28', '2024-02-29', '2024-03-01', '2024-03-02', '2024-03-03']);
+    revenue.forecast.forEach((point, h) => assert.ok(Math.abs(point.forecast - expected(56 + h)) < 1, point.period));
+    assert.ok(revenue.backtest.mae < revenue.backtest.naive_mae);
+});
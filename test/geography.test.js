@@ -0,0 +1,35 @@
+// One city name, the pincode directory's, across the analysis, filters and drill-downs
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+let baseURL;
+let token;
+
+const ORDERS = [
+    { order_id: 'M1', revenue: 100, status: 'Delivered', city: 'mumbai', order_date: '2024-01-02' },
+    { order_id: 'M2', revenue: 200, status: 'RTO', city: 'Mumbai ', order_date: '2024-01-03' },
+    { order_id: 'M3', revenue: 300, status: 'Delivered', city: 'Bombay', pincode: '400001', order_date: '2024-01-04' },
+    { order_id: 'S1', revenue: 50, status: 'Delivered', city: 'smalltown', order_date: '2024-01-04' },
+    { order_id: 'S2', revenue: 50, status: 'Returned', city: 'SMALLTOWN', order_date: '2024-01-05' }
+];
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+});
+
+test('every section counts a city under one name', async () => {
+    const { status, body } = await request(baseURL, 'POST', '/analyze', { token, body: { orders: ORDERS } });
+    assert.equal(status, 200, body.error);
+
+    assert.deepEqual(Object.keys(body.data.returns.by_city).sort(), ['Mumbai', 'Smalltown']);
+    const cities = body.data.geography.cities.map(city => city.city).sort();
+    assert.deepEqual(cities, ['Mumbai', 'Smalltown']);
+    assert.equal(body.data.geography.cities.find(city => city.city === 'Mumbai').orders, 3);
+
+    const drilled = await request(baseURL, 'GET', `/runs/${body.run_id}/orders?city=mumbai`, { token });
+    assert.equal(drilled.status, 200, drilled.body.error);
+    assert.deepEqual(drilled.body.data.orders.map(order => order.order_id).sort(), ['M1', 'M2', 'M3']);
+    assert.ok(drilled.body.data.orders.every(order => order.city === 'Mumbai'));
+});
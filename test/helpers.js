@@ -0,0 +1,58 @@
+// Shared setup for the tests. node --test runs each file in its own process, so each file gets its
+// own data directory and server, removed again when the file's tests finish.
+const { after } = require('node:test');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Registered when a test file loads this module; an after() added inside a before() hook would run
+// as soon as that hook finished
+const cleanups = [];
+after(async () => {
+    // Last in, first out: servers close before their data directory goes
+    for (const cleanup of cleanups.splice(0).reverse()) await cleanup();
+});
+
+// Points DATA_DIR at a temporary directory; call before the server is required
+function createDataDir() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'flowlytics-test-'));
+    process.env.DATA_DIR = dataDir;
+    cleanups.push(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+    return dataDir;
+}
+
+// Starts the API on a free port; env is applied before the server reads it
+async function startServer(env = {}) {
+    createDataDir();
+    Object.assign(process.env, env);
+    const { app } = require('../server');
+
+    const server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    cleanups.push(() => new Promise(resolve => server.close(resolve)));
+    return `http://127.0.0.1:${server.address().port}`;
+}
+
+// JSON requests, resolving to { status, body }
+function request(baseURL, method, url, { token = null, body, headers = {} } = {}) {
+    return fetch(`${baseURL}${url}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(token ? { Authorization: `Bearer ${token}` } : {}),
+            ...headers
+        },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(async response => ({ status: response.status, body: await response.json() }));
+}
+
+// A new user with a workspace of their own: { user, workspace, token }
+async function signup(baseURL, email = 'owner@example.com') {
+    const { body } = await request(baseURL, 'POST', '/auth/signup', {
+        body: { email, password: 'password1', workspace_name: email }
+    });
+    if (!body.success) throw new Error(`Signup failed: ${body.error}`);
+    return body.data;
+}
+
+module.exports = { createDataDir, startServer, request, signup };
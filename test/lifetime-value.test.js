@@ -0,0 +1,140 @@
+// BG/NBD and Gamma-Gamma fits on purchase histories simulated from known parameters
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+let baseURL;
+let token;
+let fitBGNBD;
+let fitGammaGamma;
+
+// mulberry32, so every run simulates the same customers
+function createRandom(seed) {
+    return () => {
+        seed = seed + 0x6D2B79F5 | 0;
+        let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+        t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+        return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+}
+
+function createSampler(seed) {
+    const random = createRandom(seed);
+    const exponential = rate => -Math.log(1 - random()) / rate;
+    const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    // Marsaglia-Tsang, boosted for shapes below 1
+    const gamma = (shape, rate) => {
+        if (shape < 1) return gamma(shape + 1, rate) * Math.pow(random(), 1 / shape);
+        const d = shape - 1 / 3;
+        const c = 1 / Math.sqrt(9 * d);
+        for (;;) {
+            let x;
+            let v;
+            do {
+                x = normal();
+                v = 1 + c * x;
+            } while (v <= 0);
+            v = v * v * v;
+            if (Math.log(random()) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v / rate;
+        }
+    };
+    const beta = (a, b) => {
+        const x = gamma(a, 1);
+        return x / (x + gamma(b, 1));
+    };
+    return { random, exponential, gamma, beta };
+}
+
+// Purchase times in weeks after the first purchase: Poisson purchases at a gamma-distributed rate,
+// with a beta-distributed chance of dropping out after each one
+function simulatePurchases(sampler, { r, alpha, a, b }, weeks) {
+    const rate = sampler.gamma(r, alpha);
+    const dropout = sampler.beta(a, b);
+    const times = [];
+    for (let t = sampler.exponential(rate); t <= weeks; t += sampler.exponential(rate)) {
+        times.push(t);
+        if (sampler.random() < dropout) break;
+    }
+    return times;
+}
+
+const PURCHASES = { r: 0.25, alpha: 4, a: 0.8, b: 2.5 };
+const SPEND = { p: 6, q: 4, v: 15 };
+
+function assertClose(actual, expected, tolerance, label) {
+    assert.ok(Math.abs(actual / expected - 1) <= tolerance, `${label}: ${actual} is not within ${tolerance * 100}% of ${expected}`);
+}
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+    ({ fitBGNBD, fitGammaGamma } = require('../server'));
+});
+
+test('BG/NBD recovers the purchase rate and dropout of a simulated population', () => {
+    const sampler = createSampler(7);
+    const customers = Array.from({ length: 2000 }, () => {
+        const T = 39 + sampler.random() * 39;
+        const times = simulatePurchases(sampler, PURCHASES, T);
+        return { x: times.length, t_x: times.length > 0 ? times[times.length - 1] : 0, T };
+    });
+
+    const fit = fitBGNBD(customers);
+    assert.equal(fit.converged, true);
+    assertClose(fit.r / fit.alpha, PURCHASES.r / PURCHASES.alpha, 0.1, 'mean purchase rate');
+    assertClose(fit.a / (fit.a + fit.b), PURCHASES.a / (PURCHASES.a + PURCHASES.b), 0.1, 'mean dropout');
+    assertClose(fit.r, PURCHASES.r, 0.2, 'r');
+    assertClose(fit.alpha, PURCHASES.alpha, 0.2, 'alpha');
+});
+
+test('Gamma-Gamma recovers the average spend per purchase', () => {
+    const sampler = createSampler(7);
+    const customers = Array.from({ length: 2000 }, () => {
+        const x = 1 + Math.floor(sampler.random() * 5);
+        const customerRate = sampler.gamma(SPEND.q, SPEND.v);
+        const spend = Array.from({ length: x }, () => sampler.gamma(SPEND.p, customerRate) * 100);
+        return { x, monetary: spend.reduce((sum, value) => sum + value, 0) / x };
+    });
+
+    const fit = fitGammaGamma(customers);
+    assert.equal(fit.converged, true);
+    assert.ok(fit.q > 1);
+    // E[spend] = p·v / (q - 1), in the simulated units of 100
+    assertClose(fit.p * fit.v / (fit.q - 1), SPEND.p * SPEND.v * 100 / (SPEND.q - 1), 0.1, 'mean spend');
+});
+
+test('lapsed high spenders are flagged as churn risks and regulars are not', async () => {
+    const sampler = createSampler(11);
+    const start = Date.UTC(2024, 0, 1);
+    const day = offset => new Date(start + offset * 86400000).toISOString().slice(0, 10);
+    const orders = [];
+    const addOrder = (customerId, offset, revenue) => {
+        orders.push({ order_id: `O${orders.length}`, customer_id: customerId, revenue, status: 'Delivered', order_date: day(offset) });
+    };
+
+    for (let i = 0; i < 300; i++) {
+        const firstDay = Math.floor(sampler.random() * 120);
+        const value = sampler.gamma(SPEND.q, SPEND.v);
+        addOrder(`C${i}`, firstDay, Math.round(sampler.gamma(SPEND.p, value) * 100));
+        for (const weeks of simulatePurchases(sampler, PURCHASES, (365 - firstDay) / 7)) {
+            addOrder(`C${i}`, firstDay + Math.floor(weeks * 7), Math.round(sampler.gamma(SPEND.p, value) * 100));
+        }
+    }
+    // Bought every week in January and February, then stopped; and every other week all year
+    for (let week = 0; week < 8; week++) addOrder('LAPSED', week * 7, 20000);
+    for (let week = 0; week < 52; week += 2) addOrder('REGULAR', week * 7 + 5, 20000);
+
+    const { status, body } = await request(baseURL, 'POST', '/customers/lifetime-value?as_of=2024-12-31', { token, body: { orders } });
+    assert.equal(status, 200, body.error);
+
+    const { customers, churn_risks: churnRisks, model } = body.data;
+    assert.equal(model.bg_nbd.converged, true);
+    assert.equal(model.gamma_gamma.converged, true);
+    const lapsed = customers.find(customer => customer.customer_id === 'LAPSED');
+    const regular = customers.find(customer => customer.customer_id === 'REGULAR');
+    assert.ok(lapsed.churn_probability > 0.9, `lapsed: ${lapsed.churn_probability}`);
+    assert.ok(regular.churn_probability < 0.1, `regular: ${regular.churn_probability}`);
+    assert.ok(regular.predicted_clv > lapsed.predicted_clv);
+    assert.equal(churnRisks[0].customer_id, 'LAPSED');
+    assert.ok(!churnRisks.some(customer => customer.customer_id === 'REGULAR'));
+});
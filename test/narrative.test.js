@@ -0,0 +1,95 @@
+// Narratives against a stand-in OpenAI-compatible provider that quotes the fact sheet it is sent
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { startServer, request, signup } = require('./helpers');
+
+let reply = () => 'No data.';
+const provider = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        const { messages } = JSON.parse(body);
+        const facts = JSON.parse(messages[1].content.replace(/^Facts:\n/, ''));
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({ choices: [{ message: { content: reply(facts) } }] }));
+    });
+});
+
+let baseURL;
+let owner;
+
+// Eight delivered and two cancelled prepaid orders: a delivery rate of 80 and a cancellation rate of 20
+const ORDERS = Array.from({ length: 10 }, (_, index) => ({
+    order_id: `N${index}`,
+    customer_id: `C${index % 4}`,
+    revenue: 1000 + index * 100,
+    profit: 200,
+    status: index < 8 ? 'Delivered' : 'Cancelled',
+    city: 'Pune',
+    payment_method: 'UPI',
+    product_name: 'Kettle',
+    order_date: `2024-03-${String(index + 1).padStart(2, '0')}`
+}));
+
+function post(url, token, body, headers = {}) {
+    return request(baseURL, 'POST', url, { token, body, headers });
+}
+
+before(async () => {
+    provider.listen(0);
+    await new Promise(resolve => provider.once('listening', resolve));
+    baseURL = await startServer({
+        LLM_PROVIDER: 'local',
+        LLM_BASE_URL: `http://127.0.0.1:${provider.address().port}/v1`
+    });
+    owner = await signup(baseURL);
+});
+
+after(() => provider.close());
+
+test('a number must match the fact its sentence names', async () => {
+    reply = facts => [
+        `Total revenue came to ${facts.revenue.total_revenue}.`,
+        `Orders were delivered at a rate of ${facts.orders.delivery_rate}%.`,
+        `The cancellation rate is ${facts.orders.delivery_rate}%.`
+    ].join(' ');
+
+    const { status, body } = await post('/narrative', owner.token, { orders: ORDERS });
+    assert.equal(status, 200, body.error);
+    const { text, grounding } = body.data.narrative;
+    assert.match(text, /Total revenue came to 14500\./);
+    assert.match(text, /delivered at a rate of 80%/);
+    assert.equal(grounding.grounded, false);
+    assert.equal(grounding.attempts, 2);
+    assert.deepEqual(grounding.removed_sentences, [{ sentence: 'The cancellation rate is 80%.', numbers: ['80%'] }]);
+});
+
+test('each clause is checked against its own metric', async () => {
+    reply = facts => `Delivery reached ${facts.orders.delivery_rate}% and cancellations ${facts.orders.cancellation_rate}%.`;
+    const grounded = await post('/narrative', owner.token, { orders: ORDERS });
+    assert.equal(grounded.body.data.narrative.grounding.grounded, true);
+
+    reply = facts => `Delivery reached ${facts.orders.cancellation_rate}% and cancellations ${facts.orders.delivery_rate}%.`;
+    const swapped = await post('/narrative', owner.token, { orders: ORDERS });
+    assert.deepEqual(swapped.body.data.narrative.grounding.removed_sentences[0].numbers, ['20%', '80%']);
+});
+
+test('history answers are capped', async () => {
+    const history = [{ question: 'How are we doing?', answer: 'x'.repeat(6001) }];
+    const { status, body } = await post('/narrative/ask', owner.token, { question: 'And returns?', history, orders: ORDERS });
+    assert.equal(status, 400);
+    assert.match(body.errors[0], /answers at most 6000/);
+});
+
+test('viewers cannot call the provider', async () => {
+    const viewer = await signup(baseURL, 'viewer@example.com');
+    const added = await post('/workspace/members', owner.token, { email: 'viewer@example.com', role: 'viewer' });
+    assert.equal(added.status, 201);
+
+    const workspace = { 'X-Workspace-Id': owner.workspace.id };
+    const summary = await post('/narrative', viewer.token, { orders: ORDERS }, workspace);
+    assert.equal(summary.status, 403);
+    const question = await post('/narrative/ask', viewer.token, { question: 'Why?', orders: ORDERS }, workspace);
+    assert.equal(question.status, 403);
+});
@@ -0,0 +1,125 @@
+// Webhooks and connector URLs may only reach public addresses, including after redirects
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+const net = require('net');
+const { Readable } = require('stream');
+const { EventEmitter } = require('events');
+const { createDataDir } = require('./helpers');
+
+createDataDir();
+const { isBlockedAddress, publicOnlyLookup, checkOutboundURL, requestOutboundURL } = require('../server');
+
+// Serves on loopback to prove that nothing gets through to it
+let local;
+let localHits = 0;
+
+before(async () => {
+    local = http.createServer((req, res) => {
+        localHits++;
+        res.end('reached');
+    }).listen(0, '127.0.0.1');
+    await new Promise(resolve => local.once('listening', resolve));
+});
+
+after(() => new Promise(resolve => local.close(resolve)));
+
+// Resolves the given hostnames to fixed addresses, leaving the rest to the real resolver
+function fakeDNS(t, hosts) {
+    const resolve = hostname => hosts[hostname].map(address => ({ address, family: net.isIP(address) }));
+    const { lookup } = dns;
+    const lookupAsync = dns.promises.lookup;
+    t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+        if (!hosts[hostname]) return lookup(hostname, options, callback);
+        callback(null, resolve(hostname));
+    });
+    t.mock.method(dns.promises, 'lookup', (hostname, options) => hosts[hostname] ? Promise.resolve(resolve(hostname)) : lookupAsync(hostname, options));
+}
+
+// Answers http.request() from routes of url -> { status, location }, resolving each host through
+// the lookup it was given the way a socket would; returns the URLs that were actually requested
+function fakeHTTP(t, routes) {
+    const requested = [];
+    t.mock.method(http, 'request', (url, options, onResponse) => {
+        const request = new EventEmitter();
+        request.end = () => options.lookup(url.hostname, {}, error => {
+            if (error) return request.emit('error', error);
+            requested.push(url.href);
+            const { status = 200, location } = routes[url.href] || {};
+            onResponse(Object.assign(Readable.from([]), { statusCode: status, headers: location ? { location } : {} }));
+        });
+        return request;
+    });
+    return requested;
+}
+
+test('private, loopback, link-local and reserved addresses are blocked', () => {
+    for (const address of ['10.1.2.3', '127.0.0.1', '169.254.169.254', '172.16.0.1', '172.31.255.255', '192.168.1.1', '100.64.0.1', '0.0.0.0', '224.0.0.1', '::1', '::', '::ffff:127.0.0.1', 'fd00::1', 'fe80::1', 'localhost']) {
+        assert.equal(isBlockedAddress(address), true, address);
+    }
+    for (const address of ['8.8.8.8', '172.32.0.1', '203.0.113.10', '2606:4700::1111']) {
+        assert.equal(isBlockedAddress(address), false, address);
+    }
+});
+
+test('lookups that return any blocked address are refused', async t => {
+    fakeDNS(t, { 'mixed.test': ['203.0.113.10', '10.0.0.8'], 'public.test': ['203.0.113.10'] });
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+        publicOnlyLookup(hostname, options, (error, ...result) => error ? reject(error) : resolve(result));
+    });
+
+    await assert.rejects(lookup('localhost', {}), { code: 'EBLOCKEDADDRESS' });
+    await assert.rejects(lookup('mixed.test', {}), { code: 'EBLOCKEDADDRESS' });
+    assert.deepEqual(await lookup('public.test', {}), ['203.0.113.10', 4]);
+    assert.deepEqual(await lookup('public.test', { all: true }), [[{ address: '203.0.113.10', family: 4 }]]);
+});
+
+test('URLs are checked before they are saved', async t => {
+    fakeDNS(t, { 'public.test': ['203.0.113.10'] });
+    assert.equal(await checkOutboundURL('https://public.test/hook'), null);
+    assert.equal(await checkOutboundURL('ftp://public.test/hook'), 'must be an http(s) URL');
+    assert.equal(await checkOutboundURL('not a url'), 'must be an http(s) URL');
+    assert.equal(await checkOutboundURL('http://[::1]:8080/'), 'must not point to a private or local address');
+    assert.equal(await checkOutboundURL('http://localhost/'), 'must not point to a private or local address');
+    assert.match(await checkOutboundURL('http://nowhere.invalid/'), /could not be resolved/);
+});
+
+test('requests to local addresses never leave the process', async () => {
+    const { port } = local.address();
+    await assert.rejects(requestOutboundURL(`http://127.0.0.1:${port}/`), { code: 'EBLOCKEDADDRESS' });
+    await assert.rejects(requestOutboundURL(`http://localhost:${port}/`), { code: 'EBLOCKEDADDRESS' });
+    assert.equal(localHits, 0);
+});
+
+test('each redirect target is checked again', async t => {
+    fakeDNS(t, { 'public.test': ['203.0.113.10'], 'other.test': ['203.0.113.20'], 'internal.test': ['10.0.0.8'] });
+    const requested = fakeHTTP(t, {
+        'http://public.test/to-internal': { status: 302, location: 'http://internal.test/admin' },
+        'http://public.test/to-metadata': { status: 301, location: 'http://169.254.169.254/latest/meta-data' },
+        'http://public.test/to-other': { status: 307, location: 'http://other.test/hook' },
+        'http://public.test/loop': { status: 302, location: '/loop' }
+    });
+
+    await assert.rejects(requestOutboundURL('http://public.test/to-internal'), { code: 'EBLOCKEDADDRESS' });
+    await assert.rejects(requestOutboundURL('http://public.test/to-metadata'), { code: 'EBLOCKEDADDRESS' });
+    assert.deepEqual(requested.splice(0), ['http://public.test/to-internal', 'http://public.test/to-metadata']);
+
+    const followed = await requestOutboundURL('http://public.test/to-other');
+    assert.equal(followed.url, 'http://other.test/hook');
+    assert.equal(followed.ok, true);
+
+    await assert.rejects(requestOutboundURL('http://public.test/loop'), /Too many redirects/);
+    // POSTs (webhook deliveries) report the redirect instead of following it
+    assert.equal((await requestOutboundURL('http://public.test/to-internal', { method: 'POST', body: '{}' })).status, 302);
+});
+
+test('a host that resolved publicly when saved is checked again at delivery', async t => {
+    fakeDNS(t, { 'rebind.test': ['203.0.113.10'] });
+    assert.equal(await checkOutboundURL('http://rebind.test/hook'), null);
+
+    fakeDNS(t, { 'rebind.test': ['127.0.0.1'] });
+    const requested = fakeHTTP(t, {});
+    await assert.rejects(requestOutboundURL('http://rebind.test/hook', { method: 'POST', body: '{}' }), { code: 'EBLOCKEDADDRESS' });
+    assert.deepEqual(requested, []);
+});
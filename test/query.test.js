@@ -0,0 +1,80 @@
+// Plain-English questions and the structured queries they are read as
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+let baseURL;
+let token;
+
+const ORDERS = [
+    { order_id: 'P1', revenue: 100, status: 'Delivered', city: 'Pune', payment_method: 'UPI', category: 'Apparel', product_name: 'T-Shirt', order_date: '2024-05-02' },
+    { order_id: 'P2', revenue: 150, status: 'Delivered', city: 'Pune', payment_method: 'UPI', category: 'Footwear', product_name: 'Sneakers', order_date: '2024-05-20' },
+    { order_id: 'N1', revenue: 200, status: 'Cancelled', city: 'Navi Mumbai', payment_method: 'COD', category: 'Footwear', product_name: 'Sneakers', order_date: '2024-03-03' },
+    { order_id: 'M1', revenue: 300, status: 'Delivered', city: 'Mumbai', payment_method: 'Credit Card', category: 'Apparel', product_name: 'Jeans', order_date: '2024-04-03' }
+];
+
+function parse(question) {
+    return request(baseURL, 'POST', '/query/parse', { token, body: { orders: ORDERS, question, as_of: '2024-06-10' } })
+        .then(({ status, body }) => {
+            assert.equal(status, 200, body.error);
+            return body.data;
+        });
+}
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+});
+
+test('questions become structured queries', async () => {
+    const cases = [
+        ['revenue from UPI in Pune last month by category', {
+            metrics: ['revenue'], group_by: ['category'], filters: { city: ['Pune'], payment_method: ['UPI'] },
+            date_range: { from: '2024-05-01', to: '2024-05-31' }, sort: [], limit: 100
+        }],
+        ['top 3 cities by delivered revenue this year', {
+            metrics: ['delivered_revenue'], group_by: ['city'], filters: {},
+            date_range: { from: '2024-01-01', to: '2024-06-10' }, sort: ['-delivered_revenue'], limit: 3
+        }],
+        // The longer city name wins, and "in march" is this year's March
+        ['how many cancelled orders in Navi Mumbai in march?', {
+            metrics: ['orders'], group_by: [], filters: { status: ['cancelled'], city: ['Navi Mumbai'] },
+            date_range: { from: '2024-03-01', to: '2024-03-31' }, sort: [], limit: 100
+        }],
+        ['RTO rate by state and payment method in Q1', {
+            metrics: ['rto_rate'], group_by: ['state', 'payment_method'], filters: {},
+            date_range: { from: '2024-01-01', to: '2024-03-31' }, sort: [], limit: 100
+        }],
+        // A month that hasn't started yet this year is last year's
+        ['daily AOV for cash on delivery in december', {
+            metrics: ['average_order_value'], group_by: ['day'], filters: { payment_method: ['COD'] },
+            date_range: { from: '2023-12-01', to: '2023-12-31' }, sort: [], limit: 100
+        }]
+    ];
+
+    for (const [question, expected] of cases) {
+        const { query, ignored_words: ignored } = await parse(question);
+        assert.deepEqual(query, expected, question);
+        assert.deepEqual(ignored, [], question);
+    }
+});
+
+test('words the parser does not know are reported, not guessed', async () => {
+    const { query, ignored_words: ignored } = await parse('sales may be higher in march for the t-shirt');
+    assert.deepEqual(query.filters, { product: ['T-Shirt'] });
+    assert.deepEqual(query.date_range, { from: '2024-03-01', to: '2024-03-31' });
+    assert.deepEqual(ignored, ['may', 'be', 'higher']);
+});
+
+test('a question is answered with the rows its query selects', async () => {
+    const { status, body } = await request(baseURL, 'POST', '/query', {
+        token,
+        body: { orders: ORDERS, question: 'revenue by city for delivered orders', as_of: '2024-06-10' }
+    });
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.data.rows, [
+        { city: 'Mumbai', revenue: 300, orders: 1 },
+        { city: 'Pune', revenue: 250, orders: 2 }
+    ]);
+    assert.equal(body.data.matched_orders, 3);
+});
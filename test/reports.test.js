@@ -0,0 +1,78 @@
+// Cron parsing, next-run times across time zones and DST changes, and the retry schedule
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDataDir } = require('./helpers');
+
+createDataDir();
+const { parseCronExpression, nextCronRun, getScheduleChangesAfterRun } = require('../server');
+
+function nextRun(cron, after, timeZone) {
+    return nextCronRun(parseCronExpression(cron), new Date(after), timeZone)?.toISOString() ?? null;
+}
+
+test('cron fields accept lists, ranges, steps, names and aliases', () => {
+    const cron = parseCronExpression('*/15 8-18 * * mon-fri');
+    assert.deepEqual([...cron.minute], [0, 15, 30, 45]);
+    assert.deepEqual([...cron.hour], [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18]);
+    assert.deepEqual([...cron.day_of_week], [1, 2, 3, 4, 5]);
+    assert.equal(cron.day_of_month_restricted, false);
+
+    assert.deepEqual([...parseCronExpression('0 0 * * 7').day_of_week], [0]);
+    assert.deepEqual([...parseCronExpression('5/20 * * * *').minute], [5, 25, 45]);
+    assert.deepEqual([...parseCronExpression('0 0 1 jan,jul *').month], [1, 7]);
+    assert.deepEqual(parseCronExpression('@weekly'), parseCronExpression('0 0 * * 0'));
+});
+
+test('invalid cron expressions are refused', () => {
+    for (const expression of ['', '* * * *', '60 * * * *', '* 24 * * *', '* * 0 * *', '5-1 * * * *', '*/0 * * * *', '* * * foo *', '1,,2 * * * *']) {
+        assert.throws(() => parseCronExpression(expression), /cron needs 5 fields|Invalid/, expression);
+    }
+});
+
+test('next runs follow the schedule time zone', () => {
+    // 09:30 in Kolkata, so today's 09:00 has passed
+    assert.equal(nextRun('0 9 * * *', '2024-03-10T04:00:00Z', 'Asia/Kolkata'), '2024-03-11T03:30:00.000Z');
+    assert.equal(nextRun('0 9 * * mon', '2024-03-10T00:00:00Z', 'Europe/London'), '2024-03-11T09:00:00.000Z');
+    assert.equal(nextRun('0 9 * * *', '2024-07-01T12:00:00Z', 'America/Los_Angeles'), '2024-07-01T16:00:00.000Z');
+});
+
+test('both day fields restricted means either may match', () => {
+    // The 13th or any Friday: Friday the 6th comes first
+    assert.equal(nextRun('0 0 13 * 5', '2024-09-01T00:00:00Z', 'UTC'), '2024-09-06T00:00:00.000Z');
+    assert.equal(nextRun('0 0 30 2 *', '2024-01-01T00:00:00Z', 'UTC'), null);
+});
+
+test('a time skipped by a DST change runs as the clocks jump past it', () => {
+    // 02:30 doesn't exist in New York on 10 March 2024; clocks go from 02:00 EST to 03:00 EDT
+    assert.equal(nextRun('30 2 * * *', '2024-03-10T05:00:00Z', 'America/New_York'), '2024-03-10T07:30:00.000Z');
+    assert.equal(nextRun('30 2 * * *', '2024-03-11T05:00:00Z', 'America/New_York'), '2024-03-11T06:30:00.000Z');
+    // London skips 01:00-02:00 on 31 March 2024
+    assert.equal(nextRun('30 1 * * *', '2024-03-31T00:00:00Z', 'Europe/London'), '2024-03-31T01:30:00.000Z');
+    assert.equal(nextRun('0 12 * * *', '2024-03-31T00:30:00Z', 'Europe/London'), '2024-03-31T11:00:00.000Z');
+});
+
+test('a time repeated by a DST change runs once, at its first occurrence', () => {
+    // 01:30 happens at 05:30Z (EDT) and again at 06:30Z (EST) on 3 November 2024
+    assert.equal(nextRun('30 1 * * *', '2024-11-03T04:00:00Z', 'America/New_York'), '2024-11-03T05:30:00.000Z');
+    assert.equal(nextRun('30 1 * * *', '2024-11-03T05:30:00Z', 'America/New_York'), '2024-11-04T06:30:00.000Z');
+    assert.equal(nextRun('30 1 * * *', '2024-10-26T23:00:00Z', 'Europe/London'), '2024-10-27T00:30:00.000Z');
+});
+
+test('failed runs retry after 5 and 30 minutes, then wait for the next slot', () => {
+    const schedule = { cron: '0 9 * * *', timezone: 'Asia/Kolkata' };
+    const now = new Date('2024-03-10T03:31:00Z');
+    const run = (status, attempt) => getScheduleChangesAfterRun(schedule, { id: 'job', status, attempt, started_at: now.toISOString() }, now);
+
+    assert.deepEqual(
+        [run('failed', 1), run('failed', 2), run('failed', 3)].map(changes => [changes.retry_attempt, changes.next_run_at]),
+        [
+            [2, '2024-03-10T03:36:00.000Z'],
+            [3, '2024-03-10T04:01:00.000Z'],
+            [null, '2024-03-11T03:30:00.000Z']
+        ]
+    );
+    const succeeded = run('succeeded', 2);
+    assert.equal(succeeded.retry_attempt, null);
+    assert.equal(succeeded.next_run_at, '2024-03-11T03:30:00.000Z');
+    assert.equal(succeeded.last_status, 'succeeded');
+});
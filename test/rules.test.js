@@ -0,0 +1,41 @@
+// Built-in insight rules are seeded into a workspace on first use
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, request, signup } = require('./helpers');
+
+let baseURL;
+let token;
+
+function listRules() {
+    return request(baseURL, 'GET', '/rules', { token }).then(({ body }) => body);
+}
+
+before(async () => {
+    baseURL = await startServer();
+    ({ token } = await signup(baseURL));
+});
+
+test('concurrent first requests seed each built-in rule once', async () => {
+    const lists = await Promise.all(Array.from({ length: 6 }, listRules));
+    for (const list of lists) assert.equal(list.success, true, list.error);
+
+    const { data: rules } = await listRules();
+    const keys = rules.filter(rule => rule.builtin).map(rule => rule.key);
+    assert.ok(keys.length > 0);
+    assert.equal(new Set(keys).size, keys.length);
+    assert.deepEqual(lists.map(list => list.data.length), Array(6).fill(rules.length));
+});
+
+test('metrics must be analysis fields, not inherited names', async () => {
+    const rule = { key: 'high_rto_check', title: 'High RTO', description: 'RTO is {{value}}%', operator: '>', threshold: 20 };
+    for (const metric of ['constructor', 'toString', 'hasOwnProperty.length']) {
+        const { status, body } = await request(baseURL, 'POST', '/rules', { token, body: { ...rule, metric } });
+        assert.equal(status, 400, metric);
+        assert.match(body.errors.join(), /Unknown metric/);
+    }
+
+    const created = await request(baseURL, 'POST', '/rules', { token, body: { ...rule, metric: 'returns.rto_rate' } });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const badOperator = await request(baseURL, 'POST', '/rules', { token, body: { ...rule, key: 'other_rule', metric: 'returns.rto_rate', operator: 'constructor' } });
+    assert.equal(badOperator.status, 400);
+});
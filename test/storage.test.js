@@ -0,0 +1,30 @@
+// The JSON-file storage adapter under concurrent writes to one record
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createDataDir } = require('./helpers');
+
+const dataDir = createDataDir();
+const { FileStorageAdapter } = require('../server');
+
+const storage = new FileStorageAdapter(path.join(dataDir, 'adapter'));
+
+test('concurrent updates to one record all land', async () => {
+    const { id } = await storage.insert('counters', { name: 'orders' });
+    const results = await Promise.all(Array.from({ length: 20 }, (_, index) => storage.update('counters', id, { [`field_${index}`]: index })));
+    assert.ok(results.every(Boolean));
+
+    const stored = await storage.get('counters', id);
+    for (let index = 0; index < 20; index++) assert.equal(stored[`field_${index}`], index);
+    assert.deepEqual(fs.readdirSync(storage.collectionPath('counters')), [`${id}.json`]);
+});
+
+test('a write racing a remove leaves no temp files', async () => {
+    const { id } = await storage.insert('counters', { name: 'returns' });
+    const [updated, removed] = await Promise.all([storage.update('counters', id, { total: 1 }), storage.remove('counters', id)]);
+    assert.equal(updated.total, 1);
+    assert.equal(removed, true);
+    assert.equal(await storage.get('counters', id), null);
+    assert.ok(fs.readdirSync(storage.collectionPath('counters')).every(file => !file.endsWith('.tmp')));
+});